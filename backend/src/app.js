@@ -23,7 +23,13 @@ import accessRouter from "./routes/access.routes.js";
 
 // Advanced API routes
 import tasksRouter from "./routes/tasks.routes.js";
+import taskTemplatesRouter from "./routes/task-templates.routes.js";
+import taskBoardRouter from "./routes/task-board.routes.js";
+import timeEntriesRouter from "./routes/time-entries.routes.js";
+import timesheetsRouter from "./routes/timesheets.routes.js";
 import ticketsRouter from "./routes/tickets.routes.js";
+import ticketCommentsRouter from "./routes/ticket-comments.routes.js";
+import attachmentsRouter from "./routes/attachments.routes.js";
 import followUpsRouter from "./routes/follow-ups.routes.js";
 import reviewsRouter from "./routes/reviews.routes.js";
 import ideasRouter from "./routes/ideas.routes.js";
@@ -33,6 +39,23 @@ import socialMediaRouter from "./routes/social-media.routes.js";
 import notificationsRouter from "./routes/notifications.routes.js";
 import analyticsRouter from "./routes/analytics.routes.js";
 import permissionsRouter from "./routes/permissions.routes.js";
+import slaPoliciesRouter from "./routes/sla-policies.routes.js";
+import customersRouter from "./routes/customers.routes.js";
+import routingRulesRouter from "./routes/routing-rules.routes.js";
+import ticketTaxonomyRouter from "./routes/ticket-taxonomy.routes.js";
+import cannedResponsesRouter from "./routes/canned-responses.routes.js";
+import qaScorecardsRouter from "./routes/qa-scorecards.routes.js";
+import qaSamplingRouter from "./routes/qa-sampling.routes.js";
+import escalationTiersRouter from "./routes/escalation-tiers.routes.js";
+import incidentsRouter from "./routes/incidents.routes.js";
+import workspaceRouter from "./routes/workspace.routes.js";
+import inboundEmailRouter from "./routes/inbound-email.routes.js";
+import whatsappRouter from "./routes/whatsapp.routes.js";
+import surveysRouter from "./routes/surveys.routes.js";
+import publicSurveysRouter from "./routes/public-surveys.routes.js";
+import publicWallboardRouter from "./routes/public-wallboard.routes.js";
+import displayTokensRouter from "./routes/display-tokens.routes.js";
+import workflowsRouter from "./routes/workflows.routes.js";
 
 const app = express();
 
@@ -43,7 +66,8 @@ app.use(cors({
   credentials: true
 }));
 app.use(morgan("dev"));
-app.use(express.json());
+// Keep the raw body for webhook signature checks (see routes/whatsapp.routes.js)
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(cookieParser());
 
 // Root route
@@ -64,7 +88,13 @@ app.use("/api/access", accessRouter);
 
 // Advanced API routes
 app.use("/api/tasks", tasksRouter);
+app.use("/api/task-templates", taskTemplatesRouter);
+app.use("/api/task-board", taskBoardRouter);
+app.use("/api/time-entries", timeEntriesRouter);
+app.use("/api/timesheets", timesheetsRouter);
 app.use("/api/tickets", ticketsRouter);
+app.use("/api/tickets/:ticket_id/comments", ticketCommentsRouter);
+app.use("/api/tickets/:ticket_id/attachments", attachmentsRouter);
 app.use("/api/follow-ups", followUpsRouter);
 app.use("/api/reviews", reviewsRouter);
 app.use("/api/ideas", ideasRouter);
@@ -74,6 +104,23 @@ app.use("/api/social-media", socialMediaRouter);
 app.use("/api/notifications", notificationsRouter);
 app.use("/api/analytics", analyticsRouter);
 app.use("/api/permissions", permissionsRouter);
+app.use("/api/sla-policies", slaPoliciesRouter);
+app.use("/api/customers", customersRouter);
+app.use("/api/incidents", incidentsRouter);
+app.use("/api/workspace", workspaceRouter);
+app.use("/api/routing-rules", routingRulesRouter);
+app.use("/api/ticket-taxonomy", ticketTaxonomyRouter);
+app.use("/api/settings/canned-responses", cannedResponsesRouter);
+app.use("/api/settings/qa-scorecards", qaScorecardsRouter);
+app.use("/api/settings/qa-sampling", qaSamplingRouter);
+app.use("/api/settings/escalation-tiers", escalationTiersRouter);
+app.use("/api/settings/display-tokens", displayTokensRouter);
+app.use("/api/settings/workflows", workflowsRouter);
+app.use("/api/inbound/email", inboundEmailRouter);
+app.use("/api/inbound/whatsapp", whatsappRouter);
+app.use("/api/surveys", surveysRouter);
+app.use("/api/public/surveys", publicSurveysRouter);
+app.use("/api/public/wallboard", publicWallboardRouter);
 
 // Basic CRUD for remaining models
 app.use("/api/vod", buildCrudRouter(Vod, "vod_id"));
@@ -1,9 +1,12 @@
 import mongoose from "mongoose";
 
+// The only Counter model: nextId below counts in `seq`, getNextId in
+// utils/counters.js counts in `sequence_value` under its own keys
 const counterSchema = new mongoose.Schema(
   {
     _id: { type: String, required: true },
-    seq: { type: Number, required: true, default: 0 },
+    seq: { type: Number, default: 0 },
+    sequence_value: { type: Number, default: 0 },
   },
   { collection: "counters" }
 );
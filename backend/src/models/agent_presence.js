@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+export const PRESENCE_STATES = ['available', 'on_call', 'break', 'offline'];
+
+// Same shape as TicketEvent.actor (see utils/actor.js)
+const actorSchema = new mongoose.Schema({
+  user_id: { type: String, default: null },
+  username: { type: String, default: null },
+  employee_id: { type: Number, default: null },
+  name: { type: String, default: null }
+}, { _id: false });
+
+// Current workspace status of an agent; employees without a record count as offline
+const schema = new mongoose.Schema({
+  employee_id: { type: Number, required: true, unique: true, index: true },
+  status: { type: String, enum: PRESENCE_STATES, default: 'offline' },
+  since: { type: Date, default: () => new Date() },
+  // 'manual', or 'disconnected' when the last workspace tab closed
+  reason: { type: String, default: 'manual' },
+  updated_by: { type: actorSchema, default: null }
+}, {
+  timestamps: true
+});
+
+schema.index({ status: 1 });
+
+export const AgentPresence = mongoose.model("AgentPresence", schema);
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+import { nextId } from "../counters.js";
+
+// What a file is attached to; every attachment also carries its ticket_id
+export const ATTACHMENT_OWNER_TYPES = ['ticket', 'comment', 'follow_up'];
+
+// Same shape as TicketEvent.actor (see utils/actor.js)
+const actorSchema = new mongoose.Schema({
+  user_id: { type: String, default: null },
+  username: { type: String, default: null },
+  employee_id: { type: Number, default: null },
+  name: { type: String, default: null }
+}, { _id: false });
+
+// File uploaded to a ticket, comment or follow-up; the bytes live in the storage driver (utils/attachmentStorage.js)
+const schema = new mongoose.Schema({
+  attachment_id: { type: Number, unique: true, index: true },
+  ticket_id: { type: Number, required: true },
+  owner_type: { type: String, enum: ATTACHMENT_OWNER_TYPES, default: 'ticket' },
+  // comment_id or follow_up_id; null for files on the ticket itself
+  owner_id: { type: Number, default: null },
+  filename: { type: String, required: true, trim: true },
+  mime_type: { type: String, required: true },
+  size: { type: Number, required: true },
+  // Driver that stored the file, so downloads keep working after ATTACHMENT_STORAGE changes
+  storage: { type: String, required: true },
+  storage_key: { type: String, required: true },
+  // Images only
+  thumbnail_key: { type: String, default: null },
+  width: { type: Number, default: null },
+  height: { type: Number, default: null },
+  uploaded_by: { type: actorSchema, required: true }
+}, {
+  timestamps: true
+});
+
+schema.index({ ticket_id: 1, createdAt: 1 });
+schema.index({ owner_type: 1, owner_id: 1 });
+
+schema.pre("save", async function (next) {
+  if (this.isNew && (this.attachment_id === undefined || this.attachment_id === null)) {
+    this.attachment_id = await nextId("attachments");
+  }
+  next();
+});
+
+export const Attachment = mongoose.model("Attachment", schema);
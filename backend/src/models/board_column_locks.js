@@ -0,0 +1,15 @@
+import mongoose from "mongoose";
+
+// A move into a task board column holds its lock while it checks the WIP limit
+// and writes (see withColumnLock in utils/taskBoard.js)
+const schema = new mongoose.Schema({
+  // Workflow state key of the column
+  _id: { type: String, required: true },
+  holder: { type: String, required: true },
+  // A lock left by a crashed request can be taken over after this
+  expires_at: { type: Date, required: true }
+}, {
+  collection: "board_column_locks"
+});
+
+export const BoardColumnLock = mongoose.model("BoardColumnLock", schema);
@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+import { CANNED_RESPONSE_TARGETS } from "./canned_responses.js";
+
+// One entry each time an agent inserts a canned response; source for usage stats
+const schema = new mongoose.Schema({
+  canned_response_id: { type: Number, required: true },
+  target: { type: String, enum: CANNED_RESPONSE_TARGETS, required: true },
+  ticket_id: { type: Number, default: null },
+  actor: {
+    user_id: { type: String, default: null },
+    username: { type: String, default: null },
+    employee_id: { type: Number, default: null },
+    name: { type: String, default: null }
+  },
+  createdAt: { type: Date, default: () => new Date() }
+});
+
+schema.index({ canned_response_id: 1, createdAt: -1 });
+schema.index({ createdAt: -1 });
+
+export const CannedResponseUse = mongoose.model("CannedResponseUse", schema);
@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+import { nextId } from "../counters.js";
+
+export const CANNED_RESPONSE_KINDS = ['response', 'resolution'];
+// Places a template can be inserted into
+export const CANNED_RESPONSE_TARGETS = ['description', 'comment', 'follow_up_note'];
+
+const schema = new mongoose.Schema({
+  canned_response_id: { type: Number, unique: true, index: true },
+  title: { type: String, required: true, trim: true },
+  kind: { type: String, enum: CANNED_RESPONSE_KINDS, default: 'response' },
+  // Text with {{variable}} placeholders, see TEMPLATE_VARIABLES in utils/cannedResponses.js
+  body: { type: String, required: true },
+  // Scope; null means "any value"
+  issue_category: { type: String, trim: true, default: null },
+  issue_type: { type: String, trim: true, default: null },
+  targets: {
+    type: [{ type: String, enum: CANNED_RESPONSE_TARGETS }],
+    default: () => [...CANNED_RESPONSE_TARGETS]
+  },
+  is_active: { type: Boolean, default: true },
+  // Denormalized from canned_response_uses so pickers can sort by popularity
+  usage_count: { type: Number, default: 0 },
+  last_used_at: { type: Date, default: null },
+  created_by: {
+    user_id: { type: String, default: null },
+    username: { type: String, default: null },
+    employee_id: { type: Number, default: null },
+    name: { type: String, default: null }
+  }
+}, {
+  timestamps: true
+});
+
+schema.index({ is_active: 1, issue_category: 1, issue_type: 1 });
+
+schema.pre("save", async function (next) {
+  if (this.isNew && (this.canned_response_id === undefined || this.canned_response_id === null)) {
+    this.canned_response_id = await nextId("canned_responses");
+  }
+  next();
+});
+
+export const CannedResponse = mongoose.model("CannedResponse", schema);
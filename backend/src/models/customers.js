@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+import { nextId } from "../counters.js";
+
+// One profile per caller, keyed by normalized phone (see utils/customers.js).
+// Email-only contacts get a profile keyed by email until a phone is known.
+const schema = new mongoose.Schema({
+  customer_id: { type: Number, unique: true, index: true },
+  phone: { type: String, unique: true, sparse: true, trim: true },
+  email: { type: String, unique: true, sparse: true, trim: true, lowercase: true },
+  name: { type: String, trim: true },
+  devices: { type: [String], default: [] },
+  locations: { type: [String], default: [] },
+  channels: { type: [String], default: [] },
+  first_contact_at: { type: Date, default: () => new Date() },
+  last_contact_at: { type: Date, default: () => new Date() }
+}, {
+  timestamps: true
+});
+
+schema.pre("save", async function (next) {
+  if (this.isNew && (this.customer_id === undefined || this.customer_id === null)) {
+    this.customer_id = await nextId("customers");
+  }
+  next();
+});
+
+export const Customer = mongoose.model("Customer", schema);
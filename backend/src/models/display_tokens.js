@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+import { nextId } from "../counters.js";
+
+// What a display token may show; each scope is read-only
+export const DISPLAY_TOKEN_SCOPES = ['wallboard'];
+
+// Same shape as TicketEvent.actor (see utils/actor.js)
+const actorSchema = new mongoose.Schema({
+  user_id: { type: String, default: null },
+  username: { type: String, default: null },
+  employee_id: { type: Number, default: null },
+  name: { type: String, default: null }
+}, { _id: false });
+
+// Credential for an unattended screen (kiosk TV); only the hash of the token is stored
+const schema = new mongoose.Schema({
+  display_token_id: { type: Number, unique: true, index: true },
+  name: { type: String, required: true, trim: true },
+  token_hash: { type: String, required: true, unique: true },
+  // First characters of the token, so admins can tell tokens apart
+  token_prefix: { type: String, required: true },
+  scopes: { type: [{ type: String, enum: DISPLAY_TOKEN_SCOPES }], default: ['wallboard'] },
+  expires_at: { type: Date, default: null },
+  last_used_at: { type: Date, default: null },
+  revoked_at: { type: Date, default: null },
+  created_by: { type: actorSchema, default: null },
+  revoked_by: { type: actorSchema, default: null }
+}, {
+  timestamps: true
+});
+
+schema.pre("save", async function (next) {
+  if (this.isNew && (this.display_token_id === undefined || this.display_token_id === null)) {
+    this.display_token_id = await nextId("display_tokens");
+  }
+  next();
+});
+
+export const DisplayToken = mongoose.model("DisplayToken", schema);
@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+// L1 agent, L2 specialist, L3 supervisor
+export const ESCALATION_LEVELS = [1, 2, 3];
+
+// One document per level, read by utils/escalations.js
+const schema = new mongoose.Schema({
+  level: { type: Number, enum: ESCALATION_LEVELS, required: true, unique: true },
+  name: { type: String, required: true, trim: true },
+  // Section that works tickets at this level; L1 without a section hands back to the original agent
+  section_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Section', default: null },
+  // Tier SLA: time the receiving tier has to resolve or hand the ticket back
+  sla_minutes: { type: Number, required: true, min: 1 },
+  // Also notified on every escalation to this level, e.g. the shift supervisor
+  notify_employee_ids: { type: [Number], default: [] },
+  updated_by: {
+    user_id: { type: String, default: null },
+    username: { type: String, default: null },
+    employee_id: { type: Number, default: null },
+    name: { type: String, default: null }
+  }
+}, {
+  timestamps: true
+});
+
+export const EscalationTier = mongoose.model("EscalationTier", schema);
@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 
+export const FOLLOW_UP_OUTCOMES = ['solved', 'not_solved', 'unreachable'];
+
 const followUpSchema = new mongoose.Schema({
   follow_up_id: {
     type: Number,
@@ -35,6 +37,28 @@ const followUpSchema = new mongoose.Schema({
   follow_up_notes: {
     type: String,
     trim: true
+  },
+  // Call-back queue (see utils/followUpQueue.js); follow_up_date is when the next call is due
+  attempt_count: {
+    type: Number,
+    default: 0
+  },
+  attempts: [{
+    _id: false,
+    attempted_at: { type: Date, default: Date.now },
+    agent_id: { type: Number, default: null },
+    result: { type: String, enum: ['no_answer', 'reached'], required: true },
+    notes: { type: String, default: null }
+  }],
+  // null while the follow-up is still in the queue
+  outcome: {
+    type: String,
+    enum: FOLLOW_UP_OUTCOMES,
+    default: null
+  },
+  closed_at: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -45,5 +69,7 @@ followUpSchema.index({ follow_up_id: 1 }, { unique: true });
 followUpSchema.index({ ticket_id: 1 });
 followUpSchema.index({ follow_up_agent_id: 1 });
 followUpSchema.index({ follow_up_date: -1 });
+// Call-back queue: open follow-ups per agent by due time
+followUpSchema.index({ follow_up_agent_id: 1, outcome: 1, follow_up_date: 1 });
 
 export const FollowUp = mongoose.model('FollowUp', followUpSchema);
\ No newline at end of file
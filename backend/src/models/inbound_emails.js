@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+import { nextId } from "../counters.js";
+
+export const INBOUND_EMAIL_STATUSES = ['created', 'appended', 'quarantined', 'discarded'];
+
+// One record per message received by the email gateway (see utils/inboundEmail.js)
+const schema = new mongoose.Schema({
+  inbound_email_id: { type: Number, unique: true, index: true },
+  message_id: { type: String, default: null },
+  in_reply_to: { type: String, default: null },
+  references: { type: [String], default: [] },
+  from_address: { type: String, default: null },
+  from_name: { type: String, default: null },
+  subject: { type: String, default: null },
+  status: { type: String, enum: INBOUND_EMAIL_STATUSES, required: true },
+  // How the message was matched to an existing ticket: headers or subject token
+  threaded_by: { type: String, enum: ['headers', 'subject', 'manual', null], default: null },
+  ticket_id: { type: Number, default: null },
+  comment_id: { type: Number, default: null },
+  // Files of the message; accepted ones are stored as ticket attachments (utils/attachments.js)
+  attachments: [{
+    _id: false,
+    filename: String,
+    content_type: String,
+    size: Number,
+    attachment_id: { type: Number, default: null },
+    // Why the file was not stored, e.g. a type that uploads don't accept
+    rejected: { type: String, default: null }
+  }],
+  error: { type: String, default: null },
+  // Original message, kept while quarantined so it can be retried
+  raw: { type: Buffer, default: null },
+  reviewed_by: {
+    user_id: { type: String, default: null },
+    username: { type: String, default: null },
+    employee_id: { type: Number, default: null },
+    name: { type: String, default: null }
+  },
+  reviewed_at: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+// Threading looks up earlier messages by Message-ID
+schema.index({ message_id: 1 });
+schema.index({ status: 1, createdAt: -1 });
+
+schema.pre("save", async function (next) {
+  if (this.isNew && (this.inbound_email_id === undefined || this.inbound_email_id === null)) {
+    this.inbound_email_id = await nextId("inbound_emails");
+  }
+  next();
+});
+
+export const InboundEmail = mongoose.model("InboundEmail", schema);
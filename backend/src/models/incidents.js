@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+import { nextId } from "../counters.js";
+
+// Anything but "resolved" counts as active
+export const INCIDENT_STATUSES = ['investigating', 'identified', 'monitoring', 'resolved'];
+
+const actorSchema = {
+  user_id: { type: String, default: null },
+  username: { type: String, default: null },
+  employee_id: { type: Number, default: null },
+  name: { type: String, default: null }
+};
+
+// Outage or other mass-impact event that tickets are linked to (Ticket.incident_id)
+const schema = new mongoose.Schema({
+  incident_id: { type: Number, unique: true, index: true },
+  title: { type: String, required: true, trim: true },
+  description: { type: String, trim: true, default: null },
+  // Ticket issue categories and customer locations hit by the incident; empty means any
+  affected_categories: { type: [String], default: [] },
+  affected_regions: { type: [String], default: [] },
+  status: { type: String, enum: INCIDENT_STATUSES, default: 'investigating' },
+  started_at: { type: Date, required: true, default: () => new Date() },
+  ended_at: { type: Date, default: null },
+  resolution_notes: { type: String, trim: true, default: null },
+  created_by: actorSchema,
+  resolved_by: actorSchema
+}, {
+  timestamps: true
+});
+
+schema.index({ status: 1, started_at: -1 });
+
+schema.pre("save", async function (next) {
+  if (this.isNew && (this.incident_id === undefined || this.incident_id === null)) {
+    this.incident_id = await nextId("incidents");
+  }
+  next();
+});
+
+export const Incident = mongoose.model("Incident", schema);
@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+// One per sampled day, so running the job twice for a day does nothing
+const schema = new mongoose.Schema({
+  // Day whose completed tickets were sampled, YYYY-MM-DD (UTC)
+  run_date: { type: String, required: true, unique: true },
+  percentage: { type: Number, required: true },
+  tickets_considered: { type: Number, default: 0 },
+  assigned: { type: Number, default: 0 },
+  // Sampled tickets whose only eligible reviewer would have been their own agent
+  skipped: { type: Number, default: 0 },
+  by_agent: [{
+    _id: false,
+    agent_id: { type: Number, required: true },
+    completed: { type: Number, default: 0 },
+    sampled: { type: Number, default: 0 },
+    // Sampled count per issue category
+    categories: { type: Map, of: Number, default: {} }
+  }],
+  triggered_by: {
+    user_id: { type: String, default: null },
+    username: { type: String, default: null },
+    employee_id: { type: Number, default: null },
+    name: { type: String, default: null }
+  }
+}, {
+  timestamps: true
+});
+
+export const QaSampleRun = mongoose.model("QaSampleRun", schema);
@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+// Single document (key "default") read by utils/qaSampling.js
+const schema = new mongoose.Schema({
+  key: { type: String, default: 'default', unique: true },
+  enabled: { type: Boolean, default: false },
+  // Share of each agent's completed tickets to review, in percent
+  percentage: { type: Number, default: 5, min: 0, max: 100 },
+  min_per_agent: { type: Number, default: 1, min: 0 },
+  max_per_agent: { type: Number, default: null, min: 1 },
+  // QA staff (employee IDs) assignments rotate through
+  reviewer_ids: { type: [Number], default: [] },
+  // Round-robin position, carried over between runs
+  next_reviewer_index: { type: Number, default: 0 },
+  updated_by: {
+    user_id: { type: String, default: null },
+    username: { type: String, default: null },
+    employee_id: { type: Number, default: null },
+    name: { type: String, default: null }
+  }
+}, {
+  timestamps: true
+});
+
+export const QaSamplingSettings = mongoose.model("QaSamplingSettings", schema);
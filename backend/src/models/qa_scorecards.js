@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+// scale: scored 0..max_score and weighted; auto_fail: a pass/fail check that zeroes the review when failed
+export const QA_CRITERION_TYPES = ['scale', 'auto_fail'];
+
+const criterionSchema = new mongoose.Schema({
+  key: { type: String, required: true, trim: true },
+  label: { type: String, required: true, trim: true },
+  description: { type: String, trim: true, default: null },
+  type: { type: String, enum: QA_CRITERION_TYPES, default: 'scale' },
+  weight: { type: Number, default: 1, min: 0 },
+  max_score: { type: Number, default: 5, min: 1 }
+}, { _id: false });
+
+// Every edit saves a new version; reviews point at the version they were scored with
+const schema = new mongoose.Schema({
+  scorecard_id: { type: Number, required: true },
+  version: { type: Number, required: true, default: 1 },
+  name: { type: String, required: true, trim: true },
+  description: { type: String, trim: true, default: null },
+  criteria: { type: [criterionSchema], default: [] },
+  // Total score (0-100) needed to pass
+  pass_score: { type: Number, default: 80, min: 0, max: 100 },
+  // Only the latest version of a scorecard is current
+  is_current: { type: Boolean, default: true },
+  is_active: { type: Boolean, default: true },
+  created_by: {
+    user_id: { type: String, default: null },
+    username: { type: String, default: null },
+    employee_id: { type: Number, default: null },
+    name: { type: String, default: null }
+  }
+}, {
+  timestamps: true
+});
+
+schema.index({ scorecard_id: 1, version: 1 }, { unique: true });
+schema.index({ is_current: 1, is_active: 1 });
+
+export const QaScorecard = mongoose.model("QaScorecard", schema);
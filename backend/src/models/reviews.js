@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { QA_CRITERION_TYPES } from './qa_scorecards.js';
 
 const reviewSchema = new mongoose.Schema({
   review_id: {
@@ -20,18 +21,71 @@ const reviewSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Sampled assignments stay pending until the reviewer fills them in
+  status: {
+    type: String,
+    enum: ['pending', 'completed'],
+    default: 'completed'
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'sample'],
+    default: 'manual'
+  },
+  sample_run_date: {
+    type: String,
+    default: null
+  },
   issue_status: {
     type: String,
-    required: true,
+    required: function () { return this.status !== 'pending'; },
     trim: true
   },
   resolved: {
     type: Boolean,
-    required: true
+    required: function () { return this.status !== 'pending'; }
   },
   notes: {
     type: String,
     trim: true
+  },
+  // Agent whose handling of the ticket was reviewed
+  agent_id: {
+    type: Number,
+    ref: 'Employee',
+    default: null
+  },
+  // Scorecard version used; criteria are copied into scores so later edits don't change old reviews
+  scorecard: {
+    scorecard_id: { type: Number, default: null },
+    version: { type: Number, default: null },
+    name: { type: String, default: null },
+    pass_score: { type: Number, default: null }
+  },
+  scores: [{
+    _id: false,
+    key: { type: String, required: true },
+    label: { type: String, required: true },
+    type: { type: String, enum: QA_CRITERION_TYPES, required: true },
+    weight: { type: Number, default: null },
+    max_score: { type: Number, default: null },
+    score: { type: Number, default: null },
+    // auto_fail checks only
+    passed: { type: Boolean, default: null },
+    comment: { type: String, trim: true, default: null }
+  }],
+  // 0-100 weighted score; 0 when an auto-fail check failed
+  total_score: {
+    type: Number,
+    default: null
+  },
+  auto_failed: {
+    type: Boolean,
+    default: false
+  },
+  qa_passed: {
+    type: Boolean,
+    default: null
   }
 }, {
   timestamps: true
@@ -42,5 +96,7 @@ reviewSchema.index({ review_id: 1 }, { unique: true });
 reviewSchema.index({ ticket_id: 1 });
 reviewSchema.index({ reviewer_id: 1 });
 reviewSchema.index({ review_date: -1 });
+reviewSchema.index({ agent_id: 1, review_date: -1 });
+reviewSchema.index({ reviewer_id: 1, status: 1 });
 
 export const Review = mongoose.model('Review', reviewSchema);
\ No newline at end of file
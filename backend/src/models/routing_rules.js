@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+import { nextId } from "../counters.js";
+
+export const ROUTING_STRATEGIES = ['round_robin', 'least_open'];
+export const ROUTING_TARGETS = ['section', 'employees'];
+
+const schema = new mongoose.Schema({
+  routing_rule_id: { type: Number, unique: true, index: true },
+  name: { type: String, required: true, trim: true },
+  // Lower order is evaluated first; the first active matching rule wins
+  order: { type: Number, default: 100 },
+  // Match criteria; null means "any value"
+  issue_category: { type: String, trim: true, default: null },
+  issue_type: { type: String, trim: true, default: null },
+  device_type: { type: String, trim: true, default: null },
+  communication_channel: {
+    type: String,
+    enum: ['WhatsApp', 'Phone', 'Email', 'In-App'],
+    default: null
+  },
+  // Where matching tickets go
+  target_type: { type: String, enum: ROUTING_TARGETS, required: true },
+  section_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Section',
+    default: null
+  },
+  employee_ids: { type: [Number], default: [] },
+  strategy: { type: String, enum: ROUTING_STRATEGIES, default: 'round_robin' },
+  // Only agents whose workspace presence is "available" (see models/agent_presence.js)
+  require_available: { type: Boolean, default: false },
+  // Round-robin cursor: employee_id of the last agent this rule assigned
+  last_assigned_employee_id: { type: Number, default: null },
+  is_active: { type: Boolean, default: true }
+}, {
+  timestamps: true
+});
+
+schema.index({ is_active: 1, order: 1 });
+
+schema.pre("save", async function (next) {
+  if (this.isNew && (this.routing_rule_id === undefined || this.routing_rule_id === null)) {
+    this.routing_rule_id = await nextId("routing_rules");
+  }
+  next();
+});
+
+export const RoutingRule = mongoose.model("RoutingRule", schema);
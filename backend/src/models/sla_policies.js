@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+import { nextId } from "../counters.js";
+import { TICKET_PRIORITIES } from "./tickets.js";
+
+const schema = new mongoose.Schema({
+  sla_policy_id: { type: Number, unique: true, index: true },
+  name: { type: String, required: true, trim: true },
+  // Match criteria; null means "any value"
+  issue_category: { type: String, trim: true, default: null },
+  communication_channel: {
+    type: String,
+    enum: ['WhatsApp', 'Phone', 'Email', 'In-App'],
+    default: null
+  },
+  priority: { type: String, enum: TICKET_PRIORITIES, default: null },
+  // Targets in minutes, measured from ticket creation
+  first_response_minutes: { type: Number, required: true, min: 1 },
+  resolution_minutes: { type: Number, required: true, min: 1 },
+  // Share of the target window after which an open ticket is flagged "at_risk"
+  at_risk_percent: { type: Number, default: 80, min: 1, max: 99 },
+  is_active: { type: Boolean, default: true }
+}, {
+  timestamps: true
+});
+
+schema.pre("save", async function (next) {
+  if (this.isNew && (this.sla_policy_id === undefined || this.sla_policy_id === null)) {
+    this.sla_policy_id = await nextId("sla_policies");
+  }
+  next();
+});
+
+export const SlaPolicy = mongoose.model("SlaPolicy", schema);
@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+import { nextId } from "../counters.js";
+
+// rating: 1-5 CSAT scale, nps: 0-10 likelihood to recommend, text: free comment
+export const SURVEY_QUESTION_TYPES = ['rating', 'nps', 'text'];
+
+const schema = new mongoose.Schema({
+  survey_question_id: { type: Number, unique: true, index: true },
+  // Stable identifier stored with every answer, so labels can be reworded later
+  key: { type: String, required: true, unique: true, trim: true, lowercase: true },
+  label: { type: String, required: true, trim: true },
+  type: { type: String, enum: SURVEY_QUESTION_TYPES, required: true },
+  required: { type: Boolean, default: false },
+  order: { type: Number, default: 0 },
+  is_active: { type: Boolean, default: true }
+}, {
+  timestamps: true
+});
+
+schema.index({ is_active: 1, order: 1 });
+
+schema.pre("save", async function (next) {
+  if (this.isNew && (this.survey_question_id === undefined || this.survey_question_id === null)) {
+    this.survey_question_id = await nextId("survey_questions");
+  }
+  next();
+});
+
+export const SurveyQuestion = mongoose.model("SurveyQuestion", schema);
@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+import { nextId } from "../counters.js";
+import { SURVEY_QUESTION_TYPES } from "./survey_questions.js";
+
+// How the answers were collected: by the customer through the signed link, or by an agent on the follow-up call
+export const SURVEY_SOURCES = ['link', 'agent'];
+
+const schema = new mongoose.Schema({
+  survey_response_id: { type: Number, unique: true, index: true },
+  ticket_id: { type: Number, required: true },
+  follow_up_id: { type: Number, default: null },
+  // Ticket owner when the survey was issued; the agent being rated
+  agent_id: { type: Number, default: null },
+  issue_category: { type: String, default: null },
+  issue_type: { type: String, default: null },
+  source: { type: String, enum: SURVEY_SOURCES, required: true },
+  status: { type: String, enum: ['pending', 'completed'], default: 'pending' },
+  // Questions as they were when the survey was issued
+  questions: [{
+    _id: false,
+    key: { type: String, required: true },
+    label: { type: String, required: true },
+    type: { type: String, enum: SURVEY_QUESTION_TYPES, required: true },
+    required: { type: Boolean, default: false }
+  }],
+  answers: [{
+    _id: false,
+    key: { type: String, required: true },
+    type: { type: String, enum: SURVEY_QUESTION_TYPES, required: true },
+    value: { type: Number, default: null },
+    text: { type: String, default: null }
+  }],
+  // Derived from answers for aggregation: mean of rating answers and the NPS answer
+  csat_score: { type: Number, default: null },
+  nps_score: { type: Number, default: null },
+  expires_at: { type: Date, default: null },
+  submitted_at: { type: Date, default: null },
+  created_by: {
+    user_id: { type: String, default: null },
+    username: { type: String, default: null },
+    employee_id: { type: Number, default: null },
+    name: { type: String, default: null }
+  }
+}, {
+  timestamps: true
+});
+
+schema.index({ ticket_id: 1, createdAt: -1 });
+schema.index({ status: 1, submitted_at: -1 });
+schema.index({ agent_id: 1, submitted_at: -1 });
+
+schema.pre("save", async function (next) {
+  if (this.isNew && (this.survey_response_id === undefined || this.survey_response_id === null)) {
+    this.survey_response_id = await nextId("survey_responses");
+  }
+  next();
+});
+
+export const SurveyResponse = mongoose.model("SurveyResponse", schema);
@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+import { nextId } from "../counters.js";
+
+export const TASK_ASSIGNMENT_MODES = ['fixed', 'rotation'];
+
+// Recurring task; utils/taskTemplates.js creates a Task for each occurrence
+const schema = new mongoose.Schema({
+  template_id: { type: Number, unique: true, index: true },
+  title: { type: String, required: true, trim: true },
+  description: { type: String, default: null },
+  priority: { type: String, default: "Medium" },
+  // Checklist texts copied into every occurrence
+  checklist: { type: [String], default: [] },
+  // RRULE subset, see utils/recurrence.js
+  rrule: { type: String, required: true },
+  starts_on: { type: Date, required: true },
+  ends_on: { type: Date, default: null },
+  // Occurrences are due at this local time ("HH:mm") on their day
+  due_time: { type: String, default: "17:00" },
+  // fixed: user_ids[0] gets every occurrence; rotation: user_ids take turns
+  assignment: {
+    mode: { type: String, enum: TASK_ASSIGNMENT_MODES, default: 'fixed' },
+    user_ids: { type: [Number], default: [] },
+    next_index: { type: Number, default: 0 }
+  },
+  active: { type: Boolean, default: true },
+  // Next occurrence without a task yet; null once the series is over
+  next_occurrence_at: { type: Date, default: null, index: true },
+  last_generated_at: { type: Date, default: null },
+  created_by: { type: Number, index: true },
+  updated_by: { type: Number, default: null }
+}, {
+  timestamps: true
+});
+
+schema.pre("save", async function (next) {
+  if (this.isNew && (this.template_id === undefined || this.template_id === null)) {
+    this.template_id = await nextId("task_templates");
+  }
+  next();
+});
+
+export const TaskTemplate = mongoose.model("TaskTemplate", schema);
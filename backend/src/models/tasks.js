@@ -1,23 +1,62 @@
 import mongoose from "mongoose";
 import { nextId } from "../counters.js";
 
+// Inline checklist entry; item_id is unique within its task
+const checklistItemSchema = new mongoose.Schema({
+  item_id: { type: Number, required: true },
+  text: { type: String, required: true, trim: true },
+  done: { type: Boolean, default: false },
+  done_at: { type: Date, default: null },
+  done_by: { type: Number, default: null }
+}, { _id: false });
+
 const schema = new mongoose.Schema({
   task_id: { type: Number, unique: true, index: true },
   title: { type: String, required: true },
   description: { type: String },
   assigned_to: { type: Number, index: true },
   created_by: { type: Number, index: true },
+  // A state of the task workflow (utils/workflows.js)
   status: { type: String, default: "Not Started" },
   priority: { type: String, default: "Medium" },
   due_date: { type: Date, default: null },
+  // Transitions can require it, e.g. when completing
+  resolution_note: { type: String, default: null },
+  // Subtasks point at their parent; see utils/tasks.js for the roll-up
+  parent_task_id: { type: Number, default: null, index: true },
+  checklist: { type: [checklistItemSchema], default: [] },
+  // task_ids that must reach a done state before this task can
+  blocked_by: { type: [Number], default: [], index: true },
+  // 0-100, from subtasks, else the checklist, else the status
+  progress: { type: Number, default: 0 },
+  // Order within its board column, lowest first (see utils/taskBoard.js)
+  position: { type: Number, default: null },
+  // Set on occurrences of a recurring task (see models/task_templates.js)
+  template_id: { type: Number, default: null, index: true },
+  occurrence_date: { type: Date, default: null },
+  // Edited as "this occurrence"; template edits leave it alone
+  is_exception: { type: Boolean, default: false },
   createdAt: { type: Date, default: () => new Date() },
   updatedAt: { type: Date, default: () => new Date() },
 });
 
+// One task per template occurrence
+schema.index(
+  { template_id: 1, occurrence_date: 1 },
+  { unique: true, partialFilterExpression: { template_id: { $type: "number" } } }
+);
+
+// Board columns
+schema.index({ status: 1, position: 1 });
+
 schema.pre("save", async function (next) {
   if (this.isNew && (this.task_id === undefined || this.task_id === null)) {
     this.task_id = await nextId("tasks");
   }
+  // New tasks go to the bottom of their column
+  if (this.isNew && (this.position === undefined || this.position === null)) {
+    this.position = Date.now();
+  }
   this.updatedAt = new Date();
   next();
 });
@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+import { nextId } from "../counters.js";
+
+export const TAXONOMY_KINDS = ['category', 'issue_type', 'device_type', 'tag'];
+export const CUSTOM_FIELD_TYPES = ['text', 'number', 'select', 'date'];
+
+// Extra ticket field shown and validated for one category
+const customFieldSchema = new mongoose.Schema({
+  key: { type: String, required: true, trim: true, match: /^[a-z][a-z0-9_]*$/ },
+  label: { type: String, required: true, trim: true },
+  type: { type: String, enum: CUSTOM_FIELD_TYPES, required: true },
+  options: { type: [String], default: [] },
+  required: { type: Boolean, default: false }
+}, { _id: false });
+
+const schema = new mongoose.Schema({
+  term_id: { type: Number, unique: true, index: true },
+  kind: { type: String, enum: TAXONOMY_KINDS, required: true },
+  // Stored on tickets; fixed after creation so existing tickets keep matching
+  value: { type: String, required: true, trim: true },
+  label: { type: String, trim: true },
+  // Issue types may be limited to one category; null means "all categories"
+  category: { type: String, default: null },
+  custom_fields: { type: [customFieldSchema], default: [] },
+  sort_order: { type: Number, default: 0 },
+  is_active: { type: Boolean, default: true }
+}, {
+  timestamps: true
+});
+
+schema.index(
+  { kind: 1, value: 1 },
+  {
+    unique: true,
+    collation: { locale: 'en', strength: 2 }
+  }
+);
+
+schema.pre("save", async function (next) {
+  if (this.isNew && (this.term_id === undefined || this.term_id === null)) {
+    this.term_id = await nextId("taxonomy_terms");
+  }
+  next();
+});
+
+export const TaxonomyTerm = mongoose.model("TaxonomyTerm", schema);
@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+import { nextId } from "../counters.js";
+
+export const COMMENT_VISIBILITIES = ['internal', 'customer'];
+
+// Same shape as TicketEvent.actor (see utils/actor.js)
+const actorSchema = new mongoose.Schema({
+  user_id: { type: String, default: null },
+  username: { type: String, default: null },
+  employee_id: { type: Number, default: null },
+  name: { type: String, default: null }
+}, { _id: false });
+
+const schema = new mongoose.Schema({
+  comment_id: { type: Number, unique: true, index: true },
+  ticket_id: { type: Number, required: true },
+  // Comment this one replies to; null for a top-level comment
+  parent_id: { type: Number, default: null },
+  visibility: { type: String, enum: COMMENT_VISIBILITIES, default: 'internal' },
+  body: { type: String, required: true, trim: true },
+  author: { type: actorSchema, required: true },
+  // Set for messages that came in from the customer, e.g. 'Email'; null for agent comments
+  channel: { type: String, default: null },
+  mentions: [{
+    _id: false,
+    user_id: String,
+    username: String,
+    employee_id: Number
+  }],
+  // Previous versions, oldest first; a delete stores the last body here too
+  edits: [{
+    _id: false,
+    body: String,
+    visibility: String,
+    edited_at: { type: Date, default: () => new Date() },
+    editor: actorSchema
+  }],
+  is_deleted: { type: Boolean, default: false },
+  deleted_at: { type: Date, default: null },
+  deleted_by: { type: actorSchema, default: null }
+}, {
+  timestamps: true
+});
+
+schema.index({ ticket_id: 1, createdAt: 1 });
+
+schema.pre("save", async function (next) {
+  if (this.isNew && (this.comment_id === undefined || this.comment_id === null)) {
+    this.comment_id = await nextId("ticket_comments");
+  }
+  next();
+});
+
+export const TicketComment = mongoose.model("TicketComment", schema);
@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+import { nextId } from "../counters.js";
+
+export const TICKET_EVENT_SOURCES = ['create', 'agent_edit', 'follow_up', 'qa_review', 'reopen', 'merge', 'bulk_edit', 'escalation', 'incident', 'delete', 'bulk_delete'];
+
+const changeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null }
+}, { _id: false });
+
+// Append-only activity log: one entry per change to a ticket
+const schema = new mongoose.Schema({
+  event_id: { type: Number, unique: true, index: true },
+  ticket_id: { type: Number, ref: 'Ticket', required: true },
+  source: { type: String, enum: TICKET_EVENT_SOURCES, required: true },
+  actor: {
+    user_id: { type: String, default: null },
+    username: { type: String, default: null },
+    employee_id: { type: Number, default: null },
+    name: { type: String, default: null }
+  },
+  changes: { type: [changeSchema], default: [] },
+  // Record that caused the change, e.g. { follow_up_id: 12 }, { review_id: 4 } or { incident_id: 3 }
+  ref: {
+    follow_up_id: { type: Number, default: null },
+    review_id: { type: Number, default: null },
+    incident_id: { type: Number, default: null }
+  },
+  createdAt: { type: Date, default: () => new Date() }
+});
+
+// Timeline reads are always per ticket, newest first
+schema.index({ ticket_id: 1, createdAt: -1 });
+
+schema.pre("save", async function (next) {
+  if (this.isNew && (this.event_id === undefined || this.event_id === null)) {
+    this.event_id = await nextId("ticket_events");
+  }
+  next();
+});
+
+export const TicketEvent = mongoose.model("TicketEvent", schema);
@@ -1,33 +1,113 @@
 import mongoose from 'mongoose';
 
+export const TICKET_PRIORITIES = ['Low', 'Medium', 'High', 'Urgent'];
+export const TICKET_CHANNELS = ['WhatsApp', 'Phone', 'Email', 'In-App'];
+export const SLA_STATES = ['on_track', 'at_risk', 'breached', 'met'];
+
+// SLA snapshot computed from the matching SlaPolicy (see utils/sla.js)
+const slaSchema = new mongoose.Schema({
+  policy_id: { type: Number, default: null },
+  first_response_due_at: { type: Date, default: null },
+  resolution_due_at: { type: Date, default: null },
+  at_risk_at: { type: Date, default: null },
+  next_due_at: { type: Date, default: null },
+  first_responded_at: { type: Date, default: null },
+  resolved_at: { type: Date, default: null },
+  first_response_breached: { type: Boolean, default: false },
+  resolution_breached: { type: Boolean, default: false },
+  time_to_breach_minutes: { type: Number, default: null },
+  state: { type: String, enum: SLA_STATES, default: 'on_track' }
+}, { _id: false });
+
+// How the ticket got its agent (see utils/routing.js), kept for the ticket detail view
+const routingSchema = new mongoose.Schema({
+  method: { type: String, enum: ['manual', 'rule', 'creator', 'inbound', 'escalation'], required: true },
+  rule_id: { type: Number, default: null },
+  rule_name: { type: String, default: null },
+  strategy: { type: String, default: null },
+  section_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Section', default: null },
+  shift: { type: String, default: null },
+  candidates: [{
+    _id: false,
+    employee_id: Number,
+    name: String,
+    open_tickets: Number
+  }],
+  skipped: [{
+    _id: false,
+    employee_id: Number,
+    name: String,
+    reason: String
+  }],
+  assigned_to: { type: Number, default: null },
+  reason: { type: String, default: null },
+  routed_at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Current escalation tier and its SLA clock (see utils/escalations.js); null until first escalated
+const escalationSchema = new mongoose.Schema({
+  level: { type: Number, default: 1 },
+  tier_name: { type: String, default: null },
+  section_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Section', default: null },
+  reason: { type: String, default: null },
+  escalated_at: { type: Date, default: null },
+  escalated_by: {
+    user_id: { type: String, default: null },
+    username: { type: String, default: null },
+    employee_id: { type: Number, default: null },
+    name: { type: String, default: null }
+  },
+  // Tier SLA clock, restarted on every level change
+  due_at: { type: Date, default: null },
+  breached: { type: Boolean, default: false },
+  // L1 agent the ticket returns to on de-escalation
+  original_agent_id: { type: Number, default: null },
+  escalations: { type: Number, default: 0 },
+  deescalations: { type: Number, default: 0 }
+}, { _id: false });
+
 const ticketSchema = new mongoose.Schema({
   ticket_id: {
     type: Number,
     unique: true,
     required: false
   },
+  // Email tickets from senders without a known phone carry only customer_email
   customer_phone: {
     type: String,
-    required: true,
+    required: function () { return !this.customer_email; },
     trim: true
   },
+  customer_email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+  customer_id: {
+    type: Number,
+    ref: 'Customer',
+    default: null
+  },
   customer_location: {
     type: String,
     trim: true
   },
   communication_channel: {
     type: String,
-    enum: ['WhatsApp', 'Phone', 'Email', 'In-App'],
+    enum: TICKET_CHANNELS,
     default: 'Phone'
   },
   device_type: {
     type: String,
     trim: true
   },
+  // Category, issue type, device type and tags are validated against the
+  // admin-managed taxonomy (utils/taxonomy.js) rather than schema enums
   issue_category: {
     type: String,
     required: true,
-    enum: ['App', 'IPTV', 'Streaming', 'VOD', 'Subscription', 'OTP', 'Programming', 'Other']
+    trim: true
   },
   issue_type: {
     type: String,
@@ -53,6 +133,50 @@ const ticketSchema = new mongoose.Schema({
     type: String,
     enum: ['Pending', 'In-Progress', 'Completed'],
     default: 'Pending'
+  },
+  priority: {
+    type: String,
+    enum: TICKET_PRIORITIES,
+    default: 'Medium'
+  },
+  sla: {
+    type: slaSchema,
+    default: null
+  },
+  routing: {
+    type: routingSchema,
+    default: null
+  },
+  escalation: {
+    type: escalationSchema,
+    default: null
+  },
+  // Outage this ticket is part of (see utils/incidents.js)
+  incident_id: {
+    type: Number,
+    default: null
+  },
+  tags: {
+    type: [String],
+    default: []
+  },
+  // Values for the category's custom fields, keyed by field key
+  custom_fields: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Set when this ticket was merged away; reads redirect to the surviving ticket
+  merged_into: {
+    type: Number,
+    default: null
+  },
+  merged_at: {
+    type: Date,
+    default: null
+  },
+  merged_ticket_ids: {
+    type: [Number],
+    default: []
   }
 }, {
   timestamps: true
@@ -65,6 +189,17 @@ ticketSchema.index({ resolution_status: 1 });
 ticketSchema.index({ issue_category: 1 });
 ticketSchema.index({ agent_id: 1 });
 ticketSchema.index({ customer_phone: 1 });
+ticketSchema.index({ tags: 1 });
+// Customer profile history and repeat-contact checks
+ticketSchema.index({ customer_id: 1, issue_category: 1, createdAt: -1 });
+// Duplicate detection on create
+ticketSchema.index({ customer_phone: 1, issue_category: 1, createdAt: -1 });
+// SLA list filters/sorting and the periodic breach refresh scan open tickets by next due time
+ticketSchema.index({ 'sla.state': 1, 'sla.next_due_at': 1 });
+// Escalated queues per tier and the tier SLA refresh
+ticketSchema.index({ 'escalation.level': 1, 'escalation.due_at': 1 });
+// Linked tickets per incident
+ticketSchema.index({ incident_id: 1, resolution_status: 1 });
 
 // Virtual for computed ticket state
 ticketSchema.virtual('ticket_state').get(function() {
@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+import { nextId } from "../counters.js";
+
+// Records time can be logged against (see utils/timeTracking.js)
+export const TIME_SUBJECT_TYPES = ['task', 'ticket', 'production'];
+
+// Same shape as TicketEvent.actor (see utils/actor.js)
+const actorSchema = new mongoose.Schema({
+  user_id: { type: String, default: null },
+  username: { type: String, default: null },
+  employee_id: { type: Number, default: null },
+  name: { type: String, default: null }
+}, { _id: false });
+
+// Time an employee spent on a task, ticket or production
+const schema = new mongoose.Schema({
+  time_entry_id: { type: Number, unique: true, index: true },
+  employee_id: { type: Number, required: true },
+  subject_type: { type: String, enum: TIME_SUBJECT_TYPES, required: true },
+  subject_id: { type: Number, required: true },
+  started_at: { type: Date, required: true },
+  // Null while the timer runs
+  ended_at: { type: Date, default: null },
+  minutes: { type: Number, default: null },
+  source: { type: String, enum: ['timer', 'manual'], default: 'timer' },
+  note: { type: String, trim: true, default: null },
+  created_by: { type: actorSchema, default: null },
+  updated_by: { type: actorSchema, default: null }
+}, {
+  timestamps: true
+});
+
+schema.index({ employee_id: 1, started_at: 1 });
+schema.index({ subject_type: 1, subject_id: 1 });
+// One running timer per employee
+schema.index(
+  { employee_id: 1 },
+  { unique: true, partialFilterExpression: { ended_at: { $type: "null" } } }
+);
+
+schema.pre("save", async function (next) {
+  if (this.isNew && (this.time_entry_id === undefined || this.time_entry_id === null)) {
+    this.time_entry_id = await nextId("time_entries");
+  }
+  next();
+});
+
+export const TimeEntry = mongoose.model("TimeEntry", schema);
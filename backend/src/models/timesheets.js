@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+import { nextId } from "../counters.js";
+
+// open: entries can change; submitted and approved lock the week; rejected opens it again
+export const TIMESHEET_STATUSES = ['open', 'submitted', 'approved', 'rejected'];
+
+// Same shape as TicketEvent.actor (see utils/actor.js)
+const actorSchema = new mongoose.Schema({
+  user_id: { type: String, default: null },
+  username: { type: String, default: null },
+  employee_id: { type: Number, default: null },
+  name: { type: String, default: null }
+}, { _id: false });
+
+// An employee's week of time entries (Monday to Sunday, server local time)
+const schema = new mongoose.Schema({
+  timesheet_id: { type: Number, unique: true, index: true },
+  employee_id: { type: Number, required: true },
+  week_start: { type: Date, required: true },
+  status: { type: String, enum: TIMESHEET_STATUSES, default: 'open' },
+  // Logged minutes when last submitted
+  total_minutes: { type: Number, default: 0 },
+  submitted_at: { type: Date, default: null },
+  submitted_by: { type: actorSchema, default: null },
+  reviewed_at: { type: Date, default: null },
+  reviewed_by: { type: actorSchema, default: null },
+  review_note: { type: String, trim: true, default: null }
+}, {
+  timestamps: true
+});
+
+schema.index({ employee_id: 1, week_start: 1 }, { unique: true });
+schema.index({ status: 1, week_start: -1 });
+
+schema.pre("save", async function (next) {
+  if (this.isNew && (this.timesheet_id === undefined || this.timesheet_id === null)) {
+    this.timesheet_id = await nextId("timesheets");
+  }
+  next();
+});
+
+export const Timesheet = mongoose.model("Timesheet", schema);
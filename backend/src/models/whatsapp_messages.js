@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+import { nextId } from "../counters.js";
+
+export const WHATSAPP_DIRECTIONS = ['inbound', 'outbound'];
+// inbound: created | appended | ignored | failed; outbound: sent | delivered | read | failed
+export const WHATSAPP_MESSAGE_STATUSES = ['created', 'appended', 'ignored', 'sent', 'delivered', 'read', 'failed'];
+
+// WhatsApp messages in both directions, keyed by the Cloud API message id (wamid)
+const schema = new mongoose.Schema({
+  whatsapp_message_id: { type: Number, unique: true, index: true },
+  wa_message_id: { type: String, default: null },
+  direction: { type: String, enum: WHATSAPP_DIRECTIONS, required: true },
+  // Customer's WhatsApp number (normalized phone)
+  wa_id: { type: String, required: true },
+  profile_name: { type: String, default: null },
+  type: { type: String, default: 'text' },
+  body: { type: String, default: null },
+  status: { type: String, enum: WHATSAPP_MESSAGE_STATUSES, required: true },
+  ticket_id: { type: Number, default: null },
+  comment_id: { type: Number, default: null },
+  // Outbound only: transport that sent it (see utils/whatsappTransport.js)
+  transport: { type: String, default: null },
+  error: { type: String, default: null },
+  sent_at: { type: Date, default: () => new Date() }
+}, {
+  timestamps: true
+});
+
+// Webhook retries and status callbacks look messages up by wamid
+schema.index({ wa_message_id: 1 }, { unique: true, partialFilterExpression: { wa_message_id: { $type: 'string' } } });
+schema.index({ ticket_id: 1, sent_at: 1 });
+
+schema.pre("save", async function (next) {
+  if (this.isNew && (this.whatsapp_message_id === undefined || this.whatsapp_message_id === null)) {
+    this.whatsapp_message_id = await nextId("whatsapp_messages");
+  }
+  next();
+});
+
+export const WhatsAppMessage = mongoose.model("WhatsAppMessage", schema);
@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+// Records whose status field runs through a workflow (see utils/workflows.js)
+export const WORKFLOW_KEYS = ['task', 'production', 'social_media'];
+
+// Shared meaning of a state, so reports can compare statuses across workflows
+export const STATE_CATEGORIES = ['todo', 'in_progress', 'done'];
+
+// What a board does with moves into a full column
+export const WIP_POLICIES = ['warn', 'block'];
+
+const stateSchema = new mongoose.Schema({
+  key: { type: String, required: true, trim: true },
+  label: { type: String, default: null },
+  category: { type: String, enum: STATE_CATEGORIES, required: true },
+  // Board column limit on records in this state; null for none
+  wip_limit: { type: Number, default: null },
+  // "warn" lets moves past the limit through with a warning, "block" refuses them
+  wip_policy: { type: String, enum: WIP_POLICIES, default: 'warn' }
+}, { _id: false });
+
+const transitionSchema = new mongoose.Schema({
+  // Empty means from any state
+  from: { type: [String], default: [] },
+  to: { type: String, required: true },
+  label: { type: String, default: null },
+  // Record fields that must have a value after the move, e.g. resolution_note
+  required_fields: { type: [String], default: [] },
+  // Role keys allowed to make the move; empty means anyone who can edit the record
+  roles: { type: [String], default: [] }
+}, { _id: false });
+
+// Same shape as TicketEvent.actor (see utils/actor.js)
+const actorSchema = new mongoose.Schema({
+  user_id: { type: String, default: null },
+  username: { type: String, default: null },
+  employee_id: { type: Number, default: null },
+  name: { type: String, default: null }
+}, { _id: false });
+
+// Customized workflow; keys without a document use DEFAULT_WORKFLOWS
+const schema = new mongoose.Schema({
+  key: { type: String, enum: WORKFLOW_KEYS, required: true, unique: true },
+  name: { type: String, required: true, trim: true },
+  states: { type: [stateSchema], default: [] },
+  initial_state: { type: String, required: true },
+  transitions: { type: [transitionSchema], default: [] },
+  updated_by: { type: actorSchema, default: null }
+}, {
+  timestamps: true
+});
+
+export const Workflow = mongoose.model("Workflow", schema);
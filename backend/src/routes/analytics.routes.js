@@ -1,4 +1,5 @@
 import express from "express";
+import mongoose from "mongoose";
 import { Task } from "../models/tasks.js";
 import { Ticket } from "../models/tickets.js";
 import { FollowUp } from "../models/follow_ups.js";
@@ -7,13 +8,31 @@ import { Idea } from "../models/ideas.js";
 import { Content } from "../models/content.js";
 import { Production } from "../models/production.js";
 import { SocialMedia } from "../models/social_media.js";
+import { TimeEntry } from "../models/time_entries.js";
 import { Employee } from "../models/employees.js";
 import { Department } from "../models/departments.js";
 import { User } from "../models/users.js";
 import { authRequired, requirePerm } from "../middleware/auth.js";
+import { NOT_MERGED } from "../utils/ticketMerge.js";
+import { TICKET_COUNTERS, groupTicketCounts, ticketCountsPipeline } from "../utils/ticketStats.js";
+import { SurveyResponse } from "../models/survey_responses.js";
+import { summarizeScores } from "../utils/surveys.js";
+import { getEscalationTiers } from "../utils/escalations.js";
+import { buildWallboard, streamWallboard } from "../utils/wallboard.js";
+import { getWorkflow, statesIn } from "../utils/workflows.js";
 
 const router = express.Router();
 
+// Task states per workflow category, so custom states are counted too
+async function taskStatesByCategory() {
+  const workflow = await getWorkflow("task");
+  return {
+    todo: statesIn(workflow, "todo"),
+    in_progress: statesIn(workflow, "in_progress"),
+    done: statesIn(workflow, "done")
+  };
+}
+
 // Dashboard overview statistics
 router.get("/dashboard/overview", authRequired, requirePerm('reports.operations'), async (req, res, next) => {
   try {
@@ -27,6 +46,8 @@ router.get("/dashboard/overview", authRequired, requirePerm('reports.operations'
       if (date_to) dateFilter.createdAt.$lte = new Date(date_to);
     }
 
+    const taskStates = await taskStatesByCategory();
+
     // Get all statistics in parallel
     const [
       taskStats,
@@ -43,9 +64,9 @@ router.get("/dashboard/overview", authRequired, requirePerm('reports.operations'
           $group: {
             _id: null,
             total: { $sum: 1 },
-            completed: { $sum: { $cond: [{ $eq: ["$status", "Completed"] }, 1, 0] } },
-            in_progress: { $sum: { $cond: [{ $eq: ["$status", "In Progress"] }, 1, 0] } },
-            not_started: { $sum: { $cond: [{ $eq: ["$status", "Not Started"] }, 1, 0] } },
+            completed: { $sum: { $cond: [{ $in: ["$status", taskStates.done] }, 1, 0] } },
+            in_progress: { $sum: { $cond: [{ $in: ["$status", taskStates.in_progress] }, 1, 0] } },
+            not_started: { $sum: { $cond: [{ $in: ["$status", taskStates.todo] }, 1, 0] } },
             high_priority: { $sum: { $cond: [{ $eq: ["$priority", "High"] }, 1, 0] } },
             overdue: {
               $sum: {
@@ -54,7 +75,7 @@ router.get("/dashboard/overview", authRequired, requirePerm('reports.operations'
                     $and: [
                       { $ne: ["$due_date", null] },
                       { $lt: ["$due_date", new Date()] },
-                      { $ne: ["$status", "Completed"] }
+                      { $not: [{ $in: ["$status", taskStates.done] }] }
                     ]
                   },
                   1,
@@ -67,19 +88,13 @@ router.get("/dashboard/overview", authRequired, requirePerm('reports.operations'
       ]),
 
       // Ticket statistics
-      Ticket.aggregate([
-        { $match: dateFilter },
-        {
-          $group: {
-            _id: null,
-            total: { $sum: 1 },
-            open: { $sum: { $cond: [{ $eq: ["$resolution_status", "Open"] }, 1, 0] } },
-            closed: { $sum: { $cond: [{ $eq: ["$resolution_status", "Closed"] }, 1, 0] } },
-            in_progress: { $sum: { $cond: [{ $eq: ["$resolution_status", "In Progress"] }, 1, 0] } },
-            first_call_resolution: { $sum: { $cond: ["$first_call_resolution", 1, 0] } }
-          }
-        }
-      ]),
+      Ticket.aggregate(ticketCountsPipeline(dateFilter, null, {
+        total: "total",
+        open: "open",
+        closed: "completed",
+        in_progress: "in_progress",
+        first_call_resolution: "first_contact_resolved"
+      })),
 
       // Content workflow statistics
       Content.aggregate([
@@ -203,14 +218,15 @@ router.get("/tasks/performance", authRequired, requirePerm('reports.operations')
         };
     }
 
+    const taskStates = await taskStatesByCategory();
     const taskPerformance = await Task.aggregate([
       { $match: dateFilter },
       {
         $group: {
           _id: dateGrouping,
           created: { $sum: 1 },
-          completed: { $sum: { $cond: [{ $eq: ["$status", "Completed"] }, 1, 0] } },
-          in_progress: { $sum: { $cond: [{ $eq: ["$status", "In Progress"] }, 1, 0] } },
+          completed: { $sum: { $cond: [{ $in: ["$status", taskStates.done] }, 1, 0] } },
+          in_progress: { $sum: { $cond: [{ $in: ["$status", taskStates.in_progress] }, 1, 0] } },
           high_priority: { $sum: { $cond: [{ $eq: ["$priority", "High"] }, 1, 0] } }
         }
       },
@@ -223,87 +239,75 @@ router.get("/tasks/performance", authRequired, requirePerm('reports.operations')
   }
 });
 
-// Employee productivity analytics
+// Employee productivity analytics, from logged time
 router.get("/employees/productivity", authRequired, requirePerm('reports.operations'), async (req, res, next) => {
   try {
     const { date_from, date_to, department_id } = req.query;
-    
+
     let dateFilter = {};
     if (date_from || date_to) {
-      dateFilter.createdAt = {};
-      if (date_from) dateFilter.createdAt.$gte = new Date(date_from);
-      if (date_to) dateFilter.createdAt.$lte = new Date(date_to);
+      dateFilter.started_at = {};
+      if (date_from) dateFilter.started_at.$gte = new Date(date_from);
+      if (date_to) dateFilter.started_at.$lte = new Date(date_to);
     }
 
-    // Get employee productivity data
-    const productivity = await Task.aggregate([
-      { $match: dateFilter },
+    if (department_id && !mongoose.isValidObjectId(department_id)) {
+      return res.status(400).json({ message: "Invalid department_id" });
+    }
+
+    // Hours per employee and record type; running timers are left out
+    const productivity = await TimeEntry.aggregate([
+      { $match: { ...dateFilter, ended_at: { $ne: null } } },
       {
-        $lookup: {
-          from: "users",
-          localField: "assigned_to",
-          foreignField: "user_id",
-          as: "user"
+        $group: {
+          _id: "$employee_id",
+          logged_minutes: { $sum: "$minutes" },
+          task_minutes: { $sum: { $cond: [{ $eq: ["$subject_type", "task"] }, "$minutes", 0] } },
+          ticket_minutes: { $sum: { $cond: [{ $eq: ["$subject_type", "ticket"] }, "$minutes", 0] } },
+          production_minutes: { $sum: { $cond: [{ $eq: ["$subject_type", "production"] }, "$minutes", 0] } },
+          entries: { $sum: 1 },
+          records: { $addToSet: { type: "$subject_type", id: "$subject_id" } },
+          days: { $addToSet: { $dateToString: { format: "%Y-%m-%d", date: "$started_at" } } }
         }
       },
       {
         $lookup: {
           from: "employees",
-          localField: "user.employee_id",
+          localField: "_id",
           foreignField: "employee_id",
           as: "employee"
         }
       },
-      {
-        $match: {
-          "employee.0": { $exists: true }
-        }
-      },
+      { $unwind: "$employee" },
       ...(department_id ? [{
         $match: {
-          "employee.department": Number(department_id)
+          "employee.departmentId": new mongoose.Types.ObjectId(department_id)
         }
       }] : []),
       {
-        $group: {
+        $project: {
           _id: {
-            employee_id: { $arrayElemAt: ["$employee.employee_id", 0] },
-            employee_name: { $arrayElemAt: ["$employee.name", 0] },
-            department: { $arrayElemAt: ["$employee.department", 0] }
+            employee_id: "$_id",
+            employee_name: "$employee.name",
+            department: "$employee.departmentId"
           },
-          total_tasks: { $sum: 1 },
-          completed_tasks: { $sum: { $cond: [{ $eq: ["$status", "Completed"] }, 1, 0] } },
-          in_progress_tasks: { $sum: { $cond: [{ $eq: ["$status", "In Progress"] }, 1, 0] } },
-          high_priority_tasks: { $sum: { $cond: [{ $eq: ["$priority", "High"] }, 1, 0] } },
-          overdue_tasks: {
-            $sum: {
-              $cond: [
-                {
-                  $and: [
-                    { $ne: ["$due_date", null] },
-                    { $lt: ["$due_date", new Date()] },
-                    { $ne: ["$status", "Completed"] }
-                  ]
-                },
-                1,
-                0
-              ]
-            }
-          }
-        }
-      },
-      {
-        $addFields: {
-          completion_rate: {
+          logged_hours: { $round: [{ $divide: ["$logged_minutes", 60] }, 2] },
+          task_hours: { $round: [{ $divide: ["$task_minutes", 60] }, 2] },
+          ticket_hours: { $round: [{ $divide: ["$ticket_minutes", 60] }, 2] },
+          production_hours: { $round: [{ $divide: ["$production_minutes", 60] }, 2] },
+          entries: 1,
+          records_worked: { $size: "$records" },
+          days_logged: { $size: "$days" },
+          hours_per_day: {
             $cond: [
-              { $eq: ["$total_tasks", 0] },
+              { $eq: [{ $size: "$days" }, 0] },
               0,
-              { $multiply: [{ $divide: ["$completed_tasks", "$total_tasks"] }, 100] }
+              { $round: [{ $divide: ["$logged_minutes", { $multiply: [{ $size: "$days" }, 60] }] }, 2] }
             ]
           }
         }
       },
-      { $sort: { completion_rate: -1 } }
+      { $sort: { logged_hours: -1 } }
     ]);
 
     res.json(productivity);
@@ -325,10 +329,10 @@ router.get("/tickets/resolution", authRequired, requirePerm('reports.operations'
     }
 
     // Get ticket resolution analytics
-    const [resolutionStats, channelStats, issueTypeStats, agentStats] = await Promise.all([
+    const [resolutionStats, channelStats, issueTypeStats, agentStats, escalationStats, tiers] = await Promise.all([
       // Resolution time analysis
       Ticket.aggregate([
-        { $match: { ...dateFilter, resolution_status: "Closed" } },
+        { $match: { ...dateFilter, ...NOT_MERGED, resolution_status: "Completed" } },
         {
           $lookup: {
             from: "follow_ups",
@@ -351,42 +355,26 @@ router.get("/tickets/resolution", authRequired, requirePerm('reports.operations'
             avg_resolution_time: { $avg: "$resolution_time" },
             total_resolved: { $sum: 1 },
             avg_followups: { $avg: "$followup_count" },
-            first_call_resolutions: { $sum: { $cond: ["$first_call_resolution", 1, 0] } }
+            first_call_resolutions: TICKET_COUNTERS.first_contact_resolved
           }
         }
       ]),
 
       // Channel distribution
       Ticket.aggregate([
-        { $match: dateFilter },
-        {
-          $group: {
-            _id: "$communication_channel",
-            count: { $sum: 1 },
-            resolved: { $sum: { $cond: [{ $eq: ["$resolution_status", "Closed"] }, 1, 0] } },
-            fcr: { $sum: { $cond: ["$first_call_resolution", 1, 0] } }
-          }
-        },
+        ...ticketCountsPipeline(dateFilter, "$communication_channel", { count: "total", resolved: "completed", fcr: "first_contact_resolved" }),
         { $sort: { count: -1 } }
       ]),
 
       // Issue type analysis
       Ticket.aggregate([
-        { $match: dateFilter },
-        {
-          $group: {
-            _id: "$issue_type",
-            count: { $sum: 1 },
-            resolved: { $sum: { $cond: [{ $eq: ["$resolution_status", "Closed"] }, 1, 0] } },
-            fcr: { $sum: { $cond: ["$first_call_resolution", 1, 0] } }
-          }
-        },
+        ...ticketCountsPipeline(dateFilter, "$issue_type", { count: "total", resolved: "completed", fcr: "first_contact_resolved" }),
         { $sort: { count: -1 } }
       ]),
 
       // Agent performance
       Ticket.aggregate([
-        { $match: { ...dateFilter, agent_id: { $ne: null } } },
+        { $match: { ...dateFilter, ...NOT_MERGED, agent_id: { $ne: null } } },
         {
           $lookup: {
             from: "employees",
@@ -395,17 +383,10 @@ router.get("/tickets/resolution", authRequired, requirePerm('reports.operations'
             as: "agent"
           }
         },
-        {
-          $group: {
-            _id: {
-              agent_id: "$agent_id",
-              agent_name: { $arrayElemAt: ["$agent.name", 0] }
-            },
-            total_tickets: { $sum: 1 },
-            resolved_tickets: { $sum: { $cond: [{ $eq: ["$resolution_status", "Closed"] }, 1, 0] } },
-            fcr_tickets: { $sum: { $cond: ["$first_call_resolution", 1, 0] } }
-          }
-        },
+        groupTicketCounts(
+          { agent_id: "$agent_id", agent_name: { $arrayElemAt: ["$agent.name", 0] } },
+          { total_tickets: "total", resolved_tickets: "completed", fcr_tickets: "first_contact_resolved" }
+        ),
         {
           $addFields: {
             resolution_rate: {
@@ -425,14 +406,79 @@ router.get("/tickets/resolution", authRequired, requirePerm('reports.operations'
           }
         },
         { $sort: { resolution_rate: -1 } }
-      ])
+      ]),
+
+      // Escalations and de-escalations; the tier SLA counts as breached when the
+      // ticket was resolved after the clock ran out, too
+      Ticket.aggregate([
+        { $match: { ...dateFilter, ...NOT_MERGED } },
+        {
+          $facet: {
+            totals: [
+              {
+                $group: {
+                  _id: null,
+                  total_tickets: { $sum: 1 },
+                  escalated_tickets: { $sum: { $cond: [{ $gt: ["$escalation.escalations", 0] }, 1, 0] } },
+                  escalations: { $sum: { $ifNull: ["$escalation.escalations", 0] } },
+                  deescalations: { $sum: { $ifNull: ["$escalation.deescalations", 0] } },
+                  tier_sla_breached: {
+                    $sum: {
+                      $cond: [
+                        {
+                          $or: [
+                            "$escalation.breached",
+                            { $and: [{ $ifNull: ["$escalation.due_at", false] }, { $gt: ["$sla.resolved_at", "$escalation.due_at"] }] }
+                          ]
+                        },
+                        1,
+                        0
+                      ]
+                    }
+                  }
+                }
+              }
+            ],
+            by_level: [
+              { $match: { escalation: { $ne: null } } },
+              {
+                $group: {
+                  _id: "$escalation.level",
+                  tickets: { $sum: 1 },
+                  open: { $sum: { $cond: [{ $ne: ["$resolution_status", "Completed"] }, 1, 0] } }
+                }
+              },
+              { $sort: { _id: 1 } }
+            ]
+          }
+        }
+      ]),
+
+      getEscalationTiers()
     ]);
 
+    const escalationTotals = escalationStats[0].totals[0] || {
+      total_tickets: 0, escalated_tickets: 0, escalations: 0, deescalations: 0, tier_sla_breached: 0
+    };
+    delete escalationTotals._id;
+
     res.json({
       resolution_stats: resolutionStats[0] || {},
       channel_distribution: channelStats,
       issue_type_analysis: issueTypeStats,
-      agent_performance: agentStats
+      agent_performance: agentStats,
+      escalation_stats: {
+        ...escalationTotals,
+        escalation_rate: escalationTotals.total_tickets > 0
+          ? Math.round((escalationTotals.escalated_tickets / escalationTotals.total_tickets) * 1000) / 10
+          : 0,
+        by_level: escalationStats[0].by_level.map(row => ({
+          level: row._id,
+          tier_name: tiers.find(tier => tier.level === row._id)?.name || `L${row._id}`,
+          tickets: row.tickets,
+          open: row.open
+        }))
+      }
     });
   } catch (err) {
     next(err);
@@ -635,7 +681,7 @@ router.get("/system/usage", authRequired, requirePerm('reports.operations'), asy
           { $sort: { "_id": 1 } }
         ]),
         Ticket.aggregate([
-          { $match: dateFilter },
+          { $match: { ...dateFilter, ...NOT_MERGED } },
           {
             $group: {
               _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
@@ -670,4 +716,99 @@ router.get("/system/usage", authRequired, requirePerm('reports.operations'), asy
   }
 });
 
+// Date formats for the CSAT period breakdown
+const CSAT_INTERVAL_FORMATS = {
+  day: "%Y-%m-%d",
+  week: "%G-W%V",
+  month: "%Y-%m"
+};
+
+// Customer satisfaction (CSAT / NPS) from completed surveys, overall and by agent, category and period
+router.get("/csat", authRequired, requirePerm('reports.support'), async (req, res, next) => {
+  try {
+    const { date_from, date_to, agent_id, issue_category, source, interval = "week" } = req.query;
+    const format = CSAT_INTERVAL_FORMATS[interval] || CSAT_INTERVAL_FORMATS.week;
+
+    const match = { status: "completed" };
+    if (date_from || date_to) {
+      match.submitted_at = {};
+      if (date_from) match.submitted_at.$gte = new Date(date_from);
+      if (date_to) match.submitted_at.$lte = new Date(date_to);
+    }
+    if (agent_id) match.agent_id = Number(agent_id);
+    if (issue_category) match.issue_category = issue_category;
+    if (source) match.source = source;
+
+    // Counts summarizeScores needs, per group
+    const scoreGroup = (id) => ({
+      $group: {
+        _id: id,
+        responses: { $sum: 1 },
+        rating_total: { $sum: { $ifNull: ["$csat_score", 0] } },
+        rating_count: { $sum: { $cond: [{ $ne: ["$csat_score", null] }, 1, 0] } },
+        satisfied: { $sum: { $cond: [{ $gte: ["$csat_score", 4] }, 1, 0] } },
+        nps_count: { $sum: { $cond: [{ $ne: ["$nps_score", null] }, 1, 0] } },
+        promoters: { $sum: { $cond: [{ $gte: ["$nps_score", 9] }, 1, 0] } },
+        detractors: { $sum: { $cond: [{ $and: [{ $ne: ["$nps_score", null] }, { $lte: ["$nps_score", 6] }] }, 1, 0] } }
+      }
+    });
+
+    const [overall, byAgent, byCategory, byPeriod] = await Promise.all([
+      SurveyResponse.aggregate([{ $match: match }, scoreGroup(null)]),
+      SurveyResponse.aggregate([{ $match: match }, scoreGroup("$agent_id"), { $sort: { responses: -1 } }]),
+      SurveyResponse.aggregate([{ $match: match }, scoreGroup("$issue_category"), { $sort: { responses: -1 } }]),
+      SurveyResponse.aggregate([
+        { $match: match },
+        scoreGroup({ $dateToString: { format, date: "$submitted_at" } }),
+        { $sort: { _id: 1 } }
+      ])
+    ]);
+
+    const agents = await Employee.find({ employee_id: { $in: byAgent.map(row => row._id).filter(Boolean) } })
+      .select("employee_id name").lean();
+    const agentMap = new Map(agents.map(agent => [agent.employee_id, agent.name]));
+
+    const withScores = ({ _id, ...row }) => ({
+      responses: row.responses,
+      promoters: row.promoters,
+      detractors: row.detractors,
+      ...summarizeScores(row)
+    });
+
+    res.json({
+      ok: true,
+      data: {
+        overall: overall[0] ? withScores(overall[0]) : { responses: 0, promoters: 0, detractors: 0, ...summarizeScores({}) },
+        by_agent: byAgent.map(row => ({ agent_id: row._id, agent_name: agentMap.get(row._id) || null, ...withScores(row) })),
+        by_category: byCategory.map(row => ({ issue_category: row._id, ...withScores(row) })),
+        by_period: byPeriod.map(row => ({ period: row._id, ...withScores(row) }))
+      },
+      meta: { interval: CSAT_INTERVAL_FORMATS[interval] ? interval : "week" }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Live support floor numbers for the supervisor wallboard
+router.get("/wallboard", authRequired, requirePerm('reports.support'), async (req, res, next) => {
+  try {
+    res.json({
+      ok: true,
+      data: await buildWallboard()
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Wallboard as server-sent events: wallboard.snapshot on connect, then wallboard.patch with changed sections
+router.get("/wallboard/stream", authRequired, requirePerm('reports.support'), async (req, res, next) => {
+  try {
+    await streamWallboard(req, res);
+  } catch (err) {
+    next(err);
+  }
+});
+
 export default router;
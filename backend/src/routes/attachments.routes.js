@@ -0,0 +1,230 @@
+import express from "express";
+import multer from "multer";
+import { pipeline } from "node:stream";
+import { Attachment, ATTACHMENT_OWNER_TYPES } from "../models/attachments.js";
+import { Ticket } from "../models/tickets.js";
+import { TicketComment } from "../models/ticket_comments.js";
+import { FollowUp } from "../models/follow_ups.js";
+import { attachmentUpload } from "../validation/schemas.js";
+import { getActor } from "../utils/actor.js";
+import { getAttachmentStorage } from "../utils/attachmentStorage.js";
+import {
+  MAX_ATTACHMENT_BYTES,
+  MAX_ATTACHMENTS_PER_UPLOAD,
+  checkAttachment,
+  storeAttachment,
+  serializeAttachment,
+  deleteAttachments
+} from "../utils/attachments.js";
+import { authRequired, requirePerm } from "../middleware/auth.js";
+
+// Mounted at /api/tickets/:ticket_id/attachments
+const router = express.Router({ mergeParams: true });
+
+router.use(authRequired, requirePerm('support.tickets'));
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: MAX_ATTACHMENTS_PER_UPLOAD }
+}).array('files', MAX_ATTACHMENTS_PER_UPLOAD);
+
+const validationError = (res, errors) => res.status(400).json({
+  ok: false,
+  error: { message: 'Validation failed', errors }
+});
+
+// Parse the multipart body; multer's limit errors become field errors
+function receiveFiles(req, res, next) {
+  upload(req, res, (err) => {
+    if (!(err instanceof multer.MulterError)) return next(err);
+    validationError(res, [err.code === 'LIMIT_FILE_SIZE'
+      ? { field: 'files', code: 'too_large', detail: `Files can be at most ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB.` }
+      : { field: 'files', code: 'too_many', detail: `Send up to ${MAX_ATTACHMENTS_PER_UPLOAD} files in the "files" field.` }]);
+  });
+}
+
+async function findAttachment(req, res) {
+  const attachment = await Attachment.findOne({
+    attachment_id: Number(req.params.attachment_id),
+    ticket_id: Number(req.params.ticket_id)
+  }).lean();
+
+  if (!attachment) {
+    res.status(404).json({
+      ok: false,
+      error: { message: "Attachment not found" }
+    });
+  }
+  return attachment;
+}
+
+// Content-Disposition with an ASCII fallback and the UTF-8 name
+const disposition = (type, filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+// Stream a stored file to the client
+async function sendStored(res, next, { storage, key, contentType, filename, inline }) {
+  const file = await getAttachmentStorage(storage).get(key);
+  if (!file) {
+    return res.status(404).json({
+      ok: false,
+      error: { message: "Attachment file is missing from storage" }
+    });
+  }
+
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': disposition(inline ? 'inline' : 'attachment', filename),
+    'Cache-Control': 'private, max-age=3600',
+    // Helmet defaults to same-origin, which blocks <img> tags on a frontend served from another port
+    'Cross-Origin-Resource-Policy': 'same-site'
+  });
+  if (file.size) res.set('Content-Length', String(file.size));
+
+  pipeline(file.stream, res, (err) => {
+    if (err && !res.headersSent) next(err);
+    else if (err) console.error('Attachment stream failed:', err.message);
+  });
+}
+
+// List a ticket's attachments oldest first, optionally only those of one owner type
+router.get("/", async (req, res, next) => {
+  try {
+    const filters = { ticket_id: Number(req.params.ticket_id) };
+    if (ATTACHMENT_OWNER_TYPES.includes(req.query.owner_type)) filters.owner_type = req.query.owner_type;
+
+    const attachments = await Attachment.find(filters).sort({ createdAt: 1 }).lean();
+
+    res.json({
+      ok: true,
+      data: attachments.map(serializeAttachment)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Upload files (multipart field "files") to the ticket, or to one of its
+// comments or follow-ups with a comment_id or follow_up_id field
+router.post("/", receiveFiles, async (req, res, next) => {
+  try {
+    const ticketId = Number(req.params.ticket_id);
+    const { comment_id, follow_up_id } = attachmentUpload.parse(req.body || {});
+    const files = req.files || [];
+
+    if (!(await Ticket.exists({ ticket_id: ticketId }))) {
+      return res.status(404).json({
+        ok: false,
+        error: { message: "Ticket not found" }
+      });
+    }
+
+    if (comment_id !== undefined
+      && !(await TicketComment.exists({ comment_id, ticket_id: ticketId, is_deleted: false }))) {
+      return validationError(res, [{ field: 'comment_id', code: 'invalid_value', detail: 'Comment not found on this ticket.' }]);
+    }
+    if (follow_up_id !== undefined && !(await FollowUp.exists({ follow_up_id, ticket_id: ticketId }))) {
+      return validationError(res, [{ field: 'follow_up_id', code: 'invalid_value', detail: 'Follow-up not found on this ticket.' }]);
+    }
+
+    if (files.length === 0) {
+      return validationError(res, [{ field: 'files', code: 'required', detail: 'Choose at least one file.' }]);
+    }
+    // Check every file before storing any, so an upload is all or nothing
+    const problems = (await Promise.all(files.map(checkAttachment))).filter(Boolean);
+    if (problems.length > 0) {
+      return validationError(res, problems.map(problem => ({ field: 'files', ...problem })));
+    }
+
+    const actor = await getActor(req);
+    const owner = comment_id !== undefined
+      ? { ownerType: 'comment', ownerId: comment_id }
+      : follow_up_id !== undefined
+        ? { ownerType: 'follow_up', ownerId: follow_up_id }
+        : { ownerType: 'ticket', ownerId: null };
+
+    const attachments = [];
+    for (const file of files) {
+      attachments.push(await storeAttachment({ file, ticketId, ...owner, actor }));
+    }
+
+    res.status(201).json({
+      ok: true,
+      data: attachments
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Download the file; ?inline=1 lets the browser show it instead of saving it
+router.get("/:attachment_id/download", async (req, res, next) => {
+  try {
+    const attachment = await findAttachment(req, res);
+    if (!attachment) return;
+
+    await sendStored(res, next, {
+      storage: attachment.storage,
+      key: attachment.storage_key,
+      contentType: attachment.mime_type,
+      filename: attachment.filename,
+      inline: req.query.inline === '1'
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Thumbnail of an image attachment (webp)
+router.get("/:attachment_id/thumbnail", async (req, res, next) => {
+  try {
+    const attachment = await findAttachment(req, res);
+    if (!attachment) return;
+    if (!attachment.thumbnail_key) {
+      return res.status(404).json({
+        ok: false,
+        error: { message: "Attachment has no thumbnail" }
+      });
+    }
+
+    await sendStored(res, next, {
+      storage: attachment.storage,
+      key: attachment.thumbnail_key,
+      contentType: 'image/webp',
+      filename: `${attachment.filename}.webp`,
+      inline: true
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete own attachment and its stored files
+router.delete("/:attachment_id", async (req, res, next) => {
+  try {
+    const attachment = await findAttachment(req, res);
+    if (!attachment) return;
+
+    const actor = await getActor(req);
+    if (attachment.uploaded_by.user_id !== actor.user_id) {
+      return res.status(403).json({
+        ok: false,
+        error: { message: "Only the uploader can delete this attachment", code: 'FORBIDDEN' }
+      });
+    }
+
+    await deleteAttachments({ attachment_id: attachment.attachment_id });
+
+    res.json({
+      ok: true,
+      data: { message: "Attachment deleted successfully" }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,335 @@
+import express from 'express';
+import { CannedResponse } from '../models/canned_responses.js';
+import { CannedResponseUse } from '../models/canned_response_uses.js';
+import { cannedResponseCreate, cannedResponseUpdate, cannedResponseRender } from '../validation/schemas.js';
+import { authRequired, requirePerm } from '../middleware/auth.js';
+import { getActor } from '../utils/actor.js';
+import { getTicketTaxonomy } from '../utils/taxonomy.js';
+import {
+  TEMPLATE_VARIABLES,
+  extractVariables,
+  renderTemplate,
+  buildTemplateValues,
+  recordTemplateUse
+} from '../utils/cannedResponses.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authRequired);
+
+/**
+ * Checks zod can't express: known variables and scope values from the ticket taxonomy
+ * @param {object} template - Template fields after the update is applied
+ * @returns {Promise<Array>} Field errors
+ */
+async function validateTemplate(template) {
+  const errors = [];
+
+  const unknown = extractVariables(template.body).filter(name => !(name in TEMPLATE_VARIABLES));
+  if (unknown.length > 0) {
+    errors.push({ field: 'body', code: 'invalid_value', detail: `Unknown variables: ${unknown.join(', ')}.` });
+  }
+
+  if (template.issue_category || template.issue_type) {
+    const { categories, issue_types: issueTypes } = await getTicketTaxonomy();
+    if (template.issue_category && !categories.some(term => term.value === template.issue_category)) {
+      errors.push({ field: 'issue_category', code: 'invalid_value', detail: 'Unknown category.' });
+    }
+    if (template.issue_type) {
+      const type = issueTypes.find(term => term.value === template.issue_type);
+      if (!type) {
+        errors.push({ field: 'issue_type', code: 'invalid_value', detail: 'Unknown issue type.' });
+      } else if (type.category && template.issue_category && type.category !== template.issue_category) {
+        errors.push({ field: 'issue_type', code: 'invalid_value', detail: `Issue type belongs to ${type.category}.` });
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * GET /api/settings/canned-responses?issue_category=IPTV&issue_type=OTP&target=comment
+ * Active templates that apply to a ticket scope and insertion target, most specific
+ * first and then most used. Without scope parameters all templates are listed;
+ * include_inactive=true also returns disabled ones.
+ */
+router.get('/', requirePerm('support.tickets'), async (req, res, next) => {
+  try {
+    const { issue_category, issue_type, target, search, include_inactive } = req.query;
+
+    const filters = include_inactive === 'true' ? {} : { is_active: true };
+    if (issue_category) filters.issue_category = { $in: [null, issue_category] };
+    if (issue_type) filters.issue_type = { $in: [null, issue_type] };
+    if (target) filters.targets = target;
+    if (search) {
+      filters.$or = [
+        { title: { $regex: search, $options: 'i' } },
+        { body: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const specificity = (template) => (template.issue_category ? 2 : 0) + (template.issue_type ? 1 : 0);
+    const templates = (await CannedResponse.find(filters).lean())
+      .sort((a, b) => specificity(b) - specificity(a)
+        || b.usage_count - a.usage_count
+        || a.title.localeCompare(b.title));
+
+    res.json({
+      ok: true,
+      data: templates,
+      meta: { total: templates.length }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/settings/canned-responses/variables
+ * Placeholders that can be used in template bodies
+ */
+router.get('/variables', requirePerm('support.tickets'), (req, res) => {
+  res.json({
+    ok: true,
+    data: Object.entries(TEMPLATE_VARIABLES).map(([name, description]) => ({
+      name,
+      placeholder: `{{${name}}}`,
+      description
+    }))
+  });
+});
+
+/**
+ * GET /api/settings/canned-responses/stats?from=2024-01-01&to=2024-01-31
+ * Uses per template in the period, split by insertion target, with the number of
+ * distinct agents. Unused templates are included so they can be cleaned up.
+ */
+router.get('/stats', requirePerm('settings.system'), async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+
+    const match = {};
+    if (from || to) {
+      match.createdAt = {};
+      if (from) match.createdAt.$gte = new Date(from);
+      if (to) match.createdAt.$lte = new Date(to);
+    }
+
+    const [templates, usage] = await Promise.all([
+      CannedResponse.find().select('canned_response_id title kind issue_category issue_type is_active').lean(),
+      CannedResponseUse.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$canned_response_id',
+            uses: { $sum: 1 },
+            description: { $sum: { $cond: [{ $eq: ['$target', 'description'] }, 1, 0] } },
+            comment: { $sum: { $cond: [{ $eq: ['$target', 'comment'] }, 1, 0] } },
+            follow_up_note: { $sum: { $cond: [{ $eq: ['$target', 'follow_up_note'] }, 1, 0] } },
+            agents: { $addToSet: '$actor.user_id' },
+            last_used_at: { $max: '$createdAt' }
+          }
+        }
+      ])
+    ]);
+    const usageMap = new Map(usage.map(row => [row._id, row]));
+
+    const stats = templates.map(template => {
+      const row = usageMap.get(template.canned_response_id);
+      return {
+        ...template,
+        uses: row?.uses || 0,
+        by_target: {
+          description: row?.description || 0,
+          comment: row?.comment || 0,
+          follow_up_note: row?.follow_up_note || 0
+        },
+        agents: row ? row.agents.filter(Boolean).length : 0,
+        last_used_at: row?.last_used_at || null
+      };
+    }).sort((a, b) => b.uses - a.uses);
+
+    res.json({
+      ok: true,
+      data: stats,
+      meta: { total_uses: stats.reduce((sum, item) => sum + item.uses, 0) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/settings/canned-responses/:id
+ * Get single template
+ */
+router.get('/:id', requirePerm('support.tickets'), async (req, res, next) => {
+  try {
+    const template = await CannedResponse.findOne({ canned_response_id: Number(req.params.id) }).lean();
+
+    if (!template) {
+      return res.status(404).json({
+        ok: false,
+        error: { message: 'Canned response not found' }
+      });
+    }
+
+    res.json({
+      ok: true,
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/settings/canned-responses/:id/render
+ * Fill in the template for a ticket and record the use. Body: { target, ticket_id }
+ * or { target, draft } for a ticket that hasn't been saved yet.
+ */
+router.post('/:id/render', requirePerm('support.tickets'), async (req, res, next) => {
+  try {
+    const { target, ticket_id, draft } = cannedResponseRender.parse(req.body);
+
+    const template = await CannedResponse.findOne({ canned_response_id: Number(req.params.id), is_active: true }).lean();
+    if (!template) {
+      return res.status(404).json({
+        ok: false,
+        error: { message: 'Canned response not found' }
+      });
+    }
+
+    if (!template.targets.includes(target)) {
+      return res.status(400).json({
+        ok: false,
+        error: {
+          message: 'Validation failed',
+          errors: [{ field: 'target', code: 'invalid_value', detail: `This template can be used in: ${template.targets.join(', ')}.` }]
+        }
+      });
+    }
+
+    const actor = await getActor(req);
+    const values = await buildTemplateValues({ ticketId: ticket_id, draft, actor });
+    if (!values) {
+      return res.status(404).json({
+        ok: false,
+        error: { message: 'Ticket not found' }
+      });
+    }
+
+    const text = renderTemplate(template.body, values);
+    await recordTemplateUse({ template, target, ticketId: ticket_id, actor });
+
+    res.json({
+      ok: true,
+      data: {
+        text,
+        // Placeholders left in the text because the ticket has no value for them
+        missing: extractVariables(text)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/settings/canned-responses
+ * Create template
+ *
+ * curl -X POST http://localhost:8000/api/settings/canned-responses \
+ *  -H 'Content-Type: application/json' -H 'Cookie: sid=YOUR_JWT_TOKEN' \
+ *  -d '{"title":"OTP not received","kind":"resolution","issue_category":"App","body":"Hi, this is {{agent_name}}. We resent the OTP to {{customer_phone}} (ticket {{ticket_id}})."}'
+ */
+router.post('/', requirePerm('settings.system'), async (req, res, next) => {
+  try {
+    const validatedData = cannedResponseCreate.parse(req.body);
+
+    const errors = await validateTemplate(validatedData);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        ok: false,
+        error: { message: 'Validation failed', errors }
+      });
+    }
+
+    const template = new CannedResponse({ ...validatedData, created_by: await getActor(req) });
+    await template.save();
+
+    res.status(201).json({
+      ok: true,
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/settings/canned-responses/:id
+ * Update template
+ */
+router.put('/:id', requirePerm('settings.system'), async (req, res, next) => {
+  try {
+    const validatedData = cannedResponseUpdate.parse(req.body);
+
+    const existing = await CannedResponse.findOne({ canned_response_id: Number(req.params.id) }).lean();
+    if (!existing) {
+      return res.status(404).json({
+        ok: false,
+        error: { message: 'Canned response not found' }
+      });
+    }
+
+    const errors = await validateTemplate({ ...existing, ...validatedData });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        ok: false,
+        error: { message: 'Validation failed', errors }
+      });
+    }
+
+    const template = await CannedResponse.findOneAndUpdate(
+      { canned_response_id: existing.canned_response_id },
+      validatedData,
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      ok: true,
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/settings/canned-responses/:id
+ * Delete template; its usage history is kept for stats
+ */
+router.delete('/:id', requirePerm('settings.system'), async (req, res, next) => {
+  try {
+    const template = await CannedResponse.findOneAndDelete({ canned_response_id: Number(req.params.id) });
+
+    if (!template) {
+      return res.status(404).json({
+        ok: false,
+        error: { message: 'Canned response not found' }
+      });
+    }
+
+    res.json({
+      ok: true,
+      data: { message: 'Canned response deleted successfully' }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,167 @@
+import express from 'express';
+import { Customer } from '../models/customers.js';
+import { Ticket } from '../models/tickets.js';
+import { FollowUp } from '../models/follow_ups.js';
+import { customerUpdate, paginationSchema } from '../validation/schemas.js';
+import { authRequired, requirePerm } from '../middleware/auth.js';
+import { normalizePhone } from '../utils/customers.js';
+
+const router = express.Router();
+
+// All routes require authentication and support.tickets permission
+router.use(authRequired);
+router.use(requirePerm('support.tickets'));
+
+/**
+ * GET /api/customers?search=2526
+ * Paginated customer list, most recent contact first
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { page, limit } = paginationSchema.parse({
+      page: String(req.query.page || 1),
+      limit: String(req.query.limit || 20)
+    });
+    const skip = (page - 1) * limit;
+
+    const filters = {};
+    if (req.query.search) {
+      const search = normalizePhone(req.query.search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filters.$or = [
+        { phone: { $regex: search } },
+        { email: { $regex: search, $options: 'i' } },
+        { name: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const [customers, total] = await Promise.all([
+      Customer.find(filters)
+        .sort({ last_contact_at: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Customer.countDocuments(filters)
+    ]);
+
+    res.json({
+      ok: true,
+      data: customers,
+      meta: { total, page, limit }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/customers/lookup?phone=252612345678
+ * Customer and recent tickets for a phone, used by the ticket form while typing
+ */
+router.get('/lookup', async (req, res, next) => {
+  try {
+    const phone = normalizePhone(req.query.phone);
+    if (!/^\d{7,15}$/.test(phone)) {
+      return res.json({ ok: true, data: { customer: null, tickets: [] } });
+    }
+
+    const [customer, tickets] = await Promise.all([
+      Customer.findOne({ phone }).lean(),
+      Ticket.find({ customer_phone: phone })
+        .select('ticket_id issue_category issue_type resolution_status priority createdAt')
+        .sort({ createdAt: -1 })
+        .limit(5)
+        .lean()
+    ]);
+
+    res.json({
+      ok: true,
+      data: { customer, tickets }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/customers/:id
+ * Customer profile with full ticket, follow-up and satisfaction history
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const customer = await Customer.findOne({ customer_id: Number(req.params.id) }).lean();
+
+    if (!customer) {
+      return res.status(404).json({
+        ok: false,
+        error: { message: 'Customer not found' }
+      });
+    }
+
+    const tickets = await Ticket.find({ customer_id: customer.customer_id })
+      .sort({ createdAt: -1 })
+      .lean();
+    const followUps = await FollowUp.find({ ticket_id: { $in: tickets.map(t => t.ticket_id) } })
+      .sort({ follow_up_date: -1 })
+      .lean();
+
+    const rated = followUps.filter(f => f.satisfied !== null && f.satisfied !== undefined);
+    const satisfiedCount = rated.filter(f => f.satisfied === true).length;
+
+    res.json({
+      ok: true,
+      data: {
+        ...customer,
+        ticket_count: tickets.length,
+        open_ticket_count: tickets.filter(t => t.resolution_status !== 'Completed').length,
+        tickets,
+        follow_ups: followUps,
+        satisfaction: {
+          responses: rated.length,
+          satisfied: satisfiedCount,
+          not_satisfied: rated.length - satisfiedCount,
+          satisfaction_rate: rated.length > 0 ? ((satisfiedCount / rated.length) * 100).toFixed(2) : null,
+          history: rated.map(f => ({
+            follow_up_id: f.follow_up_id,
+            ticket_id: f.ticket_id,
+            satisfied: f.satisfied,
+            follow_up_date: f.follow_up_date
+          }))
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/customers/:id
+ * Update customer name
+ */
+router.put('/:id', async (req, res, next) => {
+  try {
+    const validatedData = customerUpdate.parse(req.body);
+
+    const customer = await Customer.findOneAndUpdate(
+      { customer_id: Number(req.params.id) },
+      validatedData,
+      { new: true, runValidators: true }
+    );
+
+    if (!customer) {
+      return res.status(404).json({
+        ok: false,
+        error: { message: 'Customer not found' }
+      });
+    }
+
+    res.json({
+      ok: true,
+      data: customer
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
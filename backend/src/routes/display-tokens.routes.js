@@ -0,0 +1,90 @@
+import express from 'express';
+import { DisplayToken } from '../models/display_tokens.js';
+import { displayTokenCreate } from '../validation/schemas.js';
+import { authRequired, requirePerm } from '../middleware/auth.js';
+import { getActor } from '../utils/actor.js';
+import { createDisplayToken, serializeDisplayToken } from '../utils/displayTokens.js';
+import { closeDisplayTokenStreams } from '../utils/wallboard.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authRequired, requirePerm('settings.system'));
+
+/**
+ * GET /api/settings/display-tokens
+ * Display tokens newest first, revoked ones included
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const tokens = await DisplayToken.find().sort({ createdAt: -1 }).lean();
+
+    res.json({
+      ok: true,
+      data: tokens.map(serializeDisplayToken)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/settings/display-tokens
+ * Create a token for a kiosk screen. The plain token is only in this response.
+ *
+ * curl -X POST http://localhost:8000/api/settings/display-tokens \
+ *  -H 'Content-Type: application/json' -H 'Cookie: sid=YOUR_JWT_TOKEN' \
+ *  -d '{"name":"Support floor TV","scopes":["wallboard"]}'
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { name, scopes, expires_at } = displayTokenCreate.parse(req.body);
+
+    const { token, record } = await createDisplayToken({
+      name,
+      scopes: scopes ? [...new Set(scopes)] : undefined,
+      expiresAt: expires_at ?? null,
+      actor: await getActor(req)
+    });
+
+    res.status(201).json({
+      ok: true,
+      data: { ...record, token }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/settings/display-tokens/:id/revoke
+ * Revoke a token; open wallboard streams using it are closed and screens get
+ * an error on their next request
+ */
+router.post('/:id/revoke', async (req, res, next) => {
+  try {
+    const token = await DisplayToken.findOne({ display_token_id: Number(req.params.id) });
+    if (!token) {
+      return res.status(404).json({
+        ok: false,
+        error: { message: 'Display token not found' }
+      });
+    }
+
+    if (!token.revoked_at) {
+      token.revoked_at = new Date();
+      token.revoked_by = await getActor(req);
+      await token.save();
+    }
+    closeDisplayTokenStreams(token.display_token_id);
+
+    res.json({
+      ok: true,
+      data: serializeDisplayToken(token.toObject())
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,95 @@
+import express from 'express';
+import { EscalationTier, ESCALATION_LEVELS } from '../models/escalation_tiers.js';
+import { Section } from '../models/sections.js';
+import { Employee } from '../models/employees.js';
+import { escalationTierUpdate } from '../validation/schemas.js';
+import { authRequired, requirePerm } from '../middleware/auth.js';
+import { getActor } from '../utils/actor.js';
+import { getEscalationTiers, DEFAULT_ESCALATION_TIERS } from '../utils/escalations.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authRequired);
+
+/**
+ * GET /api/settings/escalation-tiers
+ * L1-L3 with their section and tier SLA; unconfigured levels show the defaults
+ */
+router.get('/', requirePerm('support.tickets'), async (req, res, next) => {
+  try {
+    const tiers = await getEscalationTiers();
+    const sections = await Section.find({ _id: { $in: tiers.map(tier => tier.section_id).filter(Boolean) } })
+      .select('name').lean();
+    const sectionMap = new Map(sections.map(section => [String(section._id), section]));
+
+    res.json({
+      ok: true,
+      data: tiers.map(tier => ({
+        ...tier,
+        section: tier.section_id ? sectionMap.get(String(tier.section_id)) || null : null
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/settings/escalation-tiers/:level
+ * Configure a level
+ *
+ * curl -X PUT http://localhost:8000/api/settings/escalation-tiers/2 \
+ *  -H 'Content-Type: application/json' -H 'Cookie: sid=YOUR_JWT_TOKEN' \
+ *  -d '{"name":"L2 Specialist","section_id":"SECTION_ID","sla_minutes":240,"notify_employee_ids":[7]}'
+ */
+router.put('/:level', requirePerm('settings.system'), async (req, res, next) => {
+  try {
+    const level = Number(req.params.level);
+    if (!ESCALATION_LEVELS.includes(level)) {
+      return res.status(404).json({
+        ok: false,
+        error: { message: 'Escalation level not found' }
+      });
+    }
+
+    const validatedData = escalationTierUpdate.parse(req.body);
+
+    if (validatedData.section_id && !(await Section.exists({ _id: validatedData.section_id }))) {
+      return res.status(400).json({
+        ok: false,
+        error: {
+          message: 'Validation failed',
+          errors: [{ field: 'section_id', code: 'invalid_value', detail: 'Section does not exist.' }]
+        }
+      });
+    }
+    if (validatedData.notify_employee_ids) {
+      validatedData.notify_employee_ids = [...new Set(validatedData.notify_employee_ids)];
+      const found = await Employee.countDocuments({ employee_id: { $in: validatedData.notify_employee_ids } });
+      if (found !== validatedData.notify_employee_ids.length) {
+        return res.status(400).json({
+          ok: false,
+          error: {
+            message: 'Validation failed',
+            errors: [{ field: 'notify_employee_ids', code: 'invalid_value', detail: 'One or more employees do not exist.' }]
+          }
+        });
+      }
+    }
+
+    const tier = await EscalationTier.findOne({ level })
+      || new EscalationTier(DEFAULT_ESCALATION_TIERS.find(item => item.level === level));
+    tier.set({ ...validatedData, updated_by: await getActor(req) });
+    await tier.save();
+
+    res.json({
+      ok: true,
+      data: tier
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -4,6 +4,12 @@ import { Ticket } from "../models/tickets.js";
 import { Employee } from "../models/employees.js";
 import { Review } from "../models/reviews.js";
 import { getNextId } from "../utils/counters.js";
+import { syncTicketSla } from "../utils/sla.js";
+import { updateTicketWithHistory } from "../utils/ticketHistory.js";
+import { getActor } from "../utils/actor.js";
+import { isRepeatContact } from "../utils/customers.js";
+import { recordNoAnswer, reachedUpdate, getCallQueue, OPEN_FOLLOW_UP, MAX_ATTEMPTS, RETRY_SCHEDULE } from "../utils/followUpQueue.js";
+import { publishFollowUpAssigned } from "../utils/liveEvents.js";
 import { authRequired, requirePerm } from "../middleware/auth.js";
 import { User } from "../models/users.js";
 
@@ -59,15 +65,18 @@ router.get("/pending", authRequired, requirePerm('support.followups'), async (re
       followUpMap[fu.ticket_id] = fu;
     });
     
-    // Filter tickets that need follow-up (no follow-up or issue_solved is null/0)
+    // Filter tickets that need follow-up (no follow-up or issue_solved is null/0);
+    // customers closed as unreachable after the retry cap drop out
     const pendingTickets = completedTickets.filter(ticket => {
       const followUp = followUpMap[ticket.ticket_id];
+      if (followUp && followUp.outcome === 'unreachable') return false;
       return !followUp || followUp.issue_solved === null || followUp.issue_solved === 0;
     });
     
     // Get reviews for supervisor status
     const reviews = await Review.find({
-      ticket_id: { $in: pendingTickets.map(t => t.ticket_id) }
+      ticket_id: { $in: pendingTickets.map(t => t.ticket_id) },
+      status: { $ne: 'pending' }
     }).sort({ createdAt: -1 }).lean();
     
     // Create map of ticket_id -> latest review
@@ -86,11 +95,14 @@ router.get("/pending", authRequired, requirePerm('support.followups'), async (re
       return {
         ticket_id: ticket.ticket_id,
         customer_phone: ticket.customer_phone,
+        issue_category: ticket.issue_category,
         issue_type: ticket.issue_type,
         resolution_status: ticket.resolution_status,
         supervisor_status: review ? review.issue_status : '-',
         date: review ? review.review_date : ticket.updatedAt,
-        follow_up_id: followUp ? followUp._id : null
+        follow_up_id: followUp ? followUp.follow_up_id : null,
+        attempt_count: followUp ? followUp.attempt_count || 0 : 0,
+        next_attempt_at: followUp && followUp.issue_solved === null ? followUp.follow_up_date : null
       };
     });
     
@@ -215,6 +227,80 @@ router.get("/", authRequired, requirePerm('support.followups'), async (req, res,
   }
 });
 
+// Call-back queue: open follow-ups per agent, ordered by due time
+router.get("/queue", authRequired, requirePerm('support.followups'), async (req, res, next) => {
+  try {
+    const { agent_id, due_only } = req.query;
+
+    const filters = {};
+    if (agent_id === 'unassigned') filters.follow_up_agent_id = null;
+    else if (agent_id) filters.follow_up_agent_id = Number(agent_id);
+    if (due_only === 'true') filters.follow_up_date = { $lte: new Date() };
+
+    const queue = await getCallQueue(filters, { limit: 500 });
+
+    const agentIds = [...new Set(queue.map(f => f.follow_up_agent_id).filter(Boolean))];
+    const agents = await Employee.find({ employee_id: { $in: agentIds } })
+      .select('employee_id name').lean();
+    const agentMap = new Map(agents.map(a => [a.employee_id, a]));
+
+    // Group per agent, keeping the due-time order inside each group
+    const groups = new Map();
+    for (const followUp of queue) {
+      const key = followUp.follow_up_agent_id ?? null;
+      if (!groups.has(key)) {
+        groups.set(key, { agent_id: key, agent_info: agentMap.get(key) || null, due: 0, follow_ups: [] });
+      }
+      const group = groups.get(key);
+      group.follow_ups.push(followUp);
+      if (followUp.is_due) group.due += 1;
+    }
+
+    res.json({
+      ok: true,
+      data: [...groups.values()],
+      meta: {
+        total: queue.length,
+        due: queue.filter(f => f.is_due).length,
+        max_attempts: MAX_ATTEMPTS
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// What the logged-in agent should call next
+router.get("/queue/mine", authRequired, requirePerm('support.followups'), async (req, res, next) => {
+  try {
+    const actor = await getActor(req);
+    if (!actor.employee_id) {
+      return res.status(400).json({
+        ok: false,
+        error: { message: "User not associated with employee" }
+      });
+    }
+
+    const queue = await getCallQueue({ follow_up_agent_id: actor.employee_id });
+
+    res.json({
+      ok: true,
+      data: {
+        next: queue.find(f => f.is_due) || null,
+        queue
+      },
+      meta: {
+        total: queue.length,
+        due: queue.filter(f => f.is_due).length,
+        max_attempts: MAX_ATTEMPTS,
+        retry_schedule_ms: RETRY_SCHEDULE
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // Get single follow-up
 router.get("/:follow_up_id", authRequired, requirePerm('support.followups'), async (req, res, next) => {
   try {
@@ -254,7 +340,6 @@ router.patch("/:follow_up_id", authRequired, requirePerm('support.followups'), a
     const {
       issue_solved,
       satisfied,
-      repeated_issue,
       follow_up_notes,
       follow_up_date
     } = req.body;
@@ -267,10 +352,14 @@ router.patch("/:follow_up_id", authRequired, requirePerm('support.followups'), a
       });
     }
 
-    const updates = {};
+    const actor = await getActor(req);
+
+    // Recording an outcome takes the follow-up out of the call-back queue
+    const updates = issue_solved === true || issue_solved === false
+      ? reachedUpdate(issue_solved ? 'solved' : 'not_solved', { agentId: actor.employee_id, notes: follow_up_notes })
+      : {};
     if (issue_solved !== undefined) updates.issue_solved = issue_solved;
     if (satisfied !== undefined) updates.satisfied = satisfied;
-    if (repeated_issue !== undefined) updates.repeated_issue = repeated_issue;
     if (follow_up_notes !== undefined) updates.follow_up_notes = follow_up_notes;
     if (follow_up_date !== undefined) updates.follow_up_date = new Date(follow_up_date);
 
@@ -280,16 +369,21 @@ router.patch("/:follow_up_id", authRequired, requirePerm('support.followups'), a
       { new: true, runValidators: true }
     );
 
+    // Ticket changes below are logged as follow-up outcomes
+    const audit = { source: 'follow_up', actor, ref: { follow_up_id: followUpId } };
+
     // Business Rule: Customer says Not Solved
     if (issue_solved === false) {
-      await Ticket.findOneAndUpdate(
-        { ticket_id: followUp.ticket_id },
+      await updateTicketWithHistory(
+        followUp.ticket_id,
         {
           resolution_status: 'Pending',
           first_call_resolution: 'No'
           // Keep same agent_id
-        }
+        },
+        audit
       );
+      await syncTicketSla(followUp.ticket_id);
     }
 
     // Business Rule: Customer confirms Solved
@@ -306,9 +400,10 @@ router.patch("/:follow_up_id", authRequired, requirePerm('support.followups'), a
         const wasReopened = previousFollowUps.some(f => f.issue_solved === false);
         
         if (!wasReopened) {
-          await Ticket.findOneAndUpdate(
-            { ticket_id: followUp.ticket_id },
-            { first_call_resolution: 'Yes' }
+          await updateTicketWithHistory(
+            followUp.ticket_id,
+            { first_call_resolution: 'Yes' },
+            audit
           );
         }
       }
@@ -337,9 +432,12 @@ router.patch("/:follow_up_id/solved", authRequired, requirePerm('support.followu
       });
     }
 
+    const actor = await getActor(req);
+
     const updatedFollowUp = await FollowUp.findOneAndUpdate(
       { follow_up_id: followUpId },
       {
+        ...reachedUpdate('solved', { agentId: actor.employee_id }),
         issue_solved: true,
         satisfied: satisfied !== undefined ? satisfied : null
       },
@@ -356,9 +454,10 @@ router.patch("/:follow_up_id/solved", authRequired, requirePerm('support.followu
       });
 
       if (!wasReopened) {
-        await Ticket.findOneAndUpdate(
-          { ticket_id: followUp.ticket_id },
-          { first_call_resolution: 'Yes' }
+        await updateTicketWithHistory(
+          followUp.ticket_id,
+          { first_call_resolution: 'Yes' },
+          { source: 'follow_up', actor, ref: { follow_up_id: followUpId } }
         );
       }
     }
@@ -386,25 +485,32 @@ router.patch("/:follow_up_id/not-solved", authRequired, requirePerm('support.fol
       });
     }
 
+    const ticket = await Ticket.findOne({ ticket_id: followUp.ticket_id }).lean();
+    const actor = await getActor(req);
+
     const updatedFollowUp = await FollowUp.findOneAndUpdate(
       { follow_up_id: followUpId },
       {
+        ...reachedUpdate('not_solved', { agentId: actor.employee_id, notes: follow_up_notes }),
         issue_solved: false,
-        repeated_issue: true,
-        follow_up_notes: follow_up_notes || updatedFollowUp.follow_up_notes
+        // Repeat contact comes from the customer's ticket history
+        repeated_issue: await isRepeatContact(ticket),
+        follow_up_notes: follow_up_notes || followUp.follow_up_notes
       },
       { new: true }
     );
 
     // Business Rule: Reopen ticket
-    await Ticket.findOneAndUpdate(
-      { ticket_id: followUp.ticket_id },
+    await updateTicketWithHistory(
+      followUp.ticket_id,
       {
         resolution_status: 'Pending',
         first_call_resolution: 'No'
         // Keep same agent_id
-      }
+      },
+      { source: 'follow_up', actor, ref: { follow_up_id: followUpId } }
     );
+    await syncTicketSla(followUp.ticket_id);
 
     res.json({
       ok: true,
@@ -415,7 +521,7 @@ router.patch("/:follow_up_id/not-solved", authRequired, requirePerm('support.fol
   }
 });
 
-// No answer - reschedule
+// No answer - reschedule by the retry policy, or close as unreachable at the attempt cap
 router.patch("/:follow_up_id/no-answer", authRequired, requirePerm('support.followups'), async (req, res, next) => {
   try {
     const followUpId = Number(req.params.follow_up_id);
@@ -429,18 +535,27 @@ router.patch("/:follow_up_id/no-answer", authRequired, requirePerm('support.foll
       });
     }
 
-    const updatedFollowUp = await FollowUp.findOneAndUpdate(
-      { follow_up_id: followUpId },
-      {
-        follow_up_date: follow_up_date ? new Date(follow_up_date) : new Date(),
-        follow_up_notes: follow_up_notes || updatedFollowUp.follow_up_notes
-      },
-      { new: true }
-    );
+    if (followUp.outcome || followUp.issue_solved !== null) {
+      return res.status(409).json({
+        ok: false,
+        error: { message: "Follow-up is already closed", code: "FOLLOW_UP_CLOSED" }
+      });
+    }
+
+    const actor = await getActor(req);
+    const updatedFollowUp = await recordNoAnswer(followUp, {
+      agentId: actor.employee_id,
+      notes: follow_up_notes,
+      retryAt: follow_up_date ? new Date(follow_up_date) : undefined
+    });
 
     res.json({
       ok: true,
-      data: updatedFollowUp
+      data: updatedFollowUp,
+      meta: {
+        unreachable: updatedFollowUp.outcome === 'unreachable',
+        attempts_left: Math.max(0, MAX_ATTEMPTS - updatedFollowUp.attempt_count)
+      }
     });
   } catch (err) {
     next(err);
@@ -474,6 +589,7 @@ router.patch("/:follow_up_id/assign-to-me", authRequired, requirePerm('support.f
       { follow_up_agent_id: user.employee_id },
       { new: true }
     );
+    publishFollowUpAssigned(updatedFollowUp);
 
     res.json({
       ok: true,
@@ -492,7 +608,6 @@ router.post("/", authRequired, requirePerm('support.followups'), async (req, res
       follow_up_agent_id,
       issue_solved,
       satisfied,
-      repeated_issue,
       follow_up_notes,
       customer_location
     } = req.body;
@@ -519,41 +634,61 @@ router.post("/", authRequired, requirePerm('support.followups'), async (req, res
       });
     }
     
-    const follow_up_id = await getNextId('follow_up');
-    
-    const followUp = await FollowUp.create({
-      follow_up_id,
-      ticket_id,
-      follow_up_agent_id,
-      follow_up_date: new Date(),
+    const ticket = await Ticket.findOne({ ticket_id });
+    const actor = await getActor(req);
+    const outcomeFields = {
       issue_solved,
       satisfied,
-      repeated_issue,
+      // Repeat contact comes from the customer's ticket history, not the form
+      repeated_issue: await isRepeatContact(ticket),
       follow_up_notes
-    });
+    };
+
+    // Record the outcome on the ticket's queued call-back instead of leaving it open
+    const queued = await FollowUp.findOne({ ticket_id, ...OPEN_FOLLOW_UP }).sort({ follow_up_date: 1 }).lean();
+    const follow_up_id = queued ? queued.follow_up_id : await getNextId('follow_up');
+    const agentId = follow_up_agent_id ?? actor.employee_id;
+
+    const followUp = await FollowUp.findOneAndUpdate(
+      { follow_up_id },
+      {
+        ...reachedUpdate(issue_solved === 1 ? 'solved' : 'not_solved', {
+          agentId,
+          notes: follow_up_notes
+        }),
+        ...outcomeFields,
+        follow_up_agent_id: agentId,
+        $setOnInsert: { ticket_id, follow_up_date: new Date() }
+      },
+      { new: true, upsert: true }
+    );
     
     // Update ticket based on follow-up results
-    const ticket = await Ticket.findOne({ ticket_id });
     if (ticket) {
+      const audit = { source: 'follow_up', actor, ref: { follow_up_id } };
+
       if (issue_solved === 1) {
         // Issue solved - keep completed, set FCR to Yes if not already set
-        await Ticket.findOneAndUpdate(
-          { ticket_id },
+        await updateTicketWithHistory(
+          ticket_id,
           { 
             first_call_resolution: 'Yes',
             ...(customer_location && { customer_location })
-          }
+          },
+          audit
         );
       } else {
         // Issue not solved - reopen ticket
-        await Ticket.findOneAndUpdate(
-          { ticket_id },
+        await updateTicketWithHistory(
+          ticket_id,
           {
             resolution_status: 'Pending',
             first_call_resolution: 'No',
             ...(customer_location && { customer_location })
-          }
+          },
+          audit
         );
+        await syncTicketSla(ticket_id);
       }
     }
     
@@ -0,0 +1,210 @@
+import express from 'express';
+import crypto from 'crypto';
+import { InboundEmail } from '../models/inbound_emails.js';
+import { authRequired, requirePerm } from '../middleware/auth.js';
+import { getActor } from '../utils/actor.js';
+import { processInboundEmail } from '../utils/inboundEmail.js';
+
+const router = express.Router();
+
+// Quarantined messages keep their raw copy in MongoDB, whose documents stop at 16 MB
+const MAX_MESSAGE_SIZE = process.env.INBOUND_EMAIL_MAX_SIZE || '15mb';
+
+/**
+ * The MTA pipe authenticates with the shared INBOUND_EMAIL_TOKEN instead of a
+ * user session, sent as "Authorization: Bearer <token>" or "X-Inbound-Token"
+ */
+function inboundTokenRequired(req, res, next) {
+  const expected = process.env.INBOUND_EMAIL_TOKEN;
+  if (!expected) {
+    return res.status(503).json({
+      ok: false,
+      error: { message: 'Inbound email is not configured' }
+    });
+  }
+
+  const header = req.get('authorization') || '';
+  const provided = header.startsWith('Bearer ') ? header.slice(7) : (req.get('x-inbound-token') || '');
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    return res.status(401).json({
+      ok: false,
+      error: { message: 'Invalid inbound token' }
+    });
+  }
+
+  next();
+}
+
+/**
+ * POST /api/inbound/email
+ * Receive one raw RFC 822 message. Replies (In-Reply-To/References of an earlier
+ * message, or a [#ticket_id] subject token) are added to that ticket as a
+ * customer comment; anything else opens a new Email ticket. Messages that can't
+ * be parsed or placed are quarantined and still acknowledged so the MTA doesn't retry.
+ *
+ * curl -X POST http://localhost:8000/api/inbound/email \
+ *  -H 'Content-Type: message/rfc822' -H 'Authorization: Bearer INBOUND_EMAIL_TOKEN' \
+ *  --data-binary @message.eml
+ */
+router.post(
+  '/',
+  inboundTokenRequired,
+  express.raw({ type: () => true, limit: MAX_MESSAGE_SIZE }),
+  async (req, res, next) => {
+    try {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({
+          ok: false,
+          error: { message: 'Send the raw message as the request body' }
+        });
+      }
+
+      const { record, duplicate } = await processInboundEmail(req.body);
+      const status = duplicate ? 200 : record.status === 'quarantined' ? 202 : 201;
+
+      res.status(status).json({
+        ok: true,
+        data: {
+          inbound_email_id: record.inbound_email_id,
+          status: record.status,
+          ticket_id: record.ticket_id,
+          comment_id: record.comment_id,
+          threaded_by: record.threaded_by,
+          error: record.error
+        },
+        meta: { duplicate }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/inbound/email/quarantine
+ * Messages waiting for review, newest first
+ */
+router.get('/quarantine', authRequired, requirePerm('support.tickets'), async (req, res, next) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const filters = { status: 'quarantined' };
+
+    const [items, total] = await Promise.all([
+      InboundEmail.find(filters)
+        .select('-raw')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      InboundEmail.countDocuments(filters)
+    ]);
+
+    res.json({
+      ok: true,
+      data: items,
+      meta: { total, page, limit }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/inbound/email/quarantine/:id/raw
+ * Original message as received
+ */
+router.get('/quarantine/:id/raw', authRequired, requirePerm('support.tickets'), async (req, res, next) => {
+  try {
+    const item = await InboundEmail.findOne({ inbound_email_id: Number(req.params.id), status: 'quarantined' })
+      .select('raw')
+      .lean();
+
+    if (!item || !item.raw) {
+      return res.status(404).json({
+        ok: false,
+        error: { message: 'Quarantined message not found' }
+      });
+    }
+
+    res.type('message/rfc822').send(Buffer.from(item.raw.buffer ?? item.raw));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/inbound/email/quarantine/:id/retry
+ * Process the message again, e.g. after adding a category. Pass ticket_id to
+ * add it to that ticket instead of relying on threading.
+ */
+router.post('/quarantine/:id/retry', authRequired, requirePerm('support.tickets'), async (req, res, next) => {
+  try {
+    const record = await InboundEmail.findOne({ inbound_email_id: Number(req.params.id), status: 'quarantined' });
+
+    if (!record || !record.raw) {
+      return res.status(404).json({
+        ok: false,
+        error: { message: 'Quarantined message not found' }
+      });
+    }
+
+    const ticketId = req.body.ticket_id !== undefined && req.body.ticket_id !== null
+      ? Number(req.body.ticket_id)
+      : null;
+    if (ticketId !== null && !Number.isInteger(ticketId)) {
+      return res.status(400).json({
+        ok: false,
+        error: {
+          message: 'Validation failed',
+          errors: [{ field: 'ticket_id', code: 'invalid_value', detail: 'Must be a ticket number.' }]
+        }
+      });
+    }
+
+    record.reviewed_by = await getActor(req);
+    record.reviewed_at = new Date();
+    const { record: processed, duplicate } = await processInboundEmail(record.raw, { record, ticketId });
+    const { raw, ...data } = processed.toObject();
+
+    res.json({
+      ok: true,
+      data,
+      meta: { duplicate }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/inbound/email/quarantine/:id
+ * Discard a quarantined message; the record is kept without its content
+ */
+router.delete('/quarantine/:id', authRequired, requirePerm('support.tickets'), async (req, res, next) => {
+  try {
+    const record = await InboundEmail.findOneAndUpdate(
+      { inbound_email_id: Number(req.params.id), status: 'quarantined' },
+      { status: 'discarded', raw: null, reviewed_by: await getActor(req), reviewed_at: new Date() },
+      { new: true }
+    );
+
+    if (!record) {
+      return res.status(404).json({
+        ok: false,
+        error: { message: 'Quarantined message not found' }
+      });
+    }
+
+    res.json({
+      ok: true,
+      data: { message: 'Message discarded' }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,294 @@
+import express from 'express';
+import { Incident, INCIDENT_STATUSES } from '../models/incidents.js';
+import { Ticket } from '../models/tickets.js';
+import { Employee } from '../models/employees.js';
+import { incidentCreate, incidentUpdate, incidentTickets, incidentResolve, paginationSchema } from '../validation/schemas.js';
+import { authRequired, requirePerm } from '../middleware/auth.js';
+import { getActor } from '../utils/actor.js';
+import { NOT_MERGED } from '../utils/ticketMerge.js';
+import {
+  ACTIVE_INCIDENT,
+  SUGGESTION_LEAD_MINUTES,
+  countIncidentTickets,
+  suggestIncidentTickets,
+  setTicketsIncident,
+  resolveIncident
+} from '../utils/incidents.js';
+
+const router = express.Router();
+
+// All routes require authentication and support.tickets permission
+router.use(authRequired);
+router.use(requirePerm('support.tickets'));
+
+const notFound = (res) => res.status(404).json({
+  ok: false,
+  error: { message: 'Incident not found' }
+});
+
+const resolvedConflict = (res, incident) => res.status(409).json({
+  ok: false,
+  error: { message: `Incident #${incident.incident_id} is already resolved`, code: 'INCIDENT_RESOLVED' }
+});
+
+// Attach linked and open ticket counts
+async function withCounts(incidents) {
+  const counts = await countIncidentTickets(incidents.map(incident => incident.incident_id));
+  return incidents.map(incident => ({
+    ...incident,
+    ...(counts.get(incident.incident_id) || { tickets: 0, open_tickets: 0 })
+  }));
+}
+
+/**
+ * GET /api/incidents?status=active
+ * Incidents, newest first; status is one of the incident statuses or "active" (not resolved)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { page, limit } = paginationSchema.parse({
+      page: String(req.query.page || 1),
+      limit: String(req.query.limit || 20)
+    });
+
+    const filters = {};
+    if (req.query.status === 'active') Object.assign(filters, ACTIVE_INCIDENT);
+    else if (INCIDENT_STATUSES.includes(req.query.status)) filters.status = req.query.status;
+
+    const [incidents, total] = await Promise.all([
+      Incident.find(filters)
+        .sort({ started_at: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Incident.countDocuments(filters)
+    ]);
+
+    res.json({
+      ok: true,
+      data: await withCounts(incidents),
+      meta: { total, page, limit }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/incidents
+ * Declare an incident
+ *
+ * curl -X POST http://localhost:8000/api/incidents \
+ *  -H 'Content-Type: application/json' -H 'Cookie: sid=YOUR_JWT_TOKEN' \
+ *  -d '{"title":"IPTV down in Hodan","affected_categories":["IPTV"],"affected_regions":["Hodan"]}'
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const validatedData = incidentCreate.parse(req.body);
+
+    const incident = await Incident.create({ ...validatedData, created_by: await getActor(req) });
+
+    res.status(201).json({
+      ok: true,
+      data: { ...incident.toObject(), tickets: 0, open_tickets: 0 }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/incidents/:id
+ * Incident with ticket counts
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const incident = await Incident.findOne({ incident_id: Number(req.params.id) }).lean();
+    if (!incident) return notFound(res);
+
+    const [data] = await withCounts([incident]);
+    res.json({ ok: true, data });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/incidents/:id
+ * Update details or move between the active statuses
+ */
+router.patch('/:id', async (req, res, next) => {
+  try {
+    const validatedData = incidentUpdate.parse(req.body);
+
+    const incident = await Incident.findOne({ incident_id: Number(req.params.id) });
+    if (!incident) return notFound(res);
+    if (incident.status === 'resolved') return resolvedConflict(res, incident);
+
+    incident.set(validatedData);
+    if (incident.affected_categories.length + incident.affected_regions.length === 0) {
+      return res.status(400).json({
+        ok: false,
+        error: {
+          message: 'Validation failed',
+          errors: [{ field: 'affected_categories', code: 'required', detail: 'Add at least one affected category or region.' }]
+        }
+      });
+    }
+    await incident.save();
+
+    const [data] = await withCounts([incident.toObject()]);
+    res.json({ ok: true, data });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/incidents/:id/tickets?page=1&limit=50
+ * Linked tickets, oldest first
+ */
+router.get('/:id/tickets', async (req, res, next) => {
+  try {
+    const { page, limit } = paginationSchema.parse({
+      page: String(req.query.page || 1),
+      limit: String(req.query.limit || 50)
+    });
+
+    const incidentId = Number(req.params.id);
+    if (!(await Incident.exists({ incident_id: incidentId }))) return notFound(res);
+
+    const filters = { ...NOT_MERGED, incident_id: incidentId };
+    const [tickets, total] = await Promise.all([
+      Ticket.find(filters)
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Ticket.countDocuments(filters)
+    ]);
+
+    const agents = await Employee.find({ employee_id: { $in: [...new Set(tickets.map(t => t.agent_id).filter(Boolean))] } })
+      .select('employee_id name').lean();
+    const agentMap = new Map(agents.map(agent => [agent.employee_id, agent]));
+
+    res.json({
+      ok: true,
+      data: tickets.map(ticket => ({ ...ticket, agent_info: agentMap.get(ticket.agent_id) || null })),
+      meta: { total, page, limit }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/incidents/:id/suggestions?window_minutes=60
+ * Unlinked tickets in the incident's categories and regions, opened from
+ * window_minutes before its start until its end
+ */
+router.get('/:id/suggestions', async (req, res, next) => {
+  try {
+    const incident = await Incident.findOne({ incident_id: Number(req.params.id) }).lean();
+    if (!incident) return notFound(res);
+
+    const leadMinutes = Math.min(24 * 60, Math.max(0, Number(req.query.window_minutes ?? SUGGESTION_LEAD_MINUTES) || 0));
+    const tickets = await suggestIncidentTickets(incident, { leadMinutes });
+
+    res.json({
+      ok: true,
+      data: tickets,
+      meta: { total: tickets.length, window_minutes: leadMinutes }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/incidents/:id/tickets
+ * Link tickets. Body: { ticket_ids: [101, 102] }; data has a result per ticket
+ */
+router.post('/:id/tickets', async (req, res, next) => {
+  try {
+    const { ticket_ids } = incidentTickets.parse(req.body);
+
+    const incident = await Incident.findOne({ incident_id: Number(req.params.id) }).lean();
+    if (!incident) return notFound(res);
+    if (incident.status === 'resolved') return resolvedConflict(res, incident);
+
+    const results = await setTicketsIncident(ticket_ids, incident, await getActor(req));
+
+    res.json({
+      ok: true,
+      data: results,
+      meta: {
+        linked: results.filter(result => result.changed).length,
+        failed: results.filter(result => !result.ok).length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/incidents/:id/tickets/:ticketId
+ * Unlink a ticket
+ */
+router.delete('/:id/tickets/:ticketId', async (req, res, next) => {
+  try {
+    const incidentId = Number(req.params.id);
+    const ticketId = Number(req.params.ticketId);
+
+    if (!(await Incident.exists({ incident_id: incidentId }))) return notFound(res);
+    if (!(await Ticket.exists({ ticket_id: ticketId, incident_id: incidentId }))) {
+      return res.status(404).json({
+        ok: false,
+        error: { message: 'Ticket is not linked to this incident' }
+      });
+    }
+
+    await setTicketsIncident([ticketId], null, await getActor(req));
+
+    res.json({ ok: true, data: { ticket_id: ticketId, incident_id: null } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/incidents/:id/resolve
+ * Resolve the incident, complete its open tickets and queue their follow-up calls.
+ * When some tickets fail the incident stays open and the call can be repeated.
+ */
+router.post('/:id/resolve', async (req, res, next) => {
+  try {
+    const { resolution_notes, ended_at } = incidentResolve.parse(req.body || {});
+
+    const incident = await Incident.findOne({ incident_id: Number(req.params.id) });
+    if (!incident) return notFound(res);
+    if (incident.status === 'resolved') return resolvedConflict(res, incident);
+
+    const result = await resolveIncident(incident, {
+      actor: await getActor(req),
+      notes: resolution_notes,
+      endedAt: ended_at
+    });
+
+    const [data] = await withCounts([result.incident.toObject()]);
+    res.json({
+      ok: true,
+      data,
+      meta: {
+        resolved_tickets: result.resolved_tickets,
+        follow_ups_created: result.follow_ups_created,
+        failed: result.failed
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -6,6 +6,7 @@ import { Employee } from "../models/employees.js";
 import { User } from "../models/users.js";
 import { Notification } from "../models/notifications.js";
 import { authRequired, requirePerm } from "../middleware/auth.js";
+import { getWorkflow, statesIn, workflowStates, checkStatusChange } from "../utils/workflows.js";
 
 const router = express.Router();
 
@@ -164,10 +165,23 @@ router.post("/", authRequired, requirePerm('content.production'), async (req, re
       }
     }
 
+    // New productions start in the workflow's initial state, or in a state one
+    // permitted transition away from it
+    const workflow = await getWorkflow("production");
+    const initialStatus = production_status || workflow.initial_state;
+    if (initialStatus !== workflow.initial_state) {
+      const result = await checkStatusChange("production", req, {
+        from: workflow.initial_state,
+        to: initialStatus,
+        values: req.body
+      });
+      if (result) return res.status(result.status).json(result.error);
+    }
+
     const production = await Production.create({
       content_id,
       editor_id: editor_id || null,
-      production_status: production_status || "Editing",
+      production_status: initialStatus,
       completion_date: completion_date ? new Date(completion_date) : null,
       sent_to_social_team: sent_to_social_team || false,
       notes
@@ -230,6 +244,16 @@ router.put("/:id", authRequired, requirePerm('content.production'), async (req,
       }
     }
 
+    // Status changes must follow the production workflow
+    if (production_status !== undefined && production_status !== production.production_status) {
+      const result = await checkStatusChange("production", req, {
+        from: production.production_status,
+        to: production_status,
+        values: { ...production.toObject(), ...req.body }
+      });
+      if (result) return res.status(result.status).json(result.error);
+    }
+
     const updates = {};
     if (content_id !== undefined) updates.content_id = content_id;
     if (editor_id !== undefined) updates.editor_id = editor_id;
@@ -367,12 +391,19 @@ router.put("/:id/complete", authRequired, requirePerm('content.production'), asy
       return res.status(404).json({ message: "Production not found" });
     }
 
+    // The workflow's first done state
+    const [completed] = statesIn(await getWorkflow("production"), "done");
+    const updates = { production_status: completed, completion_date: new Date() };
+    const result = await checkStatusChange("production", req, {
+      from: production.production_status,
+      to: completed,
+      values: { ...production.toObject(), ...updates }
+    });
+    if (result) return res.status(result.status).json(result.error);
+
     const updatedProduction = await Production.findOneAndUpdate(
       { production_id: productionId },
-      { 
-        production_status: 'Completed',
-        completion_date: new Date()
-      },
+      updates,
       { new: true }
     );
 
@@ -405,7 +436,7 @@ router.put("/:id/send-to-social", authRequired, requirePerm('content.production'
       return res.status(404).json({ message: "Production not found" });
     }
 
-    if (production.production_status !== 'Completed') {
+    if (!(await workflowStates("production", "done")).includes(production.production_status)) {
       return res.status(400).json({ message: "Production must be completed before sending to social team" });
     }
 
@@ -438,6 +469,7 @@ router.get("/stats/overview", authRequired, requirePerm('content.production'), a
       if (date_to) matchFilter.createdAt.$lte = new Date(date_to);
     }
 
+    const doneStates = await workflowStates("production", "done");
     const stats = await Production.aggregate([
       { $match: matchFilter },
       {
@@ -446,7 +478,7 @@ router.get("/stats/overview", authRequired, requirePerm('content.production'), a
           total: { $sum: 1 },
           editing: { $sum: { $cond: [{ $eq: ["$production_status", "Editing"] }, 1, 0] } },
           review: { $sum: { $cond: [{ $eq: ["$production_status", "Review"] }, 1, 0] } },
-          completed: { $sum: { $cond: [{ $eq: ["$production_status", "Completed"] }, 1, 0] } },
+          completed: { $sum: { $cond: [{ $in: ["$production_status", doneStates] }, 1, 0] } },
           sent_to_social: { $sum: { $cond: ["$sent_to_social_team", 1, 0] } },
           with_completion_date: { $sum: { $cond: [{ $ne: ["$completion_date", null] }, 1, 0] } }
         }
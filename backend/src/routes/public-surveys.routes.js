@@ -0,0 +1,85 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { surveyAnswers } from '../validation/schemas.js';
+import { findSurveyByToken, completeSurvey } from '../utils/surveys.js';
+
+const router = express.Router();
+
+// No login here; the signed token in the URL is the credential
+const surveyLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30,
+  message: {
+    ok: false,
+    error: { message: 'Too many requests, please try again later' }
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+router.use(surveyLimiter);
+
+const invalidLink = (res) => res.status(404).json({
+  ok: false,
+  error: { message: 'This survey link is invalid or has expired', code: 'SURVEY_LINK_INVALID' }
+});
+
+/**
+ * GET /api/public/surveys/:token
+ * Questions for the customer. Only the ticket number is exposed.
+ */
+router.get('/:token', async (req, res, next) => {
+  try {
+    const survey = await findSurveyByToken(req.params.token);
+    if (!survey) return invalidLink(res);
+
+    res.json({
+      ok: true,
+      data: {
+        ticket_id: survey.ticket_id,
+        questions: survey.questions,
+        completed: survey.status === 'completed'
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/public/surveys/:token
+ * Submit answers once. Body: { answers: { csat: 4, nps: 8, comment: "..." } }
+ */
+router.post('/:token', async (req, res, next) => {
+  try {
+    const { answers } = surveyAnswers.parse(req.body);
+
+    const survey = await findSurveyByToken(req.params.token);
+    if (!survey) return invalidLink(res);
+
+    const alreadyAnswered = () => res.status(409).json({
+      ok: false,
+      error: { message: 'This survey has already been answered', code: 'SURVEY_ALREADY_ANSWERED' }
+    });
+    if (survey.status === 'completed') return alreadyAnswered();
+
+    // Completes the survey only if it is still pending; a concurrent submission gets the 409
+    const { errors, already_answered: answered } = await completeSurvey(survey, answers);
+    if (answered) return alreadyAnswered();
+    if (errors.length > 0) {
+      return res.status(400).json({
+        ok: false,
+        error: { message: 'Validation failed', errors }
+      });
+    }
+
+    res.json({
+      ok: true,
+      data: { completed: true }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,66 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { findDisplayToken } from '../utils/displayTokens.js';
+import { buildWallboard, streamWallboard } from '../utils/wallboard.js';
+
+const router = express.Router();
+
+// No login here; a display token with the wallboard scope is the credential
+const wallboardLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30,
+  message: {
+    ok: false,
+    error: { message: 'Too many requests, please try again later' }
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+router.use(wallboardLimiter);
+
+async function requireDisplayToken(req, res) {
+  const token = await findDisplayToken(req.params.token, 'wallboard');
+  if (!token) {
+    res.status(404).json({
+      ok: false,
+      error: { message: 'This display link is invalid, revoked or expired', code: 'DISPLAY_TOKEN_INVALID' }
+    });
+  }
+  return token;
+}
+
+/**
+ * GET /api/public/wallboard/:token
+ * Current wallboard for a kiosk screen
+ */
+router.get('/:token', async (req, res, next) => {
+  try {
+    if (!(await requireDisplayToken(req, res))) return;
+
+    res.json({
+      ok: true,
+      data: await buildWallboard()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/public/wallboard/:token/stream
+ * Server-sent wallboard.snapshot and wallboard.patch events for a kiosk screen.
+ * The stream is closed when its token is revoked.
+ */
+router.get('/:token/stream', async (req, res, next) => {
+  try {
+    const token = await requireDisplayToken(req, res);
+    if (!token) return;
+
+    await streamWallboard(req, res, { displayTokenId: token.display_token_id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
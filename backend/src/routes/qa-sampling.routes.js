@@ -0,0 +1,117 @@
+import express from 'express';
+import { Employee } from '../models/employees.js';
+import { QaSampleRun } from '../models/qa_sample_runs.js';
+import { qaSamplingUpdate, qaSamplingRun } from '../validation/schemas.js';
+import { authRequired, requirePerm } from '../middleware/auth.js';
+import { getActor } from '../utils/actor.js';
+import { getSamplingSettings, runQaSampling, previousDay } from '../utils/qaSampling.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authRequired);
+
+/**
+ * GET /api/settings/qa-sampling
+ * Sampling settings with reviewer names
+ */
+router.get('/', requirePerm('support.reviews'), async (req, res, next) => {
+  try {
+    const settings = (await getSamplingSettings()).toObject();
+    const reviewers = await Employee.find({ employee_id: { $in: settings.reviewer_ids } })
+      .select('employee_id name').lean();
+
+    res.json({
+      ok: true,
+      data: { ...settings, reviewers }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/settings/qa-sampling
+ * Update settings
+ *
+ * curl -X PUT http://localhost:8000/api/settings/qa-sampling \
+ *  -H 'Content-Type: application/json' -H 'Cookie: sid=YOUR_JWT_TOKEN' \
+ *  -d '{"enabled":true,"percentage":5,"min_per_agent":1,"reviewer_ids":[12,15]}'
+ */
+router.put('/', requirePerm('settings.system'), async (req, res, next) => {
+  try {
+    const validatedData = qaSamplingUpdate.parse(req.body);
+
+    if (validatedData.reviewer_ids) {
+      const found = await Employee.countDocuments({ employee_id: { $in: validatedData.reviewer_ids } });
+      if (found !== new Set(validatedData.reviewer_ids).size) {
+        return res.status(400).json({
+          ok: false,
+          error: {
+            message: 'Validation failed',
+            errors: [{ field: 'reviewer_ids', code: 'invalid_value', detail: 'Unknown employee in reviewers.' }]
+          }
+        });
+      }
+      validatedData.reviewer_ids = [...new Set(validatedData.reviewer_ids)];
+    }
+
+    const settings = await getSamplingSettings();
+    settings.set({ ...validatedData, updated_by: await getActor(req) });
+    await settings.save();
+
+    res.json({
+      ok: true,
+      data: settings
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/settings/qa-sampling/run
+ * Sample a day now (default yesterday). Body: { date: "2024-05-01", dry_run: true }.
+ * Each day is sampled once; a repeat returns the earlier run with meta.already_run.
+ */
+router.post('/run', requirePerm('support.reviews'), async (req, res, next) => {
+  try {
+    const { date = previousDay(), dry_run = false } = qaSamplingRun.parse(req.body || {});
+
+    const result = await runQaSampling({ day: date, dryRun: dry_run, actor: await getActor(req) });
+    if (result.error) {
+      return res.status(400).json({
+        ok: false,
+        error: { message: result.error, code: 'QA_SAMPLING_NOT_CONFIGURED' }
+      });
+    }
+
+    res.status(dry_run || result.already_run ? 200 : 201).json({
+      ok: true,
+      data: { run: result.run, assignments: result.assignments },
+      meta: { dry_run, already_run: result.already_run }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/settings/qa-sampling/runs?limit=30
+ * Recent sampling runs, newest first
+ */
+router.get('/runs', requirePerm('support.reviews'), async (req, res, next) => {
+  try {
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 30));
+    const runs = await QaSampleRun.find().sort({ run_date: -1 }).limit(limit).lean();
+
+    res.json({
+      ok: true,
+      data: runs
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
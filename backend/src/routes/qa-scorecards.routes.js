@@ -0,0 +1,167 @@
+import express from 'express';
+import { QaScorecard } from '../models/qa_scorecards.js';
+import { Review } from '../models/reviews.js';
+import { qaScorecardCreate, qaScorecardUpdate } from '../validation/schemas.js';
+import { authRequired, requirePerm } from '../middleware/auth.js';
+import { getActor } from '../utils/actor.js';
+import { validateCriteria, findScorecard, saveScorecardVersion } from '../utils/qaScorecards.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authRequired);
+
+const notFound = (res) => res.status(404).json({
+  ok: false,
+  error: { message: 'Scorecard not found' }
+});
+
+/**
+ * GET /api/settings/qa-scorecards?include_inactive=true
+ * Current version of each scorecard
+ */
+router.get('/', requirePerm('support.reviews'), async (req, res, next) => {
+  try {
+    const filters = { is_current: true };
+    if (req.query.include_inactive !== 'true') filters.is_active = true;
+
+    const scorecards = await QaScorecard.find(filters).sort({ name: 1 }).lean();
+
+    res.json({
+      ok: true,
+      data: scorecards,
+      meta: { total: scorecards.length }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/settings/qa-scorecards/:id?version=2
+ * Current version, or the given one (for showing old reviews)
+ */
+router.get('/:id', requirePerm('support.reviews'), async (req, res, next) => {
+  try {
+    const version = req.query.version ? Number(req.query.version) : undefined;
+    const scorecard = await findScorecard(Number(req.params.id), version);
+    if (!scorecard) return notFound(res);
+
+    res.json({
+      ok: true,
+      data: scorecard
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/settings/qa-scorecards/:id/versions
+ * All versions, newest first, with the number of reviews scored on each
+ */
+router.get('/:id/versions', requirePerm('support.reviews'), async (req, res, next) => {
+  try {
+    const scorecardId = Number(req.params.id);
+    const [versions, usage] = await Promise.all([
+      QaScorecard.find({ scorecard_id: scorecardId }).sort({ version: -1 }).lean(),
+      Review.aggregate([
+        { $match: { 'scorecard.scorecard_id': scorecardId } },
+        { $group: { _id: '$scorecard.version', reviews: { $sum: 1 } } }
+      ])
+    ]);
+    if (versions.length === 0) return notFound(res);
+
+    const usageMap = new Map(usage.map(row => [row._id, row.reviews]));
+
+    res.json({
+      ok: true,
+      data: versions.map(version => ({ ...version, reviews: usageMap.get(version.version) || 0 }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/settings/qa-scorecards
+ * Create scorecard
+ *
+ * curl -X POST http://localhost:8000/api/settings/qa-scorecards \
+ *  -H 'Content-Type: application/json' -H 'Cookie: sid=YOUR_JWT_TOKEN' \
+ *  -d '{"name":"Phone support","pass_score":80,"criteria":[{"key":"greeting","label":"Greeting","weight":1},{"key":"diagnosis","label":"Diagnosis","weight":3},{"key":"accuracy","label":"Accuracy","weight":3},{"key":"closing","label":"Closing","weight":1},{"key":"verified_identity","label":"Verified customer identity","type":"auto_fail"}]}'
+ */
+router.post('/', requirePerm('settings.system'), async (req, res, next) => {
+  try {
+    const validatedData = qaScorecardCreate.parse(req.body);
+
+    const errors = validateCriteria(validatedData.criteria);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        ok: false,
+        error: { message: 'Validation failed', errors }
+      });
+    }
+
+    const scorecard = await saveScorecardVersion(validatedData, null, await getActor(req));
+
+    res.status(201).json({
+      ok: true,
+      data: scorecard
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/settings/qa-scorecards/:id
+ * Save changes as a new version; reviews keep the version they were scored with
+ */
+router.put('/:id', requirePerm('settings.system'), async (req, res, next) => {
+  try {
+    const validatedData = qaScorecardUpdate.parse(req.body);
+
+    const current = await findScorecard(Number(req.params.id));
+    if (!current) return notFound(res);
+
+    if (validatedData.criteria) {
+      const errors = validateCriteria(validatedData.criteria);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          ok: false,
+          error: { message: 'Validation failed', errors }
+        });
+      }
+    }
+
+    const scorecard = await saveScorecardVersion(validatedData, current, await getActor(req));
+
+    res.json({
+      ok: true,
+      data: scorecard
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/settings/qa-scorecards/:id
+ * Retire the scorecard; its versions stay for the reviews that used them
+ */
+router.delete('/:id', requirePerm('settings.system'), async (req, res, next) => {
+  try {
+    const result = await QaScorecard.updateMany({ scorecard_id: Number(req.params.id) }, { is_active: false });
+    if (result.matchedCount === 0) return notFound(res);
+
+    res.json({
+      ok: true,
+      data: { retired: true }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -2,12 +2,59 @@ import express from "express";
 import { Review } from "../models/reviews.js";
 import { Ticket } from "../models/tickets.js";
 import { Employee } from "../models/employees.js";
-import { User } from "../models/users.js";
 import { getNextId } from "../utils/counters.js";
+import { stuckTicketsFilter, syncTicketSla } from "../utils/sla.js";
+import { updateTicketWithHistory } from "../utils/ticketHistory.js";
+import { getActor } from "../utils/actor.js";
 import { authRequired, requirePerm } from "../middleware/auth.js";
+import { qaReviewScores } from "../validation/schemas.js";
+import { findScorecard, scoreReview } from "../utils/qaScorecards.js";
+import { completedBetween } from "../utils/qaSampling.js";
 
 const router = express.Router();
 
+// Date formats for the QA trend periods
+const TREND_INTERVAL_FORMATS = {
+  day: "%Y-%m-%d",
+  week: "%G-W%V",
+  month: "%Y-%m"
+};
+
+// Score a review body against a scorecard version; returns the review fields or a 400 response body
+async function scorecardFields(body, version) {
+  const { scorecard_id, scores } = qaReviewScores.parse(body);
+
+  const scorecard = await findScorecard(scorecard_id, version);
+  if (!scorecard || (!version && !scorecard.is_active)) {
+    return {
+      error: {
+        message: "Validation failed",
+        errors: [{ field: "scorecard_id", code: "invalid_value", detail: "Scorecard not found." }]
+      }
+    };
+  }
+
+  const result = scoreReview(scorecard, scores);
+  if (result.errors.length > 0) {
+    return { error: { message: "Validation failed", errors: result.errors } };
+  }
+
+  return {
+    fields: {
+      scorecard: {
+        scorecard_id: scorecard.scorecard_id,
+        version: scorecard.version,
+        name: scorecard.name,
+        pass_score: scorecard.pass_score
+      },
+      scores: result.scores,
+      total_score: result.total_score,
+      auto_failed: result.auto_failed,
+      qa_passed: result.qa_passed
+    }
+  };
+}
+
 // Get reviews with filtering
 router.get("/", authRequired, requirePerm('support.reviews'), async (req, res, next) => {
   try {
@@ -15,15 +62,26 @@ router.get("/", authRequired, requirePerm('support.reviews'), async (req, res, n
       page = 1,
       pageSize = 20,
       reviewer_id,
+      agent_id,
       date,
       ticket_id,
-      resolved
+      resolved,
+      qa_passed,
+      status,
+      source,
+      mine
     } = req.query;
 
     // Build filters
     const filters = {};
     
+    if (status) filters.status = status;
+    if (source) filters.source = source;
+    // Assignments waiting for the logged-in reviewer
+    if (mine === 'true') filters.reviewer_id = (await getActor(req)).employee_id ?? -1;
     if (reviewer_id) filters.reviewer_id = Number(reviewer_id);
+    if (agent_id) filters.agent_id = Number(agent_id);
+    if (qa_passed !== undefined) filters.qa_passed = qa_passed === 'true';
     if (ticket_id) filters.ticket_id = Number(ticket_id);
     if (resolved !== undefined) filters.resolved = resolved === 'true';
     
@@ -51,7 +109,7 @@ router.get("/", authRequired, requirePerm('support.reviews'), async (req, res, n
     ]);
 
     // Get reviewer and ticket details
-    const reviewerIds = [...new Set(reviews.map(r => r.reviewer_id).filter(Boolean))];
+    const reviewerIds = [...new Set(reviews.flatMap(r => [r.reviewer_id, r.agent_id]).filter(Boolean))];
     const ticketIds = [...new Set(reviews.map(r => r.ticket_id).filter(Boolean))];
     
     const [reviewers, tickets] = await Promise.all([
@@ -68,6 +126,7 @@ router.get("/", authRequired, requirePerm('support.reviews'), async (req, res, n
     const enrichedReviews = reviews.map(review => ({
       ...review,
       reviewer_info: reviewerMap.get(review.reviewer_id) || null,
+      agent_info: reviewerMap.get(review.agent_id) || null,
       ticket_info: ticketMap.get(review.ticket_id) || null
     }));
 
@@ -85,6 +144,133 @@ router.get("/", authRequired, requirePerm('support.reviews'), async (req, res, n
   }
 });
 
+// QA score trend per agent and period, from scorecard reviews
+router.get("/qa/trends", authRequired, requirePerm('support.reviews'), async (req, res, next) => {
+  try {
+    const { agent_id, scorecard_id, date_from, date_to, interval = "week" } = req.query;
+    const format = TREND_INTERVAL_FORMATS[interval] || TREND_INTERVAL_FORMATS.week;
+
+    const match = { total_score: { $ne: null }, agent_id: { $ne: null } };
+    if (agent_id) match.agent_id = Number(agent_id);
+    if (scorecard_id) match["scorecard.scorecard_id"] = Number(scorecard_id);
+    if (date_from || date_to) {
+      match.review_date = {};
+      if (date_from) match.review_date.$gte = new Date(date_from);
+      if (date_to) match.review_date.$lte = new Date(date_to);
+    }
+
+    const rows = await Review.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { agent_id: "$agent_id", period: { $dateToString: { format, date: "$review_date" } } },
+          reviews: { $sum: 1 },
+          avg_score: { $avg: "$total_score" },
+          passed: { $sum: { $cond: ["$qa_passed", 1, 0] } },
+          auto_failed: { $sum: { $cond: ["$auto_failed", 1, 0] } }
+        }
+      },
+      { $sort: { "_id.period": 1 } }
+    ]);
+
+    const agents = await Employee.find({ employee_id: { $in: [...new Set(rows.map(row => row._id.agent_id))] } })
+      .select('employee_id name').lean();
+    const agentMap = new Map(agents.map(a => [a.employee_id, a]));
+
+    // One series per agent, periods in order
+    const series = new Map();
+    for (const row of rows) {
+      const agentId = row._id.agent_id;
+      if (!series.has(agentId)) {
+        series.set(agentId, { agent_id: agentId, agent_info: agentMap.get(agentId) || null, reviews: 0, points: [] });
+      }
+      const entry = series.get(agentId);
+      entry.reviews += row.reviews;
+      entry.points.push({
+        period: row._id.period,
+        reviews: row.reviews,
+        avg_score: Math.round(row.avg_score * 10) / 10,
+        pass_rate: Math.round((row.passed / row.reviews) * 1000) / 10,
+        auto_failed: row.auto_failed
+      });
+    }
+
+    res.json({
+      ok: true,
+      data: [...series.values()].sort((a, b) => b.reviews - a.reviews),
+      meta: { interval: TREND_INTERVAL_FORMATS[interval] ? interval : "week" }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Share of each agent's completed tickets that got a QA review
+router.get("/qa/coverage", authRequired, requirePerm('support.reviews'), async (req, res, next) => {
+  try {
+    const now = new Date();
+    const from = req.query.date_from ? new Date(req.query.date_from) : new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+    const to = req.query.date_to ? new Date(req.query.date_to) : now;
+
+    const tickets = await Ticket.find({ ...completedBetween(from, to), agent_id: { $ne: null } })
+      .select('ticket_id agent_id')
+      .lean();
+
+    const reviews = await Review.find({ ticket_id: { $in: tickets.map(t => t.ticket_id) } })
+      .select('ticket_id status source')
+      .lean();
+    // A ticket counts once, by its most advanced review
+    const reviewState = new Map();
+    for (const review of reviews) {
+      if (reviewState.get(review.ticket_id) !== 'completed') reviewState.set(review.ticket_id, review.status);
+    }
+
+    const agents = new Map();
+    for (const ticket of tickets) {
+      if (!agents.has(ticket.agent_id)) {
+        agents.set(ticket.agent_id, { agent_id: ticket.agent_id, completed_tickets: 0, reviewed: 0, pending: 0 });
+      }
+      const row = agents.get(ticket.agent_id);
+      row.completed_tickets += 1;
+      if (reviewState.get(ticket.ticket_id) === 'completed') row.reviewed += 1;
+      else if (reviewState.get(ticket.ticket_id) === 'pending') row.pending += 1;
+    }
+
+    const employees = await Employee.find({ employee_id: { $in: [...agents.keys()] } })
+      .select('employee_id name').lean();
+    const employeeMap = new Map(employees.map(e => [e.employee_id, e]));
+
+    const coverage = (reviewed, total) => (total > 0 ? Math.round((reviewed / total) * 1000) / 10 : 0);
+    const rows = [...agents.values()]
+      .map(row => ({
+        ...row,
+        agent_info: employeeMap.get(row.agent_id) || null,
+        coverage: coverage(row.reviewed, row.completed_tickets),
+        coverage_with_pending: coverage(row.reviewed + row.pending, row.completed_tickets)
+      }))
+      .sort((a, b) => a.coverage - b.coverage);
+
+    const totals = rows.reduce((sum, row) => ({
+      completed_tickets: sum.completed_tickets + row.completed_tickets,
+      reviewed: sum.reviewed + row.reviewed,
+      pending: sum.pending + row.pending
+    }), { completed_tickets: 0, reviewed: 0, pending: 0 });
+
+    res.json({
+      ok: true,
+      data: rows,
+      meta: {
+        date_from: from,
+        date_to: to,
+        ...totals,
+        coverage: coverage(totals.reviewed, totals.completed_tickets)
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // Get single review
 router.get("/:review_id", authRequired, requirePerm('support.reviews'), async (req, res, next) => {
   try {
@@ -145,25 +331,36 @@ router.post("/", authRequired, requirePerm('support.reviews'), async (req, res,
     }
 
     // Get current user's employee_id
-    const user = await User.findOne({ user_id: req.user.user_id });
-    if (!user || !user.employee_id) {
+    const actor = await getActor(req);
+    if (!actor.employee_id) {
       return res.status(400).json({ 
         ok: false, 
         error: { message: "User not associated with employee" } 
       });
     }
 
+    // Optional scorecard: { scorecard_id, scores: [{ key, score | passed, comment }] }
+    let scored = { fields: {} };
+    if (req.body.scorecard_id !== undefined && req.body.scorecard_id !== null) {
+      scored = await scorecardFields(req.body);
+      if (scored.error) {
+        return res.status(400).json({ ok: false, error: scored.error });
+      }
+    }
+
     // Get next review ID
     const review_id = await getNextId('review');
 
     const review = await Review.create({
       review_id,
       ticket_id: Number(ticket_id),
-      reviewer_id: user.employee_id,
+      reviewer_id: actor.employee_id,
+      agent_id: ticket.agent_id ?? null,
       review_date: new Date(),
       issue_status,
       resolved: Boolean(resolved),
-      notes
+      notes,
+      ...scored.fields
     });
 
     res.status(201).json({
@@ -198,6 +395,38 @@ router.patch("/:review_id", authRequired, requirePerm('support.reviews'), async
     if (resolved !== undefined) updates.resolved = Boolean(resolved);
     if (notes !== undefined) updates.notes = notes;
 
+    // Filling in a sampled assignment completes it; only the assigned reviewer can
+    if (review.status === 'pending') {
+      const actor = await getActor(req);
+      if (review.reviewer_id !== actor.employee_id) {
+        return res.status(403).json({
+          ok: false,
+          error: { message: "This review is assigned to another reviewer", code: 'NOT_ASSIGNED_REVIEWER' }
+        });
+      }
+      if (!(issue_status || review.issue_status) || (resolved ?? review.resolved) == null) {
+        return res.status(400).json({
+          ok: false,
+          error: { message: "Issue status and resolved status are required to complete the review" }
+        });
+      }
+      updates.status = 'completed';
+      updates.review_date = new Date();
+    }
+
+    // Re-scoring stays on the scorecard version the review was created with
+    if (req.body.scores !== undefined) {
+      const scorecardId = review.scorecard?.scorecard_id ?? req.body.scorecard_id;
+      const scored = await scorecardFields(
+        { ...req.body, scorecard_id: scorecardId },
+        review.scorecard?.scorecard_id ? review.scorecard.version : undefined
+      );
+      if (scored.error) {
+        return res.status(400).json({ ok: false, error: scored.error });
+      }
+      Object.assign(updates, scored.fields);
+    }
+
     const updatedReview = await Review.findOneAndUpdate(
       { review_id: reviewId },
       updates,
@@ -213,16 +442,11 @@ router.patch("/:review_id", authRequired, requirePerm('support.reviews'), async
   }
 });
 
-// Get stuck tickets for QA review
+// Get stuck tickets for QA review (open tickets past their SLA targets)
 router.get("/stuck/tickets", authRequired, requirePerm('support.reviews'), async (req, res, next) => {
   try {
-    const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
-    
-    const stuckTickets = await Ticket.find({
-      resolution_status: { $in: ['Pending', 'In-Progress', 'Completed'] },
-      updatedAt: { $lte: oneHourAgo }
-    })
-    .sort({ updatedAt: 1 })
+    const stuckTickets = await Ticket.find(stuckTicketsFilter())
+    .sort({ 'sla.next_due_at': 1 })
     .lean();
 
     // Get agent details
@@ -231,9 +455,9 @@ router.get("/stuck/tickets", authRequired, requirePerm('support.reviews'), async
       .select('employee_id name').lean();
     const agentMap = new Map(agents.map(a => [a.employee_id, a]));
 
-    // Check which tickets already have reviews
+    // Check which tickets already have reviews; sampled assignments still pending don't count
     const ticketIds = stuckTickets.map(t => t.ticket_id);
-    const existingReviews = await Review.find({ ticket_id: { $in: ticketIds } })
+    const existingReviews = await Review.find({ ticket_id: { $in: ticketIds }, status: { $ne: 'pending' } })
       .select('ticket_id').lean();
     const reviewedTicketIds = new Set(existingReviews.map(r => r.ticket_id));
 
@@ -281,10 +505,12 @@ router.patch("/:review_id/resolve", authRequired, requirePerm('support.reviews')
 
     // If QA marks as resolved, we might want to update the ticket status
     if (resolved === true) {
-      await Ticket.findOneAndUpdate(
-        { ticket_id: review.ticket_id },
-        { resolution_status: 'Completed' }
+      await updateTicketWithHistory(
+        review.ticket_id,
+        { resolution_status: 'Completed' },
+        { source: 'qa_review', actor: await getActor(req), ref: { review_id: reviewId } }
       );
+      await syncTicketSla(review.ticket_id);
     }
 
     res.json({
@@ -0,0 +1,209 @@
+import express from 'express';
+import { RoutingRule } from '../models/routing_rules.js';
+import { Section } from '../models/sections.js';
+import { Employee } from '../models/employees.js';
+import { routingRuleCreate, routingRuleUpdate } from '../validation/schemas.js';
+import { authRequired, requirePerm } from '../middleware/auth.js';
+import { routeTicket, SHIFT_HOURS } from '../utils/routing.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authRequired);
+
+/**
+ * Check that a rule points at an existing section or at least one existing employee
+ * @param {object} rule - Rule fields after the update is applied
+ * @returns {Promise<object|null>} Field error or null
+ */
+async function validateTarget(rule) {
+  if (rule.target_type === 'section') {
+    if (!rule.section_id || !(await Section.exists({ _id: rule.section_id }))) {
+      return { field: 'section_id', code: 'invalid_value', detail: 'An existing section is required for section targets.' };
+    }
+    return null;
+  }
+
+  const ids = rule.employee_ids || [];
+  if (ids.length === 0) {
+    return { field: 'employee_ids', code: 'required', detail: 'At least one employee is required for employee targets.' };
+  }
+  const found = await Employee.countDocuments({ employee_id: { $in: ids } });
+  if (found !== new Set(ids).size) {
+    return { field: 'employee_ids', code: 'invalid_value', detail: 'One or more employees do not exist.' };
+  }
+  return null;
+}
+
+/**
+ * GET /api/routing-rules
+ * List routing rules in evaluation order
+ */
+router.get('/', requirePerm('support.tickets'), async (req, res, next) => {
+  try {
+    const filters = {};
+    if (req.query.is_active !== undefined) filters.is_active = req.query.is_active === 'true';
+
+    const rules = await RoutingRule.find(filters)
+      .sort({ order: 1, routing_rule_id: 1 })
+      .populate('section_id', 'name')
+      .lean();
+
+    res.json({
+      ok: true,
+      data: rules,
+      meta: { total: rules.length, shift_hours: SHIFT_HOURS }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/routing-rules/preview?issue_category=IPTV&device_type=Samsung&communication_channel=Phone
+ * Show where a ticket with these fields would be routed right now, without assigning it
+ */
+router.get('/preview', requirePerm('support.tickets'), async (req, res, next) => {
+  try {
+    const { issue_category, issue_type, device_type, communication_channel } = req.query;
+    const routed = await routeTicket(
+      { issue_category, issue_type, device_type, communication_channel },
+      { dryRun: true }
+    );
+
+    res.json({
+      ok: true,
+      data: routed ? routed.routing : null
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/routing-rules/:id
+ * Get single routing rule
+ */
+router.get('/:id', requirePerm('support.tickets'), async (req, res, next) => {
+  try {
+    const rule = await RoutingRule.findOne({ routing_rule_id: Number(req.params.id) })
+      .populate('section_id', 'name')
+      .lean();
+
+    if (!rule) {
+      return res.status(404).json({
+        ok: false,
+        error: { message: 'Routing rule not found' }
+      });
+    }
+
+    res.json({
+      ok: true,
+      data: rule
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/routing-rules
+ * Create routing rule
+ *
+ * curl -X POST http://localhost:8000/api/routing-rules \
+ *  -H 'Content-Type: application/json' -H 'Cookie: sid=YOUR_JWT_TOKEN' \
+ *  -d '{"name":"IPTV to IPTV team","issue_category":"IPTV","target_type":"section","section_id":"SECTION_ID","strategy":"least_open"}'
+ */
+router.post('/', requirePerm('settings.system'), async (req, res, next) => {
+  try {
+    const validatedData = routingRuleCreate.parse(req.body);
+
+    const targetError = await validateTarget(validatedData);
+    if (targetError) {
+      return res.status(400).json({
+        ok: false,
+        error: { message: 'Validation failed', errors: [targetError] }
+      });
+    }
+
+    const rule = new RoutingRule(validatedData);
+    await rule.save();
+
+    res.status(201).json({
+      ok: true,
+      data: rule
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/routing-rules/:id
+ * Update routing rule. Changing the target resets the round-robin cursor.
+ */
+router.put('/:id', requirePerm('settings.system'), async (req, res, next) => {
+  try {
+    const validatedData = routingRuleUpdate.parse(req.body);
+
+    const existing = await RoutingRule.findOne({ routing_rule_id: Number(req.params.id) }).lean();
+    if (!existing) {
+      return res.status(404).json({
+        ok: false,
+        error: { message: 'Routing rule not found' }
+      });
+    }
+
+    const targetError = await validateTarget({ ...existing, ...validatedData });
+    if (targetError) {
+      return res.status(400).json({
+        ok: false,
+        error: { message: 'Validation failed', errors: [targetError] }
+      });
+    }
+
+    const updates = { ...validatedData };
+    if (['target_type', 'section_id', 'employee_ids'].some(field => field in validatedData)) {
+      updates.last_assigned_employee_id = null;
+    }
+
+    const rule = await RoutingRule.findOneAndUpdate(
+      { routing_rule_id: existing.routing_rule_id },
+      updates,
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      ok: true,
+      data: rule
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/routing-rules/:id
+ * Delete routing rule
+ */
+router.delete('/:id', requirePerm('settings.system'), async (req, res, next) => {
+  try {
+    const rule = await RoutingRule.findOneAndDelete({ routing_rule_id: Number(req.params.id) });
+
+    if (!rule) {
+      return res.status(404).json({
+        ok: false,
+        error: { message: 'Routing rule not found' }
+      });
+    }
+
+    res.json({
+      ok: true,
+      data: { message: 'Routing rule deleted successfully' }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
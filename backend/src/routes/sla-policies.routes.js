@@ -0,0 +1,155 @@
+import express from 'express';
+import { SlaPolicy } from '../models/sla_policies.js';
+import { slaPolicyCreate, slaPolicyUpdate } from '../validation/schemas.js';
+import { authRequired, requirePerm } from '../middleware/auth.js';
+import { DEFAULT_SLA_POLICY, findSlaPolicy } from '../utils/sla.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authRequired);
+
+/**
+ * GET /api/sla-policies
+ * List SLA policies
+ */
+router.get('/', requirePerm('support.tickets'), async (req, res, next) => {
+  try {
+    const filters = {};
+    if (req.query.is_active !== undefined) filters.is_active = req.query.is_active === 'true';
+
+    const policies = await SlaPolicy.find(filters)
+      .sort({ sla_policy_id: 1 })
+      .lean();
+
+    res.json({
+      ok: true,
+      data: policies,
+      meta: { total: policies.length, default_policy: DEFAULT_SLA_POLICY }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/sla-policies/match?issue_category=IPTV&communication_channel=Phone&priority=High
+ * Preview which policy a ticket with these fields would get
+ */
+router.get('/match', requirePerm('support.tickets'), async (req, res, next) => {
+  try {
+    const { issue_category, communication_channel, priority } = req.query;
+    const policy = await findSlaPolicy({ issue_category, communication_channel, priority });
+
+    res.json({
+      ok: true,
+      data: policy
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/sla-policies/:id
+ * Get single SLA policy
+ */
+router.get('/:id', requirePerm('support.tickets'), async (req, res, next) => {
+  try {
+    const policy = await SlaPolicy.findOne({ sla_policy_id: Number(req.params.id) }).lean();
+
+    if (!policy) {
+      return res.status(404).json({
+        ok: false,
+        error: { message: 'SLA policy not found' }
+      });
+    }
+
+    res.json({
+      ok: true,
+      data: policy
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/sla-policies
+ * Create SLA policy
+ *
+ * curl -X POST http://localhost:8000/api/sla-policies \
+ *  -H 'Content-Type: application/json' -H 'Cookie: sid=YOUR_JWT_TOKEN' \
+ *  -d '{"name":"IPTV urgent","issue_category":"IPTV","priority":"Urgent","first_response_minutes":15,"resolution_minutes":240}'
+ */
+router.post('/', requirePerm('settings.system'), async (req, res, next) => {
+  try {
+    const validatedData = slaPolicyCreate.parse(req.body);
+
+    const policy = new SlaPolicy(validatedData);
+    await policy.save();
+
+    res.status(201).json({
+      ok: true,
+      data: policy
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/sla-policies/:id
+ * Update SLA policy. Open tickets pick up the change on their next update.
+ */
+router.put('/:id', requirePerm('settings.system'), async (req, res, next) => {
+  try {
+    const validatedData = slaPolicyUpdate.parse(req.body);
+
+    const policy = await SlaPolicy.findOneAndUpdate(
+      { sla_policy_id: Number(req.params.id) },
+      validatedData,
+      { new: true, runValidators: true }
+    );
+
+    if (!policy) {
+      return res.status(404).json({
+        ok: false,
+        error: { message: 'SLA policy not found' }
+      });
+    }
+
+    res.json({
+      ok: true,
+      data: policy
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/sla-policies/:id
+ * Delete SLA policy
+ */
+router.delete('/:id', requirePerm('settings.system'), async (req, res, next) => {
+  try {
+    const policy = await SlaPolicy.findOneAndDelete({ sla_policy_id: Number(req.params.id) });
+
+    if (!policy) {
+      return res.status(404).json({
+        ok: false,
+        error: { message: 'SLA policy not found' }
+      });
+    }
+
+    res.json({
+      ok: true,
+      data: { message: 'SLA policy deleted successfully' }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
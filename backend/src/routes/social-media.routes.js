@@ -5,6 +5,7 @@ import { Production } from "../models/production.js";
 import { User } from "../models/users.js";
 import { Notification } from "../models/notifications.js";
 import { authRequired, requirePerm } from "../middleware/auth.js";
+import { getWorkflow, workflowStates, checkStatusChange } from "../utils/workflows.js";
 
 const router = express.Router();
 
@@ -144,18 +145,31 @@ router.post("/", authRequired, requirePerm('content.social'), async (req, res, n
 
       // Check if content has completed production
       const production = await Production.findOne({ content_id });
-      if (!production || production.production_status !== 'Completed') {
+      if (!production || !(await workflowStates("production", "done")).includes(production.production_status)) {
         return res.status(400).json({ message: "Content must have completed production before creating social media posts" });
       }
     }
 
+    // New posts start in the workflow's initial state; another state needs a
+    // transition from there that the user's role may make
+    const workflow = await getWorkflow("social_media");
+    const initialStatus = status || workflow.initial_state;
+    if (initialStatus !== workflow.initial_state) {
+      const result = await checkStatusChange("social_media", req, {
+        from: workflow.initial_state,
+        to: initialStatus,
+        values: req.body
+      });
+      if (result) return res.status(result.status).json(result.error);
+    }
+
     const post = await SocialMedia.create({
       content_id: content_id || null,
       platforms: platforms || '',
       post_type: post_type || '',
       post_date: post_date ? new Date(post_date) : null,
       caption: caption || '',
-      status: status || "Draft",
+      status: initialStatus,
       approved: approved || false,
       notes: notes || ''
     });
@@ -195,12 +209,22 @@ router.put("/:id", authRequired, requirePerm('content.social'), async (req, res,
         }
 
         const production = await Production.findOne({ content_id });
-        if (!production || production.production_status !== 'Completed') {
+        if (!production || !(await workflowStates("production", "done")).includes(production.production_status)) {
           return res.status(400).json({ message: "Content must have completed production" });
         }
       }
     }
 
+    // Status changes must follow the social media workflow
+    if (status !== undefined && status !== post.status) {
+      const result = await checkStatusChange("social_media", req, {
+        from: post.status,
+        to: status,
+        values: { ...post.toObject(), ...req.body }
+      });
+      if (result) return res.status(result.status).json(result.error);
+    }
+
     const updates = {};
     if (content_id !== undefined) updates.content_id = content_id;
     if (platforms !== undefined) updates.platforms = platforms;
@@ -331,6 +355,13 @@ router.put("/:id/approve", authRequired, requirePerm('content.social'), async (r
       return res.status(404).json({ message: "Social media post not found" });
     }
 
+    const result = await checkStatusChange("social_media", req, {
+      from: post.status,
+      to: 'Approved',
+      values: post.toObject()
+    });
+    if (result) return res.status(result.status).json(result.error);
+
     const updatedPost = await SocialMedia.findOneAndUpdate(
       { post_id: postId },
       { approved: true, status: 'Approved' },
@@ -357,6 +388,13 @@ router.put("/:id/publish", authRequired, requirePerm('content.social'), async (r
       return res.status(400).json({ message: "Post must be approved before publishing" });
     }
 
+    const result = await checkStatusChange("social_media", req, {
+      from: post.status,
+      to: 'Published',
+      values: { ...post.toObject(), post_date: new Date() }
+    });
+    if (result) return res.status(result.status).json(result.error);
+
     const updatedPost = await SocialMedia.findOneAndUpdate(
       { post_id: postId },
       { status: 'Published', post_date: new Date() },
@@ -0,0 +1,251 @@
+import express from 'express';
+import { SurveyQuestion } from '../models/survey_questions.js';
+import { SurveyResponse } from '../models/survey_responses.js';
+import { Ticket } from '../models/tickets.js';
+import { FollowUp } from '../models/follow_ups.js';
+import { surveyQuestionCreate, surveyQuestionUpdate, surveyLinkCreate, surveyAnswers } from '../validation/schemas.js';
+import { authRequired, requirePerm } from '../middleware/auth.js';
+import { getActor } from '../utils/actor.js';
+import { DEFAULT_SURVEY_QUESTIONS, issueSurvey, completeSurvey, signSurveyLink } from '../utils/surveys.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authRequired);
+
+/**
+ * GET /api/surveys/questions?include_inactive=true
+ * Configured questions in display order. meta.using_defaults is true when none are
+ * active and surveys fall back to the built-in questions (returned in that case).
+ */
+router.get('/questions', requirePerm('support.followups'), async (req, res, next) => {
+  try {
+    const filters = req.query.include_inactive === 'true' ? {} : { is_active: true };
+    const questions = await SurveyQuestion.find(filters).sort({ order: 1, survey_question_id: 1 }).lean();
+    const usingDefaults = !questions.some(question => question.is_active);
+
+    res.json({
+      ok: true,
+      data: usingDefaults && req.query.include_inactive !== 'true' ? DEFAULT_SURVEY_QUESTIONS : questions,
+      meta: { using_defaults: usingDefaults }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/surveys/questions
+ * Create question
+ *
+ * curl -X POST http://localhost:8000/api/surveys/questions \
+ *  -H 'Content-Type: application/json' -H 'Cookie: sid=YOUR_JWT_TOKEN' \
+ *  -d '{"key":"speed","label":"How happy are you with how quickly we helped?","type":"rating","required":true,"order":2}'
+ */
+router.post('/questions', requirePerm('settings.system'), async (req, res, next) => {
+  try {
+    const validatedData = surveyQuestionCreate.parse(req.body);
+
+    if (await SurveyQuestion.exists({ key: validatedData.key })) {
+      return res.status(409).json({
+        ok: false,
+        error: {
+          message: 'Validation failed',
+          errors: [{ field: 'key', code: 'duplicate', detail: 'A question with this key already exists.' }]
+        }
+      });
+    }
+
+    const question = new SurveyQuestion(validatedData);
+    await question.save();
+
+    res.status(201).json({
+      ok: true,
+      data: question
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/surveys/questions/:id
+ * Update question; surveys already sent keep the wording they were sent with
+ */
+router.put('/questions/:id', requirePerm('settings.system'), async (req, res, next) => {
+  try {
+    const validatedData = surveyQuestionUpdate.parse(req.body);
+
+    const question = await SurveyQuestion.findOneAndUpdate(
+      { survey_question_id: Number(req.params.id) },
+      validatedData,
+      { new: true, runValidators: true }
+    );
+
+    if (!question) {
+      return res.status(404).json({
+        ok: false,
+        error: { message: 'Survey question not found' }
+      });
+    }
+
+    res.json({
+      ok: true,
+      data: question
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/surveys/questions/:id
+ * Questions with answers are deactivated instead of deleted so analytics keep their labels
+ */
+router.delete('/questions/:id', requirePerm('settings.system'), async (req, res, next) => {
+  try {
+    const question = await SurveyQuestion.findOne({ survey_question_id: Number(req.params.id) });
+
+    if (!question) {
+      return res.status(404).json({
+        ok: false,
+        error: { message: 'Survey question not found' }
+      });
+    }
+
+    const answered = await SurveyResponse.exists({ 'answers.key': question.key });
+    if (answered) {
+      question.is_active = false;
+      await question.save();
+    } else {
+      await question.deleteOne();
+    }
+
+    res.json({
+      ok: true,
+      data: { deactivated: Boolean(answered) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/surveys/tickets/:ticket_id/link
+ * Issue a signed link the customer can answer without logging in. Body: { follow_up_id }
+ * to attach the answers to a follow-up. A still-valid unanswered link is reused.
+ */
+router.post('/tickets/:ticket_id/link', requirePerm('support.followups'), async (req, res, next) => {
+  try {
+    const ticketId = Number(req.params.ticket_id);
+    const { follow_up_id = null } = surveyLinkCreate.parse(req.body || {});
+
+    const ticket = await Ticket.findOne({ ticket_id: ticketId }).lean();
+    if (!ticket) {
+      return res.status(404).json({
+        ok: false,
+        error: { message: 'Ticket not found' }
+      });
+    }
+
+    if (follow_up_id && !(await FollowUp.exists({ follow_up_id, ticket_id: ticketId }))) {
+      return res.status(400).json({
+        ok: false,
+        error: {
+          message: 'Validation failed',
+          errors: [{ field: 'follow_up_id', code: 'invalid_value', detail: 'Follow-up does not belong to this ticket.' }]
+        }
+      });
+    }
+
+    let survey = await SurveyResponse.findOne({
+      ticket_id: ticketId,
+      source: 'link',
+      status: 'pending',
+      expires_at: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+
+    if (survey && follow_up_id && !survey.follow_up_id) {
+      survey.follow_up_id = follow_up_id;
+      await survey.save();
+    }
+    if (!survey) {
+      survey = await issueSurvey({ ticket, followUpId: follow_up_id, source: 'link', actor: await getActor(req) });
+    }
+
+    res.status(201).json({
+      ok: true,
+      data: {
+        survey_response_id: survey.survey_response_id,
+        expires_at: survey.expires_at,
+        ...signSurveyLink(survey)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/surveys/follow-ups/:follow_up_id/responses
+ * Answers collected by the agent during the follow-up call. Body: { answers: { csat: 5, nps: 9 } }
+ */
+router.post('/follow-ups/:follow_up_id/responses', requirePerm('support.followups'), async (req, res, next) => {
+  try {
+    const { answers } = surveyAnswers.parse(req.body);
+
+    const followUp = await FollowUp.findOne({ follow_up_id: Number(req.params.follow_up_id) }).lean();
+    const ticket = followUp && await Ticket.findOne({ ticket_id: followUp.ticket_id }).lean();
+    if (!ticket) {
+      return res.status(404).json({
+        ok: false,
+        error: { message: 'Follow-up not found' }
+      });
+    }
+
+    const pending = await issueSurvey({
+      ticket,
+      followUpId: followUp.follow_up_id,
+      source: 'agent',
+      actor: await getActor(req)
+    });
+
+    const { survey, errors } = await completeSurvey(pending, answers);
+    if (errors.length > 0) {
+      await pending.deleteOne();
+      return res.status(400).json({
+        ok: false,
+        error: { message: 'Validation failed', errors }
+      });
+    }
+
+    res.status(201).json({
+      ok: true,
+      data: survey
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/surveys/tickets/:ticket_id
+ * Surveys issued for a ticket, newest first
+ */
+router.get('/tickets/:ticket_id', requirePerm('support.followups'), async (req, res, next) => {
+  try {
+    const surveys = await SurveyResponse.find({ ticket_id: Number(req.params.ticket_id) })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      ok: true,
+      data: surveys,
+      meta: { total: surveys.length }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
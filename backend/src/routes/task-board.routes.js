@@ -0,0 +1,178 @@
+import express from 'express';
+import { Task } from '../models/tasks.js';
+import { taskBoardMove } from '../validation/schemas.js';
+import { authRequired, requirePerm } from '../middleware/auth.js';
+import { getActor } from '../utils/actor.js';
+import { canEditTask, refreshProgress, findOpenBlockers } from '../utils/tasks.js';
+import { generateAfterCompletion } from '../utils/taskTemplates.js';
+import { getWorkflow, statesIn, checkStatusChange } from '../utils/workflows.js';
+import {
+  boardFilters,
+  buildBoard,
+  columnCounts,
+  checkWipLimit,
+  positionAfter,
+  withColumnLock
+} from '../utils/taskBoard.js';
+
+const router = express.Router();
+
+// All routes require authentication; same permission as /api/tasks
+router.use(authRequired);
+router.use(requirePerm('operations.view'));
+
+const validationError = (res, field, detail) => res.status(400).json({
+  ok: false,
+  error: { message: 'Validation failed', errors: [{ field, code: 'invalid_value', detail }] }
+});
+
+// 409 for a move into a full column whose WIP policy is block
+const wipResponse = (res, wip) => res.status(409).json({
+  ok: false,
+  error: { message: wip.warning.message, code: 'WIP_LIMIT_REACHED', wip: wip.warning }
+});
+
+/**
+ * GET /api/task-board?scope=mine&assigned_to=3&department_id=DEPARTMENT_ID&priority=High&limit=50
+ * Tasks grouped into one column per workflow state, in board order. Each
+ * column has its filtered total and its WIP count across all tasks.
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { filters, error } = await boardFilters(await getActor(req), req.query);
+    if (error) return validationError(res, error.field, error.detail);
+
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+    const workflow = await getWorkflow('task');
+
+    res.json({
+      ok: true,
+      data: {
+        columns: await buildBoard(workflow, filters, limit)
+      },
+      meta: {
+        scope: req.query.scope === 'mine' ? 'mine' : 'all',
+        limit
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/task-board/tasks/:id/move
+ * Drop a card into a column below another card (after_task_id, null for the
+ * top). Status and position are written in one update, only if the task is
+ * still where the board showed it (from_status). Moving into a full column
+ * is refused or comes back with a warning, per the column's WIP policy.
+ *
+ * curl -X POST http://localhost:8000/api/task-board/tasks/12/move \
+ *  -H 'Content-Type: application/json' -H 'Cookie: sid=YOUR_JWT_TOKEN' \
+ *  -d '{"from_status":"In Progress","status":"Completed","after_task_id":null,"fields":{"resolution_note":"Deployed"}}'
+ */
+router.post('/tasks/:id/move', async (req, res, next) => {
+  try {
+    const taskId = Number(req.params.id);
+    const { status, from_status: fromStatus, after_task_id: afterTaskId, fields } = taskBoardMove.parse(req.body);
+
+    const task = await Task.findOne({ task_id: taskId });
+    if (!task) {
+      return res.status(404).json({
+        ok: false,
+        error: { message: 'Task not found' }
+      });
+    }
+    if (!canEditTask(task, await getActor(req))) {
+      return res.status(403).json({
+        ok: false,
+        error: { message: 'Not authorized to update this task', code: 'FORBIDDEN' }
+      });
+    }
+    if (afterTaskId === taskId) return validationError(res, 'after_task_id', 'A card cannot be dropped below itself.');
+
+    const staleResponse = () => res.status(409).json({
+      ok: false,
+      error: {
+        message: 'The task was moved by someone else; reload the board',
+        code: 'TASK_MOVED',
+        status: task.status
+      }
+    });
+    if (fromStatus !== undefined && fromStatus !== task.status) return staleResponse();
+
+    const workflow = await getWorkflow('task');
+    const column = workflow.states.find(state => state.key === status);
+    const changesColumn = status !== task.status;
+    const doneStates = statesIn(workflow, 'done');
+    const completing = changesColumn && doneStates.includes(status) && !doneStates.includes(task.status);
+    const warnings = [];
+
+    if (changesColumn) {
+      const result = await checkStatusChange('task', req, {
+        from: task.status,
+        to: status,
+        values: { ...task.toObject(), ...fields }
+      });
+      if (result) return res.status(result.status).json({ ok: false, error: result.error });
+
+      if (completing) {
+        const blockers = await findOpenBlockers(task);
+        if (blockers.length > 0) {
+          return res.status(409).json({
+            ok: false,
+            error: { message: 'Task is blocked by tasks that are not completed', code: 'TASK_BLOCKED', blockers }
+          });
+        }
+      }
+    }
+
+    const move = async () => {
+      if (changesColumn) {
+        const wip = checkWipLimit(column, (await columnCounts(workflow)).get(status) || 0);
+        if (wip.blocked) return { wip };
+        if (wip.warning) warnings.push(wip.warning);
+      }
+
+      const { position, error } = await positionAfter(status, afterTaskId ?? null, taskId);
+      if (error) return { error };
+
+      // Only if nobody moved the task meanwhile
+      const moved = await Task.findOneAndUpdate(
+        { task_id: taskId, status: task.status },
+        { $set: { ...fields, status, position, updatedAt: new Date() } },
+        { new: true }
+      ).lean();
+      return { moved };
+    };
+
+    // Moves into a blocking column take turns, so two of them cannot both take its last slot
+    const { busy, wip, error, moved } = changesColumn && column.wip_policy === 'block'
+      ? await withColumnLock(status, move)
+      : await move();
+    if (busy) {
+      return res.status(409).json({
+        ok: false,
+        error: { message: 'Someone else is moving a task into that column; try again', code: 'COLUMN_BUSY' }
+      });
+    }
+    if (wip) return wipResponse(res, wip);
+    if (error) return validationError(res, 'after_task_id', error);
+    if (!moved) return staleResponse();
+
+    if (changesColumn) {
+      await refreshProgress(taskId);
+      if (completing) await generateAfterCompletion(moved);
+    }
+
+    res.json({
+      ok: true,
+      data: await Task.findOne({ task_id: taskId }).lean(),
+      meta: { warnings }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,239 @@
+import express from 'express';
+import { TaskTemplate } from '../models/task_templates.js';
+import { Task } from '../models/tasks.js';
+import { taskTemplateCreate, taskTemplateUpdate } from '../validation/schemas.js';
+import { authRequired, requirePerm } from '../middleware/auth.js';
+import { getActor } from '../utils/actor.js';
+import { parseRRule, nextOccurrence, startOfDay } from '../utils/recurrence.js';
+import {
+  prepareTemplateData,
+  unknownEmployees,
+  findNextOccurrence,
+  previewOccurrences,
+  generateDueOccurrence,
+  createNextOccurrence,
+  applyToOpenOccurrences
+} from '../utils/taskTemplates.js';
+
+const router = express.Router();
+
+// All routes require authentication; same permission as /api/tasks
+router.use(authRequired);
+router.use(requirePerm('operations.view'));
+
+const notFound = (res) => res.status(404).json({
+  ok: false,
+  error: { message: 'Task template not found' }
+});
+
+const validationError = (res, field, detail) => res.status(400).json({
+  ok: false,
+  error: { message: 'Validation failed', errors: [{ field, code: 'invalid_value', detail }] }
+});
+
+const serialize = (template) => ({ ...template, upcoming: previewOccurrences(template) });
+
+// Normalize the rule and check the assignees; returns an error response or null
+async function checkSchedule(res, data) {
+  const problem = await prepareTemplateData(data);
+  return problem ? validationError(res, problem.field, problem.detail) : null;
+}
+
+/**
+ * GET /api/task-templates?active=true
+ * Recurring task templates with their next occurrences
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const filters = {};
+    if (req.query.active !== undefined) filters.active = req.query.active === 'true';
+
+    const templates = await TaskTemplate.find(filters).sort({ title: 1 }).lean();
+
+    res.json({
+      ok: true,
+      data: templates.map(serialize)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/task-templates/:id
+ * Template, its next occurrences and its latest tasks
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const template = await TaskTemplate.findOne({ template_id: Number(req.params.id) }).lean();
+    if (!template) return notFound(res);
+
+    const occurrences = await Task.find({ template_id: template.template_id })
+      .sort({ occurrence_date: -1 })
+      .limit(20)
+      .select('task_id title status assigned_to due_date occurrence_date is_exception progress')
+      .lean();
+
+    res.json({
+      ok: true,
+      data: { ...serialize(template), occurrences }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/task-templates
+ * Create a recurring task. Today's occurrence, if any, is created right away.
+ *
+ * curl -X POST http://localhost:8000/api/task-templates \
+ *  -H 'Content-Type: application/json' -H 'Cookie: sid=YOUR_JWT_TOKEN' \
+ *  -d '{"title":"Check backup logs","rrule":"FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR","starts_on":"2024-06-03","due_time":"10:00","assignment":{"mode":"rotation","user_ids":[3,5]}}'
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const validatedData = taskTemplateCreate.parse(req.body);
+    if (await checkSchedule(res, validatedData)) return;
+
+    const template = new TaskTemplate({
+      ...validatedData,
+      created_by: (await getActor(req)).employee_id
+    });
+    template.next_occurrence_at = nextOccurrence(
+      parseRRule(template.rrule).rule,
+      template.starts_on,
+      startOfDay(new Date()),
+      template.ends_on
+    );
+    await template.save();
+
+    const { task } = await generateDueOccurrence(template.toObject());
+
+    res.status(201).json({
+      ok: true,
+      data: serialize(await TaskTemplate.findOne({ template_id: template.template_id }).lean()),
+      meta: { created_task_id: task?.task_id ?? null }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/task-templates/:id
+ * Edit one occurrence (scope "this_occurrence" with its occurrence_date) or
+ * the template and its open occurrences from occurrence_date on (scope
+ * "all_future", the default; occurrence_date defaults to today)
+ *
+ * curl -X PUT http://localhost:8000/api/task-templates/4 \
+ *  -H 'Content-Type: application/json' -H 'Cookie: sid=YOUR_JWT_TOKEN' \
+ *  -d '{"scope":"this_occurrence","occurrence_date":"2024-06-11","assigned_to":7}'
+ */
+router.put('/:id', async (req, res, next) => {
+  try {
+    const template = await TaskTemplate.findOne({ template_id: Number(req.params.id) });
+    if (!template) return notFound(res);
+
+    const actor = await getActor(req);
+    if (actor.employee_id === null || template.created_by !== actor.employee_id) {
+      return res.status(403).json({
+        ok: false,
+        error: { message: 'Only the template creator can edit it', code: 'FORBIDDEN' }
+      });
+    }
+
+    const { scope, occurrence_date, assigned_to, due_date, ...changes } = taskTemplateUpdate.parse(req.body);
+
+    if (scope === 'this_occurrence') {
+      if (assigned_to && (await unknownEmployees([assigned_to])).length > 0) {
+        return validationError(res, 'assigned_to', 'Employee does not exist.');
+      }
+
+      const occurrence = startOfDay(occurrence_date);
+      let task = await Task.findOne({ template_id: template.template_id, occurrence_date: occurrence });
+
+      // The next occurrence can be edited before its day; later ones only once they exist
+      if (!task && template.next_occurrence_at?.getTime() === occurrence.getTime()) {
+        const created = await createNextOccurrence(template.toObject());
+        if (created) task = await Task.findOne({ task_id: created.task_id });
+      }
+      if (!task) {
+        return validationError(res, 'occurrence_date', 'Only created occurrences and the next one can be edited on their own.');
+      }
+
+      for (const field of ['title', 'description', 'priority']) {
+        if (changes[field] !== undefined) task[field] = changes[field];
+      }
+      if (assigned_to !== undefined) task.assigned_to = assigned_to;
+      if (due_date !== undefined) task.due_date = due_date;
+      task.is_exception = true;
+      await task.save();
+
+      return res.json({
+        ok: true,
+        data: task.toObject(),
+        meta: { scope }
+      });
+    }
+
+    if (await checkSchedule(res, changes)) return;
+    const scheduleChanged = ['rrule', 'starts_on', 'ends_on'].some(field => changes[field] !== undefined)
+      || (changes.active === true && !template.active);
+
+    const { assignment, ...fields } = changes;
+    template.set({ ...fields, updated_by: actor.employee_id });
+    if (assignment?.mode !== undefined) template.assignment.mode = assignment.mode;
+    if (assignment?.user_ids !== undefined) {
+      template.assignment.user_ids = assignment.user_ids;
+      template.assignment.next_index = 0;
+    }
+    if (template.ends_on && template.ends_on < template.starts_on) {
+      return validationError(res, 'ends_on', 'End date must be on or after the start date.');
+    }
+    // Resuming skips the paused days
+    if (scheduleChanged) template.next_occurrence_at = await findNextOccurrence(template);
+    await template.save();
+
+    const updated = await applyToOpenOccurrences(template.toObject(), occurrence_date || new Date());
+    if (scheduleChanged) await generateDueOccurrence(template.toObject());
+
+    res.json({
+      ok: true,
+      data: serialize(await TaskTemplate.findOne({ template_id: template.template_id }).lean()),
+      meta: { scope, tasks_updated: updated }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/task-templates/:id
+ * Stop the series; tasks already created stay
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const template = await TaskTemplate.findOne({ template_id: Number(req.params.id) });
+    if (!template) return notFound(res);
+
+    const { employee_id: me } = await getActor(req);
+    if (me === null || template.created_by !== me) {
+      return res.status(403).json({
+        ok: false,
+        error: { message: 'Only the template creator can delete it', code: 'FORBIDDEN' }
+      });
+    }
+
+    await template.deleteOne();
+
+    res.json({
+      ok: true,
+      data: { message: 'Task template deleted successfully' }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -4,9 +4,38 @@ import { User } from "../models/users.js";
 import { Employee } from "../models/employees.js";
 import { Notification } from "../models/notifications.js";
 import { authRequired, requirePerm } from "../middleware/auth.js";
+import {
+  taskDoneStates,
+  canEditTask,
+  refreshProgress,
+  wouldNestUnderItself,
+  findDependencyCycle,
+  findOpenBlockers,
+  getTaskGraph,
+  detachTask
+} from "../utils/tasks.js";
+import { generateAfterCompletion } from "../utils/taskTemplates.js";
+import { getActor } from "../utils/actor.js";
+import { getWorkflow, statesIn, checkStatusChange, allowedTransitions, getUserRoles } from "../utils/workflows.js";
 
 const router = express.Router();
 
+// 409 for completing a task whose blockers are still open
+const blockedResponse = (res, blockers) => res.status(409).json({
+  message: "Task is blocked by tasks that are not completed",
+  code: "TASK_BLOCKED",
+  blockers
+});
+
+// Check a parent_task_id from the request; returns an error message or null
+async function checkParent(taskId, parentId) {
+  if (!(await Task.exists({ task_id: parentId }))) return "Parent task not found";
+  if (taskId !== null && await wouldNestUnderItself(taskId, parentId)) {
+    return "A task cannot be moved under itself or one of its subtasks";
+  }
+  return null;
+}
+
 // Get tasks with advanced filtering and pagination
 router.get("/", authRequired, requirePerm('operations.view'), async (req, res, next) => {
   try {
@@ -15,6 +44,7 @@ router.get("/", authRequired, requirePerm('operations.view'), async (req, res, n
       priority,
       assigned_to,
       created_by,
+      parent_task_id,
       due_date_from,
       due_date_to,
       page = 1,
@@ -31,6 +61,8 @@ router.get("/", authRequired, requirePerm('operations.view'), async (req, res, n
     if (priority) filters.priority = priority;
     if (assigned_to) filters.assigned_to = Number(assigned_to);
     if (created_by) filters.created_by = Number(created_by);
+    // parent_task_id=none lists top-level tasks only
+    if (parent_task_id) filters.parent_task_id = parent_task_id === 'none' ? null : Number(parent_task_id);
     
     // Date range filtering
     if (due_date_from || due_date_to) {
@@ -107,7 +139,7 @@ router.get("/", authRequired, requirePerm('operations.view'), async (req, res, n
   }
 });
 
-// Get single task with details
+// Get single task with details, its subtasks and dependency graph
 router.get("/:id", authRequired, requirePerm('operations.view'), async (req, res, next) => {
   try {
     const taskId = Number(req.params.id);
@@ -138,9 +170,14 @@ router.get("/:id", authRequired, requirePerm('operations.view'), async (req, res
       created_by_user: createdByUser ? {
         ...createdByUser,
         employee: createdByUser.employee_id ? employeeMap.get(createdByUser.employee_id) : null
-      } : null
+      } : null,
+      ...await getTaskGraph(task)
     };
 
+    // Moves the current user can make from the task's status
+    const [workflow, roles] = await Promise.all([getWorkflow("task"), getUserRoles(req)]);
+    enrichedTask.allowed_transitions = allowedTransitions(workflow, task.status, roles);
+
     res.json(enrichedTask);
   } catch (err) {
     next(err);
@@ -150,12 +187,50 @@ router.get("/:id", authRequired, requirePerm('operations.view'), async (req, res
 // Create task
 router.post("/", authRequired, requirePerm('operations.view'), async (req, res, next) => {
   try {
-    const { title, description, assigned_to, status, priority, due_date } = req.body;
+    const {
+      title,
+      description,
+      assigned_to,
+      status,
+      priority,
+      due_date,
+      resolution_note,
+      parent_task_id,
+      blocked_by = [],
+      checklist = []
+    } = req.body;
     
     if (!title) {
       return res.status(400).json({ message: "Title is required" });
     }
 
+    if (parent_task_id) {
+      const parentError = await checkParent(null, Number(parent_task_id));
+      if (parentError) return res.status(400).json({ message: parentError });
+    }
+
+    // A new task has no dependents yet, so its blockers cannot form a cycle
+    const blockerIds = [...new Set(blocked_by.map(Number))];
+    if (blockerIds.length > 0 && await Task.countDocuments({ task_id: { $in: blockerIds } }) !== blockerIds.length) {
+      return res.status(400).json({ message: "One or more blocking tasks not found" });
+    }
+    // New tasks start in the initial state. Naming another state is allowed when
+    // the user could move a task there from the initial state.
+    const workflow = await getWorkflow("task");
+    const initialStatus = status || workflow.initial_state;
+    if (initialStatus !== workflow.initial_state) {
+      const result = await checkStatusChange("task", req, {
+        from: workflow.initial_state,
+        to: initialStatus,
+        values: req.body
+      });
+      if (result) return res.status(result.status).json(result.error);
+    }
+    if (statesIn(workflow, "done").includes(initialStatus)) {
+      const blockers = await findOpenBlockers({ blocked_by: blockerIds });
+      if (blockers.length > 0) return blockedResponse(res, blockers);
+    }
+
     // Validate assigned user exists
     if (assigned_to) {
       const assignedUser = await User.findOne({ user_id: assigned_to });
@@ -164,20 +239,29 @@ router.post("/", authRequired, requirePerm('operations.view'), async (req, res,
       }
     }
 
+    const actor = await getActor(req);
     const taskData = {
       title,
       description,
       assigned_to,
-      created_by: req.user.user_id,
-      status: status || "Not Started",
+      created_by: actor.employee_id,
+      status: initialStatus,
       priority: priority || "Medium",
-      due_date: due_date ? new Date(due_date) : null
+      due_date: due_date ? new Date(due_date) : null,
+      resolution_note: resolution_note || null,
+      parent_task_id: parent_task_id ? Number(parent_task_id) : null,
+      blocked_by: blockerIds,
+      checklist: checklist
+        .filter(text => typeof text === "string" && text.trim())
+        .map((text, index) => ({ item_id: index + 1, text }))
     };
 
     const task = await Task.create(taskData);
+    await refreshProgress(task.task_id);
+    if (task.parent_task_id) await refreshProgress(task.parent_task_id);
 
     // Send notification to assigned user
-    if (assigned_to && assigned_to !== req.user.user_id) {
+    if (assigned_to && assigned_to !== actor.employee_id) {
       await Notification.create({
         user_id: assigned_to,
         title: "New Task Assigned",
@@ -196,7 +280,7 @@ router.post("/", authRequired, requirePerm('operations.view'), async (req, res,
 router.put("/:id", authRequired, requirePerm('operations.view'), async (req, res, next) => {
   try {
     const taskId = Number(req.params.id);
-    const { title, description, assigned_to, status, priority, due_date } = req.body;
+    const { title, description, assigned_to, status, priority, due_date, resolution_note, parent_task_id } = req.body;
     
     const task = await Task.findOne({ task_id: taskId });
     if (!task) {
@@ -204,10 +288,35 @@ router.put("/:id", authRequired, requirePerm('operations.view'), async (req, res
     }
 
     // Check if user can update this task (creator or assigned user)
-    if (task.created_by !== req.user.user_id && task.assigned_to !== req.user.user_id) {
+    const actor = await getActor(req);
+    if (!canEditTask(task, actor)) {
       return res.status(403).json({ message: "Not authorized to update this task" });
     }
 
+    const newParentId = parent_task_id ? Number(parent_task_id) : null;
+    if (parent_task_id !== undefined && newParentId !== null && newParentId !== task.parent_task_id) {
+      const parentError = await checkParent(taskId, newParentId);
+      if (parentError) return res.status(400).json({ message: parentError });
+    }
+
+    // Status changes must follow the task workflow
+    const statusChanged = status !== undefined && status !== task.status;
+    const doneStates = await taskDoneStates();
+    const completing = statusChanged && doneStates.includes(status) && !doneStates.includes(task.status);
+    if (statusChanged) {
+      const result = await checkStatusChange("task", req, {
+        from: task.status,
+        to: status,
+        values: { ...task.toObject(), ...req.body }
+      });
+      if (result) return res.status(result.status).json(result.error);
+    }
+
+    if (completing) {
+      const blockers = await findOpenBlockers(task);
+      if (blockers.length > 0) return blockedResponse(res, blockers);
+    }
+
     // Validate assigned user if changing
     if (assigned_to && assigned_to !== task.assigned_to) {
       const assignedUser = await User.findOne({ user_id: assigned_to });
@@ -223,15 +332,32 @@ router.put("/:id", authRequired, requirePerm('operations.view'), async (req, res
     if (status !== undefined) updates.status = status;
     if (priority !== undefined) updates.priority = priority;
     if (due_date !== undefined) updates.due_date = due_date ? new Date(due_date) : null;
+    if (resolution_note !== undefined) updates.resolution_note = resolution_note || null;
+    if (parent_task_id !== undefined) updates.parent_task_id = newParentId;
 
-    const updatedTask = await Task.findOneAndUpdate(
+    let updatedTask = await Task.findOneAndUpdate(
       { task_id: taskId },
       updates,
       { new: true }
     );
 
+    // Roll progress up to the old and new parents
+    if (updates.status !== undefined || updates.parent_task_id !== undefined) {
+      await refreshProgress(taskId);
+      if (updates.parent_task_id !== undefined && task.parent_task_id !== newParentId) {
+        if (task.parent_task_id) await refreshProgress(task.parent_task_id);
+        if (newParentId) await refreshProgress(newParentId);
+      }
+      updatedTask = await Task.findOne({ task_id: taskId });
+    }
+
+    // Completing a recurring task brings its next occurrence forward
+    if (completing) {
+      await generateAfterCompletion(updatedTask);
+    }
+
     // Send notifications for important changes
-    if (assigned_to && assigned_to !== task.assigned_to && assigned_to !== req.user.user_id) {
+    if (assigned_to && assigned_to !== task.assigned_to && assigned_to !== actor.employee_id) {
       await Notification.create({
         user_id: assigned_to,
         title: "Task Reassigned",
@@ -240,7 +366,7 @@ router.put("/:id", authRequired, requirePerm('operations.view'), async (req, res
       });
     }
 
-    if (status && status !== task.status && task.assigned_to && task.assigned_to !== req.user.user_id) {
+    if (status && status !== task.status && task.assigned_to && task.assigned_to !== actor.employee_id) {
       await Notification.create({
         user_id: task.assigned_to,
         title: "Task Status Updated",
@@ -266,14 +392,16 @@ router.delete("/:id", authRequired, requirePerm('operations.view'), async (req,
     }
 
     // Only creator can delete task
-    if (task.created_by !== req.user.user_id) {
+    const actor = await getActor(req);
+    if (actor.employee_id === null || task.created_by !== actor.employee_id) {
       return res.status(403).json({ message: "Only task creator can delete this task" });
     }
 
     await Task.findOneAndDelete({ task_id: taskId });
+    await detachTask(task);
 
     // Notify assigned user if different from creator
-    if (task.assigned_to && task.assigned_to !== req.user.user_id) {
+    if (task.assigned_to && task.assigned_to !== actor.employee_id) {
       await Notification.create({
         user_id: task.assigned_to,
         title: "Task Deleted",
@@ -288,22 +416,189 @@ router.delete("/:id", authRequired, requirePerm('operations.view'), async (req,
   }
 });
 
+// Add a checklist item
+router.post("/:id/checklist", authRequired, requirePerm('operations.view'), async (req, res, next) => {
+  try {
+    const taskId = Number(req.params.id);
+    const text = typeof req.body.text === "string" ? req.body.text.trim() : "";
+
+    const task = await Task.findOne({ task_id: taskId });
+    if (!task) {
+      return res.status(404).json({ message: "Task not found" });
+    }
+    const actor = await getActor(req);
+    if (!canEditTask(task, actor)) {
+      return res.status(403).json({ message: "Not authorized to update this task" });
+    }
+    if (!text) {
+      return res.status(400).json({ message: "Checklist item text is required" });
+    }
+
+    const itemId = Math.max(0, ...task.checklist.map(item => item.item_id)) + 1;
+    task.checklist.push({ item_id: itemId, text });
+    await task.save();
+    await refreshProgress(taskId);
+
+    res.status(201).json(await Task.findOne({ task_id: taskId }).lean());
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Rename or tick a checklist item
+router.patch("/:id/checklist/:item_id", authRequired, requirePerm('operations.view'), async (req, res, next) => {
+  try {
+    const taskId = Number(req.params.id);
+    const { text, done } = req.body;
+
+    const task = await Task.findOne({ task_id: taskId });
+    if (!task) {
+      return res.status(404).json({ message: "Task not found" });
+    }
+    const actor = await getActor(req);
+    if (!canEditTask(task, actor)) {
+      return res.status(403).json({ message: "Not authorized to update this task" });
+    }
+
+    const item = task.checklist.find(entry => entry.item_id === Number(req.params.item_id));
+    if (!item) {
+      return res.status(404).json({ message: "Checklist item not found" });
+    }
+
+    if (text !== undefined) {
+      if (typeof text !== "string" || !text.trim()) {
+        return res.status(400).json({ message: "Checklist item text is required" });
+      }
+      item.text = text.trim();
+    }
+    if (done !== undefined && Boolean(done) !== item.done) {
+      item.done = Boolean(done);
+      item.done_at = item.done ? new Date() : null;
+      item.done_by = item.done ? actor.employee_id : null;
+    }
+    await task.save();
+    await refreshProgress(taskId);
+
+    res.json(await Task.findOne({ task_id: taskId }).lean());
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Remove a checklist item
+router.delete("/:id/checklist/:item_id", authRequired, requirePerm('operations.view'), async (req, res, next) => {
+  try {
+    const taskId = Number(req.params.id);
+
+    const task = await Task.findOne({ task_id: taskId });
+    if (!task) {
+      return res.status(404).json({ message: "Task not found" });
+    }
+    const actor = await getActor(req);
+    if (!canEditTask(task, actor)) {
+      return res.status(403).json({ message: "Not authorized to update this task" });
+    }
+
+    const itemId = Number(req.params.item_id);
+    if (!task.checklist.some(item => item.item_id === itemId)) {
+      return res.status(404).json({ message: "Checklist item not found" });
+    }
+    task.checklist = task.checklist.filter(item => item.item_id !== itemId);
+    await task.save();
+    await refreshProgress(taskId);
+
+    res.json(await Task.findOne({ task_id: taskId }).lean());
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Mark a task as blocked by another; rejected when it would create a cycle
+router.post("/:id/dependencies", authRequired, requirePerm('operations.view'), async (req, res, next) => {
+  try {
+    const taskId = Number(req.params.id);
+    const blockerId = Number(req.body.blocked_by);
+
+    const task = await Task.findOne({ task_id: taskId });
+    if (!task) {
+      return res.status(404).json({ message: "Task not found" });
+    }
+    const actor = await getActor(req);
+    if (!canEditTask(task, actor)) {
+      return res.status(403).json({ message: "Not authorized to update this task" });
+    }
+    if (!Number.isInteger(blockerId) || !(await Task.exists({ task_id: blockerId }))) {
+      return res.status(400).json({ message: "Blocking task not found" });
+    }
+
+    const cycle = await findDependencyCycle(taskId, blockerId);
+    if (cycle) {
+      return res.status(409).json({
+        message: `Dependency would create a cycle: ${cycle.map(id => `#${id}`).join(" → ")}`,
+        code: "DEPENDENCY_CYCLE",
+        cycle
+      });
+    }
+
+    await Task.updateOne({ task_id: taskId }, { $addToSet: { blocked_by: blockerId } });
+    const updatedTask = await Task.findOne({ task_id: taskId }).lean();
+
+    res.status(201).json({
+      ...updatedTask,
+      dependencies: (await getTaskGraph(updatedTask)).dependencies
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Remove a dependency
+router.delete("/:id/dependencies/:blocker_id", authRequired, requirePerm('operations.view'), async (req, res, next) => {
+  try {
+    const taskId = Number(req.params.id);
+    const blockerId = Number(req.params.blocker_id);
+
+    const task = await Task.findOne({ task_id: taskId });
+    if (!task) {
+      return res.status(404).json({ message: "Task not found" });
+    }
+    const actor = await getActor(req);
+    if (!canEditTask(task, actor)) {
+      return res.status(403).json({ message: "Not authorized to update this task" });
+    }
+    if (!task.blocked_by.includes(blockerId)) {
+      return res.status(404).json({ message: "Dependency not found" });
+    }
+
+    await Task.updateOne({ task_id: taskId }, { $pull: { blocked_by: blockerId } });
+    const updatedTask = await Task.findOne({ task_id: taskId }).lean();
+
+    res.json({
+      ...updatedTask,
+      dependencies: (await getTaskGraph(updatedTask)).dependencies
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // Get my tasks (tasks assigned to or created by current user)
 router.get("/my/tasks", authRequired, requirePerm('operations.view'), async (req, res, next) => {
   try {
     const { status, priority, type = 'all' } = req.query;
     
     let filters = {};
+    const { employee_id: me } = await getActor(req);
     
     // Filter by type
     if (type === 'assigned') {
-      filters.assigned_to = req.user.user_id;
+      filters.assigned_to = me;
     } else if (type === 'created') {
-      filters.created_by = req.user.user_id;
+      filters.created_by = me;
     } else {
       filters.$or = [
-        { assigned_to: req.user.user_id },
-        { created_by: req.user.user_id }
+        { assigned_to: me },
+        { created_by: me }
       ];
     }
 
@@ -339,6 +634,10 @@ router.get("/stats/overview", authRequired, requirePerm('operations.view'), asyn
       if (date_to) matchFilter.createdAt.$lte = new Date(date_to);
     }
 
+    // Counted by workflow category, so custom states are included
+    const workflow = await getWorkflow("task");
+    const [done, inProgress, todo] = ["done", "in_progress", "todo"].map(category => statesIn(workflow, category));
+
     const stats = await Task.aggregate([
       { $match: matchFilter },
       {
@@ -346,13 +645,13 @@ router.get("/stats/overview", authRequired, requirePerm('operations.view'), asyn
           _id: null,
           total: { $sum: 1 },
           completed: {
-            $sum: { $cond: [{ $eq: ["$status", "Completed"] }, 1, 0] }
+            $sum: { $cond: [{ $in: ["$status", done] }, 1, 0] }
           },
           in_progress: {
-            $sum: { $cond: [{ $eq: ["$status", "In Progress"] }, 1, 0] }
+            $sum: { $cond: [{ $in: ["$status", inProgress] }, 1, 0] }
           },
           not_started: {
-            $sum: { $cond: [{ $eq: ["$status", "Not Started"] }, 1, 0] }
+            $sum: { $cond: [{ $in: ["$status", todo] }, 1, 0] }
           },
           high_priority: {
             $sum: { $cond: [{ $eq: ["$priority", "High"] }, 1, 0] }
@@ -364,7 +663,7 @@ router.get("/stats/overview", authRequired, requirePerm('operations.view'), asyn
                   $and: [
                     { $ne: ["$due_date", null] },
                     { $lt: ["$due_date", new Date()] },
-                    { $ne: ["$status", "Completed"] }
+                    { $not: [{ $in: ["$status", done] }] }
                   ]
                 },
                 1,
@@ -0,0 +1,189 @@
+import express from "express";
+import { TicketComment } from "../models/ticket_comments.js";
+import { Ticket } from "../models/tickets.js";
+import { ticketCommentCreate, ticketCommentUpdate } from "../validation/schemas.js";
+import { getActor } from "../utils/actor.js";
+import {
+  extractMentions,
+  resolveMentions,
+  notifyMentions,
+  serializeComment,
+  getTicketComments
+} from "../utils/comments.js";
+import { sendWhatsAppReply } from "../utils/whatsapp.js";
+import { deleteAttachments } from "../utils/attachments.js";
+import { authRequired, requirePerm } from "../middleware/auth.js";
+
+// Mounted at /api/tickets/:ticket_id/comments
+const router = express.Router({ mergeParams: true });
+
+router.use(authRequired, requirePerm('support.tickets'));
+
+// Load the comment and make sure the current user wrote it
+async function findOwnComment(req, res) {
+  const comment = await TicketComment.findOne({
+    comment_id: Number(req.params.comment_id),
+    ticket_id: Number(req.params.ticket_id)
+  });
+
+  if (!comment || comment.is_deleted) {
+    res.status(404).json({
+      ok: false,
+      error: { message: "Comment not found" }
+    });
+    return null;
+  }
+
+  const actor = await getActor(req);
+  if (comment.author.user_id !== actor.user_id) {
+    res.status(403).json({
+      ok: false,
+      error: { message: "Only the author can change this comment", code: 'FORBIDDEN' }
+    });
+    return null;
+  }
+
+  return { comment, actor };
+}
+
+// List comments as threads
+router.get("/", async (req, res, next) => {
+  try {
+    const ticketId = Number(req.params.ticket_id);
+    const { visibility } = req.query;
+
+    const comments = await getTicketComments(ticketId, {
+      visibility: ['internal', 'customer'].includes(visibility) ? visibility : undefined
+    });
+
+    res.json({
+      ok: true,
+      data: comments
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Add a comment or a reply; @username mentions notify those users.
+// Customer-visible comments on WhatsApp tickets are also sent to the customer.
+router.post("/", async (req, res, next) => {
+  try {
+    const ticketId = Number(req.params.ticket_id);
+    const { body, visibility = 'internal', parent_id = null } = ticketCommentCreate.parse(req.body);
+
+    const ticket = await Ticket.findOne({ ticket_id: ticketId })
+      .select('ticket_id communication_channel customer_phone')
+      .lean();
+    if (!ticket) {
+      return res.status(404).json({
+        ok: false,
+        error: { message: "Ticket not found" }
+      });
+    }
+
+    if (parent_id !== null && !(await TicketComment.exists({ comment_id: parent_id, ticket_id: ticketId }))) {
+      return res.status(400).json({
+        ok: false,
+        error: {
+          message: 'Validation failed',
+          errors: [{ field: 'parent_id', code: 'invalid_value', detail: 'Parent comment not found on this ticket.' }]
+        }
+      });
+    }
+
+    const mentions = await resolveMentions(extractMentions(body));
+    const comment = await TicketComment.create({
+      ticket_id: ticketId,
+      parent_id,
+      visibility,
+      body,
+      author: await getActor(req),
+      mentions
+    });
+
+    await notifyMentions(comment, mentions);
+
+    let delivery = null;
+    if (visibility === 'customer' && ticket.communication_channel === 'WhatsApp' && ticket.customer_phone) {
+      const sent = await sendWhatsAppReply({ ticket, comment });
+      delivery = { channel: 'WhatsApp', status: sent.status, error: sent.error };
+    }
+
+    res.status(201).json({
+      ok: true,
+      data: serializeComment(comment.toObject()),
+      meta: { delivery }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Edit own comment; the previous version is kept in `edits`
+router.patch("/:comment_id", async (req, res, next) => {
+  try {
+    const updates = ticketCommentUpdate.parse(req.body);
+
+    const found = await findOwnComment(req, res);
+    if (!found) return;
+    const { comment, actor } = found;
+
+    comment.edits.push({
+      body: comment.body,
+      visibility: comment.visibility,
+      edited_at: new Date(),
+      editor: actor
+    });
+
+    let newMentions = [];
+    if (updates.body !== undefined) {
+      const mentions = await resolveMentions(extractMentions(updates.body));
+      const previous = new Set(comment.mentions.map(mention => mention.user_id));
+      newMentions = mentions.filter(mention => !previous.has(mention.user_id));
+      comment.body = updates.body;
+      comment.mentions = mentions;
+    }
+    if (updates.visibility !== undefined) comment.visibility = updates.visibility;
+
+    await comment.save();
+    await notifyMentions(comment, newMentions);
+
+    res.json({
+      ok: true,
+      data: serializeComment(comment.toObject())
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete own comment; it stays in the thread (without body or files) so replies keep their context
+router.delete("/:comment_id", async (req, res, next) => {
+  try {
+    const found = await findOwnComment(req, res);
+    if (!found) return;
+    const { comment, actor } = found;
+
+    comment.edits.push({
+      body: comment.body,
+      visibility: comment.visibility,
+      edited_at: new Date(),
+      editor: actor
+    });
+    comment.is_deleted = true;
+    comment.deleted_at = new Date();
+    comment.deleted_by = actor;
+    await comment.save();
+    await deleteAttachments({ owner_type: 'comment', owner_id: comment.comment_id });
+
+    res.json({
+      ok: true,
+      data: { message: "Comment deleted successfully" }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
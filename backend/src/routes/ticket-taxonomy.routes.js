@@ -0,0 +1,211 @@
+import express from 'express';
+import { TaxonomyTerm } from '../models/taxonomy_terms.js';
+import { Ticket } from '../models/tickets.js';
+import { taxonomyTermCreate, taxonomyTermUpdate } from '../validation/schemas.js';
+import { authRequired, requirePerm } from '../middleware/auth.js';
+import { getTicketTaxonomy, ensureDefaultTerms } from '../utils/taxonomy.js';
+
+const router = express.Router();
+
+// Ticket field that stores each kind of term
+const TICKET_FIELDS = {
+  category: 'issue_category',
+  issue_type: 'issue_type',
+  device_type: 'device_type',
+  tag: 'tags'
+};
+
+// All routes require authentication
+router.use(authRequired);
+
+/**
+ * Checks zod can't express: custom fields only on categories, select options,
+ * unique keys and an existing parent category for issue types
+ * @param {object} term - Term fields after the update is applied
+ * @returns {Promise<Array>} Field errors
+ */
+async function validateTerm(term) {
+  const errors = [];
+  const customFields = term.custom_fields || [];
+
+  if (term.kind !== 'category' && customFields.length > 0) {
+    errors.push({ field: 'custom_fields', code: 'invalid_value', detail: 'Only categories can have custom fields.' });
+  }
+
+  const keys = new Set();
+  customFields.forEach((def, index) => {
+    if (keys.has(def.key)) {
+      errors.push({ field: `custom_fields.${index}.key`, code: 'duplicate', detail: `Key "${def.key}" is used twice.` });
+    }
+    keys.add(def.key);
+    if (def.type === 'select' && !(def.options || []).length) {
+      errors.push({ field: `custom_fields.${index}.options`, code: 'required', detail: 'Select fields need at least one option.' });
+    }
+  });
+
+  if (term.category) {
+    if (term.kind !== 'issue_type') {
+      errors.push({ field: 'category', code: 'invalid_value', detail: 'Only issue types can be limited to a category.' });
+    } else {
+      const { categories } = await getTicketTaxonomy();
+      if (!categories.some(category => category.value === term.category)) {
+        errors.push({ field: 'category', code: 'invalid_value', detail: 'Unknown category.' });
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * GET /api/ticket-taxonomy
+ * Active categories (with custom fields), issue types, device types, tags,
+ * channels and priorities for building ticket forms and filters
+ */
+router.get('/', requirePerm('support.tickets'), async (req, res, next) => {
+  try {
+    const taxonomy = await getTicketTaxonomy();
+
+    res.json({
+      ok: true,
+      data: taxonomy
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/ticket-taxonomy/terms?kind=category
+ * List stored terms including inactive ones
+ */
+router.get('/terms', requirePerm('settings.system'), async (req, res, next) => {
+  try {
+    const filters = {};
+    if (req.query.kind) filters.kind = req.query.kind;
+
+    const terms = await TaxonomyTerm.find(filters)
+      .sort({ kind: 1, sort_order: 1, value: 1 })
+      .lean();
+
+    res.json({
+      ok: true,
+      data: terms,
+      meta: { total: terms.length }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/ticket-taxonomy/terms
+ * Create a term. The first term of a kind also stores its built-in values.
+ *
+ * curl -X POST http://localhost:8000/api/ticket-taxonomy/terms \
+ *  -H 'Content-Type: application/json' -H 'Cookie: sid=YOUR_JWT_TOKEN' \
+ *  -d '{"kind":"category","value":"Hardware","custom_fields":[{"key":"serial_number","label":"Serial Number","type":"text","required":true}]}'
+ */
+router.post('/terms', requirePerm('settings.system'), async (req, res, next) => {
+  try {
+    const validatedData = taxonomyTermCreate.parse(req.body);
+
+    const errors = await validateTerm(validatedData);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        ok: false,
+        error: { message: 'Validation failed', errors }
+      });
+    }
+
+    await ensureDefaultTerms(validatedData.kind);
+
+    const term = new TaxonomyTerm(validatedData);
+    await term.save();
+
+    res.status(201).json({
+      ok: true,
+      data: term
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/ticket-taxonomy/terms/:id
+ * Update label, order, active flag, parent category or custom fields
+ */
+router.put('/terms/:id', requirePerm('settings.system'), async (req, res, next) => {
+  try {
+    const validatedData = taxonomyTermUpdate.parse(req.body);
+
+    const existing = await TaxonomyTerm.findOne({ term_id: Number(req.params.id) }).lean();
+    if (!existing) {
+      return res.status(404).json({
+        ok: false,
+        error: { message: 'Term not found' }
+      });
+    }
+
+    const errors = await validateTerm({ ...existing, ...validatedData });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        ok: false,
+        error: { message: 'Validation failed', errors }
+      });
+    }
+
+    const term = await TaxonomyTerm.findOneAndUpdate(
+      { term_id: existing.term_id },
+      validatedData,
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      ok: true,
+      data: term
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/ticket-taxonomy/terms/:id
+ * Delete an unused term; terms already on tickets can only be deactivated
+ */
+router.delete('/terms/:id', requirePerm('settings.system'), async (req, res, next) => {
+  try {
+    const term = await TaxonomyTerm.findOne({ term_id: Number(req.params.id) });
+
+    if (!term) {
+      return res.status(404).json({
+        ok: false,
+        error: { message: 'Term not found' }
+      });
+    }
+
+    const used = await Ticket.countDocuments({ [TICKET_FIELDS[term.kind]]: term.value });
+    if (used > 0) {
+      return res.status(409).json({
+        ok: false,
+        error: {
+          message: `Term is used by ${used} tickets; deactivate it instead`,
+          code: 'TERM_IN_USE'
+        }
+      });
+    }
+
+    await term.deleteOne();
+
+    res.json({
+      ok: true,
+      data: { message: 'Term deleted successfully' }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
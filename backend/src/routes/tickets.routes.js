@@ -1,82 +1,171 @@
 import express from "express";
-import { Ticket } from "../models/tickets.js";
+import { Ticket, TICKET_PRIORITIES, SLA_STATES } from "../models/tickets.js";
 import { FollowUp } from "../models/follow_ups.js";
 import { Review } from "../models/reviews.js";
+import { TicketComment } from "../models/ticket_comments.js";
 import { Employee } from "../models/employees.js";
 import { User } from "../models/users.js";
+import { Incident } from "../models/incidents.js";
+import { Attachment } from "../models/attachments.js";
 import { getNextId } from "../utils/counters.js";
+import { buildTicketSla, stuckTicketsFilter, SLA_SORT_FIELDS } from "../utils/sla.js";
+import { recordTicketEvent, updateTicketWithHistory, getTicketHistory, diffTicket } from "../utils/ticketHistory.js";
+import { getActor } from "../utils/actor.js";
+import { normalizePhone, matchOrCreateCustomer, isRepeatContact } from "../utils/customers.js";
+import { routeTicket } from "../utils/routing.js";
+import { validateTicketTaxonomy } from "../utils/taxonomy.js";
+import { getTicketComments } from "../utils/comments.js";
+import { serializeAttachment, deleteAttachments } from "../utils/attachments.js";
+import { NOT_MERGED, findDuplicateCandidates, resolveTicketId, mergeTickets } from "../utils/ticketMerge.js";
+import { createCompletionFollowUp } from "../utils/followUpQueue.js";
+import { findIncidentsForTicket } from "../utils/incidents.js";
+import { changeEscalationLevel, currentLevel } from "../utils/escalations.js";
+import { ticketBulkAction, ticketEscalation } from "../validation/schemas.js";
 import { authRequired, requirePerm } from "../middleware/auth.js";
 
 const router = express.Router();
 
+// Upper bound on tickets touched by one bulk request
+const BULK_TICKET_LIMIT = 500;
+
+// Merged tickets are read-only; writes must go to the surviving ticket
+function mergedTicketResponse(res, ticket) {
+  return res.status(409).json({
+    ok: false,
+    error: {
+      message: `Ticket #${ticket.ticket_id} was merged into #${ticket.merged_into}`,
+      code: 'TICKET_MERGED',
+      merged_into: ticket.merged_into
+    }
+  });
+}
+
+// Mongo filter for the ticket list query parameters; also used by bulk actions
+function buildTicketFilters(query) {
+  const {
+    from,
+    to,
+    resolution_status,
+    issue_category,
+    issue_type,
+    device_type,
+    tags,
+    agent_id,
+    priority,
+    sla_state,
+    sla_breached,
+    escalation_level,
+    incident_id,
+    search,
+    stuck = false,
+    include_merged
+  } = query;
+
+  // Build filters; merged tickets are hidden unless asked for
+  const filters = String(include_merged) === 'true' ? {} : { ...NOT_MERGED };
+  
+  if (resolution_status) {
+    if (Array.isArray(resolution_status)) {
+      filters.resolution_status = { $in: resolution_status };
+    } else {
+      filters.resolution_status = resolution_status;
+    }
+  }
+  
+  if (issue_category) {
+    if (Array.isArray(issue_category)) {
+      filters.issue_category = { $in: issue_category };
+    } else {
+      filters.issue_category = issue_category;
+    }
+  }
+  
+  if (issue_type) filters.issue_type = issue_type;
+  if (device_type) filters.device_type = device_type;
+
+  // Tickets carrying all of the given tags
+  if (tags) {
+    filters.tags = { $all: Array.isArray(tags) ? tags : String(tags).split(',') };
+  }
+
+  if (agent_id) filters.agent_id = Number(agent_id);
+
+  if (priority) {
+    filters.priority = Array.isArray(priority) ? { $in: priority } : priority;
+  }
+
+  // SLA filters; sla_breached narrows the sla_state list when both are given
+  let slaStates = sla_state
+    ? (Array.isArray(sla_state) ? sla_state : String(sla_state).split(',')).filter(state => SLA_STATES.includes(state))
+    : null;
+  if (sla_breached !== undefined) {
+    const breached = String(sla_breached) === 'true';
+    if (slaStates) {
+      slaStates = slaStates.filter(state => (state === 'breached') === breached);
+    } else {
+      filters['sla.state'] = breached ? 'breached' : { $ne: 'breached' };
+    }
+  }
+  if (slaStates) filters['sla.state'] = { $in: slaStates };
+  
+  // Escalation tier; never-escalated tickets count as L1
+  if (escalation_level) {
+    filters['escalation.level'] = Number(escalation_level) === 1 ? { $in: [null, 1] } : Number(escalation_level);
+  }
+
+  if (incident_id) filters.incident_id = Number(incident_id);
+
+  // Date range filtering
+  if (from || to) {
+    filters.createdAt = {};
+    if (from) filters.createdAt.$gte = new Date(from);
+    if (to) filters.createdAt.$lte = new Date(to);
+  }
+  
+  // Search
+  if (search) {
+    filters.$or = [
+      { customer_phone: { $regex: search, $options: 'i' } },
+      { customer_location: { $regex: search, $options: 'i' } },
+      { issue_description: { $regex: search, $options: 'i' } }
+    ];
+  }
+  
+  // Stuck tickets (open and past an SLA target)
+  if (String(stuck) === 'true') {
+    Object.assign(filters, stuckTicketsFilter());
+  }
+
+  return filters;
+}
+
 // Get tickets with filtering and pagination
 router.get("/", authRequired, requirePerm('support.tickets'), async (req, res, next) => {
   try {
     const {
       page = 1,
       pageSize = 20,
-      from,
-      to,
-      resolution_status,
-      issue_category,
-      agent_id,
-      search,
-      stuck = false
+      sort_by = 'createdAt',
+      sort_order = 'desc'
     } = req.query;
 
-    // Build filters
-    const filters = {};
-    
-    if (resolution_status) {
-      if (Array.isArray(resolution_status)) {
-        filters.resolution_status = { $in: resolution_status };
-      } else {
-        filters.resolution_status = resolution_status;
-      }
-    }
-    
-    if (issue_category) {
-      if (Array.isArray(issue_category)) {
-        filters.issue_category = { $in: issue_category };
-      } else {
-        filters.issue_category = issue_category;
-      }
-    }
-    
-    if (agent_id) filters.agent_id = Number(agent_id);
-    
-    // Date range filtering
-    if (from || to) {
-      filters.createdAt = {};
-      if (from) filters.createdAt.$gte = new Date(from);
-      if (to) filters.createdAt.$lte = new Date(to);
-    }
-    
-    // Search
-    if (search) {
-      filters.$or = [
-        { customer_phone: { $regex: search, $options: 'i' } },
-        { customer_location: { $regex: search, $options: 'i' } },
-        { issue_description: { $regex: search, $options: 'i' } }
-      ];
-    }
-    
-    // Stuck tickets (>1 hour)
-    if (stuck === 'true') {
-      const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
-      filters.resolution_status = { $in: ['Pending', 'In-Progress', 'Completed'] };
-      filters.updatedAt = { $lte: oneHourAgo };
-    }
+    // Stored breach flags and time-to-breach are kept current by the sla-refresh job (utils/scheduler.js)
+    const filters = buildTicketFilters(req.query);
 
     // Pagination
     const pageNum = Math.max(1, parseInt(page));
     const limitNum = Math.min(100, Math.max(1, parseInt(pageSize)));
     const skip = (pageNum - 1) * limitNum;
 
+    // Sort (whitelisted fields only)
+    const sortField = SLA_SORT_FIELDS[sort_by] || (['createdAt', 'updatedAt'].includes(sort_by) ? sort_by : 'createdAt');
+    const sortObj = { [sortField]: sort_order === 'asc' ? 1 : -1 };
+    if (sortField !== 'createdAt') sortObj.createdAt = -1;
+
     // Execute query
     const [tickets, total] = await Promise.all([
       Ticket.find(filters)
-        .sort({ createdAt: -1 })
+        .sort(sortObj)
         .skip(skip)
         .limit(limitNum)
         .lean(),
@@ -149,11 +238,21 @@ router.get("/:ticket_id", authRequired, requirePerm('support.tickets'), async (r
       });
     }
 
+    // A merged ticket redirects to the ticket it was merged into
+    if (ticket.merged_into) {
+      const survivingId = await resolveTicketId(ticket.merged_into);
+      if (survivingId) return res.redirect(308, `${req.baseUrl}/${survivingId}`);
+    }
+
     // Get related data
-    const [agent, followUps, reviews] = await Promise.all([
+    const [agent, followUps, reviews, history, comments, incident, attachments] = await Promise.all([
       ticket.agent_id ? Employee.findOne({ employee_id: ticket.agent_id }).lean() : null,
       FollowUp.find({ ticket_id: ticketId }).sort({ createdAt: -1 }).lean(),
-      Review.find({ ticket_id: ticketId }).sort({ createdAt: -1 }).lean()
+      Review.find({ ticket_id: ticketId }).sort({ createdAt: -1 }).lean(),
+      getTicketHistory(ticketId),
+      getTicketComments(ticketId),
+      ticket.incident_id ? Incident.findOne({ incident_id: ticket.incident_id }).select('incident_id title status started_at ended_at').lean() : null,
+      Attachment.find({ ticket_id: ticketId }).sort({ createdAt: 1 }).lean()
     ]);
 
     // Get follow-up agent and reviewer details
@@ -180,7 +279,11 @@ router.get("/:ticket_id", authRequired, requirePerm('support.tickets'), async (r
       ...ticket,
       agent_info: agent,
       follow_ups: enrichedFollowUps,
-      reviews: enrichedReviews
+      reviews: enrichedReviews,
+      history,
+      comments,
+      incident,
+      attachments: attachments.map(serializeAttachment)
     };
 
     res.json({
@@ -196,16 +299,22 @@ router.get("/:ticket_id", authRequired, requirePerm('support.tickets'), async (r
 router.post("/", authRequired, requirePerm('support.tickets'), async (req, res, next) => {
   try {
     const {
-      customer_phone,
+      customer_phone: rawCustomerPhone,
       customer_location,
       communication_channel = 'Phone',
       device_type,
       issue_category,
       issue_type,
       issue_description,
-      agent_id
+      agent_id,
+      priority = 'Medium',
+      tags = [],
+      custom_fields = {}
     } = req.body;
 
+    // Store phones in one canonical format so tickets link to the same customer
+    const customer_phone = normalizePhone(rawCustomerPhone);
+
     // A) Controller/Service input checks (before writing to DB)
     const errors = [];
     
@@ -216,13 +325,20 @@ router.post("/", authRequired, requirePerm('support.tickets'), async (req, res,
       errors.push({ field: 'customer_phone', code: 'invalid_format', detail: 'Use digits only (7–15).' });
     }
     
-    // Validate issue_category: required and enum
-    const validCategories = ['App', 'IPTV', 'Streaming', 'VOD', 'Subscription', 'OTP', 'Programming', 'Other'];
+    // Validate issue_category: required
     if (!issue_category) {
       errors.push({ field: 'issue_category', code: 'required', detail: 'Issue category is required.' });
-    } else if (!validCategories.includes(issue_category)) {
-      errors.push({ field: 'issue_category', code: 'invalid_value', detail: `Must be one of: ${validCategories.join(', ')}.` });
     }
+
+    // Validate category, issue type, device type, tags and custom fields against the taxonomy
+    const taxonomyCheck = await validateTicketTaxonomy({
+      issue_category: issue_category || undefined,
+      issue_type,
+      device_type,
+      tags,
+      custom_fields
+    });
+    errors.push(...taxonomyCheck.errors);
     
     // Validate issue_description: trim and reject if only whitespace
     if (issue_description && issue_description.trim() === '') {
@@ -235,6 +351,11 @@ router.post("/", authRequired, requirePerm('support.tickets'), async (req, res,
       errors.push({ field: 'resolution_status', code: 'invalid_value', detail: `Must be one of: ${validStatuses.join(', ')}.` });
     }
     
+    // Validate priority: enum
+    if (!TICKET_PRIORITIES.includes(priority)) {
+      errors.push({ field: 'priority', code: 'invalid_value', detail: `Must be one of: ${TICKET_PRIORITIES.join(', ')}.` });
+    }
+    
     // Return field-level errors if any
     if (errors.length > 0) {
       return res.status(400).json({
@@ -246,18 +367,11 @@ router.post("/", authRequired, requirePerm('support.tickets'), async (req, res,
       });
     }
 
-    // Get agent_id from authenticated user's employeeId
+    // Assignment order: explicit agent_id, then routing rules, then the creating agent
     let numericAgentId = null;
-    
-    if (req.user && req.user.id) {
-      const currentUser = await User.findById(req.user.id).populate('employeeId', 'employee_id');
-      if (currentUser && currentUser.employeeId && currentUser.employeeId.employee_id) {
-        numericAgentId = currentUser.employeeId.employee_id;
-      }
-    }
-    
-    // If no employeeId found, validate the provided agent_id
-    if (!numericAgentId && agent_id && agent_id !== '') {
+    let routing = null;
+
+    if (agent_id && agent_id !== '') {
       // Check if agent_id is a numeric string (employee_id) or ObjectId
       if (/^\d+$/.test(agent_id)) {
         // It's already a numeric employee_id
@@ -282,6 +396,37 @@ router.post("/", authRequired, requirePerm('support.tickets'), async (req, res,
           error: { message: "Invalid agent" } 
         });
       }
+
+      routing = {
+        method: 'manual',
+        assigned_to: numericAgentId,
+        reason: `Agent ${agent.name} selected when the ticket was created`
+      };
+    }
+
+    if (!routing) {
+      const routed = await routeTicket({ issue_category, issue_type, device_type, communication_channel });
+      if (routed) {
+        numericAgentId = routed.agent_id;
+        routing = routed.routing;
+      }
+    }
+
+    if (!routing) {
+      // Get agent_id from authenticated user's employeeId
+      if (req.user && req.user.id) {
+        const currentUser = await User.findById(req.user.id).populate('employeeId', 'employee_id');
+        if (currentUser && currentUser.employeeId && currentUser.employeeId.employee_id) {
+          numericAgentId = currentUser.employeeId.employee_id;
+        }
+      }
+      routing = {
+        method: 'creator',
+        assigned_to: numericAgentId,
+        reason: numericAgentId
+          ? 'No routing rule matched; assigned to the creating agent'
+          : 'No routing rule matched and the creating user has no employee record'
+      };
     }
 
     // B) Normalize defaults
@@ -305,9 +450,18 @@ router.post("/", authRequired, requirePerm('support.tickets'), async (req, res,
       ticket_id = 1; // Fallback ID
     }
 
-    const ticket = await Ticket.create({
+    // Match or create the customer profile for this phone
+    const customer = await matchOrCreateCustomer({
+      phone: customer_phone,
+      device_type,
+      location: customer_location,
+      channel: communication_channel
+    });
+
+    const ticketData = {
       ticket_id,
       customer_phone,
+      customer_id: customer.customer_id,
       customer_location,
       communication_channel,
       device_type,
@@ -316,7 +470,22 @@ router.post("/", authRequired, requirePerm('support.tickets'), async (req, res,
       issue_description,
       agent_id: numericAgentId,
       resolution_status,
-      first_call_resolution
+      first_call_resolution,
+      priority,
+      routing,
+      tags,
+      custom_fields: taxonomyCheck.custom_fields || {}
+    };
+    ticketData.sla = await buildTicketSla(ticketData);
+
+    const ticket = await Ticket.create(ticketData);
+
+    await recordTicketEvent({
+      ticketId: ticket.ticket_id,
+      before: null,
+      after: ticket.toObject({ virtuals: false }),
+      source: 'create',
+      actor: await getActor(req)
     });
 
     // D) Auto-create follow_up on Completed (existing rule)
@@ -328,6 +497,7 @@ router.post("/", authRequired, requirePerm('support.tickets'), async (req, res,
           ticket_id: ticket.ticket_id,
           customer_phone: ticket.customer_phone,
           follow_up_date: new Date(),
+          repeated_issue: await isRepeatContact(ticket),
           status: 'Pending',
           notes: 'Auto-created follow-up for completed ticket'
         });
@@ -340,9 +510,14 @@ router.post("/", authRequired, requirePerm('support.tickets'), async (req, res,
     console.log('Created ticket:', ticket);
     console.log('Ticket ID:', ticket.ticket_id);
     
+    // Earlier tickets from the same phone and category are likely the same issue
+    const duplicateCandidates = await findDuplicateCandidates(ticket);
+    const incidentSuggestions = await findIncidentsForTicket(ticket);
+
     res.status(201).json({
       ok: true,
-      data: ticket
+      data: ticket,
+      meta: { duplicate_candidates: duplicateCandidates, incident_suggestions: incidentSuggestions }
     });
   } catch (err) {
     next(err);
@@ -367,9 +542,50 @@ router.patch("/:ticket_id", authRequired, requirePerm('support.tickets'), async
         error: { message: "Ticket not found" } 
       });
     }
+    if (ticket.merged_into) return mergedTicketResponse(res, ticket);
 
     const updates = { ...otherUpdates };
+    delete updates.merged_into;
+    delete updates.merged_at;
+    delete updates.merged_ticket_ids;
+    delete updates.customer_id;
+    delete updates.routing;
+    delete updates.escalation;
+    delete updates.incident_id;
+
+    // A changed phone moves the ticket to the matching customer profile
+    if (updates.customer_phone !== undefined) {
+      updates.customer_phone = normalizePhone(updates.customer_phone);
+      if (updates.customer_phone !== ticket.customer_phone) {
+        const customer = await matchOrCreateCustomer({
+          phone: updates.customer_phone,
+          device_type: updates.device_type ?? ticket.device_type,
+          location: updates.customer_location ?? ticket.customer_location,
+          channel: updates.communication_channel ?? ticket.communication_channel
+        });
+        updates.customer_id = customer.customer_id;
+      }
+    }
     
+    // Changed taxonomy-backed fields must use active values; custom fields follow the category
+    const current = ticket.toObject();
+    const changedTaxonomy = Object.fromEntries(
+      ['issue_category', 'issue_type', 'device_type', 'tags', 'custom_fields']
+        .filter(field => updates[field] !== undefined && JSON.stringify(updates[field]) !== JSON.stringify(current[field]))
+        .map(field => [field, updates[field]])
+    );
+    const taxonomyCheck = await validateTicketTaxonomy(changedTaxonomy, current);
+    if (taxonomyCheck.errors.length > 0) {
+      return res.status(400).json({
+        ok: false,
+        error: {
+          message: 'Validation failed',
+          errors: taxonomyCheck.errors
+        }
+      });
+    }
+    if (taxonomyCheck.custom_fields) updates.custom_fields = taxonomyCheck.custom_fields;
+
     // Update resolution status without changing FCR
     if (resolution_status) {
       updates.resolution_status = resolution_status;
@@ -380,25 +596,25 @@ router.patch("/:ticket_id", authRequired, requirePerm('support.tickets'), async
       updates.first_call_resolution = first_call_resolution;
     }
 
-    const updatedTicket = await Ticket.findOneAndUpdate(
-      { ticket_id: ticketId },
+    // SLA is server-computed; re-evaluate it against the updated ticket
+    updates.sla = await buildTicketSla({ ...current, ...updates });
+
+    const updatedTicket = await updateTicketWithHistory(
+      ticketId,
       updates,
-      { new: true, runValidators: true }
+      { source: 'agent_edit', actor: await getActor(req) },
+      { runValidators: true }
     );
+    if (!updatedTicket) {
+      return res.status(404).json({ 
+        ok: false, 
+        error: { message: "Ticket not found" } 
+      });
+    }
 
     // Business Rule: Auto-create Follow-up when status becomes "Completed"
     if (resolution_status === 'Completed' && ticket.resolution_status !== 'Completed') {
-      const follow_up_id = await getNextId('follow_up');
-      
-      await FollowUp.create({
-        follow_up_id,
-        ticket_id: ticketId,
-        follow_up_agent_id: ticket.agent_id,
-        follow_up_date: new Date(),
-        issue_solved: null,
-        satisfied: null,
-        repeated_issue: false
-      });
+      await createCompletionFollowUp(updatedTicket);
     }
 
     res.json({
@@ -423,16 +639,27 @@ router.patch("/:ticket_id/reopen", authRequired, requirePerm('support.tickets'),
       });
     }
 
+    if (ticket.merged_into) return mergedTicketResponse(res, ticket);
+
     // Business Rule: Reopen Logic
-    const updatedTicket = await Ticket.findOneAndUpdate(
-      { ticket_id: ticketId },
-      {
-        resolution_status: 'Pending',
-        first_call_resolution: 'No'
-        // Keep same agent_id (no reassignment)
-      },
-      { new: true }
+    const updates = {
+      resolution_status: 'Pending',
+      first_call_resolution: 'No'
+      // Keep same agent_id (no reassignment)
+    };
+    updates.sla = await buildTicketSla({ ...ticket.toObject(), ...updates });
+
+    const updatedTicket = await updateTicketWithHistory(
+      ticketId,
+      updates,
+      { source: 'reopen', actor: await getActor(req) }
     );
+    if (!updatedTicket) {
+      return res.status(404).json({ 
+        ok: false, 
+        error: { message: "Ticket not found" } 
+      });
+    }
 
     res.json({
       ok: true,
@@ -443,16 +670,297 @@ router.patch("/:ticket_id/reopen", authRequired, requirePerm('support.tickets'),
   }
 });
 
-// Get stuck tickets for QA
+// Move a ticket up (escalate) or down (de-escalate) the L1-L3 tiers with a reason
+async function handleEscalation(req, res, direction) {
+  const ticketId = Number(req.params.ticket_id);
+  const { level, reason, agent_id } = ticketEscalation.parse(req.body);
+
+  const ticket = await Ticket.findOne({ ticket_id: ticketId }).lean();
+  if (!ticket) {
+    return res.status(404).json({ 
+      ok: false, 
+      error: { message: "Ticket not found" } 
+    });
+  }
+  if (ticket.merged_into) return mergedTicketResponse(res, ticket);
+  if (ticket.resolution_status === 'Completed') {
+    return res.status(409).json({
+      ok: false,
+      error: { message: "Completed tickets can't change escalation level; reopen the ticket first", code: 'TICKET_COMPLETED' }
+    });
+  }
+
+  const from = currentLevel(ticket);
+  const target = level ?? (direction === 'up' ? from + 1 : from - 1);
+  if (direction === 'up' ? target <= from || target > 3 : target >= from || target < 1) {
+    return res.status(400).json({
+      ok: false,
+      error: {
+        message: 'Validation failed',
+        errors: [{
+          field: 'level',
+          code: 'invalid_value',
+          detail: direction === 'up'
+            ? `Ticket is at L${from}; escalate to a higher level (max L3).`
+            : `Ticket is at L${from}; de-escalate to a lower level (min L1).`
+        }]
+      }
+    });
+  }
+
+  const result = await changeEscalationLevel(ticket, {
+    level: target,
+    reason,
+    agentId: agent_id,
+    actor: await getActor(req)
+  });
+  if (result.error) {
+    return res.status(result.status || 400).json({ ok: false, error: result.error });
+  }
+
+  res.json({
+    ok: true,
+    data: result.ticket,
+    meta: { from_level: from, to_level: target, notified: result.notified }
+  });
+}
+
+// Escalate to the next tier (or body.level); routes to the tier's section and starts its SLA clock
+router.post("/:ticket_id/escalate", authRequired, requirePerm('support.tickets'), async (req, res, next) => {
+  try {
+    await handleEscalation(req, res, 'up');
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Hand the ticket back down a tier
+router.post("/:ticket_id/de-escalate", authRequired, requirePerm('support.tickets'), async (req, res, next) => {
+  try {
+    await handleEscalation(req, res, 'down');
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Merge this ticket into another; follow-ups, reviews, comments and attachments move to the target
+router.post("/:ticket_id/merge", authRequired, requirePerm('support.tickets'), async (req, res, next) => {
+  try {
+    const sourceId = Number(req.params.ticket_id);
+    const targetId = Number(req.body.target_ticket_id);
+
+    if (!Number.isInteger(targetId) || targetId === sourceId) {
+      return res.status(400).json({
+        ok: false,
+        error: {
+          message: 'Validation failed',
+          errors: [{ field: 'target_ticket_id', code: 'invalid_value', detail: 'Provide another ticket to merge into.' }]
+        }
+      });
+    }
+
+    const [source, target] = await Promise.all([
+      Ticket.findOne({ ticket_id: sourceId }).lean(),
+      Ticket.findOne({ ticket_id: targetId }).lean()
+    ]);
+    if (!source || !target) {
+      return res.status(404).json({ 
+        ok: false, 
+        error: { message: "Ticket not found" } 
+      });
+    }
+    if (source.merged_into) return mergedTicketResponse(res, source);
+    if (target.merged_into) return mergedTicketResponse(res, target);
+
+    const result = await mergeTickets({ sourceId, targetId, actor: await getActor(req) });
+
+    res.json({
+      ok: true,
+      data: result.target,
+      meta: { merged_ticket_id: sourceId, moved: result.moved }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Apply one action to many tickets, selected by ID list or by the list filters.
+// Each ticket gets the same side effects as a single edit; dry_run only reports them.
+router.post("/bulk", authRequired, requirePerm('support.tickets'), async (req, res, next) => {
+  try {
+    const {
+      action,
+      ticket_ids,
+      filter,
+      agent_id,
+      resolution_status,
+      tags,
+      dry_run = false
+    } = ticketBulkAction.parse(req.body);
+
+    const errors = [];
+    if (!ticket_ids === !filter) {
+      errors.push({ field: 'ticket_ids', code: 'invalid_value', detail: 'Provide either ticket_ids or filter.' });
+    }
+    if (action === 'reassign') {
+      if (agent_id === undefined) {
+        errors.push({ field: 'agent_id', code: 'required', detail: 'Agent is required to reassign.' });
+      } else if (agent_id !== null && !(await Employee.exists({ employee_id: agent_id }))) {
+        errors.push({ field: 'agent_id', code: 'invalid_value', detail: 'Agent not found.' });
+      }
+    }
+    if (action === 'status' && !resolution_status) {
+      errors.push({ field: 'resolution_status', code: 'required', detail: 'Status is required.' });
+    }
+    if (action === 'add_tags') {
+      if (!tags) {
+        errors.push({ field: 'tags', code: 'required', detail: 'Tags are required.' });
+      } else {
+        errors.push(...(await validateTicketTaxonomy({ tags })).errors);
+      }
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        ok: false,
+        error: {
+          message: 'Validation failed',
+          errors
+        }
+      });
+    }
+
+    let query;
+    if (filter) {
+      query = buildTicketFilters(filter);
+    } else {
+      query = { ticket_id: { $in: ticket_ids } };
+    }
+
+    const matched = await Ticket.countDocuments(query);
+    if (matched > BULK_TICKET_LIMIT) {
+      return res.status(400).json({
+        ok: false,
+        error: {
+          message: `Bulk actions are limited to ${BULK_TICKET_LIMIT} tickets; ${matched} match. Narrow the selection.`,
+          code: 'BULK_LIMIT_EXCEEDED'
+        }
+      });
+    }
+
+    const tickets = await Ticket.find(query).sort({ ticket_id: 1 }).lean();
+    const actor = dry_run ? null : await getActor(req);
+    const results = [];
+
+    // Requested IDs that don't exist are reported rather than silently dropped
+    if (ticket_ids) {
+      const found = new Set(tickets.map(ticket => ticket.ticket_id));
+      for (const ticketId of new Set(ticket_ids)) {
+        if (!found.has(ticketId)) {
+          results.push({ ticket_id: ticketId, ok: false, error: { message: "Ticket not found" } });
+        }
+      }
+    }
+
+    for (const ticket of tickets) {
+      if (ticket.merged_into) {
+        results.push({
+          ticket_id: ticket.ticket_id,
+          ok: false,
+          error: { message: `Ticket was merged into #${ticket.merged_into}`, code: 'TICKET_MERGED' }
+        });
+        continue;
+      }
+
+      try {
+        if (action === 'delete') {
+          if (!dry_run) {
+            await Ticket.deleteOne({ ticket_id: ticket.ticket_id });
+            await TicketComment.deleteMany({ ticket_id: ticket.ticket_id });
+            await deleteAttachments({ ticket_id: ticket.ticket_id });
+            await recordTicketEvent({ ticketId: ticket.ticket_id, before: ticket, after: null, source: 'bulk_delete', actor });
+          }
+          results.push({ ticket_id: ticket.ticket_id, ok: true, deleted: true });
+          continue;
+        }
+
+        const updates = {};
+        if (action === 'reassign') updates.agent_id = agent_id;
+        if (action === 'status') updates.resolution_status = resolution_status;
+        if (action === 'add_tags') updates.tags = [...new Set([...(ticket.tags || []), ...tags])];
+
+        const changes = diffTicket(ticket, { ...ticket, ...updates });
+        const followUpDue = updates.resolution_status === 'Completed' && ticket.resolution_status !== 'Completed';
+
+        if (changes.length > 0 && !dry_run) {
+          updates.sla = await buildTicketSla({ ...ticket, ...updates });
+          const updatedTicket = await updateTicketWithHistory(
+            ticket.ticket_id,
+            updates,
+            { source: 'bulk_edit', actor },
+            { runValidators: true }
+          );
+          if (!updatedTicket) throw new Error('Ticket not found');
+          if (followUpDue) await createCompletionFollowUp(updatedTicket);
+        }
+
+        results.push({
+          ticket_id: ticket.ticket_id,
+          ok: true,
+          changes,
+          follow_up_created: followUpDue
+        });
+      } catch (err) {
+        results.push({ ticket_id: ticket.ticket_id, ok: false, error: { message: err.message } });
+      }
+    }
+
+    const succeeded = results.filter(result => result.ok);
+    res.json({
+      ok: true,
+      data: results,
+      meta: {
+        action,
+        dry_run,
+        matched,
+        affected: succeeded.filter(result => result.deleted || result.changes.length > 0).length,
+        failed: results.length - succeeded.length,
+        follow_ups_created: succeeded.filter(result => result.follow_up_created).length
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get ticket activity log (newest first)
+router.get("/:ticket_id/history", authRequired, requirePerm('support.tickets'), async (req, res, next) => {
+  try {
+    const ticketId = Number(req.params.ticket_id);
+
+    const ticket = await Ticket.exists({ ticket_id: ticketId });
+    if (!ticket) {
+      return res.status(404).json({ 
+        ok: false, 
+        error: { message: "Ticket not found" } 
+      });
+    }
+
+    const history = await getTicketHistory(ticketId);
+
+    res.json({
+      ok: true,
+      data: history
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get stuck tickets for QA (open tickets past their SLA targets)
 router.get("/stuck/tickets", authRequired, requirePerm('support.reviews'), async (req, res, next) => {
   try {
-    const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
-    
-    const stuckTickets = await Ticket.find({
-      resolution_status: { $in: ['Pending', 'In-Progress', 'Completed'] },
-      updatedAt: { $lte: oneHourAgo }
-    })
-    .sort({ updatedAt: 1 })
+    const stuckTickets = await Ticket.find(stuckTicketsFilter())
+    .sort({ 'sla.next_due_at': 1 })
     .lean();
 
     // Get agent details
@@ -489,8 +997,17 @@ router.delete("/:ticket_id", authRequired, requirePerm('support.tickets'), async
       });
     }
 
-    // Delete the ticket
+    // Delete the ticket, its comments and its attachments; the history keeps who deleted it
     await Ticket.deleteOne({ ticket_id: ticketId });
+    await TicketComment.deleteMany({ ticket_id: ticketId });
+    await deleteAttachments({ ticket_id: ticketId });
+    await recordTicketEvent({
+      ticketId,
+      before: ticket.toObject(),
+      after: null,
+      source: 'delete',
+      actor: await getActor(req)
+    });
 
     res.json({ 
       ok: true, 
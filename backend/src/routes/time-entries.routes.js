@@ -0,0 +1,345 @@
+import express from 'express';
+import { TimeEntry } from '../models/time_entries.js';
+import { Employee } from '../models/employees.js';
+import { timerStart, timeEntryCreate, timeEntryUpdate } from '../validation/schemas.js';
+import { authRequired } from '../middleware/auth.js';
+import { getActor } from '../utils/actor.js';
+import { hasPerm } from '../utils/access.js';
+import {
+  TIME_SUBJECTS,
+  TIMESHEET_APPROVER_PERM,
+  checkSubject,
+  findLockedTimesheet,
+  findOverlappingEntry,
+  stopTimer,
+  minutesBetween,
+  withSubjectTitles
+} from '../utils/timeTracking.js';
+
+const router = express.Router();
+
+// All routes require authentication; logging time also needs access to the record
+router.use(authRequired);
+
+const notFound = (res) => res.status(404).json({
+  ok: false,
+  error: { message: 'Time entry not found' }
+});
+
+const validationError = (res, field, detail) => res.status(400).json({
+  ok: false,
+  error: { message: 'Validation failed', errors: [{ field, code: 'invalid_value', detail }] }
+});
+
+const lockedResponse = (res, timesheet) => res.status(409).json({
+  ok: false,
+  error: {
+    message: `The timesheet for that week is ${timesheet.status}`,
+    code: 'TIMESHEET_LOCKED',
+    timesheet_id: timesheet.timesheet_id
+  }
+});
+
+const overlapResponse = (res, other) => res.status(409).json({
+  ok: false,
+  error: {
+    message: other.ended_at ? 'This overlaps time you already logged' : 'This overlaps your running timer',
+    code: 'TIME_OVERLAP',
+    time_entry_id: other.time_entry_id,
+    started_at: other.started_at,
+    ended_at: other.ended_at
+  }
+});
+
+// The signed-in user's employee; time is always logged for an employee
+async function requireEmployee(req, res) {
+  const actor = await getActor(req);
+  if (!actor.employee_id) {
+    res.status(400).json({
+      ok: false,
+      error: { message: 'Your user is not linked to an employee', code: 'NO_EMPLOYEE' }
+    });
+    return null;
+  }
+  return actor;
+}
+
+/**
+ * GET /api/time-entries?subject_type=ticket&subject_id=42
+ * GET /api/time-entries?employee_id=7&from=2024-06-03&to=2024-06-09
+ * Time logged on a record by everyone, or by one employee (yourself unless
+ * you review timesheets)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { subject_type: subjectType, subject_id: subjectId, employee_id: employeeId, from, to } = req.query;
+    const filters = {};
+
+    if (subjectType || subjectId) {
+      if (!TIME_SUBJECTS[subjectType]) return validationError(res, 'subject_type', 'Use task, ticket or production.');
+      const subjectError = await checkSubject(req, subjectType, Number(subjectId));
+      if (subjectError) return res.status(subjectError.status).json({ ok: false, error: subjectError.error });
+      filters.subject_type = subjectType;
+      filters.subject_id = Number(subjectId);
+    }
+
+    const actor = await getActor(req);
+    if (employeeId && Number(employeeId) !== actor.employee_id) {
+      if (!(await hasPerm(req.user.id, TIMESHEET_APPROVER_PERM))) {
+        return res.status(403).json({
+          ok: false,
+          error: { message: 'You can only see your own time', code: 'FORBIDDEN' }
+        });
+      }
+      filters.employee_id = Number(employeeId);
+    } else if (employeeId || !filters.subject_type) {
+      if (!actor.employee_id) return res.json({ ok: true, data: [], meta: { total_minutes: 0 } });
+      filters.employee_id = actor.employee_id;
+    }
+
+    if (from || to) {
+      filters.started_at = {};
+      if (from) filters.started_at.$gte = new Date(from);
+      if (to) filters.started_at.$lte = new Date(to);
+    }
+
+    const entries = await TimeEntry.find(filters).sort({ started_at: -1 }).limit(500).lean();
+    const employees = await Employee.find({ employee_id: { $in: [...new Set(entries.map(entry => entry.employee_id))] } })
+      .select('employee_id name')
+      .lean();
+    const employeeMap = new Map(employees.map(employee => [employee.employee_id, employee]));
+
+    res.json({
+      ok: true,
+      data: (await withSubjectTitles(entries)).map(entry => ({
+        ...entry,
+        employee: employeeMap.get(entry.employee_id) || null
+      })),
+      meta: { total_minutes: entries.reduce((sum, entry) => sum + (entry.minutes || 0), 0) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/time-entries/timer
+ * Your running timer, if any
+ */
+router.get('/timer', async (req, res, next) => {
+  try {
+    const actor = await getActor(req);
+    const running = actor.employee_id
+      ? await TimeEntry.findOne({ employee_id: actor.employee_id, ended_at: null }).lean()
+      : null;
+
+    res.json({
+      ok: true,
+      data: running ? (await withSubjectTitles([running]))[0] : null
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/time-entries/timer/start
+ * Start a timer on a record; a timer already running is stopped first
+ *
+ * curl -X POST http://localhost:8000/api/time-entries/timer/start \
+ *  -H 'Content-Type: application/json' -H 'Cookie: sid=YOUR_JWT_TOKEN' \
+ *  -d '{"subject_type":"ticket","subject_id":42}'
+ */
+router.post('/timer/start', async (req, res, next) => {
+  try {
+    const validatedData = timerStart.parse(req.body);
+    const actor = await requireEmployee(req, res);
+    if (!actor) return;
+
+    const subjectError = await checkSubject(req, validatedData.subject_type, validatedData.subject_id);
+    if (subjectError) return res.status(subjectError.status).json({ ok: false, error: subjectError.error });
+
+    const now = new Date();
+    const locked = await findLockedTimesheet(actor.employee_id, [now]);
+    if (locked) return lockedResponse(res, locked);
+
+    const stopped = await stopTimer(actor.employee_id, actor, now);
+    let entry;
+    try {
+      entry = await TimeEntry.create({
+        ...validatedData,
+        employee_id: actor.employee_id,
+        started_at: now,
+        source: 'timer',
+        created_by: actor
+      });
+    } catch (err) {
+      // Another request started a timer in between
+      if (err.code !== 11000) throw err;
+      return res.status(409).json({
+        ok: false,
+        error: { message: 'A timer is already running', code: 'TIMER_RUNNING' }
+      });
+    }
+
+    res.status(201).json({
+      ok: true,
+      data: (await withSubjectTitles([entry.toObject()]))[0],
+      meta: { stopped }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/time-entries/timer/stop
+ * Stop your running timer
+ */
+router.post('/timer/stop', async (req, res, next) => {
+  try {
+    const actor = await requireEmployee(req, res);
+    if (!actor) return;
+
+    const stopped = await stopTimer(actor.employee_id, actor);
+    if (!stopped) {
+      return res.status(404).json({
+        ok: false,
+        error: { message: 'No timer is running', code: 'NO_TIMER' }
+      });
+    }
+
+    res.json({
+      ok: true,
+      data: (await withSubjectTitles([stopped]))[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/time-entries
+ * Log time after the fact, with an end time or a number of minutes
+ *
+ * curl -X POST http://localhost:8000/api/time-entries \
+ *  -H 'Content-Type: application/json' -H 'Cookie: sid=YOUR_JWT_TOKEN' \
+ *  -d '{"subject_type":"task","subject_id":12,"started_at":"2024-06-04T09:00:00","minutes":90,"note":"Vendor call"}'
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { minutes, ...validatedData } = timeEntryCreate.parse(req.body);
+    const actor = await requireEmployee(req, res);
+    if (!actor) return;
+
+    const subjectError = await checkSubject(req, validatedData.subject_type, validatedData.subject_id);
+    if (subjectError) return res.status(subjectError.status).json({ ok: false, error: subjectError.error });
+
+    const endedAt = validatedData.ended_at || new Date(validatedData.started_at.getTime() + minutes * 60000);
+    if (endedAt > new Date()) return validationError(res, 'ended_at', 'Time cannot be logged in the future.');
+
+    const locked = await findLockedTimesheet(actor.employee_id, [validatedData.started_at]);
+    if (locked) return lockedResponse(res, locked);
+
+    const overlap = await findOverlappingEntry(actor.employee_id, validatedData.started_at, endedAt);
+    if (overlap) return overlapResponse(res, overlap);
+
+    const entry = await TimeEntry.create({
+      ...validatedData,
+      employee_id: actor.employee_id,
+      ended_at: endedAt,
+      minutes: minutesBetween(validatedData.started_at, endedAt),
+      source: 'manual',
+      created_by: actor
+    });
+
+    res.status(201).json({
+      ok: true,
+      data: (await withSubjectTitles([entry.toObject()]))[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/time-entries/:id
+ * Correct one of your entries while its week is not submitted
+ */
+router.put('/:id', async (req, res, next) => {
+  try {
+    const validatedData = timeEntryUpdate.parse(req.body);
+    const actor = await getActor(req);
+
+    const entry = await TimeEntry.findOne({ time_entry_id: Number(req.params.id) });
+    if (!entry) return notFound(res);
+    if (entry.employee_id !== actor.employee_id) {
+      return res.status(403).json({
+        ok: false,
+        error: { message: 'You can only change your own time', code: 'FORBIDDEN' }
+      });
+    }
+
+    const running = !entry.ended_at;
+    if (running && validatedData.ended_at) {
+      return validationError(res, 'ended_at', 'Stop the timer to set its end.');
+    }
+
+    const startedAt = validatedData.started_at || entry.started_at;
+    const endedAt = validatedData.ended_at || entry.ended_at;
+    if (!running && (endedAt <= startedAt || endedAt - startedAt > 24 * 60 * 60 * 1000)) {
+      return validationError(res, 'ended_at', 'End time must be after the start and within 24 hours.');
+    }
+    if ((endedAt || startedAt) > new Date()) return validationError(res, 'started_at', 'Time cannot be logged in the future.');
+
+    const locked = await findLockedTimesheet(entry.employee_id, [entry.started_at, startedAt]);
+    if (locked) return lockedResponse(res, locked);
+
+    const overlap = await findOverlappingEntry(entry.employee_id, startedAt, endedAt || new Date(), entry.time_entry_id);
+    if (overlap) return overlapResponse(res, overlap);
+
+    entry.set({ ...validatedData, updated_by: actor });
+    if (!running) entry.minutes = minutesBetween(startedAt, endedAt);
+    await entry.save();
+
+    res.json({
+      ok: true,
+      data: (await withSubjectTitles([entry.toObject()]))[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/time-entries/:id
+ * Remove one of your entries while its week is not submitted
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const actor = await getActor(req);
+
+    const entry = await TimeEntry.findOne({ time_entry_id: Number(req.params.id) });
+    if (!entry) return notFound(res);
+    if (entry.employee_id !== actor.employee_id) {
+      return res.status(403).json({
+        ok: false,
+        error: { message: 'You can only change your own time', code: 'FORBIDDEN' }
+      });
+    }
+
+    const locked = await findLockedTimesheet(entry.employee_id, [entry.started_at]);
+    if (locked) return lockedResponse(res, locked);
+
+    await entry.deleteOne();
+
+    res.json({
+      ok: true,
+      data: { message: 'Time entry deleted successfully' }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,294 @@
+import express from 'express';
+import { Timesheet, TIMESHEET_STATUSES } from '../models/timesheets.js';
+import { TimeEntry } from '../models/time_entries.js';
+import { Employee } from '../models/employees.js';
+import { timesheetSubmit, timesheetReview } from '../validation/schemas.js';
+import { authRequired, requirePerm } from '../middleware/auth.js';
+import { getActor } from '../utils/actor.js';
+import { hasPerm } from '../utils/access.js';
+import {
+  TIMESHEET_APPROVER_PERM,
+  LOCKED_STATUSES,
+  parseDay,
+  formatDay,
+  startOfWeek,
+  buildTimesheet,
+  withSubjectTitles,
+  timeEntriesCsv
+} from '../utils/timeTracking.js';
+
+const router = express.Router();
+
+// All routes require authentication; reviewing needs operations.timesheets
+router.use(authRequired);
+
+const notFound = (res) => res.status(404).json({
+  ok: false,
+  error: { message: 'Timesheet not found' }
+});
+
+const validationError = (res, field, detail) => res.status(400).json({
+  ok: false,
+  error: { message: 'Validation failed', errors: [{ field, code: 'invalid_value', detail }] }
+});
+
+const ownTimeOnly = (res) => res.status(403).json({
+  ok: false,
+  error: { message: 'You can only see your own timesheets', code: 'FORBIDDEN' }
+});
+
+// Week from ?week_start (any day of it), default this week
+const weekFromQuery = (value) => (value ? parseDay(value) && startOfWeek(parseDay(value)) : startOfWeek(new Date()));
+
+// Whose time a request is about: employee_id for reviewers, else the user's own employee
+async function resolveEmployee(req, employeeId) {
+  const actor = await getActor(req);
+  if (employeeId && Number(employeeId) !== actor.employee_id) {
+    if (!(await hasPerm(req.user.id, TIMESHEET_APPROVER_PERM))) return { forbidden: true };
+    return { employeeId: Number(employeeId), actor };
+  }
+  return { employeeId: actor.employee_id, actor };
+}
+
+/**
+ * GET /api/timesheets?status=submitted&week_start=2024-06-03&employee_id=7
+ * Submitted and reviewed timesheets; reviewers see everyone's
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { status, week_start: weekStart, employee_id: employeeId } = req.query;
+    const filters = {};
+
+    const reviewer = await hasPerm(req.user.id, TIMESHEET_APPROVER_PERM);
+    if (reviewer) {
+      if (employeeId) filters.employee_id = Number(employeeId);
+    } else {
+      const actor = await getActor(req);
+      if (employeeId && Number(employeeId) !== actor.employee_id) return ownTimeOnly(res);
+      filters.employee_id = actor.employee_id;
+    }
+
+    if (status) {
+      if (!TIMESHEET_STATUSES.includes(status)) return validationError(res, 'status', `Use ${TIMESHEET_STATUSES.join(', ')}.`);
+      filters.status = status;
+    }
+    if (weekStart) {
+      const week = weekFromQuery(weekStart);
+      if (!week) return validationError(res, 'week_start', 'Use YYYY-MM-DD.');
+      filters.week_start = week;
+    }
+
+    const timesheets = await Timesheet.find(filters).sort({ week_start: -1, employee_id: 1 }).limit(200).lean();
+    const employees = await Employee.find({ employee_id: { $in: [...new Set(timesheets.map(sheet => sheet.employee_id))] } })
+      .select('employee_id name')
+      .lean();
+    const employeeMap = new Map(employees.map(employee => [employee.employee_id, employee]));
+
+    res.json({
+      ok: true,
+      data: timesheets.map(sheet => ({ ...sheet, employee: employeeMap.get(sheet.employee_id) || null })),
+      meta: { can_review: reviewer }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/timesheets/week?week_start=2024-06-03&employee_id=7
+ * One employee's week: entries, daily totals, totals per record and review state
+ */
+router.get('/week', async (req, res, next) => {
+  try {
+    const week = weekFromQuery(req.query.week_start);
+    if (!week) return validationError(res, 'week_start', 'Use YYYY-MM-DD.');
+
+    const { employeeId, forbidden } = await resolveEmployee(req, req.query.employee_id);
+    if (forbidden) return ownTimeOnly(res);
+    if (!employeeId) {
+      return res.status(400).json({
+        ok: false,
+        error: { message: 'Your user is not linked to an employee', code: 'NO_EMPLOYEE' }
+      });
+    }
+
+    res.json({
+      ok: true,
+      data: await buildTimesheet(employeeId, week)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/timesheets/export?week_start=2024-06-03&weeks=4&employee_id=7
+ * CSV of the time entries of one or more weeks. Reviewers get every
+ * employee unless employee_id is given.
+ */
+router.get('/export', async (req, res, next) => {
+  try {
+    const week = weekFromQuery(req.query.week_start);
+    if (!week) return validationError(res, 'week_start', 'Use YYYY-MM-DD.');
+    const weeks = Math.min(13, Math.max(1, parseInt(req.query.weeks) || 1));
+    const end = new Date(week);
+    end.setDate(end.getDate() + weeks * 7);
+
+    const filters = { started_at: { $gte: week, $lt: end }, ended_at: { $ne: null } };
+    const reviewer = await hasPerm(req.user.id, TIMESHEET_APPROVER_PERM);
+    if (!reviewer || req.query.employee_id) {
+      const { employeeId, forbidden } = await resolveEmployee(req, req.query.employee_id);
+      if (forbidden) return ownTimeOnly(res);
+      filters.employee_id = employeeId;
+    }
+
+    const entries = await TimeEntry.find(filters).sort({ employee_id: 1, started_at: 1 }).lean();
+    const employeeIds = [...new Set(entries.map(entry => entry.employee_id))];
+    const [employees, timesheets] = await Promise.all([
+      Employee.find({ employee_id: { $in: employeeIds } }).select('employee_id name').lean(),
+      Timesheet.find({ employee_id: { $in: employeeIds }, week_start: { $gte: week, $lt: end } })
+        .select('employee_id week_start status')
+        .lean()
+    ]);
+
+    const csv = timeEntriesCsv(
+      await withSubjectTitles(entries),
+      new Map(employees.map(employee => [employee.employee_id, employee])),
+      new Map(timesheets.map(sheet => [`${sheet.employee_id}:${sheet.week_start.toISOString()}`, sheet.status]))
+    );
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="timesheets-${formatDay(week)}.csv"`
+    });
+    res.send(csv);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/timesheets/submit
+ * Submit your week for approval; its entries are locked until it is rejected
+ *
+ * curl -X POST http://localhost:8000/api/timesheets/submit \
+ *  -H 'Content-Type: application/json' -H 'Cookie: sid=YOUR_JWT_TOKEN' \
+ *  -d '{"week_start":"2024-06-03"}'
+ */
+router.post('/submit', async (req, res, next) => {
+  try {
+    const validatedData = timesheetSubmit.parse(req.body);
+    const week = parseDay(validatedData.week_start);
+    if (!week) return validationError(res, 'week_start', 'Use YYYY-MM-DD.');
+    const weekStart = startOfWeek(week);
+
+    const actor = await getActor(req);
+    if (!actor.employee_id) {
+      return res.status(400).json({
+        ok: false,
+        error: { message: 'Your user is not linked to an employee', code: 'NO_EMPLOYEE' }
+      });
+    }
+    if (weekStart > new Date()) return validationError(res, 'week_start', 'Future weeks cannot be submitted.');
+
+    const sheet = await buildTimesheet(actor.employee_id, weekStart);
+    if (sheet.running) {
+      return res.status(409).json({
+        ok: false,
+        error: { message: 'Stop the running timer before submitting this week', code: 'TIMER_RUNNING' }
+      });
+    }
+    if (LOCKED_STATUSES.includes(sheet.status)) {
+      return res.status(409).json({
+        ok: false,
+        error: { message: `This week is already ${sheet.status}`, code: 'TIMESHEET_LOCKED' }
+      });
+    }
+
+    const timesheet = await Timesheet.findOne({ employee_id: actor.employee_id, week_start: weekStart })
+      || new Timesheet({ employee_id: actor.employee_id, week_start: weekStart });
+    timesheet.set({
+      status: 'submitted',
+      total_minutes: sheet.total_minutes,
+      submitted_at: new Date(),
+      submitted_by: actor,
+      reviewed_at: null,
+      reviewed_by: null,
+      review_note: null
+    });
+    await timesheet.save();
+
+    res.json({
+      ok: true,
+      data: await buildTimesheet(actor.employee_id, weekStart)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Approve or reject a submitted timesheet of someone else
+async function review(req, res, status) {
+  const { note } = timesheetReview.parse(req.body || {});
+  const actor = await getActor(req);
+
+  const timesheet = await Timesheet.findOne({ timesheet_id: Number(req.params.id) }).lean();
+  if (!timesheet) return notFound(res);
+  if (timesheet.employee_id === actor.employee_id) {
+    return res.status(403).json({
+      ok: false,
+      error: { message: 'You cannot review your own timesheet', code: 'SELF_REVIEW' }
+    });
+  }
+  if (status === 'rejected' && !note) {
+    return validationError(res, 'note', 'Say what needs to change.');
+  }
+
+  // Only while it is still waiting for review
+  const reviewed = await Timesheet.findOneAndUpdate(
+    { timesheet_id: timesheet.timesheet_id, status: 'submitted' },
+    { status, reviewed_at: new Date(), reviewed_by: actor, review_note: note || null },
+    { new: true }
+  ).lean();
+  if (!reviewed) {
+    return res.status(409).json({
+      ok: false,
+      error: { message: `Only submitted timesheets can be reviewed; this one is ${timesheet.status}`, code: 'TIMESHEET_NOT_SUBMITTED' }
+    });
+  }
+
+  res.json({
+    ok: true,
+    data: reviewed
+  });
+}
+
+/**
+ * POST /api/timesheets/:id/approve
+ * Approve a submitted week; its entries stay locked
+ */
+router.post('/:id/approve', requirePerm(TIMESHEET_APPROVER_PERM), async (req, res, next) => {
+  try {
+    await review(req, res, 'approved');
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/timesheets/:id/reject
+ * Send a submitted week back with a note; the employee can fix and resubmit it
+ *
+ * curl -X POST http://localhost:8000/api/timesheets/3/reject \
+ *  -H 'Content-Type: application/json' -H 'Cookie: sid=YOUR_JWT_TOKEN' \
+ *  -d '{"note":"Tuesday is missing the afternoon"}'
+ */
+router.post('/:id/reject', requirePerm(TIMESHEET_APPROVER_PERM), async (req, res, next) => {
+  try {
+    await review(req, res, 'rejected');
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,120 @@
+import express from 'express';
+import { WhatsAppMessage } from '../models/whatsapp_messages.js';
+import { authRequired, requirePerm } from '../middleware/auth.js';
+import {
+  verifyWhatsAppSignature,
+  extractWebhookEvents,
+  handleInboundWhatsApp,
+  applyWhatsAppStatus
+} from '../utils/whatsapp.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/inbound/whatsapp?hub.mode=subscribe&hub.verify_token=...&hub.challenge=...
+ * Webhook verification handshake: echo the challenge when the verify token matches
+ */
+router.get('/', (req, res) => {
+  const mode = req.query['hub.mode'];
+  const token = req.query['hub.verify_token'];
+  const challenge = req.query['hub.challenge'];
+
+  if (mode === 'subscribe' && process.env.WHATSAPP_VERIFY_TOKEN && token === process.env.WHATSAPP_VERIFY_TOKEN) {
+    return res.type('text/plain').send(String(challenge));
+  }
+
+  res.status(403).json({
+    ok: false,
+    error: { message: 'Verification failed', code: 'FORBIDDEN' }
+  });
+});
+
+/**
+ * POST /api/inbound/whatsapp
+ * Cloud API webhook. Messages open a ticket or are added to the sender's open
+ * ticket as a customer comment; status callbacks update outbound messages.
+ * The body must be signed with WHATSAPP_APP_SECRET (X-Hub-Signature-256).
+ */
+router.post('/', async (req, res) => {
+  if (!process.env.WHATSAPP_APP_SECRET) {
+    return res.status(503).json({
+      ok: false,
+      error: { message: 'WhatsApp webhook is not configured' }
+    });
+  }
+
+  if (!verifyWhatsAppSignature(req.rawBody, req.get('x-hub-signature-256'), process.env.WHATSAPP_APP_SECRET)) {
+    return res.status(401).json({
+      ok: false,
+      error: { message: 'Invalid signature' }
+    });
+  }
+
+  // Always 200 once the signature is valid: Meta retries anything else and
+  // the messages that did go through would be processed again. Failures are
+  // logged and reported per event instead.
+  const { messages, statuses } = extractWebhookEvents(req.body);
+  const handled = [];
+
+  // Sequential so two messages from one sender in the same payload land on one ticket
+  for (const event of messages) {
+    try {
+      const record = await handleInboundWhatsApp(event);
+      handled.push({
+        wa_message_id: record.wa_message_id,
+        status: record.status,
+        ticket_id: record.ticket_id,
+        comment_id: record.comment_id,
+        error: record.error
+      });
+    } catch (error) {
+      console.error(`WhatsApp message ${event.message?.id} failed:`, error.message);
+      handled.push({ wa_message_id: event.message?.id ?? null, status: 'failed', error: error.message });
+    }
+  }
+  let failedStatuses = 0;
+  for (const status of statuses) {
+    try {
+      await applyWhatsAppStatus(status);
+    } catch (error) {
+      failedStatuses += 1;
+      console.error('WhatsApp status callback failed:', error.message);
+    }
+  }
+
+  res.json({
+    ok: true,
+    data: handled,
+    meta: { messages: messages.length, statuses: statuses.length, failed_statuses: failedStatuses }
+  });
+});
+
+/**
+ * GET /api/inbound/whatsapp/messages?ticket_id=12
+ * WhatsApp conversation for a ticket, oldest first, with delivery status of replies
+ */
+router.get('/messages', authRequired, requirePerm('support.tickets'), async (req, res, next) => {
+  try {
+    const ticketId = Number(req.query.ticket_id);
+    if (!Number.isInteger(ticketId)) {
+      return res.status(400).json({
+        ok: false,
+        error: {
+          message: 'Validation failed',
+          errors: [{ field: 'ticket_id', code: 'required', detail: 'Ticket number is required.' }]
+        }
+      });
+    }
+
+    const messages = await WhatsAppMessage.find({ ticket_id: ticketId }).sort({ sent_at: 1 }).lean();
+
+    res.json({
+      ok: true,
+      data: messages
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
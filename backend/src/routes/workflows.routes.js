@@ -0,0 +1,165 @@
+import express from 'express';
+import { Workflow, WORKFLOW_KEYS } from '../models/workflows.js';
+import { Role } from '../models/roles.js';
+import { workflowUpdate } from '../validation/schemas.js';
+import { authRequired, requirePerm } from '../middleware/auth.js';
+import { getActor } from '../utils/actor.js';
+import { getWorkflow, DEFAULT_WORKFLOWS, WORKFLOW_SUBJECTS } from '../utils/workflows.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authRequired);
+
+const notFound = (res) => res.status(404).json({
+  ok: false,
+  error: { message: 'Workflow not found' }
+});
+
+const serialize = (workflow) => ({
+  ...workflow,
+  requirable_fields: WORKFLOW_SUBJECTS[workflow.key].requirable_fields
+});
+
+// 409 when records still sit in states the change would remove
+async function checkRemovedStates(res, key, current, next) {
+  const keep = new Set(next.map(state => state.key));
+  const removed = current.map(state => state.key).filter(state => !keep.has(state));
+  if (removed.length === 0) return null;
+
+  const { model, field } = WORKFLOW_SUBJECTS[key];
+  const inUse = await model.aggregate([
+    { $match: { [field]: { $in: removed } } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+  ]);
+  if (inUse.length === 0) return null;
+
+  return res.status(409).json({
+    ok: false,
+    error: {
+      message: 'Move records out of these states before removing them',
+      code: 'STATE_IN_USE',
+      states: inUse.map(state => ({ key: state._id, count: state.count }))
+    }
+  });
+}
+
+/**
+ * GET /api/settings/workflows
+ * Status workflows of tasks, production and social media posts
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const workflows = await Promise.all(WORKFLOW_KEYS.map(getWorkflow));
+
+    res.json({
+      ok: true,
+      data: workflows.map(serialize)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/settings/workflows/:key
+ * One workflow; unconfigured ones show the default
+ */
+router.get('/:key', async (req, res, next) => {
+  try {
+    if (!WORKFLOW_KEYS.includes(req.params.key)) return notFound(res);
+
+    res.json({
+      ok: true,
+      data: serialize(await getWorkflow(req.params.key))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/settings/workflows/:key
+ * Replace a workflow's states and transitions
+ *
+ * curl -X PUT http://localhost:8000/api/settings/workflows/task \
+ *  -H 'Content-Type: application/json' -H 'Cookie: sid=YOUR_JWT_TOKEN' \
+ *  -d '{"name":"Tasks","initial_state":"Not Started","states":[{"key":"Not Started","category":"todo"},{"key":"In Progress","category":"in_progress"},{"key":"Completed","category":"done"}],"transitions":[{"from":["Not Started"],"to":"In Progress"},{"from":["In Progress"],"to":"Completed","required_fields":["resolution_note"]},{"from":["Completed"],"to":"In Progress","roles":["admin"]}]}'
+ */
+router.put('/:key', requirePerm('settings.system'), async (req, res, next) => {
+  try {
+    const { key } = req.params;
+    if (!WORKFLOW_KEYS.includes(key)) return notFound(res);
+
+    const validatedData = workflowUpdate.parse(req.body);
+    const errors = [];
+
+    const roles = [...new Set(validatedData.transitions.flatMap(transition => transition.roles || []))];
+    if (roles.length > 0) {
+      const found = await Role.find({ key: { $in: roles } }).select('key').lean();
+      const known = new Set(found.map(role => role.key));
+      const unknown = roles.filter(role => !known.has(role));
+      if (unknown.length > 0) {
+        errors.push({ field: 'transitions', code: 'invalid_value', detail: `Unknown roles: ${unknown.join(', ')}.` });
+      }
+    }
+
+    const { requirable_fields: requirable } = WORKFLOW_SUBJECTS[key];
+    const fields = [...new Set(validatedData.transitions.flatMap(transition => transition.required_fields || []))];
+    const unsupported = fields.filter(field => !requirable.includes(field));
+    if (unsupported.length > 0) {
+      errors.push({
+        field: 'transitions',
+        code: 'invalid_value',
+        detail: `${unsupported.join(', ')} cannot be required; use ${requirable.join(', ')}.`
+      });
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        ok: false,
+        error: { message: 'Validation failed', errors }
+      });
+    }
+
+    const current = await getWorkflow(key);
+    if (await checkRemovedStates(res, key, current.states, validatedData.states)) return;
+
+    const workflow = await Workflow.findOne({ key }) || new Workflow({ key });
+    workflow.set({ ...validatedData, updated_by: await getActor(req) });
+    await workflow.save();
+
+    res.json({
+      ok: true,
+      data: serialize(await getWorkflow(key))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/settings/workflows/:key
+ * Go back to the built-in workflow
+ */
+router.delete('/:key', requirePerm('settings.system'), async (req, res, next) => {
+  try {
+    const { key } = req.params;
+    if (!WORKFLOW_KEYS.includes(key)) return notFound(res);
+
+    const workflow = await Workflow.findOne({ key });
+    if (workflow) {
+      if (await checkRemovedStates(res, key, workflow.states, DEFAULT_WORKFLOWS[key].states)) return;
+      await workflow.deleteOne();
+    }
+
+    res.json({
+      ok: true,
+      data: serialize(await getWorkflow(key))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
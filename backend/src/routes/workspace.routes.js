@@ -0,0 +1,140 @@
+import express from 'express';
+import { presenceUpdate } from '../validation/schemas.js';
+import { authRequired, requirePerm } from '../middleware/auth.js';
+import { getActor } from '../utils/actor.js';
+import { openStream, isConnected } from '../utils/liveEvents.js';
+import { getPresenceMap, setPresence, markOfflineWhenGone } from '../utils/presence.js';
+import { getAgentQueue, getTeamStatus } from '../utils/workspace.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authRequired);
+
+// The workspace belongs to an employee; users without one have no queue or presence
+async function requireEmployee(req, res) {
+  const actor = await getActor(req);
+  if (actor.employee_id === null) {
+    res.status(400).json({
+      ok: false,
+      error: { message: 'User not associated with employee', code: 'NO_EMPLOYEE' }
+    });
+    return null;
+  }
+  return actor;
+}
+
+/**
+ * GET /api/workspace/queue
+ * My open tickets (most pressing first) and open follow-up calls
+ */
+router.get('/queue', requirePerm('support.tickets'), async (req, res, next) => {
+  try {
+    const actor = await requireEmployee(req, res);
+    if (!actor) return;
+
+    const queue = await getAgentQueue(actor.employee_id);
+    res.json({
+      ok: true,
+      data: queue,
+      meta: {
+        tickets: queue.tickets.length,
+        follow_ups_due: queue.follow_ups.filter(followUp => followUp.is_due).length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/workspace/events
+ * Server-sent events for my queue: ticket.created, ticket.assigned,
+ * ticket.reopened, ticket.updated, ticket.unassigned, follow_up.assigned
+ * and presence.changed. When my last stream closes I am set offline after
+ * a short grace period.
+ */
+router.get('/events', requirePerm('support.tickets'), async (req, res, next) => {
+  try {
+    const actor = await requireEmployee(req, res);
+    if (!actor) return;
+
+    await openStream(req, res, 'agent', actor.employee_id);
+    if (!isConnected('agent', actor.employee_id)) markOfflineWhenGone(actor.employee_id);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/workspace/presence
+ * My presence
+ */
+router.get('/presence', requirePerm('support.tickets'), async (req, res, next) => {
+  try {
+    const actor = await requireEmployee(req, res);
+    if (!actor) return;
+
+    const presence = await getPresenceMap([actor.employee_id]);
+    res.json({ ok: true, data: presence.get(actor.employee_id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/workspace/presence
+ * Set my presence: available, on_call, break or offline
+ *
+ * curl -X PUT http://localhost:8000/api/workspace/presence \
+ *  -H 'Content-Type: application/json' -H 'Cookie: sid=YOUR_JWT_TOKEN' \
+ *  -d '{"status":"available"}'
+ */
+router.put('/presence', requirePerm('support.tickets'), async (req, res, next) => {
+  try {
+    const { status } = presenceUpdate.parse(req.body);
+
+    const actor = await requireEmployee(req, res);
+    if (!actor) return;
+
+    const presence = await setPresence(actor.employee_id, status, { actor });
+    res.json({ ok: true, data: presence });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/workspace/team?section_id=
+ * Presence, connection and workload per agent, for supervisors
+ */
+router.get('/team', requirePerm('reports.support'), async (req, res, next) => {
+  try {
+    const agents = await getTeamStatus({ sectionId: req.query.section_id || undefined });
+
+    const counts = Object.fromEntries(['available', 'on_call', 'break', 'offline'].map(status => [
+      status, agents.filter(agent => agent.presence.status === status).length
+    ]));
+    res.json({
+      ok: true,
+      data: agents,
+      meta: { total: agents.length, presence: counts }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/workspace/team/events
+ * Server-sent presence.changed and queue.changed events for supervisors
+ */
+router.get('/team/events', requirePerm('reports.support'), async (req, res, next) => {
+  try {
+    await openStream(req, res, 'team');
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
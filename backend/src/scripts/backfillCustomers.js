@@ -0,0 +1,50 @@
+import "dotenv/config";
+import mongoose from "mongoose";
+import { connectDB } from "../db.js";
+import { Ticket } from "../models/tickets.js";
+import { normalizePhone, matchOrCreateCustomer } from "../utils/customers.js";
+
+/**
+ * Link tickets created before customer profiles existed to a customer,
+ * matched on normalized phone (or sender email for email-only tickets).
+ * Idempotent: only tickets without a customer_id are touched.
+ */
+async function main() {
+  await connectDB();
+
+  // Oldest first, so first and last contact dates come out right
+  const cursor = Ticket.find({ customer_id: null }).sort({ createdAt: 1 }).lean().cursor();
+  let linked = 0;
+  let skipped = 0;
+
+  for await (const ticket of cursor) {
+    const phone = normalizePhone(ticket.customer_phone);
+    if (!phone && !ticket.customer_email) {
+      skipped += 1;
+      continue;
+    }
+
+    const customer = await matchOrCreateCustomer({
+      phone,
+      email: phone ? undefined : ticket.customer_email,
+      device_type: ticket.device_type,
+      location: ticket.customer_location,
+      channel: ticket.communication_channel,
+      at: ticket.createdAt || new Date()
+    });
+    await Ticket.updateOne(
+      { _id: ticket._id },
+      { customer_id: customer.customer_id, ...(phone && { customer_phone: phone }) },
+      { timestamps: false }
+    );
+    linked += 1;
+  }
+
+  console.log(`${linked} tickets linked to customers (${skipped} without a phone or email skipped)`);
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,37 @@
+import "dotenv/config";
+import mongoose from "mongoose";
+import { connectDB } from "../db.js";
+import { Ticket } from "../models/tickets.js";
+import { buildTicketSla } from "../utils/sla.js";
+
+/**
+ * Compute SLA snapshots for tickets created before SLA tracking existed.
+ * Idempotent: only tickets without an sla value are touched.
+ */
+async function main() {
+  await connectDB();
+
+  const cursor = Ticket.find({ sla: null }).lean().cursor();
+  let updated = 0;
+
+  for await (const ticket of cursor) {
+    // Historic tickets have no recorded response time; treat the last update as both
+    const snapshot = {
+      ...ticket,
+      sla: ticket.resolution_status !== 'Pending'
+        ? { first_responded_at: ticket.updatedAt, resolved_at: ticket.resolution_status === 'Completed' ? ticket.updatedAt : null }
+        : null
+    };
+    const sla = await buildTicketSla(snapshot);
+    await Ticket.updateOne({ _id: ticket._id }, { sla }, { timestamps: false });
+    updated += 1;
+  }
+
+  console.log(`SLA backfilled for ${updated} tickets`);
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
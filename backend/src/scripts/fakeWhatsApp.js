@@ -0,0 +1,75 @@
+import "dotenv/config";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "whatsapp");
+
+/**
+ * Local stand-in for the WhatsApp Cloud API: posts a recorded webhook payload,
+ * signed like Meta signs it, to the webhook.
+ *
+ *   npm run whatsapp:fake -- text_message
+ *   npm run whatsapp:fake -- text_message --from 252611111111 --text "Still no OTP"
+ *   npm run whatsapp:fake -- path/to/payload.json --keep-id   (replay as a webhook retry)
+ *
+ * Message ids are replaced with fresh ones unless --keep-id is given.
+ */
+function parseArgs(argv) {
+  const args = { fixture: "text_message", from: null, text: null, keepId: false };
+  const rest = [...argv];
+  while (rest.length > 0) {
+    const arg = rest.shift();
+    if (arg === "--from") args.from = rest.shift();
+    else if (arg === "--text") args.text = rest.shift();
+    else if (arg === "--keep-id") args.keepId = true;
+    else args.fixture = arg;
+  }
+  return args;
+}
+
+function loadPayload(fixture) {
+  const file = fs.existsSync(fixture) ? fixture : path.join(FIXTURES_DIR, `${fixture.replace(/\.json$/, "")}.json`);
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const secret = process.env.WHATSAPP_APP_SECRET;
+  if (!secret) throw new Error("Set WHATSAPP_APP_SECRET to the same value the backend uses");
+
+  const payload = loadPayload(args.fixture);
+  for (const entry of payload.entry || []) {
+    for (const change of entry.changes || []) {
+      const value = change.value || {};
+      for (const message of value.messages || []) {
+        if (!args.keepId) message.id = `wamid.FAKE.${crypto.randomUUID()}`;
+        message.timestamp = String(Math.floor(Date.now() / 1000));
+        if (args.from) message.from = args.from;
+        if (args.text && message.type === "text") message.text.body = args.text;
+      }
+      if (args.from) {
+        for (const contact of value.contacts || []) contact.wa_id = args.from;
+      }
+    }
+  }
+
+  const body = JSON.stringify(payload);
+  const signature = `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+  const url = process.env.WHATSAPP_WEBHOOK_URL || `http://localhost:${process.env.PORT || 8000}/api/inbound/whatsapp`;
+
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Hub-Signature-256": signature },
+    body
+  });
+
+  console.log(response.status, JSON.stringify(await response.json().catch(() => null), null, 2));
+  process.exit(response.ok ? 0 : 1);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
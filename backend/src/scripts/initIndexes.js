@@ -38,10 +38,13 @@ async function main() {
   await Ticket.collection.createIndex({ agent_id: 1, createdAt: -1 });
   await Ticket.collection.createIndex({ communication_channel: 1 });
   await Ticket.collection.createIndex({ issue_type: 1 });
+  await Ticket.collection.createIndex({ 'escalation.level': 1, 'escalation.due_at': 1 });
+  await Ticket.collection.createIndex({ incident_id: 1, resolution_status: 1 });
 
   await FollowUp.collection.createIndex({ follow_up_id: 1 }, { unique: true });
   await FollowUp.collection.createIndex({ ticket_id: 1 });
   await FollowUp.collection.createIndex({ follow_up_agent_id: 1 });
+  await FollowUp.collection.createIndex({ follow_up_agent_id: 1, outcome: 1, follow_up_date: 1 });
 
   await Review.collection.createIndex({ review_id: 1 }, { unique: true });
   await Review.collection.createIndex({ ticket_id: 1, reviewer_id: 1 });
@@ -0,0 +1,32 @@
+import "dotenv/config";
+
+/**
+ * MTA pipe target: reads one raw message from stdin and posts it to the
+ * inbound email endpoint. Exit code 75 (EX_TEMPFAIL) asks the MTA to retry later.
+ *
+ * Postfix alias:  support: "|node /path/to/backend/src/scripts/pipeInboundEmail.js"
+ * Manual test:    npm run email:pipe < message.eml
+ */
+async function main() {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+
+  const url = process.env.INBOUND_EMAIL_URL || `http://localhost:${process.env.PORT || 8000}/api/inbound/email`;
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'message/rfc822',
+      Authorization: `Bearer ${process.env.INBOUND_EMAIL_TOKEN || ''}`
+    },
+    body: Buffer.concat(chunks)
+  });
+
+  const result = await response.json().catch(() => null);
+  console.log(JSON.stringify(result?.data ?? result));
+  process.exit(response.ok ? 0 : response.status >= 500 ? 75 : 1);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(75);
+});
@@ -0,0 +1,32 @@
+import "dotenv/config";
+import mongoose from "mongoose";
+import { connectDB } from "../db.js";
+import { getSamplingSettings, runQaSampling, previousDay } from "../utils/qaSampling.js";
+
+/**
+ * Daily QA sampling, meant for cron shortly after midnight UTC:
+ *   npm run qa:sample [-- 2024-05-01]
+ * Samples yesterday by default. Does nothing while sampling is disabled or the day was already sampled.
+ */
+async function main() {
+  await connectDB();
+
+  const day = process.argv[2] || previousDay();
+  const settings = await getSamplingSettings();
+
+  if (!settings.enabled) {
+    console.log("QA sampling is disabled");
+  } else {
+    const { run, already_run: alreadyRun, error } = await runQaSampling({ day });
+    if (error) console.log(error);
+    else if (alreadyRun) console.log(`${day} was already sampled`);
+    else console.log(`${day}: ${run.assigned} reviews assigned from ${run.tickets_considered} completed tickets (${run.skipped} skipped)`);
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
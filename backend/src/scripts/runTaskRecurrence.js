@@ -0,0 +1,24 @@
+import "dotenv/config";
+import mongoose from "mongoose";
+import { connectDB } from "../db.js";
+import { runTaskRecurrence } from "../utils/taskTemplates.js";
+
+/**
+ * Create the tasks of recurring templates whose day has arrived. The server
+ * does this on its own; use cron every few minutes when SCHEDULER_DISABLED=true:
+ *   npm run tasks:recur
+ * Templates that missed several days get only their latest occurrence.
+ */
+async function main() {
+  await connectDB();
+
+  const { templates, created, skipped } = await runTaskRecurrence();
+  console.log(`${created} tasks created from ${templates} due templates (${skipped} missed occurrences skipped)`);
+
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -15,6 +15,7 @@ import { UserAccess } from "../models/user_access.js";
 import { Ticket } from "../models/tickets.js";
 import { FollowUp } from "../models/follow_ups.js";
 import { Review } from "../models/reviews.js";
+import { ensureDefaultTerms } from "../utils/taxonomy.js";
 
 /**
  * Connect to MongoDB using environment variables
@@ -236,6 +237,7 @@ async function seedPermissions() {
     // Operations
     { key: "operations.calendar", label: "Calendar", group: "Operations" },
     { key: "operations.notifications", label: "Notifications", group: "Operations" },
+    { key: "operations.timesheets", label: "Review Timesheets", group: "Operations" },
       
       // Content
     { key: "content.ideas", label: "Ideas", group: "Content" },
@@ -287,6 +289,7 @@ async function seedRoles() {
         "management.sections", "management.employees", "support.tickets", 
         "support.followups", "support.reviews", "tasks.view", "tasks.mine",
         "tasks.create", "tasks.edit", "operations.calendar", "operations.notifications",
+        "operations.timesheets",
         "reports.support", "reports.content", "reports.operations", 
         "reports.custom", "content.ideas", "content.scripts", 
         "content.production", "content.social", "content.library", 
@@ -300,7 +303,7 @@ async function seedRoles() {
         permissions: [
         "dashboard.view", "support.tickets", "support.followups", 
         "support.reviews", "tasks.view", "tasks.mine", "operations.calendar",
-        "reports.support", "reports.operations", "settings.profile"
+        "operations.timesheets", "reports.support", "reports.operations", "settings.profile"
       ]
     },
     {
@@ -370,6 +373,17 @@ async function seedUserAccess() {
   }
 }
 
+/**
+ * Seed built-in ticket categories, issue types and device types
+ */
+async function seedTicketTaxonomy() {
+  console.log("🏷️  Seeding ticket taxonomy...");
+
+  for (const kind of ["category", "issue_type", "device_type"]) {
+    await ensureDefaultTerms(kind);
+  }
+}
+
 /**
  * Optional: Seed sample tickets, follow-ups, and reviews
  */
@@ -542,6 +556,7 @@ async function main() {
     await seedPermissions();
     await seedRoles();
     await seedUserAccess();
+    await seedTicketTaxonomy();
     await seedSampleData();
     
     await printSummary();
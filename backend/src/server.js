@@ -1,6 +1,7 @@
 import "dotenv/config";
 import { connectDB } from "./db.js";
 import app from "./app.js";
+import { startScheduler } from "./utils/scheduler.js";
 
 const PORT = process.env.PORT || 8000;
 
@@ -8,6 +9,7 @@ const PORT = process.env.PORT || 8000;
 async function startServer() {
   try {
     await connectDB();
+    startScheduler();
     app.listen(PORT, () => console.log(`🚀 taskplus-backend listening on :${PORT}`));
   } catch (err) {
     console.error("❌ Failed to connect to MongoDB:", err.message);
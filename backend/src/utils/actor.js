@@ -0,0 +1,25 @@
+import { User } from '../models/users.js';
+
+/**
+ * Resolve the authenticated user and linked employee for audit purposes
+ * @param {Request} req - Express request (authRequired sets req.user.id)
+ * @returns {Promise<{user_id: string|null, username: string|null, employee_id: number|null, name: string|null}>}
+ */
+export async function getActor(req) {
+  const actor = { user_id: null, username: null, employee_id: null, name: null };
+  if (!req.user || !req.user.id) return actor;
+
+  const user = await User.findById(req.user.id)
+    .select('username employeeId')
+    .populate('employeeId', 'employee_id name')
+    .lean();
+  if (!user) return actor;
+
+  actor.user_id = String(user._id);
+  actor.username = user.username;
+  if (user.employeeId) {
+    actor.employee_id = user.employeeId.employee_id ?? null;
+    actor.name = user.employeeId.name ?? null;
+  }
+  return actor;
+}
@@ -0,0 +1,150 @@
+/**
+ * Attachment storage drivers. A driver is an object with a `name` and
+ * `put(key, buffer, { contentType })`, `get(key)` resolving to
+ * `{ stream, size }` (or null when the object is missing) and `remove(key)`;
+ * ATTACHMENT_STORAGE picks one by name. Others can be added with
+ * registerAttachmentStorage.
+ */
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+const drivers = {
+  // Development default: files under ATTACHMENT_DIR on this machine
+  local: () => {
+    const root = path.resolve(process.env.ATTACHMENT_DIR || 'uploads/attachments');
+
+    // Keys are generated by us, but never let one point outside the root
+    const resolve = (key) => {
+      const file = path.resolve(root, key);
+      if (!file.startsWith(root + path.sep)) throw new Error(`Invalid attachment key "${key}"`);
+      return file;
+    };
+
+    return {
+      name: 'local',
+      async put(key, buffer) {
+        const file = resolve(key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, buffer);
+      },
+      async get(key) {
+        const file = resolve(key);
+        const stat = await fs.promises.stat(file).catch(() => null);
+        if (!stat) return null;
+        return { stream: fs.createReadStream(file), size: stat.size };
+      },
+      async remove(key) {
+        await fs.promises.rm(resolve(key), { force: true });
+      }
+    };
+  },
+
+  // S3 or a compatible service (MinIO, R2, Spaces); path-style requests signed with SigV4
+  s3: () => {
+    const bucket = process.env.S3_BUCKET;
+    const accessKeyId = process.env.S3_ACCESS_KEY_ID;
+    const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY;
+    const region = process.env.S3_REGION || 'us-east-1';
+    const endpoint = (process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`).replace(/\/+$/, '');
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY are required for the s3 storage driver');
+    }
+
+    const request = (method, key, { body, contentType } = {}) => {
+      const url = new URL(`${endpoint}/${bucket}/${key.split('/').map(encodeURIComponent).join('/')}`);
+      const amzDate = new Date().toISOString().replace(/[-:]|\.\d{3}/g, '');
+      const dateStamp = amzDate.slice(0, 8);
+      const payloadHash = sha256(body || '');
+
+      const headers = {
+        host: url.host,
+        'x-amz-content-sha256': payloadHash,
+        'x-amz-date': amzDate,
+        ...(contentType && { 'content-type': contentType })
+      };
+      const signedHeaders = Object.keys(headers).sort();
+      const canonicalRequest = [
+        method,
+        url.pathname,
+        '',
+        signedHeaders.map(name => `${name}:${headers[name]}\n`).join(''),
+        signedHeaders.join(';'),
+        payloadHash
+      ].join('\n');
+
+      const scope = `${dateStamp}/${region}/s3/aws4_request`;
+      const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+      const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+      const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+      // fetch sets Host itself
+      const { host, ...sent } = headers;
+      return fetch(url, {
+        method,
+        body,
+        headers: {
+          ...sent,
+          Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`
+        }
+      });
+    };
+
+    const check = async (response, action) => {
+      if (response.ok) return;
+      const text = await response.text().catch(() => '');
+      const code = text.match(/<Code>([^<]+)<\/Code>/)?.[1];
+      throw new Error(`S3 ${action} failed: ${code || `status ${response.status}`}`);
+    };
+
+    return {
+      name: 's3',
+      async put(key, buffer, { contentType } = {}) {
+        await check(await request('PUT', key, { body: buffer, contentType }), 'upload');
+      },
+      async get(key) {
+        const response = await request('GET', key);
+        if (response.status === 404) return null;
+        await check(response, 'download');
+        return {
+          stream: Readable.fromWeb(response.body),
+          size: Number(response.headers.get('content-length')) || null
+        };
+      },
+      async remove(key) {
+        const response = await request('DELETE', key);
+        if (response.status !== 404) await check(response, 'delete');
+      }
+    };
+  }
+};
+
+const active = new Map();
+
+/**
+ * Add or replace a storage driver factory
+ * @param {string} name - Value of ATTACHMENT_STORAGE that selects it
+ * @param {Function} factory - Returns a driver ({ name, put, get, remove })
+ */
+export function registerAttachmentStorage(name, factory) {
+  drivers[name] = factory;
+  active.delete(name);
+}
+
+/**
+ * A storage driver, created on first use
+ * @param {string} [name] - Driver name; defaults to ATTACHMENT_STORAGE (or local)
+ * @returns {object} Driver
+ */
+export function getAttachmentStorage(name = process.env.ATTACHMENT_STORAGE || 'local') {
+  if (!active.has(name)) {
+    const factory = drivers[name];
+    if (!factory) throw new Error(`Unknown attachment storage "${name}"`);
+    active.set(name, factory());
+  }
+  return active.get(name);
+}
@@ -0,0 +1,141 @@
+import crypto from 'node:crypto';
+import path from 'node:path';
+import sharp from 'sharp';
+import { Attachment } from '../models/attachments.js';
+import { getAttachmentStorage } from './attachmentStorage.js';
+
+/**
+ * Largest accepted file, from ATTACHMENT_MAX_MB (default 10)
+ */
+export const MAX_ATTACHMENT_BYTES = (Number(process.env.ATTACHMENT_MAX_MB) || 10) * 1024 * 1024;
+
+/**
+ * Files accepted in one upload
+ */
+export const MAX_ATTACHMENTS_PER_UPLOAD = 5;
+
+// Accepted types and the leading bytes their content must start with; text has no signature
+const SIGNATURES = {
+  'image/png': [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+  'image/jpeg': [[0xff, 0xd8, 0xff]],
+  'image/gif': [[0x47, 0x49, 0x46, 0x38]],
+  'image/webp': [[0x52, 0x49, 0x46, 0x46]],
+  'application/pdf': [[0x25, 0x50, 0x44, 0x46, 0x2d]],
+  'text/plain': null,
+  'text/csv': null
+};
+
+export const ALLOWED_MIME_TYPES = Object.keys(SIGNATURES);
+
+const THUMBNAIL_SIZE = 320;
+
+/**
+ * Check an uploaded file against the allowed types and size. The declared type
+ * must be allowed and the content has to match it, so a renamed executable is
+ * not accepted as a PNG, and images must be readable for the thumbnail.
+ * @param {object} file - Multer file ({ originalname, mimetype, size, buffer })
+ * @returns {Promise<{code: string, detail: string}|null>} Problem, or null when the file is fine
+ */
+export async function checkAttachment(file) {
+  const name = file.originalname;
+  if (file.size === 0) {
+    return { code: 'empty_file', detail: `${name} is empty.` };
+  }
+  if (file.size > MAX_ATTACHMENT_BYTES) {
+    return { code: 'too_large', detail: `${name} is larger than ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB.` };
+  }
+  if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+    return { code: 'invalid_type', detail: `${name}: ${file.mimetype || 'unknown'} files are not allowed.` };
+  }
+
+  const signatures = SIGNATURES[file.mimetype];
+  const matches = signatures
+    ? signatures.some(bytes => bytes.every((byte, index) => file.buffer[index] === byte))
+      && (file.mimetype !== 'image/webp' || file.buffer.toString('latin1', 8, 12) === 'WEBP')
+    : !file.buffer.subarray(0, 8192).includes(0);
+  if (!matches) {
+    return { code: 'invalid_type', detail: `${name} does not match its type (${file.mimetype}).` };
+  }
+  if (file.mimetype.startsWith('image/')) {
+    const metadata = await sharp(file.buffer).metadata().catch(() => null);
+    if (!metadata?.width) return { code: 'invalid_image', detail: `${name} could not be read as an image.` };
+  }
+  return null;
+}
+
+// Keep the name readable in downloads but drop path parts and control characters
+const cleanFilename = (name) => path.basename(name.replace(/\\/g, '/')).replace(/[\x00-\x1f\x7f]/g, '').slice(0, 200) || 'file';
+
+/**
+ * Store a file that passed checkAttachment and record it; images get a webp thumbnail
+ * @param {object} params
+ * @param {object} params.file - Multer file that passed checkAttachment
+ * @param {number} params.ticketId
+ * @param {string} params.ownerType - 'ticket', 'comment' or 'follow_up'
+ * @param {number|null} params.ownerId - comment_id or follow_up_id
+ * @param {object} params.actor - Result of getActor(req)
+ * @returns {Promise<object>} Serialized attachment
+ */
+export async function storeAttachment({ file, ticketId, ownerType, ownerId, actor }) {
+  const storage = getAttachmentStorage();
+  const key = `tickets/${ticketId}/${crypto.randomUUID()}`;
+
+  let thumbnail = null;
+  let dimensions = {};
+  if (file.mimetype.startsWith('image/')) {
+    const image = sharp(file.buffer);
+    const metadata = await image.metadata();
+    dimensions = { width: metadata.width ?? null, height: metadata.height ?? null };
+    thumbnail = await image
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 75 })
+      .toBuffer();
+  }
+
+  await storage.put(key, file.buffer, { contentType: file.mimetype });
+  if (thumbnail) await storage.put(`${key}.thumb.webp`, thumbnail, { contentType: 'image/webp' });
+
+  const attachment = await Attachment.create({
+    ticket_id: ticketId,
+    owner_type: ownerType,
+    owner_id: ownerId,
+    filename: cleanFilename(file.originalname),
+    mime_type: file.mimetype,
+    size: file.size,
+    storage: storage.name,
+    storage_key: key,
+    thumbnail_key: thumbnail ? `${key}.thumb.webp` : null,
+    ...dimensions,
+    uploaded_by: actor
+  });
+  return serializeAttachment(attachment.toObject());
+}
+
+/**
+ * Public shape of an attachment; storage details stay on the server
+ * @param {object} attachment - Lean attachment
+ * @returns {object}
+ */
+export function serializeAttachment(attachment) {
+  const { _id, __v, storage, storage_key, thumbnail_key, ...rest } = attachment;
+  return { ...rest, has_thumbnail: Boolean(thumbnail_key) };
+}
+
+/**
+ * Remove attachments and their stored files. A file that is already gone
+ * from storage does not stop the record from being deleted.
+ * @param {object} filter - Attachment filter, e.g. { ticket_id }
+ * @returns {Promise<number>} Attachments deleted
+ */
+export async function deleteAttachments(filter) {
+  const attachments = await Attachment.find(filter).lean();
+  for (const attachment of attachments) {
+    const storage = getAttachmentStorage(attachment.storage);
+    for (const key of [attachment.storage_key, attachment.thumbnail_key].filter(Boolean)) {
+      await storage.remove(key).catch(err => console.error(`Failed to remove attachment file ${key}:`, err.message));
+    }
+  }
+  await Attachment.deleteMany({ attachment_id: { $in: attachments.map(attachment => attachment.attachment_id) } });
+  return attachments.length;
+}
@@ -0,0 +1,91 @@
+import { Ticket } from '../models/tickets.js';
+import { CannedResponse } from '../models/canned_responses.js';
+import { CannedResponseUse } from '../models/canned_response_uses.js';
+
+/**
+ * Placeholders available in template bodies as {{name}}
+ */
+export const TEMPLATE_VARIABLES = {
+  ticket_id: 'Ticket number',
+  customer_phone: 'Customer phone number',
+  customer_location: 'Customer location',
+  issue_category: 'Ticket category',
+  issue_type: 'Ticket issue type',
+  agent_name: 'Name of the agent using the template',
+  today: 'Current date'
+};
+
+const VARIABLE_PATTERN = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+/**
+ * Variable names used in a template body
+ * @param {string} body - Template text
+ * @returns {string[]} Unique names in order of appearance
+ */
+export function extractVariables(body = '') {
+  return [...new Set([...body.matchAll(VARIABLE_PATTERN)].map(match => match[1]))];
+}
+
+/**
+ * Replace {{variables}} with values; unknown or empty values keep their
+ * placeholder so the agent can see what still needs filling in
+ * @param {string} body - Template text
+ * @param {object} values - Variable values by name
+ * @returns {string}
+ */
+export function renderTemplate(body, values) {
+  return body.replace(VARIABLE_PATTERN, (placeholder, name) => {
+    const value = values[name];
+    return value === undefined || value === null || value === '' ? placeholder : String(value);
+  });
+}
+
+/**
+ * Variable values for a ticket and the agent inserting the template.
+ * Without a saved ticket (e.g. while creating one) the ticket fields come from `draft`.
+ * @param {object} params
+ * @param {number} [params.ticketId] - Saved ticket
+ * @param {object} [params.draft] - Unsaved ticket fields
+ * @param {object} params.actor - Result of getActor(req)
+ * @returns {Promise<object|null>} Values, or null when ticketId does not exist
+ */
+export async function buildTemplateValues({ ticketId, draft = {}, actor }) {
+  let ticket = draft;
+  if (ticketId) {
+    ticket = await Ticket.findOne({ ticket_id: ticketId }).lean();
+    if (!ticket) return null;
+  }
+
+  return {
+    ticket_id: ticket.ticket_id ? String(ticket.ticket_id).padStart(4, '0') : null,
+    customer_phone: ticket.customer_phone,
+    customer_location: ticket.customer_location,
+    issue_category: ticket.issue_category,
+    issue_type: ticket.issue_type,
+    agent_name: actor.name || actor.username,
+    today: new Date().toISOString().slice(0, 10)
+  };
+}
+
+/**
+ * Log one use of a template and bump its counters
+ * @param {object} params
+ * @param {object} params.template - Canned response
+ * @param {string} params.target - description | comment | follow_up_note
+ * @param {number|null} params.ticketId
+ * @param {object} params.actor - Result of getActor(req)
+ */
+export async function recordTemplateUse({ template, target, ticketId, actor }) {
+  const usedAt = new Date();
+  await CannedResponseUse.create({
+    canned_response_id: template.canned_response_id,
+    target,
+    ticket_id: ticketId || null,
+    actor,
+    createdAt: usedAt
+  });
+  await CannedResponse.updateOne(
+    { canned_response_id: template.canned_response_id },
+    { $inc: { usage_count: 1 }, last_used_at: usedAt }
+  );
+}
@@ -0,0 +1,98 @@
+import { TicketComment } from '../models/ticket_comments.js';
+import { Notification } from '../models/notifications.js';
+import { User } from '../models/users.js';
+
+const MENTION_PATTERN = /(^|[^\w@.])@([A-Za-z0-9_.-]+)/g;
+
+/**
+ * Usernames mentioned as @username in a comment body
+ * @param {string} body - Comment text
+ * @returns {string[]} Unique usernames in order of appearance
+ */
+export function extractMentions(body = '') {
+  const usernames = [];
+  for (const match of body.matchAll(MENTION_PATTERN)) {
+    const username = match[2].replace(/[.-]+$/, '');
+    if (username && !usernames.includes(username)) usernames.push(username);
+  }
+  return usernames;
+}
+
+/**
+ * Look up mentioned users; unknown usernames are ignored
+ * @param {string[]} usernames
+ * @returns {Promise<Array<{user_id: string, username: string, employee_id: number|null}>>}
+ */
+export async function resolveMentions(usernames) {
+  if (usernames.length === 0) return [];
+
+  const users = await User.find({ username: { $in: usernames }, status: 'active' })
+    .collation({ locale: 'en', strength: 2 })
+    .select('username employeeId')
+    .populate('employeeId', 'employee_id')
+    .lean();
+
+  return users.map(user => ({
+    user_id: String(user._id),
+    username: user.username,
+    employee_id: user.employeeId?.employee_id ?? null
+  }));
+}
+
+/**
+ * Notify mentioned users about a comment.
+ * Notifications are addressed by employee_id like task assignments;
+ * users without an employee record and the author themselves are skipped.
+ * @param {object} comment - Saved comment
+ * @param {Array} mentions - Mentions to notify (e.g. only the new ones after an edit)
+ * @returns {Promise<number>} Notifications created
+ */
+export async function notifyMentions(comment, mentions) {
+  const recipients = mentions.filter(mention =>
+    mention.employee_id !== null && mention.user_id !== comment.author.user_id
+  );
+
+  for (const mention of recipients) {
+    await Notification.create({
+      user_id: mention.employee_id,
+      title: `Mentioned on ticket #${comment.ticket_id}`,
+      message: `${comment.author.name || comment.author.username || 'Someone'} mentioned you: ${comment.body.slice(0, 200)}`,
+      type: 'ticket_mention'
+    });
+  }
+  return recipients.length;
+}
+
+/**
+ * Public shape of a comment; deleted comments keep their place in the thread without a body
+ * @param {object} comment - Lean comment
+ * @returns {object}
+ */
+export function serializeComment(comment) {
+  const { _id, __v, ...rest } = comment;
+  return comment.is_deleted ? { ...rest, body: null } : rest;
+}
+
+/**
+ * Comments of a ticket as threads: top-level comments oldest first, each with nested replies
+ * @param {number} ticketId - Ticket ID
+ * @param {object} [options]
+ * @param {string} [options.visibility] - Only 'internal' or 'customer' comments
+ * @returns {Promise<Array>} Threaded comments
+ */
+export async function getTicketComments(ticketId, { visibility } = {}) {
+  const filters = { ticket_id: ticketId };
+  if (visibility) filters.visibility = visibility;
+
+  const comments = (await TicketComment.find(filters).sort({ createdAt: 1 }).lean())
+    .map(comment => ({ ...serializeComment(comment), replies: [] }));
+
+  const byId = new Map(comments.map(comment => [comment.comment_id, comment]));
+  const threads = [];
+  for (const comment of comments) {
+    const parent = comment.parent_id !== null ? byId.get(comment.parent_id) : null;
+    if (parent) parent.replies.push(comment);
+    else threads.push(comment);
+  }
+  return threads;
+}
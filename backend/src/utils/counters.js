@@ -1,13 +1,6 @@
 import mongoose from 'mongoose';
-
-// Counter collection for auto-incrementing IDs
-const CounterSchema = new mongoose.Schema({
-  _id: { type: String, required: true },
-  sequence_value: { type: Number, default: 0 }
-});
-
-// Check if model already exists
-const Counter = mongoose.models.Counter || mongoose.model('Counter', CounterSchema);
+// Counter collection for auto-incrementing IDs, shared with model IDs
+import { Counter } from '../counters.js';
 
 /**
  * Get next ID for a given collection
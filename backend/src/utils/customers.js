@@ -0,0 +1,86 @@
+import { Customer } from '../models/customers.js';
+import { Ticket } from '../models/tickets.js';
+
+/**
+ * A ticket counts as a repeat contact when the same customer opened another
+ * ticket in the same category within this many days before it.
+ */
+export const REPEAT_CONTACT_WINDOW_DAYS = 30;
+
+/**
+ * Normalize a phone number to digits only.
+ * Strips spaces, dashes, brackets, a leading "+" and the "00" international prefix.
+ * @param {string} raw - Phone as typed by the agent
+ * @returns {string} Digits-only phone ('' when nothing usable)
+ */
+export function normalizePhone(raw) {
+  if (raw === undefined || raw === null) return '';
+  let digits = String(raw).trim().replace(/[\s\-().]/g, '');
+  if (digits.startsWith('+')) digits = digits.slice(1);
+  else if (digits.startsWith('00')) digits = digits.slice(2);
+  return /^\d+$/.test(digits) ? digits : String(raw).trim();
+}
+
+/**
+ * Find the customer for a phone number (or, for email contacts, an address)
+ * or create one, and record the device, location and channel seen on this contact.
+ * @param {object} contact
+ * @param {string} [contact.phone] - Normalized phone
+ * @param {string} [contact.email] - Sender address, used when there is no phone
+ * @param {string} [contact.name] - Stored only when creating the customer
+ * @param {string} [contact.device_type]
+ * @param {string} [contact.location]
+ * @param {string} [contact.channel]
+ * @param {Date} [contact.at] - When the contact happened; earlier than now when backfilling
+ * @returns {Promise<object>} Updated customer (lean)
+ */
+export async function matchOrCreateCustomer({ phone, email, name, device_type, location, channel, at = new Date() }) {
+  const key = phone ? { phone } : { email: String(email).trim().toLowerCase() };
+  let customer = await Customer.findOne(key).lean();
+
+  if (!customer) {
+    try {
+      customer = (await Customer.create({ ...key, name, first_contact_at: at, last_contact_at: at })).toObject();
+    } catch (err) {
+      // Another request created the same customer concurrently
+      if (err.code !== 11000) throw err;
+      customer = await Customer.findOne(key).lean();
+    }
+  }
+
+  const addToSet = {};
+  if (device_type) addToSet.devices = device_type;
+  if (location) addToSet.locations = location;
+  if (channel) addToSet.channels = channel;
+
+  return Customer.findOneAndUpdate(
+    { customer_id: customer.customer_id },
+    {
+      $min: { first_contact_at: at },
+      $max: { last_contact_at: at },
+      ...(Object.keys(addToSet).length > 0 && { $addToSet: addToSet })
+    },
+    { new: true }
+  ).lean();
+}
+
+/**
+ * Whether a ticket is a repeat contact, based on the customer's ticket history
+ * @param {object} ticket - Ticket with ticket_id, customer_phone, issue_category and createdAt
+ * @returns {Promise<boolean>}
+ */
+export async function isRepeatContact(ticket) {
+  if (!ticket) return false;
+
+  const createdAt = ticket.createdAt ? new Date(ticket.createdAt) : new Date();
+  const windowStart = new Date(createdAt.getTime() - REPEAT_CONTACT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  const previous = await Ticket.exists({
+    ...(ticket.customer_id ? { customer_id: ticket.customer_id } : { customer_phone: ticket.customer_phone }),
+    issue_category: ticket.issue_category,
+    ticket_id: { $ne: ticket.ticket_id },
+    createdAt: { $gte: windowStart, $lte: createdAt }
+  });
+
+  return Boolean(previous);
+}
@@ -0,0 +1,60 @@
+import crypto from 'node:crypto';
+import { DisplayToken } from '../models/display_tokens.js';
+
+const TOKEN_PREFIX = 'dsp_';
+
+// last_used_at is only written this often, so a busy screen doesn't write on every request
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Create a display token. The plain token is returned only here.
+ * @param {object} params
+ * @param {string} params.name - Where the screen is, e.g. "Support floor TV"
+ * @param {string[]} [params.scopes]
+ * @param {Date|null} [params.expiresAt]
+ * @param {object} params.actor - Result of getActor(req)
+ * @returns {Promise<{token: string, record: object}>}
+ */
+export async function createDisplayToken({ name, scopes = ['wallboard'], expiresAt = null, actor }) {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const record = await DisplayToken.create({
+    name,
+    scopes,
+    expires_at: expiresAt,
+    token_hash: hashToken(token),
+    token_prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    created_by: actor
+  });
+  return { token, record: serializeDisplayToken(record.toObject()) };
+}
+
+/**
+ * Look up a token that is valid for a scope: not revoked, not expired
+ * @param {string} token - Plain token
+ * @param {string} scope - Required scope
+ * @returns {Promise<object|null>} Lean token record, or null
+ */
+export async function findDisplayToken(token, scope) {
+  if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) return null;
+
+  const record = await DisplayToken.findOne({ token_hash: hashToken(token), revoked_at: null }).lean();
+  if (!record || !record.scopes.includes(scope)) return null;
+  if (record.expires_at && record.expires_at <= new Date()) return null;
+
+  if (!record.last_used_at || Date.now() - record.last_used_at.getTime() > LAST_USED_RESOLUTION_MS) {
+    await DisplayToken.updateOne({ _id: record._id }, { last_used_at: new Date() });
+  }
+  return record;
+}
+
+/**
+ * Public shape of a token record; the hash never leaves the server
+ * @param {object} record - Lean token record
+ * @returns {object}
+ */
+export function serializeDisplayToken(record) {
+  const { _id, __v, token_hash, ...rest } = record;
+  return rest;
+}
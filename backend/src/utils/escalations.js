@@ -0,0 +1,187 @@
+import { Ticket } from '../models/tickets.js';
+import { Employee } from '../models/employees.js';
+import { Notification } from '../models/notifications.js';
+import { EscalationTier, ESCALATION_LEVELS } from '../models/escalation_tiers.js';
+import { routeToSection } from './routing.js';
+import { updateTicketWithHistory } from './ticketHistory.js';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Tier names and SLA targets used until a level is configured
+ */
+export const DEFAULT_ESCALATION_TIERS = [
+  { level: 1, name: 'L1 Agent', section_id: null, sla_minutes: 24 * 60, notify_employee_ids: [] },
+  { level: 2, name: 'L2 Specialist', section_id: null, sla_minutes: 8 * 60, notify_employee_ids: [] },
+  { level: 3, name: 'L3 Supervisor', section_id: null, sla_minutes: 4 * 60, notify_employee_ids: [] }
+];
+
+/**
+ * All levels, configured values over the defaults
+ * @returns {Promise<Array>} Tiers by level, each with `configured`
+ */
+export async function getEscalationTiers() {
+  const saved = new Map((await EscalationTier.find().lean()).map(tier => [tier.level, tier]));
+  return DEFAULT_ESCALATION_TIERS.map(tier => (
+    saved.has(tier.level) ? { ...saved.get(tier.level), configured: true } : { ...tier, configured: false }
+  ));
+}
+
+/**
+ * Escalation level of a ticket; never-escalated tickets are at L1
+ * @param {object} ticket
+ * @returns {number}
+ */
+export function currentLevel(ticket) {
+  return ticket.escalation?.level ?? ESCALATION_LEVELS[0];
+}
+
+/**
+ * Who gets the ticket at the target tier: a named employee from the tier's
+ * section, the least busy on-shift member of it, or (back at L1 without a
+ * section) the agent who had it before the first escalation
+ * @returns {Promise<{assignment?: object, error?: object}>}
+ */
+async function assignForTier(tier, { agentId, originalAgentId, label, now }) {
+  if (agentId !== undefined && agentId !== null) {
+    const employee = await Employee.findOne({ employee_id: agentId }).lean();
+    if (!employee || (tier.section_id && String(employee.sectionId) !== String(tier.section_id))) {
+      return {
+        error: {
+          message: 'Validation failed',
+          errors: [{ field: 'agent_id', code: 'invalid_value', detail: `Choose an employee from the ${tier.name} section.` }]
+        }
+      };
+    }
+    return {
+      assignment: {
+        agent_id: employee.employee_id,
+        routing: {
+          method: 'escalation',
+          section_id: tier.section_id,
+          assigned_to: employee.employee_id,
+          reason: `${label}: handed to ${employee.name}`,
+          routed_at: now
+        }
+      }
+    };
+  }
+
+  if (tier.section_id) {
+    return { assignment: await routeToSection(tier.section_id, { now, label }) };
+  }
+
+  if (tier.level === ESCALATION_LEVELS[0] && originalAgentId !== null) {
+    return {
+      assignment: {
+        agent_id: originalAgentId,
+        routing: {
+          method: 'escalation',
+          assigned_to: originalAgentId,
+          reason: `${label}: returned to the original agent`,
+          routed_at: now
+        }
+      }
+    };
+  }
+
+  return {
+    error: {
+      message: `No section is set for ${tier.name}`,
+      code: 'ESCALATION_TIER_NOT_CONFIGURED'
+    }
+  };
+}
+
+/**
+ * Notify the receiving agent (or the whole section when the ticket waits in
+ * its queue) and the tier's extra recipients; the actor is skipped
+ * @returns {Promise<number>} Notifications created
+ */
+async function notifyTier(ticket, tier, { agentId, reason, actor, escalated }) {
+  const recipients = new Set(tier.notify_employee_ids);
+  if (agentId !== null) {
+    recipients.add(agentId);
+  } else if (tier.section_id) {
+    const members = await Employee.find({ sectionId: tier.section_id }).select('employee_id').lean();
+    members.forEach(member => recipients.add(member.employee_id));
+  }
+  recipients.delete(actor?.employee_id ?? null);
+
+  const by = actor?.name || actor?.username || 'Someone';
+  for (const employeeId of recipients) {
+    await Notification.create({
+      user_id: employeeId,
+      title: `Ticket #${ticket.ticket_id} ${escalated ? 'escalated' : 'de-escalated'} to ${tier.name}`,
+      message: `${by}: ${reason.slice(0, 200)}`,
+      type: 'ticket_escalation'
+    });
+  }
+  return recipients.size;
+}
+
+/**
+ * Move a ticket to another tier: reassign it, restart the tier SLA clock,
+ * count the escalation or de-escalation, log it and notify the receivers
+ * @param {object} ticket - Lean ticket
+ * @param {object} params
+ * @param {number} params.level - Target level, different from the current one
+ * @param {string} params.reason
+ * @param {number} [params.agentId] - Specific receiver in the tier's section
+ * @param {object} params.actor - Result of getActor(req)
+ * @param {Date} [params.now]
+ * @returns {Promise<{ticket?: object, notified?: number, status?: number, error?: object}>}
+ */
+export async function changeEscalationLevel(ticket, { level, reason, agentId, actor, now = new Date() }) {
+  const tier = (await getEscalationTiers()).find(item => item.level === level);
+  const escalated = level > currentLevel(ticket);
+  const previous = ticket.escalation || {};
+  const originalAgentId = previous.original_agent_id ?? (Number.isInteger(ticket.agent_id) ? ticket.agent_id : null);
+
+  const label = `${escalated ? 'Escalated' : 'De-escalated'} to ${tier.name}`;
+  const { assignment, error } = await assignForTier(tier, { agentId, originalAgentId, label, now });
+  if (error) return { error };
+
+  const updated = await updateTicketWithHistory(
+    ticket.ticket_id,
+    {
+      agent_id: assignment.agent_id,
+      routing: assignment.routing,
+      escalation: {
+        level,
+        tier_name: tier.name,
+        section_id: tier.section_id,
+        reason,
+        escalated_at: now,
+        escalated_by: actor,
+        due_at: new Date(now.getTime() + tier.sla_minutes * MINUTE),
+        breached: false,
+        original_agent_id: originalAgentId,
+        escalations: (previous.escalations || 0) + (escalated ? 1 : 0),
+        deescalations: (previous.deescalations || 0) + (escalated ? 0 : 1)
+      }
+    },
+    { source: 'escalation', actor },
+    { runValidators: true }
+  );
+  if (!updated) return { status: 404, error: { message: 'Ticket not found' } };
+
+  const notified = await notifyTier(ticket, tier, { agentId: assignment.agent_id, reason, actor, escalated });
+  return { ticket: updated, notified };
+}
+
+/**
+ * Flag open escalated tickets whose tier SLA ran out; the clock stops when a ticket is completed
+ * @param {Date} now - Evaluation time
+ */
+export async function refreshEscalationState(now = new Date()) {
+  await Ticket.updateMany(
+    {
+      resolution_status: { $in: ['Pending', 'In-Progress'] },
+      'escalation.breached': false,
+      'escalation.due_at': { $lte: now }
+    },
+    { 'escalation.breached': true },
+    { timestamps: false }
+  );
+}
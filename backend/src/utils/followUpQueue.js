@@ -0,0 +1,142 @@
+import { FollowUp } from '../models/follow_ups.js';
+import { Ticket } from '../models/tickets.js';
+import { isRepeatContact } from './customers.js';
+import { getNextId } from './counters.js';
+import { publishFollowUpAssigned } from './liveEvents.js';
+
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a delay such as "30m", "2h" or "3d"
+ * @param {string} value
+ * @returns {number|null} Milliseconds, or null when invalid
+ */
+export function parseDelay(value) {
+  const match = String(value).trim().match(/^(\d+)\s*([mhd])$/i);
+  return match ? Number(match[1]) * UNIT_MS[match[2].toLowerCase()] : null;
+}
+
+/**
+ * Delays before each retry after an unanswered call, from
+ * FOLLOW_UP_RETRY_SCHEDULE (comma separated, default "2h,1d,3d")
+ */
+export const RETRY_SCHEDULE = (process.env.FOLLOW_UP_RETRY_SCHEDULE || '2h,1d,3d')
+  .split(',')
+  .map(parseDelay)
+  .filter(Boolean);
+
+/**
+ * Calls made before a follow-up is closed as unreachable; defaults to the
+ * first call plus one per retry delay. Beyond the schedule the last delay repeats.
+ */
+export const MAX_ATTEMPTS = Number(process.env.FOLLOW_UP_MAX_ATTEMPTS) || RETRY_SCHEDULE.length + 1;
+
+/**
+ * Filter for follow-ups still waiting for a call
+ */
+export const OPEN_FOLLOW_UP = { issue_solved: null, outcome: null };
+
+/**
+ * Follow-up call queued when a ticket moves to Completed
+ * @param {object} ticket - Completed ticket
+ * @returns {Promise<object>} Created follow-up
+ */
+export async function createCompletionFollowUp(ticket) {
+  const follow_up_id = await getNextId('follow_up');
+
+  const followUp = await FollowUp.create({
+    follow_up_id,
+    ticket_id: ticket.ticket_id,
+    follow_up_agent_id: ticket.agent_id,
+    follow_up_date: new Date(),
+    issue_solved: null,
+    satisfied: null,
+    repeated_issue: await isRepeatContact(ticket)
+  });
+  publishFollowUpAssigned(followUp);
+  return followUp;
+}
+
+/**
+ * When to call again after the given number of unanswered attempts
+ * @param {number} attemptCount - Attempts made so far (>= 1)
+ * @param {Date} now
+ * @returns {Date}
+ */
+export function nextAttemptAt(attemptCount, now = new Date()) {
+  const delay = RETRY_SCHEDULE[Math.min(attemptCount, RETRY_SCHEDULE.length) - 1] ?? UNIT_MS.d;
+  return new Date(now.getTime() + delay);
+}
+
+/**
+ * Record an unanswered call. Reschedules by the retry policy (or at `retryAt`
+ * when the agent picked a time) until MAX_ATTEMPTS, then closes the follow-up
+ * with outcome "unreachable".
+ * @param {object} followUp - FollowUp document (not lean)
+ * @param {object} params
+ * @param {number|null} params.agentId - Employee who made the call
+ * @param {string} [params.notes]
+ * @param {Date} [params.retryAt] - Agent-chosen time for the next call
+ * @param {Date} [params.now]
+ * @returns {Promise<object>} Saved follow-up
+ */
+export async function recordNoAnswer(followUp, { agentId, notes, retryAt, now = new Date() }) {
+  followUp.attempts.push({ attempted_at: now, agent_id: agentId, result: 'no_answer', notes: notes || null });
+  followUp.attempt_count = (followUp.attempt_count || 0) + 1;
+  if (notes) followUp.follow_up_notes = notes;
+
+  if (followUp.attempt_count >= MAX_ATTEMPTS) {
+    followUp.outcome = 'unreachable';
+    followUp.closed_at = now;
+  } else {
+    followUp.follow_up_date = retryAt || nextAttemptAt(followUp.attempt_count, now);
+  }
+
+  return followUp.save();
+}
+
+/**
+ * Open follow-ups with ticket details, ordered by due time
+ * @param {object} filters - Extra FollowUp filters, e.g. { follow_up_agent_id: 7 }
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @param {number} [options.limit]
+ * @returns {Promise<Array>} Follow-ups with ticket_info, is_due and attempts_left
+ */
+export async function getCallQueue(filters, { now = new Date(), limit = 200 } = {}) {
+  const followUps = await FollowUp.find({ ...OPEN_FOLLOW_UP, ...filters })
+    .sort({ follow_up_date: 1, follow_up_id: 1 })
+    .limit(limit)
+    .lean();
+
+  const tickets = await Ticket.find({ ticket_id: { $in: followUps.map(f => f.ticket_id) } })
+    .select('ticket_id customer_phone customer_email issue_category issue_type agent_id')
+    .lean();
+  const ticketMap = new Map(tickets.map(t => [t.ticket_id, t]));
+
+  return followUps.map(followUp => ({
+    ...followUp,
+    ticket_info: ticketMap.get(followUp.ticket_id) || null,
+    is_due: new Date(followUp.follow_up_date) <= now,
+    attempts_left: Math.max(0, MAX_ATTEMPTS - (followUp.attempt_count || 0))
+  }));
+}
+
+/**
+ * Update that closes a follow-up after the customer was reached. Usable with
+ * findOneAndUpdate alongside plain field updates.
+ * @param {string} outcome - "solved" or "not_solved"
+ * @param {object} params
+ * @param {number|null} params.agentId
+ * @param {string} [params.notes]
+ * @param {Date} [params.now]
+ * @returns {object}
+ */
+export function reachedUpdate(outcome, { agentId, notes, now = new Date() }) {
+  return {
+    outcome,
+    closed_at: now,
+    $inc: { attempt_count: 1 },
+    $push: { attempts: { attempted_at: now, agent_id: agentId, result: 'reached', notes: notes || null } }
+  };
+}
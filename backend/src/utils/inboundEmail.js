@@ -0,0 +1,267 @@
+import { simpleParser } from 'mailparser';
+import { InboundEmail } from '../models/inbound_emails.js';
+import { Ticket } from '../models/tickets.js';
+import { Customer } from '../models/customers.js';
+import { TicketComment } from '../models/ticket_comments.js';
+import { createInboundTicket, appendInboundMessage, inboundCategory, gatewayActor } from './inboundTickets.js';
+import { MAX_ATTACHMENTS_PER_UPLOAD, checkAttachment, storeAttachment } from './attachments.js';
+
+/**
+ * Ticket reference in a subject, e.g. "Re: [#1234] TV has no signal" or "[Ticket #1234]"
+ */
+export const TICKET_TOKEN_PATTERN = /\[(?:ticket\s*)?#(\d+)\]/i;
+
+// Start of the quoted original in common mail clients
+const QUOTE_HEADER_PATTERN = /^(On .+wrote:|-{2,}\s*Original Message\s*-{2,}|From: .+)$/im;
+
+// Largest raw message kept on its record, leaving room in MongoDB's 16 MB document
+const MAX_RAW_BYTES = 15 * 1024 * 1024;
+
+/**
+ * Reply text without the quoted original message below it
+ * @param {string} text - Plain-text body
+ * @returns {string}
+ */
+export function stripQuotedReply(text = '') {
+  const header = text.search(QUOTE_HEADER_PATTERN);
+  const body = header > 0 ? text.slice(0, header) : text;
+  return body
+    .split('\n')
+    .filter(line => !line.startsWith('>'))
+    .join('\n')
+    .trim();
+}
+
+function formatSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+/**
+ * Parse a raw RFC 822 message into the fields the gateway uses
+ * @param {Buffer} raw - Message as received
+ * @returns {Promise<object>} { message_id, in_reply_to, references, from_address, from_name, subject, text, attachments }
+ *   where each attachment has filename, content_type, size and its content Buffer
+ * @throws {Error} When the message has no sender or no content
+ */
+export async function parseEmail(raw) {
+  const parsed = await simpleParser(raw);
+
+  const sender = parsed.from?.value?.[0];
+  if (!sender?.address) {
+    throw new Error('Message has no From address');
+  }
+
+  const text = (parsed.text || '').trim();
+  const subject = (parsed.subject || '').trim();
+  if (!text && !subject) {
+    throw new Error('Message has no subject or body');
+  }
+
+  const references = parsed.references
+    ? (Array.isArray(parsed.references) ? parsed.references : [parsed.references])
+    : [];
+
+  return {
+    message_id: parsed.messageId || null,
+    in_reply_to: parsed.inReplyTo || null,
+    references,
+    from_address: sender.address.toLowerCase(),
+    from_name: sender.name || null,
+    subject,
+    text,
+    attachments: (parsed.attachments || []).map(attachment => ({
+      filename: attachment.filename || 'attachment',
+      content_type: attachment.contentType,
+      size: attachment.size,
+      content: attachment.content
+    }))
+  };
+}
+
+/**
+ * Whether an address is the customer of a ticket: the ticket's sender address
+ * or the email on its customer profile
+ * @param {number} ticketId
+ * @param {string} address - Lowercased sender address
+ * @returns {Promise<boolean>}
+ */
+export async function isTicketCustomer(ticketId, address) {
+  const ticket = await Ticket.findOne({ ticket_id: ticketId }).select('customer_email customer_id').lean();
+  if (!ticket) return false;
+  if (ticket.customer_email === address) return true;
+  return Boolean(ticket.customer_id && await Customer.exists({ customer_id: ticket.customer_id, email: address }));
+}
+
+/**
+ * Ticket an email belongs to: first an earlier message it replies to, then a
+ * ticket token in the subject. Anyone can write a token or copy a Message-ID,
+ * so the caller still has to check the sender (isTicketCustomer).
+ * @param {object} email - Result of parseEmail
+ * @returns {Promise<{ticket_id: number, threaded_by: string}|null>}
+ */
+export async function findThreadTicket(email) {
+  const parentIds = [email.in_reply_to, ...email.references].filter(Boolean);
+  if (parentIds.length > 0) {
+    const parent = await InboundEmail.findOne({
+      message_id: { $in: parentIds },
+      ticket_id: { $ne: null }
+    }).sort({ createdAt: -1 }).lean();
+    if (parent) return { ticket_id: parent.ticket_id, threaded_by: 'headers' };
+  }
+
+  const token = email.subject.match(TICKET_TOKEN_PATTERN);
+  if (token) return { ticket_id: Number(token[1]), threaded_by: 'subject' };
+
+  return null;
+}
+
+/**
+ * Store the files of a message as attachments of its ticket or comment. Files
+ * go through the same checks as uploads; rejected ones are only listed.
+ * @param {object[]} files - attachments of parseEmail
+ * @param {object} owner - { ticketId, ownerType, ownerId }
+ * @returns {Promise<object[]>} Attachment details for the InboundEmail record
+ */
+async function storeEmailAttachments(files, { ticketId, ownerType, ownerId }) {
+  const results = [];
+  for (const [index, file] of files.entries()) {
+    const details = { filename: file.filename, content_type: file.content_type, size: file.size, attachment_id: null, rejected: null };
+    results.push(details);
+
+    if (index >= MAX_ATTACHMENTS_PER_UPLOAD) {
+      details.rejected = `Only the first ${MAX_ATTACHMENTS_PER_UPLOAD} files are kept.`;
+      continue;
+    }
+    const upload = { originalname: file.filename, mimetype: file.content_type, size: file.size, buffer: file.content };
+    const problem = await checkAttachment(upload);
+    if (problem) {
+      details.rejected = problem.detail;
+      continue;
+    }
+    try {
+      const attachment = await storeAttachment({ file: upload, ticketId, ownerType, ownerId, actor: gatewayActor('Email') });
+      details.attachment_id = attachment.attachment_id;
+    } catch (err) {
+      details.rejected = `Could not be stored: ${err.message}`;
+    }
+  }
+  return results;
+}
+
+// Files that could not be stored, so the agent knows to ask for them again
+function rejectedNote(attachments) {
+  const rejected = attachments.filter(item => item.rejected);
+  return rejected.length > 0
+    ? `\n\nAttachments not kept: ${rejected.map(item => `${item.filename} (${formatSize(item.size)}): ${item.rejected}`).join('; ')}`
+    : '';
+}
+
+/**
+ * Turn a raw message into a new ticket or a comment on an existing one.
+ * Messages threaded to a ticket are only added when the sender is its
+ * customer; anything that can't be parsed or placed is quarantined with the
+ * raw message.
+ * @param {Buffer} raw - Message as received
+ * @param {object} [options]
+ * @param {object} [options.record] - Quarantined InboundEmail document being retried
+ * @param {number} [options.ticketId] - Append to this ticket regardless of threading
+ * @returns {Promise<{record: object, duplicate: boolean}>}
+ */
+export async function processInboundEmail(raw, { record = null, ticketId = null } = {}) {
+  // A message too big for one document (INBOUND_EMAIL_MAX_SIZE raised past it) is
+  // still recorded and quarantined, but cannot be retried
+  const keepRaw = raw.length <= MAX_RAW_BYTES;
+  const entry = record || new InboundEmail({ status: 'quarantined', raw: keepRaw ? raw : null });
+  const quarantine = (error) => {
+    entry.status = 'quarantined';
+    entry.error = keepRaw ? error : `${error} (the message is too large to keep for a retry)`;
+  };
+
+  let email;
+  try {
+    email = await parseEmail(raw);
+  } catch (err) {
+    quarantine(`Parse failed: ${err.message}`);
+    await entry.save();
+    return { record: entry, duplicate: false };
+  }
+
+  // MTAs retry deliveries; a message that already made it into a ticket is not processed twice
+  if (email.message_id) {
+    const existing = await InboundEmail.findOne({
+      message_id: email.message_id,
+      status: { $in: ['created', 'appended'] }
+    });
+    if (existing) return { record: existing, duplicate: true };
+  }
+
+  Object.assign(entry, {
+    message_id: email.message_id,
+    in_reply_to: email.in_reply_to,
+    references: email.references,
+    from_address: email.from_address,
+    from_name: email.from_name,
+    subject: email.subject,
+    attachments: email.attachments.map(({ content, ...details }) => details)
+  });
+
+  const from = email.from_name ? `${email.from_name} <${email.from_address}>` : email.from_address;
+
+  try {
+    const thread = ticketId ? { ticket_id: ticketId, threaded_by: 'manual' } : await findThreadTicket(email);
+
+    if (thread) {
+      if (thread.threaded_by !== 'manual' && !(await isTicketCustomer(thread.ticket_id, email.from_address))) {
+        throw new Error(`${email.from_address} is not the customer of ticket #${thread.ticket_id}; retry with a ticket_id to add it anyway`);
+      }
+
+      const body = stripQuotedReply(email.text) || email.subject;
+      const comment = await appendInboundMessage({ ticketId: thread.ticket_id, channel: 'Email', body, from });
+      if (!comment) throw new Error(`Ticket #${thread.ticket_id} not found`);
+
+      entry.attachments = await storeEmailAttachments(email.attachments, {
+        ticketId: comment.ticket_id,
+        ownerType: 'comment',
+        ownerId: comment.comment_id
+      });
+      const note = rejectedNote(entry.attachments);
+      if (note) await TicketComment.updateOne({ comment_id: comment.comment_id }, { body: body + note });
+
+      Object.assign(entry, {
+        status: 'appended',
+        threaded_by: thread.threaded_by,
+        ticket_id: comment.ticket_id,
+        comment_id: comment.comment_id
+      });
+    } else {
+      const category = await inboundCategory(process.env.INBOUND_EMAIL_CATEGORY);
+      if (!category) throw new Error('No active ticket category to file the email under');
+
+      const ticket = await createInboundTicket({
+        channel: 'Email',
+        email: email.from_address,
+        name: email.from_name || undefined,
+        issue_category: category,
+        description: [email.subject, email.text].filter(Boolean).join('\n\n')
+      });
+
+      entry.attachments = await storeEmailAttachments(email.attachments, {
+        ticketId: ticket.ticket_id,
+        ownerType: 'ticket',
+        ownerId: null
+      });
+      const note = rejectedNote(entry.attachments);
+      if (note) await Ticket.updateOne({ ticket_id: ticket.ticket_id }, { issue_description: ticket.issue_description + note }, { timestamps: false });
+
+      Object.assign(entry, { status: 'created', ticket_id: ticket.ticket_id });
+    }
+
+    entry.error = null;
+    entry.raw = null;
+  } catch (err) {
+    quarantine(err.message);
+  }
+
+  await entry.save();
+  return { record: entry, duplicate: false };
+}
@@ -0,0 +1,106 @@
+import { Ticket } from '../models/tickets.js';
+import { TicketComment } from '../models/ticket_comments.js';
+import { getNextId } from './counters.js';
+import { buildTicketSla } from './sla.js';
+import { recordTicketEvent } from './ticketHistory.js';
+import { matchOrCreateCustomer } from './customers.js';
+import { routeTicket } from './routing.js';
+import { getTicketTaxonomy } from './taxonomy.js';
+import { resolveTicketId } from './ticketMerge.js';
+
+/**
+ * Audit actor for changes made by an inbound channel rather than a signed-in user
+ * @param {string} channel - e.g. 'Email'
+ * @returns {object} Actor in the getActor(req) shape
+ */
+export function gatewayActor(channel) {
+  return { user_id: null, username: null, employee_id: null, name: `${channel} gateway` };
+}
+
+/**
+ * Category for tickets opened by an inbound channel: the configured one when it
+ * is an active category, otherwise the first active category
+ * @param {string} [preferred] - Category from configuration
+ * @returns {Promise<string|null>}
+ */
+export async function inboundCategory(preferred) {
+  const { categories } = await getTicketTaxonomy();
+  if (preferred && categories.some(category => category.value === preferred)) return preferred;
+  return categories[0]?.value ?? null;
+}
+
+/**
+ * Open a ticket for a message from a customer. Assignment follows the routing
+ * rules; with no matching rule the ticket stays unassigned.
+ * @param {object} params
+ * @param {string} params.channel - communication_channel, e.g. 'Email'
+ * @param {string} [params.phone] - Normalized sender phone
+ * @param {string} [params.email] - Sender address when there is no phone
+ * @param {string} [params.name] - Sender display name
+ * @param {string} params.issue_category
+ * @param {string} params.description - Ticket description
+ * @returns {Promise<object>} Created ticket (lean)
+ */
+export async function createInboundTicket({ channel, phone, email, name, issue_category, description }) {
+  const customer = await matchOrCreateCustomer({ phone, email, name, channel });
+
+  const ticketData = {
+    ticket_id: await getNextId('ticket'),
+    customer_phone: phone || customer.phone || undefined,
+    customer_email: email || null,
+    customer_id: customer.customer_id,
+    communication_channel: channel,
+    issue_category,
+    issue_description: description,
+    resolution_status: 'Pending',
+    first_call_resolution: 'No',
+    priority: 'Medium'
+  };
+
+  const routed = await routeTicket(ticketData);
+  ticketData.agent_id = routed ? routed.agent_id : null;
+  ticketData.routing = routed ? routed.routing : {
+    method: 'inbound',
+    assigned_to: null,
+    reason: `No routing rule matched; ${channel} ticket left unassigned`,
+    routed_at: new Date()
+  };
+  ticketData.sla = await buildTicketSla(ticketData);
+
+  const ticket = await Ticket.create(ticketData);
+
+  await recordTicketEvent({
+    ticketId: ticket.ticket_id,
+    before: null,
+    after: ticket.toObject({ virtuals: false }),
+    source: 'create',
+    actor: gatewayActor(channel)
+  });
+
+  return ticket.toObject({ virtuals: false });
+}
+
+/**
+ * Add a customer message to an existing ticket as a customer-visible comment.
+ * Merged tickets forward to the surviving ticket.
+ * @param {object} params
+ * @param {number} params.ticketId - Ticket the message belongs to
+ * @param {string} params.channel - e.g. 'Email'
+ * @param {string} params.body - Message text
+ * @param {string} params.from - Sender shown as the comment author
+ * @returns {Promise<object|null>} Created comment, or null when the ticket doesn't exist
+ */
+export async function appendInboundMessage({ ticketId, channel, body, from }) {
+  const survivingId = await resolveTicketId(ticketId);
+  if (survivingId === null) return null;
+
+  const comment = await TicketComment.create({
+    ticket_id: survivingId,
+    visibility: 'customer',
+    body,
+    author: { user_id: null, username: null, employee_id: null, name: from },
+    channel
+  });
+
+  return comment.toObject();
+}
@@ -0,0 +1,197 @@
+import { Ticket } from '../models/tickets.js';
+import { Incident } from '../models/incidents.js';
+import { NOT_MERGED } from './ticketMerge.js';
+import { buildTicketSla } from './sla.js';
+import { updateTicketWithHistory } from './ticketHistory.js';
+import { createCompletionFollowUp } from './followUpQueue.js';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Tickets opened this long before an incident's start are still suggested,
+ * since customers often report an outage before it is declared
+ */
+export const SUGGESTION_LEAD_MINUTES = 60;
+
+/**
+ * Filter for incidents that are not resolved yet
+ */
+export const ACTIVE_INCIDENT = { status: { $ne: 'resolved' } };
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Ticket filter for an incident's categories and regions; a region matches
+ * any customer location containing it
+ * @param {object} incident
+ * @returns {object} Mongo filter
+ */
+function scopeFilter(incident) {
+  const filters = {};
+  if (incident.affected_categories.length > 0) {
+    filters.issue_category = { $in: incident.affected_categories };
+  }
+  if (incident.affected_regions.length > 0) {
+    filters.customer_location = { $in: incident.affected_regions.map(region => new RegExp(escapeRegex(region), 'i')) };
+  }
+  return filters;
+}
+
+/**
+ * Unlinked tickets that look like part of an incident: in its categories and
+ * regions and opened between shortly before its start and its end (or now)
+ * @param {object} incident
+ * @param {object} [options]
+ * @param {number} [options.leadMinutes]
+ * @param {number} [options.limit]
+ * @returns {Promise<Array>} Lean tickets, oldest first
+ */
+export function suggestIncidentTickets(incident, { leadMinutes = SUGGESTION_LEAD_MINUTES, limit = 200 } = {}) {
+  return Ticket.find({
+    ...NOT_MERGED,
+    ...scopeFilter(incident),
+    incident_id: null,
+    createdAt: {
+      $gte: new Date(new Date(incident.started_at).getTime() - leadMinutes * MINUTE),
+      $lte: incident.ended_at || new Date()
+    }
+  })
+    .select('ticket_id customer_phone customer_location issue_category issue_type issue_description resolution_status agent_id createdAt')
+    .sort({ createdAt: 1 })
+    .limit(limit)
+    .lean();
+}
+
+/**
+ * Active incidents a ticket likely belongs to, for suggestions on create
+ * @param {object} ticket - Ticket with issue_category, customer_location and createdAt
+ * @returns {Promise<Array<{incident_id: number, title: string, status: string}>>}
+ */
+export async function findIncidentsForTicket(ticket) {
+  const createdAt = ticket.createdAt ? new Date(ticket.createdAt) : new Date();
+  const incidents = await Incident.find({
+    ...ACTIVE_INCIDENT,
+    started_at: { $lte: new Date(createdAt.getTime() + SUGGESTION_LEAD_MINUTES * MINUTE) },
+    $or: [{ affected_categories: { $size: 0 } }, { affected_categories: ticket.issue_category }]
+  })
+    .select('incident_id title status affected_regions')
+    .sort({ started_at: -1 })
+    .lean();
+
+  const location = (ticket.customer_location || '').toLowerCase();
+  return incidents
+    .filter(incident => incident.affected_regions.length === 0
+      || incident.affected_regions.some(region => location.includes(region.toLowerCase())))
+    .map(({ incident_id, title, status }) => ({ incident_id, title, status }));
+}
+
+/**
+ * Linked and still-open ticket counts per incident
+ * @param {number[]} incidentIds
+ * @returns {Promise<Map<number, {tickets: number, open_tickets: number}>>}
+ */
+export async function countIncidentTickets(incidentIds) {
+  const rows = await Ticket.aggregate([
+    { $match: { ...NOT_MERGED, incident_id: { $in: incidentIds } } },
+    {
+      $group: {
+        _id: '$incident_id',
+        tickets: { $sum: 1 },
+        open_tickets: { $sum: { $cond: [{ $ne: ['$resolution_status', 'Completed'] }, 1, 0] } }
+      }
+    }
+  ]);
+  return new Map(rows.map(row => [row._id, { tickets: row.tickets, open_tickets: row.open_tickets }]));
+}
+
+/**
+ * Link tickets to an incident (or unlink with incident null), logging each change.
+ * Tickets already on another incident are reported, not moved.
+ * @param {number[]} ticketIds
+ * @param {object|null} incident - Target incident, or null to unlink
+ * @param {object} actor - Result of getActor(req)
+ * @returns {Promise<Array<{ticket_id: number, ok: boolean, changed?: boolean, error?: object}>>}
+ */
+export async function setTicketsIncident(ticketIds, incident, actor) {
+  const incidentId = incident ? incident.incident_id : null;
+  const tickets = new Map(
+    (await Ticket.find({ ticket_id: { $in: ticketIds } }).select('ticket_id incident_id merged_into').lean())
+      .map(ticket => [ticket.ticket_id, ticket])
+  );
+
+  const results = [];
+  for (const ticketId of new Set(ticketIds)) {
+    const ticket = tickets.get(ticketId);
+    if (!ticket) {
+      results.push({ ticket_id: ticketId, ok: false, error: { message: 'Ticket not found' } });
+    } else if (ticket.merged_into) {
+      results.push({
+        ticket_id: ticketId,
+        ok: false,
+        error: { message: `Ticket was merged into #${ticket.merged_into}`, code: 'TICKET_MERGED' }
+      });
+    } else if (incidentId !== null && ticket.incident_id !== null && ticket.incident_id !== incidentId) {
+      results.push({
+        ticket_id: ticketId,
+        ok: false,
+        error: { message: `Ticket is linked to incident #${ticket.incident_id}`, code: 'TICKET_ON_OTHER_INCIDENT' }
+      });
+    } else if (ticket.incident_id === incidentId) {
+      results.push({ ticket_id: ticketId, ok: true, changed: false });
+    } else {
+      await updateTicketWithHistory(
+        ticketId,
+        { incident_id: incidentId },
+        { source: 'incident', actor, ref: { incident_id: incidentId ?? ticket.incident_id } }
+      );
+      results.push({ ticket_id: ticketId, ok: true, changed: true });
+    }
+  }
+  return results;
+}
+
+/**
+ * Resolve an incident: complete every open linked ticket (SLA, activity log
+ * and follow-up call as for a manual completion), then close the incident.
+ * Tickets go first so a failed run can simply be repeated.
+ * @param {object} incident - Incident document
+ * @param {object} params
+ * @param {object} params.actor - Result of getActor(req)
+ * @param {string} [params.notes] - Resolution notes
+ * @param {Date} [params.endedAt] - When the outage ended, default now
+ * @returns {Promise<{incident: object, resolved_tickets: number, follow_ups_created: number, failed: Array}>}
+ */
+export async function resolveIncident(incident, { actor, notes = null, endedAt = new Date() }) {
+  const tickets = await Ticket.find({
+    ...NOT_MERGED,
+    incident_id: incident.incident_id,
+    resolution_status: { $ne: 'Completed' }
+  }).sort({ ticket_id: 1 }).lean();
+
+  let resolved = 0;
+  const failed = [];
+  for (const ticket of tickets) {
+    try {
+      const updates = { resolution_status: 'Completed' };
+      updates.sla = await buildTicketSla({ ...ticket, ...updates });
+      const updatedTicket = await updateTicketWithHistory(
+        ticket.ticket_id,
+        updates,
+        { source: 'incident', actor, ref: { incident_id: incident.incident_id } },
+        { runValidators: true }
+      );
+      if (!updatedTicket) throw new Error('Ticket not found');
+      await createCompletionFollowUp(updatedTicket);
+      resolved += 1;
+    } catch (err) {
+      failed.push({ ticket_id: ticket.ticket_id, error: { message: err.message } });
+    }
+  }
+
+  if (failed.length === 0) {
+    incident.set({ status: 'resolved', ended_at: endedAt, resolution_notes: notes, resolved_by: actor });
+    await incident.save();
+  }
+
+  return { incident, resolved_tickets: resolved, follow_ups_created: resolved, failed };
+}
@@ -0,0 +1,158 @@
+/**
+ * Server-sent event streams for the agent workspace and the wallboard. Agents
+ * listen on their own channel (keyed by employee_id), supervisors on the team
+ * channel and wallboards on the wallboard channel.
+ * Connections live in this process, so an event only reaches clients
+ * connected to the server that published it.
+ */
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// Ticket fields sent along with queue events
+const TICKET_SUMMARY_FIELDS = [
+  'ticket_id', 'agent_id', 'resolution_status', 'priority', 'issue_category',
+  'issue_type', 'customer_phone', 'communication_channel'
+];
+
+// "agent:7" or "team" -> open responses
+const streams = new Map();
+
+// In-process subscribers, e.g. the wallboard feed
+const listeners = new Set();
+
+const channelKey = (channel, key) => (key === undefined ? channel : `${channel}:${key}`);
+
+const formatEvent = (type, data) => `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+/**
+ * Turn a response into an event stream and keep it registered until the client goes away
+ * @param {object} req
+ * @param {object} res
+ * @param {string} channel - 'agent', 'team' or 'wallboard'
+ * @param {number} [key] - employee_id for the agent channel
+ * @returns {Promise<void>} Resolves when the connection closes
+ */
+export function openStream(req, res, channel, key) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx and similar proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const id = channelKey(channel, key);
+  if (!streams.has(id)) streams.set(id, new Set());
+  streams.get(id).add(res);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  return new Promise(resolve => {
+    let done = false;
+    // The client going away closes req; the server ending the stream closes res
+    const cleanup = () => {
+      if (done) return;
+      done = true;
+      clearInterval(heartbeat);
+      const group = streams.get(id);
+      group.delete(res);
+      if (group.size === 0) streams.delete(id);
+      resolve();
+    };
+    req.on('close', cleanup);
+    res.on('close', cleanup);
+  });
+}
+
+/**
+ * Whether anyone listens on a channel
+ * @param {string} channel
+ * @param {number} [key]
+ * @returns {boolean}
+ */
+export function isConnected(channel, key) {
+  return streams.has(channelKey(channel, key));
+}
+
+/**
+ * Send an event to a single stream, e.g. the first snapshot after connecting
+ * @param {object} res - Response passed to openStream
+ * @param {string} type
+ * @param {object} data
+ */
+export function sendEvent(res, type, data) {
+  res.write(formatEvent(type, data));
+}
+
+/**
+ * Call a function for every published event, whether or not anyone is connected
+ * @param {Function} listener - (channel, key, type, data) => void
+ * @returns {Function} Unsubscribe
+ */
+export function onLiveEvent(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Send an event to every client on a channel
+ * @param {string} channel
+ * @param {number|undefined} key
+ * @param {string} type - Event name, e.g. 'ticket.assigned'
+ * @param {object} data - JSON payload
+ */
+export function publish(channel, key, type, data) {
+  for (const listener of listeners) listener(channel, key, type, data);
+
+  const group = streams.get(channelKey(channel, key));
+  if (!group) return;
+  const message = formatEvent(type, data);
+  for (const res of group) res.write(message);
+}
+
+/**
+ * Push a ticket change to the agents whose queue it affects: the assignee gets
+ * ticket.created, ticket.reopened, ticket.assigned or ticket.updated, and a
+ * previous assignee gets ticket.unassigned. Supervisors get queue.changed.
+ * @param {object|null} before - Ticket before the change (null on create)
+ * @param {object} after - Ticket after the change
+ * @param {string} source - Ticket event source
+ */
+export function publishTicketChange(before, after, source) {
+  if (!after) {
+    const ticket = Object.fromEntries(TICKET_SUMMARY_FIELDS.map(field => [field, before[field] ?? null]));
+    if (ticket.agent_id !== null) publish('agent', ticket.agent_id, 'ticket.deleted', { ticket, source });
+    publish('team', undefined, 'queue.changed', { agent_ids: ticket.agent_id !== null ? [ticket.agent_id] : [] });
+    return;
+  }
+
+  const ticket = Object.fromEntries(TICKET_SUMMARY_FIELDS.map(field => [field, after[field] ?? null]));
+  const previousAgent = before ? before.agent_id ?? null : null;
+  const agent = ticket.agent_id;
+
+  let type = 'ticket.updated';
+  if (!before) type = 'ticket.created';
+  else if (before.resolution_status === 'Completed' && after.resolution_status !== 'Completed') type = 'ticket.reopened';
+  else if (previousAgent !== agent) type = 'ticket.assigned';
+
+  if (agent !== null) publish('agent', agent, type, { ticket, source });
+  if (before && previousAgent !== null && previousAgent !== agent) {
+    publish('agent', previousAgent, 'ticket.unassigned', { ticket, source });
+  }
+  publish('team', undefined, 'queue.changed', { agent_ids: [...new Set([previousAgent, agent].filter(id => id !== null))] });
+}
+
+/**
+ * Tell an agent a follow-up call was put in their queue
+ * @param {object} followUp
+ */
+export function publishFollowUpAssigned(followUp) {
+  if (followUp.follow_up_agent_id === null || followUp.follow_up_agent_id === undefined) return;
+  const { follow_up_id, ticket_id, follow_up_agent_id, follow_up_date } = followUp;
+  publish('agent', follow_up_agent_id, 'follow_up.assigned', {
+    follow_up: { follow_up_id, ticket_id, follow_up_agent_id, follow_up_date }
+  });
+  publish('team', undefined, 'queue.changed', { agent_ids: [follow_up_agent_id] });
+}
@@ -0,0 +1,67 @@
+import { AgentPresence, PRESENCE_STATES } from '../models/agent_presence.js';
+import { isConnected, publish } from './liveEvents.js';
+
+/**
+ * How long an agent's last workspace tab may be gone (reload, flaky network)
+ * before they are set offline
+ */
+export const OFFLINE_GRACE_MS = 60 * 1000;
+
+export { PRESENCE_STATES };
+
+const serialize = (employeeId, presence) => ({
+  employee_id: employeeId,
+  status: presence?.status ?? 'offline',
+  since: presence?.since ?? null,
+  reason: presence?.reason ?? null
+});
+
+/**
+ * Presence of several agents; agents without a record are offline
+ * @param {number[]} employeeIds
+ * @returns {Promise<Map<number, {employee_id: number, status: string, since: Date|null, reason: string|null}>>}
+ */
+export async function getPresenceMap(employeeIds) {
+  const records = await AgentPresence.find({ employee_id: { $in: employeeIds } }).lean();
+  const byEmployee = new Map(records.map(record => [record.employee_id, record]));
+  return new Map(employeeIds.map(id => [id, serialize(id, byEmployee.get(id))]));
+}
+
+/**
+ * Set an agent's presence and tell their other tabs and the supervisors.
+ * Setting the current status again keeps its `since`.
+ * @param {number} employeeId
+ * @param {string} status - One of PRESENCE_STATES
+ * @param {object} [options]
+ * @param {object} [options.actor] - Result of getActor(req)
+ * @param {string} [options.reason] - 'manual' or 'disconnected'
+ * @returns {Promise<object>} Serialized presence
+ */
+export async function setPresence(employeeId, status, { actor = null, reason = 'manual' } = {}) {
+  const current = await AgentPresence.findOne({ employee_id: employeeId }).lean();
+  if (current && current.status === status) return serialize(employeeId, current);
+
+  const presence = await AgentPresence.findOneAndUpdate(
+    { employee_id: employeeId },
+    { status, since: new Date(), reason, updated_by: actor },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  ).lean();
+
+  const data = serialize(employeeId, presence);
+  publish('agent', employeeId, 'presence.changed', data);
+  publish('team', undefined, 'presence.changed', data);
+  return data;
+}
+
+/**
+ * After the agent's last workspace stream closed, set them offline unless
+ * they reconnect within OFFLINE_GRACE_MS
+ * @param {number} employeeId
+ */
+export function markOfflineWhenGone(employeeId) {
+  setTimeout(() => {
+    if (isConnected('agent', employeeId)) return;
+    setPresence(employeeId, 'offline', { reason: 'disconnected' })
+      .catch(err => console.error(`Failed to set employee ${employeeId} offline:`, err.message));
+  }, OFFLINE_GRACE_MS).unref();
+}
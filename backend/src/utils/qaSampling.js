@@ -0,0 +1,219 @@
+import { Ticket } from '../models/tickets.js';
+import { Review } from '../models/reviews.js';
+import { QaSamplingSettings } from '../models/qa_sampling_settings.js';
+import { QaSampleRun } from '../models/qa_sample_runs.js';
+import { NOT_MERGED } from './ticketMerge.js';
+import { getNextId } from './counters.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Sampling settings, created with defaults on first use
+ * @returns {Promise<object>} QaSamplingSettings document
+ */
+export async function getSamplingSettings() {
+  return QaSamplingSettings.findOneAndUpdate(
+    { key: 'default' },
+    { $setOnInsert: { key: 'default' } },
+    { new: true, upsert: true }
+  );
+}
+
+/**
+ * UTC day bounds for a YYYY-MM-DD string
+ * @param {string} day
+ * @returns {{start: Date, end: Date}}
+ */
+export function dayRange(day) {
+  const start = new Date(`${day}T00:00:00.000Z`);
+  return { start, end: new Date(start.getTime() + DAY_MS) };
+}
+
+/**
+ * Yesterday as YYYY-MM-DD (UTC), the default day to sample
+ * @returns {string}
+ */
+export function previousDay(now = new Date()) {
+  return new Date(now.getTime() - DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Filter for tickets completed in a period; tickets without an SLA snapshot use their last update
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {object}
+ */
+export function completedBetween(start, end) {
+  const range = { $gte: start, $lt: end };
+  return {
+    ...NOT_MERGED,
+    resolution_status: 'Completed',
+    $or: [
+      { 'sla.resolved_at': range },
+      { 'sla.resolved_at': null, updatedAt: range }
+    ]
+  };
+}
+
+/**
+ * How many tickets to sample from each stratum, proportional to its size
+ * (largest remainder), so every category is represented fairly
+ * @param {Map<string, Array>} strata - Tickets by category
+ * @param {number} total - Tickets to sample
+ * @returns {Map<string, number>}
+ */
+export function allocateStrata(strata, total) {
+  const size = [...strata.values()].reduce((sum, items) => sum + items.length, 0);
+  const shares = [...strata.entries()].map(([key, items]) => {
+    const exact = size > 0 ? (total * items.length) / size : 0;
+    return { key, count: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+
+  let left = total - shares.reduce((sum, share) => sum + share.count, 0);
+  [...shares].sort((a, b) => b.remainder - a.remainder).forEach(share => {
+    if (left > 0 && share.count < strata.get(share.key).length) {
+      share.count += 1;
+      left -= 1;
+    }
+  });
+
+  return new Map(shares.map(share => [share.key, share.count]));
+}
+
+// Random subset without replacement
+function pickRandom(items, count) {
+  const pool = [...items];
+  for (let i = pool.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, count);
+}
+
+/**
+ * Sample one day's completed tickets and create pending reviews.
+ * Per agent: `percentage` of their tickets (at least min_per_agent, at most
+ * max_per_agent), stratified by issue category. Reviewers rotate round-robin and
+ * never get their own tickets. Tickets that already have a review are left out.
+ * @param {object} params
+ * @param {string} [params.day] - YYYY-MM-DD, default yesterday
+ * @param {boolean} [params.dryRun] - Only report what would be assigned
+ * @param {object} [params.actor] - Result of getActor(req); null for the scheduled script
+ * @returns {Promise<{run: object|null, assignments: Array, already_run: boolean, error?: string}>}
+ */
+export async function runQaSampling({ day = previousDay(), dryRun = false, actor = null } = {}) {
+  const settings = await getSamplingSettings();
+  if (settings.reviewer_ids.length === 0) {
+    return { run: null, assignments: [], already_run: false, error: 'No QA reviewers configured' };
+  }
+
+  const existing = await QaSampleRun.findOne({ run_date: day }).lean();
+  if (existing) return { run: existing, assignments: [], already_run: true };
+
+  const { start, end } = dayRange(day);
+  const tickets = await Ticket.find({ ...completedBetween(start, end), agent_id: { $ne: null } })
+    .select('ticket_id agent_id issue_category')
+    .lean();
+
+  const reviewed = new Set(
+    (await Review.find({ ticket_id: { $in: tickets.map(t => t.ticket_id) } }).select('ticket_id').lean())
+      .map(review => review.ticket_id)
+  );
+
+  // agent -> category -> eligible tickets
+  const byAgent = new Map();
+  const completedCount = new Map();
+  for (const ticket of tickets) {
+    completedCount.set(ticket.agent_id, (completedCount.get(ticket.agent_id) || 0) + 1);
+    if (reviewed.has(ticket.ticket_id)) continue;
+    if (!byAgent.has(ticket.agent_id)) byAgent.set(ticket.agent_id, new Map());
+    const strata = byAgent.get(ticket.agent_id);
+    const category = ticket.issue_category || 'Uncategorized';
+    if (!strata.has(category)) strata.set(category, []);
+    strata.get(category).push(ticket);
+  }
+
+  const reviewers = settings.reviewer_ids;
+  let cursor = settings.next_reviewer_index % reviewers.length;
+  const assignments = [];
+  const agentSummary = [];
+  let skipped = 0;
+
+  for (const [agentId, completed] of completedCount) {
+    const strata = byAgent.get(agentId) || new Map();
+    const eligible = [...strata.values()].reduce((sum, items) => sum + items.length, 0);
+
+    let target = Math.max(Math.round((completed * settings.percentage) / 100), settings.min_per_agent);
+    if (settings.max_per_agent) target = Math.min(target, settings.max_per_agent);
+    target = Math.min(target, eligible);
+
+    const categories = {};
+    let sampled = 0;
+    for (const [category, quota] of allocateStrata(strata, target)) {
+      if (quota === 0) continue;
+      for (const ticket of pickRandom(strata.get(category), quota)) {
+        // Next reviewer in rotation who isn't the ticket's agent
+        let reviewerId = null;
+        for (let step = 0; step < reviewers.length; step++) {
+          const candidate = reviewers[(cursor + step) % reviewers.length];
+          if (candidate !== ticket.agent_id) {
+            reviewerId = candidate;
+            cursor = (cursor + step + 1) % reviewers.length;
+            break;
+          }
+        }
+        if (reviewerId === null) {
+          skipped += 1;
+          continue;
+        }
+
+        assignments.push({ ticket_id: ticket.ticket_id, agent_id: agentId, issue_category: ticket.issue_category, reviewer_id: reviewerId });
+        categories[category] = (categories[category] || 0) + 1;
+        sampled += 1;
+      }
+    }
+
+    agentSummary.push({ agent_id: agentId, completed, sampled, categories });
+  }
+
+  const summary = {
+    run_date: day,
+    percentage: settings.percentage,
+    tickets_considered: tickets.length,
+    assigned: assignments.length,
+    skipped,
+    by_agent: agentSummary,
+    triggered_by: actor
+  };
+
+  if (dryRun) return { run: summary, assignments, already_run: false };
+
+  // Claim the day before writing reviews so a concurrent run can't assign it twice
+  let run;
+  try {
+    run = await QaSampleRun.create(summary);
+  } catch (err) {
+    if (err.code === 11000) {
+      return { run: await QaSampleRun.findOne({ run_date: day }).lean(), assignments: [], already_run: true };
+    }
+    throw err;
+  }
+
+  for (const assignment of assignments) {
+    await Review.create({
+      review_id: await getNextId('review'),
+      ticket_id: assignment.ticket_id,
+      reviewer_id: assignment.reviewer_id,
+      agent_id: assignment.agent_id,
+      review_date: new Date(),
+      status: 'pending',
+      source: 'sample',
+      sample_run_date: day
+    });
+  }
+
+  settings.next_reviewer_index = cursor;
+  await settings.save();
+
+  return { run, assignments, already_run: false };
+}
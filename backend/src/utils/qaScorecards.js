@@ -0,0 +1,124 @@
+import { QaScorecard } from '../models/qa_scorecards.js';
+import { nextId } from '../counters.js';
+
+/**
+ * Checks on a criteria list zod can't express
+ * @param {Array} criteria
+ * @returns {Array} Field errors
+ */
+export function validateCriteria(criteria) {
+  const errors = [];
+  const keys = criteria.map(criterion => criterion.key);
+  const duplicates = [...new Set(keys.filter((key, index) => keys.indexOf(key) !== index))];
+
+  if (duplicates.length > 0) {
+    errors.push({ field: 'criteria', code: 'duplicate', detail: `Duplicate criterion keys: ${duplicates.join(', ')}.` });
+  }
+  if (!criteria.some(criterion => criterion.type !== 'auto_fail' && (criterion.weight ?? 1) > 0)) {
+    errors.push({ field: 'criteria', code: 'invalid_value', detail: 'Add at least one scored criterion with a weight above 0.' });
+  }
+  return errors;
+}
+
+/**
+ * Current version of a scorecard, or a specific one
+ * @param {number} scorecardId
+ * @param {number} [version]
+ * @returns {Promise<object|null>}
+ */
+export function findScorecard(scorecardId, version) {
+  const filters = version ? { scorecard_id: scorecardId, version } : { scorecard_id: scorecardId, is_current: true };
+  return QaScorecard.findOne(filters).lean();
+}
+
+/**
+ * Save a scorecard as a new version; without `previous` it starts a new scorecard
+ * @param {object} fields - name, description, criteria, pass_score, is_active
+ * @param {object|null} previous - Current version being replaced
+ * @param {object} actor - Result of getActor(req)
+ * @returns {Promise<object>} New version
+ */
+export async function saveScorecardVersion(fields, previous, actor) {
+  const scorecard = new QaScorecard({
+    ...(previous && {
+      name: previous.name,
+      description: previous.description,
+      criteria: previous.criteria,
+      pass_score: previous.pass_score,
+      is_active: previous.is_active
+    }),
+    ...fields,
+    scorecard_id: previous ? previous.scorecard_id : await nextId('qa_scorecards'),
+    version: previous ? previous.version + 1 : 1,
+    is_current: true,
+    created_by: actor
+  });
+  await scorecard.save();
+
+  if (previous) {
+    await QaScorecard.updateOne({ _id: previous._id }, { is_current: false });
+  }
+  return scorecard;
+}
+
+/**
+ * Score a review against a scorecard version.
+ * The total is the weighted share of points on scale criteria (0-100);
+ * any failed auto-fail check sets it to 0.
+ * @param {object} scorecard - Scorecard version
+ * @param {Array<{key: string, score?: number, passed?: boolean, comment?: string}>} input
+ * @returns {{scores: Array, total_score: number, auto_failed: boolean, qa_passed: boolean, errors: Array}}
+ */
+export function scoreReview(scorecard, input = []) {
+  const inputMap = new Map(input.map(item => [item.key, item]));
+  const scores = [];
+  const errors = [];
+  let earned = 0;
+  let possible = 0;
+  let autoFailed = false;
+
+  for (const criterion of scorecard.criteria) {
+    const item = inputMap.get(criterion.key) || {};
+    const entry = {
+      key: criterion.key,
+      label: criterion.label,
+      type: criterion.type,
+      weight: criterion.type === 'auto_fail' ? null : criterion.weight,
+      max_score: criterion.type === 'auto_fail' ? null : criterion.max_score,
+      score: null,
+      passed: null,
+      comment: item.comment || null
+    };
+
+    if (criterion.type === 'auto_fail') {
+      if (typeof item.passed !== 'boolean') {
+        errors.push({ field: `scores.${criterion.key}`, code: 'required', detail: `Mark "${criterion.label}" as passed or failed.` });
+      } else {
+        entry.passed = item.passed;
+        if (!item.passed) autoFailed = true;
+      }
+    } else if (!Number.isInteger(item.score) || item.score < 0 || item.score > criterion.max_score) {
+      errors.push({ field: `scores.${criterion.key}`, code: 'invalid_value', detail: `Score "${criterion.label}" from 0 to ${criterion.max_score}.` });
+    } else {
+      entry.score = item.score;
+      earned += criterion.weight * (item.score / criterion.max_score);
+      possible += criterion.weight;
+    }
+
+    scores.push(entry);
+  }
+
+  const unknown = input.map(item => item.key).filter(key => !scorecard.criteria.some(criterion => criterion.key === key));
+  if (unknown.length > 0) {
+    errors.push({ field: 'scores', code: 'invalid_value', detail: `Unknown criteria: ${unknown.join(', ')}.` });
+  }
+
+  const total = autoFailed || possible === 0 ? 0 : Math.round((earned / possible) * 1000) / 10;
+  return {
+    scores,
+    total_score: total,
+    auto_failed: autoFailed,
+    qa_passed: !autoFailed && total >= scorecard.pass_score,
+    errors
+  };
+}
@@ -0,0 +1,223 @@
+/**
+ * A small subset of iCalendar RRULE (RFC 5545) for recurring tasks:
+ *   FREQ=DAILY                               every day
+ *   FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR         weekdays
+ *   FREQ=WEEKLY;INTERVAL=2;BYDAY=MO          every other Monday
+ *   FREQ=MONTHLY;BYDAY=2TU                   second Tuesday of the month
+ *   FREQ=MONTHLY;BYDAY=FR;BYSETPOS=-1        last Friday of the month
+ *   FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1   last weekday of the month
+ *   FREQ=MONTHLY;BYMONTHDAY=1                first day of the month
+ * Occurrences are whole days in server local time; the time of day a task is
+ * due comes from the template.
+ */
+
+export const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const DAY = 24 * 60 * 60 * 1000;
+
+// Far enough for INTERVAL=12 monthly rules with a rare weekday position
+const SEARCH_LIMIT_DAYS = 5 * 366;
+
+/**
+ * Parse an RRULE string
+ * @param {string} value - e.g. "FREQ=MONTHLY;BYDAY=2TU" (an "RRULE:" prefix is allowed)
+ * @returns {{rule?: object, error?: string}}
+ */
+export function parseRRule(value) {
+  if (typeof value !== 'string' || !value.trim()) return { error: 'Schedule rule is required.' };
+
+  const parts = {};
+  for (const part of value.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [key, val] = part.split('=');
+    if (!key || val === undefined) return { error: `Cannot read "${part}".` };
+    parts[key.toUpperCase()] = val.toUpperCase();
+  }
+
+  const unsupported = Object.keys(parts).filter(key => !['FREQ', 'INTERVAL', 'BYDAY', 'BYSETPOS', 'BYMONTHDAY'].includes(key));
+  if (unsupported.length > 0) return { error: `${unsupported.join(', ')} is not supported.` };
+
+  if (!FREQUENCIES.includes(parts.FREQ)) return { error: 'FREQ must be DAILY, WEEKLY or MONTHLY.' };
+  const rule = { freq: parts.FREQ, interval: 1, byDay: [], bySetPos: null, byMonthDay: null };
+
+  if (parts.INTERVAL !== undefined) {
+    rule.interval = Number(parts.INTERVAL);
+    if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 12) {
+      return { error: 'INTERVAL must be a whole number from 1 to 12.' };
+    }
+  }
+
+  if (parts.BYDAY !== undefined) {
+    for (const entry of parts.BYDAY.split(',')) {
+      const match = /^([+-]?[1-5])?(SU|MO|TU|WE|TH|FR|SA)$/.exec(entry);
+      if (!match) return { error: `BYDAY value "${entry}" is not a weekday like MO or 2TU.` };
+      const ordinal = match[1] ? Number(match[1]) : null;
+      if (ordinal !== null && rule.freq !== 'MONTHLY') return { error: 'Numbered weekdays like 2TU need FREQ=MONTHLY.' };
+      rule.byDay.push({ weekday: WEEKDAYS.indexOf(match[2]), ordinal });
+    }
+  }
+
+  if (parts.BYSETPOS !== undefined) {
+    rule.bySetPos = Number(parts.BYSETPOS);
+    if (rule.freq !== 'MONTHLY' || ![1, 2, 3, 4, 5, -1].includes(rule.bySetPos) || rule.byDay.length === 0) {
+      return { error: 'BYSETPOS (1-5 or -1) needs FREQ=MONTHLY and BYDAY.' };
+    }
+  }
+
+  if (parts.BYMONTHDAY !== undefined) {
+    rule.byMonthDay = Number(parts.BYMONTHDAY);
+    if (rule.freq !== 'MONTHLY' || !Number.isInteger(rule.byMonthDay) || rule.byMonthDay === 0
+      || rule.byMonthDay < -31 || rule.byMonthDay > 31) {
+      return { error: 'BYMONTHDAY (1-31, or -1 for the last day) needs FREQ=MONTHLY.' };
+    }
+    if (rule.byDay.length > 0) return { error: 'Use either BYMONTHDAY or BYDAY, not both.' };
+  }
+
+  return { rule };
+}
+
+/**
+ * Normalized RRULE string for a parsed rule
+ * @param {object} rule
+ * @returns {string}
+ */
+export function formatRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length > 0) {
+    parts.push(`BYDAY=${rule.byDay.map(day => `${day.ordinal ?? ''}${WEEKDAYS[day.weekday]}`).join(',')}`);
+  }
+  if (rule.bySetPos !== null) parts.push(`BYSETPOS=${rule.bySetPos}`);
+  if (rule.byMonthDay !== null) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  return parts.join(';');
+}
+
+/**
+ * Local midnight of a date
+ * @param {Date|string} date
+ * @returns {Date}
+ */
+export function startOfDay(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+const addDays = (date, days) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+// Calendar days between two local dates, ignoring DST shifts
+const daysBetween = (from, to) => Math.round(
+  (Date.UTC(to.getFullYear(), to.getMonth(), to.getDate()) - Date.UTC(from.getFullYear(), from.getMonth(), from.getDate())) / DAY
+);
+
+const monthsBetween = (from, to) => (to.getFullYear() - from.getFullYear()) * 12 + to.getMonth() - from.getMonth();
+
+const daysInMonth = (date) => new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+
+// Position of the day's weekday within its month: 1 for the first Tuesday, -1 for the last
+const weekdayPosition = (date) => ({
+  fromStart: Math.floor((date.getDate() - 1) / 7) + 1,
+  fromEnd: -(Math.floor((daysInMonth(date) - date.getDate()) / 7) + 1)
+});
+
+// A BYDAY entry: its weekday, and its place in the month when numbered (2TU)
+function matchesByDay(day, { weekday, ordinal }) {
+  if (weekday !== day.getDay()) return false;
+  if (ordinal === null) return true;
+  const position = weekdayPosition(day);
+  return ordinal > 0 ? position.fromStart === ordinal : position.fromEnd === ordinal;
+}
+
+function matchesMonthly(rule, start, day) {
+  if (rule.byMonthDay !== null) {
+    const target = rule.byMonthDay > 0 ? rule.byMonthDay : daysInMonth(day) + rule.byMonthDay + 1;
+    // Day 31 in a 30-day month falls on the last day
+    return day.getDate() === Math.min(target, daysInMonth(day));
+  }
+  if (rule.byDay.length === 0) {
+    return day.getDate() === Math.min(start.getDate(), daysInMonth(day));
+  }
+
+  if (rule.bySetPos === null) return rule.byDay.some(entry => matchesByDay(day, entry));
+
+  // BYSETPOS picks from all of the month's BYDAY days together
+  const candidates = [];
+  for (let date = 1; date <= daysInMonth(day); date += 1) {
+    const candidate = new Date(day.getFullYear(), day.getMonth(), date);
+    if (rule.byDay.some(entry => matchesByDay(candidate, entry))) candidates.push(date);
+  }
+  const picked = rule.bySetPos > 0 ? candidates[rule.bySetPos - 1] : candidates[candidates.length + rule.bySetPos];
+  return day.getDate() === picked;
+}
+
+/**
+ * Whether a day is an occurrence of the rule
+ * @param {object} rule - Parsed rule
+ * @param {Date} start - First day of the series (local midnight)
+ * @param {Date} day - Day to check (local midnight)
+ * @returns {boolean}
+ */
+export function isOccurrence(rule, start, day) {
+  if (day < start) return false;
+  const weekdays = rule.byDay.map(entry => entry.weekday);
+
+  if (rule.freq === 'DAILY') {
+    return daysBetween(start, day) % rule.interval === 0 && (weekdays.length === 0 || weekdays.includes(day.getDay()));
+  }
+  if (rule.freq === 'WEEKLY') {
+    const weeks = Math.floor(daysBetween(addDays(start, -start.getDay()), day) / 7);
+    const days = weekdays.length > 0 ? weekdays : [start.getDay()];
+    return weeks % rule.interval === 0 && days.includes(day.getDay());
+  }
+  return monthsBetween(start, day) % rule.interval === 0 && matchesMonthly(rule, start, day);
+}
+
+/**
+ * First occurrence on or after a day
+ * @param {object} rule - Parsed rule
+ * @param {Date} start - First day of the series
+ * @param {Date} from - Earliest day to consider
+ * @param {Date|null} [end] - Last day of the series
+ * @returns {Date|null} Local midnight of the occurrence, or null when the series is over
+ */
+export function nextOccurrence(rule, start, from, end = null) {
+  const first = startOfDay(start);
+  const last = end ? startOfDay(end) : null;
+  let day = startOfDay(from < first ? first : from);
+
+  for (let i = 0; i < SEARCH_LIMIT_DAYS; i += 1) {
+    if (last && day > last) return null;
+    if (isOccurrence(rule, first, day)) return day;
+    day = addDays(day, 1);
+  }
+  return null;
+}
+
+/**
+ * The next few occurrences, for previews
+ * @param {object} rule - Parsed rule
+ * @param {Date} start
+ * @param {Date} from
+ * @param {number} count
+ * @param {Date|null} [end]
+ * @returns {Date[]}
+ */
+export function upcomingOccurrences(rule, start, from, count, end = null) {
+  const days = [];
+  let day = nextOccurrence(rule, start, from, end);
+  while (day && days.length < count) {
+    days.push(day);
+    day = nextOccurrence(rule, start, addDays(day, 1), end);
+  }
+  return days;
+}
+
+/**
+ * The day after a date, for stepping past an occurrence
+ * @param {Date} date
+ * @returns {Date}
+ */
+export const dayAfter = (date) => addDays(startOfDay(date), 1);
@@ -0,0 +1,203 @@
+import { Ticket } from '../models/tickets.js';
+import { Employee } from '../models/employees.js';
+import { RoutingRule } from '../models/routing_rules.js';
+import { NOT_MERGED } from './ticketMerge.js';
+import { getPresenceMap } from './presence.js';
+
+/**
+ * Shift windows as [startHour, endHour) in server local time.
+ * Night wraps past midnight.
+ */
+export const SHIFT_HOURS = {
+  Morning: [6, 14],
+  Afternoon: [14, 22],
+  Night: [22, 6]
+};
+
+const MATCH_FIELDS = ['issue_category', 'issue_type', 'device_type', 'communication_channel'];
+
+/**
+ * Name of the shift that is on duty at a given time
+ * @param {Date} now - Evaluation time
+ * @returns {string} Morning, Afternoon or Night
+ */
+export function currentShift(now = new Date()) {
+  const hour = now.getHours();
+  return Object.keys(SHIFT_HOURS).find(shift => {
+    const [start, end] = SHIFT_HOURS[shift];
+    return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+  });
+}
+
+/**
+ * First active rule (by order, then id) whose criteria all match the ticket.
+ * A criterion matches when it is null or equal to the ticket's value.
+ * @param {object} ticket - Ticket fields
+ * @returns {Promise<object|null>} Matching rule or null
+ */
+export async function findRoutingRule(ticket) {
+  return RoutingRule.findOne({
+    is_active: true,
+    ...Object.fromEntries(MATCH_FIELDS.map(field => [
+      field, { $in: [null, ticket[field] || null] }
+    ]))
+  }).sort({ order: 1, routing_rule_id: 1 }).lean();
+}
+
+/**
+ * Open ticket counts per agent
+ * @param {number[]} employeeIds
+ * @returns {Promise<Map<number, number>>}
+ */
+export async function countOpenTickets(employeeIds) {
+  const rows = await Ticket.aggregate([
+    { $match: { ...NOT_MERGED, agent_id: { $in: employeeIds }, resolution_status: { $in: ['Pending', 'In-Progress'] } } },
+    { $group: { _id: '$agent_id', count: { $sum: 1 } } }
+  ]);
+  return new Map(rows.map(row => [row._id, row.count]));
+}
+
+/**
+ * Split employees into on-shift candidates (with open ticket counts) and skipped ones
+ * @param {Array} employees - Lean employee documents
+ * @param {Date} now - Evaluation time
+ * @param {object} [options]
+ * @param {boolean} [options.requireAvailable] - Also skip agents whose presence is not "available"
+ * @returns {Promise<{shift: string, candidates: Array, skipped: Array}>}
+ */
+async function shiftCandidates(employees, now, { requireAvailable = false } = {}) {
+  const shift = currentShift(now);
+  let eligible = employees
+    .filter(employee => employee.shift === shift)
+    .sort((a, b) => a.employee_id - b.employee_id);
+  const skipped = employees
+    .filter(employee => employee.shift !== shift)
+    .map(employee => ({
+      employee_id: employee.employee_id,
+      name: employee.name,
+      reason: employee.shift ? `Off shift (${employee.shift})` : 'No shift set'
+    }));
+
+  if (requireAvailable) {
+    const presence = await getPresenceMap(eligible.map(employee => employee.employee_id));
+    for (const employee of eligible) {
+      const status = presence.get(employee.employee_id).status;
+      if (status !== 'available') {
+        skipped.push({ employee_id: employee.employee_id, name: employee.name, reason: `Not available (${status.replace('_', ' ')})` });
+      }
+    }
+    eligible = eligible.filter(employee => presence.get(employee.employee_id).status === 'available');
+  }
+
+  const openCounts = await countOpenTickets(eligible.map(employee => employee.employee_id));
+  const candidates = eligible.map(employee => ({
+    employee_id: employee.employee_id,
+    name: employee.name,
+    open_tickets: openCounts.get(employee.employee_id) || 0
+  }));
+
+  return { shift, candidates, skipped };
+}
+
+/**
+ * Pick an agent for a ticket using the first matching routing rule.
+ * Only employees on the current shift (and, when the rule requires it, with
+ * presence "available") are considered; everyone else is
+ * listed in `skipped` with the reason so the decision can be explained.
+ * When nobody is on shift the ticket stays unassigned in the rule's queue.
+ * @param {object} ticket - Ticket fields
+ * @param {object} [options]
+ * @param {Date} [options.now] - Evaluation time
+ * @param {boolean} [options.dryRun] - Don't advance the round-robin cursor
+ * @returns {Promise<object|null>} { agent_id, routing } or null when no rule matches
+ */
+export async function routeTicket(ticket, { now = new Date(), dryRun = false } = {}) {
+  const rule = await findRoutingRule(ticket);
+  if (!rule) return null;
+
+  const employees = rule.target_type === 'section'
+    ? await Employee.find({ sectionId: rule.section_id }).lean()
+    : await Employee.find({ employee_id: { $in: rule.employee_ids } }).lean();
+
+  const { shift, candidates, skipped } = await shiftCandidates(employees, now, {
+    requireAvailable: rule.require_available
+  });
+
+  let chosen = null;
+  let reason;
+  if (candidates.length === 0) {
+    reason = rule.require_available
+      ? `No available employee on the ${shift} shift; ticket left unassigned in the rule queue`
+      : `No employee on the ${shift} shift; ticket left unassigned in the rule queue`;
+  } else if (rule.strategy === 'least_open') {
+    chosen = candidates.reduce((best, candidate) =>
+      candidate.open_tickets < best.open_tickets ? candidate : best
+    );
+    reason = `Fewest open tickets (${chosen.open_tickets}) among ${candidates.length} on-shift agents`;
+  } else {
+    chosen = candidates.find(candidate => candidate.employee_id > (rule.last_assigned_employee_id ?? -Infinity))
+      || candidates[0];
+    reason = `Next in round-robin among ${candidates.length} on-shift agents`;
+  }
+
+  if (chosen && rule.strategy === 'round_robin' && !dryRun) {
+    await RoutingRule.updateOne(
+      { routing_rule_id: rule.routing_rule_id },
+      { last_assigned_employee_id: chosen.employee_id }
+    );
+  }
+
+  return {
+    agent_id: chosen ? chosen.employee_id : null,
+    routing: {
+      method: 'rule',
+      rule_id: rule.routing_rule_id,
+      rule_name: rule.name,
+      strategy: rule.strategy,
+      section_id: rule.target_type === 'section' ? rule.section_id : null,
+      shift,
+      candidates,
+      skipped,
+      assigned_to: chosen ? chosen.employee_id : null,
+      reason: `Matched rule "${rule.name}": ${reason}`,
+      routed_at: now
+    }
+  };
+}
+
+/**
+ * Hand a ticket to a section outside the routing rules (escalation).
+ * Takes the on-shift member with the fewest open tickets; when nobody is on
+ * shift the ticket waits unassigned in the section's queue.
+ * @param {string} sectionId - Section ObjectId
+ * @param {object} [options]
+ * @param {Date} [options.now] - Evaluation time
+ * @param {string} [options.label] - What the handoff is, for the routing reason
+ * @returns {Promise<{agent_id: number|null, routing: object}>}
+ */
+export async function routeToSection(sectionId, { now = new Date(), label = 'Escalation' } = {}) {
+  const employees = await Employee.find({ sectionId }).lean();
+  const { shift, candidates, skipped } = await shiftCandidates(employees, now);
+
+  const chosen = candidates.length > 0
+    ? candidates.reduce((best, candidate) => candidate.open_tickets < best.open_tickets ? candidate : best)
+    : null;
+  const reason = chosen
+    ? `Fewest open tickets (${chosen.open_tickets}) among ${candidates.length} on-shift agents`
+    : `No employee on the ${shift} shift; ticket left unassigned in the section queue`;
+
+  return {
+    agent_id: chosen ? chosen.employee_id : null,
+    routing: {
+      method: 'escalation',
+      strategy: 'least_open',
+      section_id: sectionId,
+      shift,
+      candidates,
+      skipped,
+      assigned_to: chosen ? chosen.employee_id : null,
+      reason: `${label}: ${reason}`,
+      routed_at: now
+    }
+  };
+}
@@ -0,0 +1,71 @@
+import { refreshSlaState } from './sla.js';
+import { refreshEscalationState } from './escalations.js';
+import { runTaskRecurrence } from './taskTemplates.js';
+import { stopLongTimers } from './timeTracking.js';
+
+const SECOND = 1000;
+
+/**
+ * Periodic jobs run inside the API process. Each job is idempotent, so
+ * several API instances can run them side by side.
+ */
+export const SCHEDULED_JOBS = [
+  {
+    name: 'sla-refresh',
+    // Breach flags, state and time-to-breach of open tickets, and escalation tier breaches
+    everyMs: (Number(process.env.SLA_REFRESH_SECONDS) || 60) * SECOND,
+    run: async (now) => {
+      await refreshSlaState(now);
+      await refreshEscalationState(now);
+    }
+  },
+  {
+    name: 'task-recurrence',
+    // Tasks of recurring templates whose day has arrived
+    everyMs: (Number(process.env.TASK_RECURRENCE_SECONDS) || 300) * SECOND,
+    run: (now) => runTaskRecurrence(now)
+  },
+  {
+    name: 'timer-auto-stop',
+    // Timers forgotten for a day
+    everyMs: 10 * 60 * SECOND,
+    run: (now) => stopLongTimers(now)
+  }
+];
+
+const timers = [];
+
+/**
+ * Start every job now and then on its interval. A run still going when the
+ * next one is due is not overlapped; errors are logged and the job keeps its schedule.
+ * Set SCHEDULER_DISABLED=true to run the jobs elsewhere.
+ */
+export function startScheduler(jobs = SCHEDULED_JOBS) {
+  if (process.env.SCHEDULER_DISABLED === 'true') return;
+
+  for (const job of jobs) {
+    let running = false;
+    const tick = async () => {
+      if (running) return;
+      running = true;
+      try {
+        await job.run(new Date());
+      } catch (err) {
+        console.error(`Scheduled job ${job.name} failed:`, err.message);
+      } finally {
+        running = false;
+      }
+    };
+    tick();
+    const timer = setInterval(tick, job.everyMs);
+    timer.unref();
+    timers.push(timer);
+  }
+}
+
+/**
+ * Stop all scheduled jobs
+ */
+export function stopScheduler() {
+  timers.splice(0).forEach(clearInterval);
+}
@@ -0,0 +1,202 @@
+import { Ticket } from '../models/tickets.js';
+import { SlaPolicy } from '../models/sla_policies.js';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Fallback targets used when no active policy matches a ticket.
+ * The first-response target mirrors the old one-hour "stuck" rule.
+ */
+export const DEFAULT_SLA_POLICY = {
+  sla_policy_id: null,
+  name: 'Default',
+  first_response_minutes: 60,
+  resolution_minutes: 24 * 60,
+  at_risk_percent: 80
+};
+
+/**
+ * Sort keys accepted by list endpoints, mapped to ticket fields
+ */
+export const SLA_SORT_FIELDS = {
+  sla_due: 'sla.next_due_at',
+  time_to_breach: 'sla.time_to_breach_minutes'
+};
+
+const MATCH_FIELDS = ['issue_category', 'communication_channel', 'priority'];
+
+/**
+ * Find the most specific active policy for a ticket.
+ * A policy matches when each of its criteria is either null or equal to the
+ * ticket's value; ties on specificity go to the oldest policy.
+ * @param {object} ticket - Ticket fields (issue_category, communication_channel, priority)
+ * @returns {Promise<object>} Matching policy or DEFAULT_SLA_POLICY
+ */
+export async function findSlaPolicy(ticket) {
+  const policies = await SlaPolicy.find({
+    is_active: true,
+    ...Object.fromEntries(MATCH_FIELDS.map(field => [
+      field, { $in: [null, ticket[field] ?? null] }
+    ]))
+  }).sort({ sla_policy_id: 1 }).lean();
+
+  let best = null;
+  let bestScore = -1;
+  for (const policy of policies) {
+    const score = MATCH_FIELDS.filter(field => policy[field] != null).length;
+    if (score > bestScore) {
+      best = policy;
+      bestScore = score;
+    }
+  }
+
+  return best || DEFAULT_SLA_POLICY;
+}
+
+/**
+ * Compute the SLA snapshot for a ticket.
+ * First response is the moment the ticket first leaves "Pending";
+ * resolution is the moment it becomes "Completed" (cleared again on reopen).
+ * @param {object} ticket - Ticket with createdAt, resolution_status and previous sla
+ * @param {object} policy - SLA policy
+ * @param {Date} now - Evaluation time
+ * @returns {object} Value for ticket.sla
+ */
+export function computeSla(ticket, policy, now = new Date()) {
+  const previous = ticket.sla || {};
+  const createdAt = ticket.createdAt ? new Date(ticket.createdAt) : now;
+
+  const first_responded_at = previous.first_responded_at
+    || (ticket.resolution_status && ticket.resolution_status !== 'Pending' ? now : null);
+  const resolved_at = ticket.resolution_status === 'Completed'
+    ? (previous.resolved_at || now)
+    : null;
+
+  const first_response_due_at = new Date(createdAt.getTime() + policy.first_response_minutes * MINUTE);
+  const resolution_due_at = new Date(createdAt.getTime() + policy.resolution_minutes * MINUTE);
+
+  const first_response_breached = (first_responded_at || now) > first_response_due_at;
+  const resolution_breached = (resolved_at || now) > resolution_due_at;
+
+  // The next target still running: first response, then resolution
+  let next_due_at = null;
+  if (!resolved_at) {
+    next_due_at = first_responded_at ? resolution_due_at : first_response_due_at;
+  }
+
+  let at_risk_at = null;
+  if (next_due_at) {
+    const window = next_due_at.getTime() - createdAt.getTime();
+    at_risk_at = new Date(createdAt.getTime() + window * (policy.at_risk_percent / 100));
+  }
+
+  let state;
+  if (first_response_breached || resolution_breached) {
+    state = 'breached';
+  } else if (resolved_at) {
+    state = 'met';
+  } else if (at_risk_at && now >= at_risk_at) {
+    state = 'at_risk';
+  } else {
+    state = 'on_track';
+  }
+
+  return {
+    policy_id: policy.sla_policy_id ?? null,
+    first_response_due_at,
+    resolution_due_at,
+    at_risk_at,
+    next_due_at,
+    first_responded_at,
+    resolved_at,
+    first_response_breached,
+    resolution_breached,
+    time_to_breach_minutes: next_due_at ? Math.round((next_due_at.getTime() - now.getTime()) / MINUTE) : null,
+    state
+  };
+}
+
+/**
+ * Look up the matching policy and compute the SLA snapshot for a ticket
+ * @param {object} ticket - Ticket fields including any pending updates
+ * @param {Date} now - Evaluation time
+ * @returns {Promise<object>} Value for ticket.sla
+ */
+export async function buildTicketSla(ticket, now = new Date()) {
+  const policy = await findSlaPolicy(ticket);
+  return computeSla(ticket, policy, now);
+}
+
+/**
+ * Recompute and store the SLA snapshot of a single ticket.
+ * Used after writes that change resolution_status outside the tickets router.
+ * @param {number} ticketId - Ticket ID
+ * @returns {Promise<object|null>} New sla value, or null if the ticket is missing
+ */
+export async function syncTicketSla(ticketId) {
+  const ticket = await Ticket.findOne({ ticket_id: ticketId }).lean();
+  if (!ticket) return null;
+
+  const sla = await buildTicketSla(ticket);
+  await Ticket.updateOne({ ticket_id: ticketId }, { sla }, { timestamps: false });
+  return sla;
+}
+
+/**
+ * Refresh breach flags, state and time-to-breach on every open ticket.
+ * Runs as a single pipeline update from the sla-refresh job (see
+ * utils/scheduler.js) so list filters and sorting on SLA fields stay
+ * current without a write per read; updatedAt is left untouched.
+ * @param {Date} now - Evaluation time
+ */
+export async function refreshSlaState(now = new Date()) {
+  await Ticket.updateMany(
+    { 'sla.next_due_at': { $ne: null } },
+    [
+      {
+        $set: {
+          'sla.first_response_breached': {
+            $or: [
+              '$sla.first_response_breached',
+              {
+                $and: [
+                  { $not: ['$sla.first_responded_at'] },
+                  { $lte: ['$sla.first_response_due_at', now] }
+                ]
+              }
+            ]
+          },
+          'sla.resolution_breached': {
+            $or: ['$sla.resolution_breached', { $lte: ['$sla.resolution_due_at', now] }]
+          },
+          'sla.time_to_breach_minutes': {
+            $round: [{ $divide: [{ $subtract: ['$sla.next_due_at', now] }, MINUTE] }, 0]
+          }
+        }
+      },
+      {
+        $set: {
+          'sla.state': {
+            $cond: [
+              { $or: ['$sla.first_response_breached', '$sla.resolution_breached'] },
+              'breached',
+              { $cond: [{ $lte: ['$sla.at_risk_at', now] }, 'at_risk', 'on_track'] }
+            ]
+          }
+        }
+      }
+    ],
+    { timestamps: false }
+  );
+}
+
+/**
+ * Filter for "stuck" tickets: still open and past an SLA target
+ * @returns {object} Mongo filter
+ */
+export function stuckTicketsFilter() {
+  return {
+    resolution_status: { $in: ['Pending', 'In-Progress'] },
+    'sla.state': 'breached'
+  };
+}
@@ -0,0 +1,177 @@
+import jwt from 'jsonwebtoken';
+import { SurveyQuestion } from '../models/survey_questions.js';
+import { SurveyResponse } from '../models/survey_responses.js';
+import { FollowUp } from '../models/follow_ups.js';
+
+// Separate from the session secret so a survey link can never pass as a login token
+const SURVEY_LINK_SECRET = process.env.SURVEY_LINK_SECRET || `${process.env.JWT_SECRET || 'change-me'}:survey`;
+const SURVEY_LINK_DAYS = Number(process.env.SURVEY_LINK_DAYS) || 14;
+const SURVEY_PUBLIC_URL = process.env.SURVEY_PUBLIC_URL || `${process.env.FRONTEND_URL || 'http://localhost:5175'}/survey`;
+
+/**
+ * Questions used until an administrator configures their own
+ */
+export const DEFAULT_SURVEY_QUESTIONS = [
+  { key: 'csat', label: 'How satisfied are you with how we handled your request?', type: 'rating', required: true },
+  { key: 'nps', label: 'How likely are you to recommend us to a friend or colleague?', type: 'nps', required: false },
+  { key: 'comment', label: 'Is there anything else you would like to tell us?', type: 'text', required: false }
+];
+
+// Allowed answer range per question type
+const SCALES = {
+  rating: { min: 1, max: 5 },
+  nps: { min: 0, max: 10 }
+};
+
+/**
+ * Active survey questions in display order, or the defaults when none are configured
+ * @returns {Promise<Array<{key: string, label: string, type: string, required: boolean}>>}
+ */
+export async function getSurveyQuestions() {
+  const questions = await SurveyQuestion.find({ is_active: true })
+    .sort({ order: 1, survey_question_id: 1 })
+    .select('key label type required')
+    .lean();
+
+  if (questions.length === 0) return DEFAULT_SURVEY_QUESTIONS;
+  return questions.map(({ key, label, type, required }) => ({ key, label, type, required }));
+}
+
+/**
+ * Validate answers against the survey's questions and derive the scores
+ * @param {Array} questions - Question snapshot of the survey
+ * @param {object} input - Answers by question key, e.g. { csat: 4, nps: 9, comment: "..." }
+ * @returns {{answers: Array, csat_score: number|null, nps_score: number|null, errors: Array}}
+ */
+export function scoreAnswers(questions, input = {}) {
+  const answers = [];
+  const errors = [];
+
+  for (const question of questions) {
+    const raw = input[question.key];
+    const empty = raw === undefined || raw === null || raw === '';
+
+    if (empty) {
+      if (question.required) {
+        errors.push({ field: question.key, code: 'required', detail: 'Please answer this question.' });
+      }
+      continue;
+    }
+
+    if (question.type === 'text') {
+      answers.push({ key: question.key, type: 'text', value: null, text: String(raw).trim().slice(0, 2000) });
+      continue;
+    }
+
+    const value = Number(raw);
+    const { min, max } = SCALES[question.type];
+    if (!Number.isInteger(value) || value < min || value > max) {
+      errors.push({ field: question.key, code: 'invalid_value', detail: `Choose a number from ${min} to ${max}.` });
+      continue;
+    }
+    answers.push({ key: question.key, type: question.type, value, text: null });
+  }
+
+  const ratings = answers.filter(answer => answer.type === 'rating').map(answer => answer.value);
+  const nps = answers.find(answer => answer.type === 'nps');
+
+  return {
+    answers,
+    csat_score: ratings.length > 0 ? ratings.reduce((sum, value) => sum + value, 0) / ratings.length : null,
+    nps_score: nps ? nps.value : null,
+    errors
+  };
+}
+
+/**
+ * Create a pending survey for a ticket with the current questions
+ * @param {object} params
+ * @param {object} params.ticket - Ticket (lean)
+ * @param {number|null} [params.followUpId]
+ * @param {string} params.source - "link" or "agent"
+ * @param {object} [params.actor] - Result of getActor(req)
+ * @returns {Promise<object>} SurveyResponse document
+ */
+export async function issueSurvey({ ticket, followUpId = null, source, actor }) {
+  return SurveyResponse.create({
+    ticket_id: ticket.ticket_id,
+    follow_up_id: followUpId,
+    agent_id: ticket.agent_id ?? null,
+    issue_category: ticket.issue_category || null,
+    issue_type: ticket.issue_type || null,
+    source,
+    questions: await getSurveyQuestions(),
+    expires_at: source === 'link' ? new Date(Date.now() + SURVEY_LINK_DAYS * 24 * 60 * 60 * 1000) : null,
+    created_by: actor
+  });
+}
+
+/**
+ * Store answers on a pending survey. When the survey belongs to a follow-up that
+ * has no satisfaction answer yet, the CSAT score fills it in (4 or 5 = satisfied).
+ * Only a survey that is still pending is written, so a second submission of
+ * the same link cannot record another set of answers.
+ * @param {object} survey - Pending SurveyResponse
+ * @param {object} input - Answers by question key
+ * @returns {Promise<{survey: object|null, errors: Array, already_answered?: boolean}>}
+ */
+export async function completeSurvey(survey, input) {
+  const { answers, csat_score, nps_score, errors } = scoreAnswers(survey.questions, input);
+  if (errors.length > 0) return { survey: null, errors };
+
+  const completed = await SurveyResponse.findOneAndUpdate(
+    { survey_response_id: survey.survey_response_id, status: 'pending' },
+    { answers, csat_score, nps_score, status: 'completed', submitted_at: new Date() },
+    { new: true }
+  ).lean();
+  if (!completed) return { survey: null, errors: [], already_answered: true };
+
+  if (survey.follow_up_id && csat_score !== null) {
+    await FollowUp.updateOne(
+      { follow_up_id: survey.follow_up_id, satisfied: null },
+      { satisfied: csat_score >= 4 }
+    );
+  }
+
+  return { survey: completed, errors: [] };
+}
+
+/**
+ * Signed public link for a pending survey
+ * @param {object} survey - SurveyResponse
+ * @returns {{token: string, url: string}}
+ */
+export function signSurveyLink(survey) {
+  const expiresIn = Math.max(1, Math.floor((new Date(survey.expires_at).getTime() - Date.now()) / 1000));
+  const token = jwt.sign({ sid: survey.survey_response_id, tid: survey.ticket_id }, SURVEY_LINK_SECRET, { expiresIn });
+  return { token, url: `${SURVEY_PUBLIC_URL}/${token}` };
+}
+
+/**
+ * Survey a public link token points to
+ * @param {string} token
+ * @returns {Promise<object|null>} SurveyResponse document, or null for a bad or expired token
+ */
+export async function findSurveyByToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, SURVEY_LINK_SECRET);
+  } catch (error) {
+    return null;
+  }
+  return SurveyResponse.findOne({ survey_response_id: payload.sid, ticket_id: payload.tid });
+}
+
+/**
+ * CSAT and NPS from aggregated counts
+ * @param {object} row - { responses, rating_total, rating_count, satisfied, nps_count, promoters, detractors }
+ * @returns {{avg_rating: number|null, csat: number|null, nps: number|null}} csat is the % of ratings of 4 or 5
+ */
+export function summarizeScores(row) {
+  const round = (value) => Math.round(value * 10) / 10;
+  return {
+    avg_rating: row.rating_count > 0 ? round(row.rating_total / row.rating_count) : null,
+    csat: row.rating_count > 0 ? round((row.satisfied / row.rating_count) * 100) : null,
+    nps: row.nps_count > 0 ? round(((row.promoters - row.detractors) / row.nps_count) * 100) : null
+  };
+}
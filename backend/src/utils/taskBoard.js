@@ -0,0 +1,269 @@
+import { randomUUID } from 'node:crypto';
+import mongoose from 'mongoose';
+import { Task } from '../models/tasks.js';
+import { BoardColumnLock } from '../models/board_column_locks.js';
+import { User } from '../models/users.js';
+import { Employee } from '../models/employees.js';
+
+/**
+ * Kanban board of tasks: one column per state of the task workflow, cards
+ * ordered by Task.position. Positions are plain numbers; a moved card gets
+ * the midpoint of its new neighbours, so a move writes one document.
+ */
+
+// Spacing used when a column is renumbered
+const POSITION_GAP = 1024;
+
+// Renumber a column once neighbours get this close
+const MIN_GAP = 1e-6;
+
+// Tasks from before positions existed sort by creation time, like new ones
+const effectivePosition = { $ifNull: ['$position', { $toLong: '$createdAt' }] };
+
+/**
+ * Task filter for a board from its query string; tasks are assigned by employee_id
+ * @param {object} actor - From getActor
+ * @param {object} query - scope ("mine"), assigned_to, department_id, priority
+ * @returns {Promise<{filters?: object, error?: {field: string, detail: string}}>}
+ */
+export async function boardFilters(actor, { scope, assigned_to, department_id, priority }) {
+  const filters = {};
+  if (priority) filters.priority = priority;
+
+  let assignees = null;
+  if (scope === 'mine') assignees = actor.employee_id === null ? [] : [actor.employee_id];
+  if (assigned_to) {
+    const wanted = Number(assigned_to);
+    assignees = assignees ? assignees.filter(id => id === wanted) : [wanted];
+  }
+
+  if (department_id) {
+    if (!mongoose.isValidObjectId(department_id)) {
+      return { error: { field: 'department_id', detail: 'Department does not exist.' } };
+    }
+    const employees = await Employee.find({ departmentId: department_id }).select('employee_id').lean();
+    const members = employees.map(employee => employee.employee_id);
+    assignees = assignees ? assignees.filter(id => members.includes(id)) : members;
+  }
+
+  if (assignees) filters.assigned_to = { $in: assignees };
+  return { filters };
+}
+
+/**
+ * How full each column is across all tasks, whatever the board's filters
+ * @param {object} workflow - Task workflow
+ * @returns {Promise<Map<string, number>>}
+ */
+export async function columnCounts(workflow) {
+  const counts = await Task.aggregate([
+    { $match: { status: { $in: workflow.states.map(state => state.key) } } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(entry => [entry._id, entry.count]));
+}
+
+/**
+ * Card assignees by employee_id, with the username of their login if they have one
+ * @param {number[]} employeeIds
+ * @returns {Promise<Map<number, {employee_id: number, username: string|null, employee: object}>>}
+ */
+export async function findAssignees(employeeIds) {
+  if (employeeIds.length === 0) return new Map();
+  const employees = await Employee.find({ employee_id: { $in: employeeIds } }).select('employee_id name').lean();
+  const users = await User.find({ employeeId: { $in: employees.map(employee => employee._id) } })
+    .select('username employeeId')
+    .lean();
+  const usernames = new Map(users.map(user => [String(user.employeeId), user.username]));
+
+  return new Map(employees.map(({ _id, ...employee }) => [employee.employee_id, {
+    employee_id: employee.employee_id,
+    username: usernames.get(String(_id)) ?? null,
+    employee
+  }]));
+}
+
+// Card fields; the assignee is filled in by buildBoard
+const cardProjection = {
+  task_id: 1,
+  title: 1,
+  status: 1,
+  priority: 1,
+  assigned_to: 1,
+  due_date: 1,
+  progress: 1,
+  blocked_by: 1,
+  parent_task_id: 1,
+  template_id: 1,
+  position: 1,
+  checklist: 1
+};
+
+/**
+ * Columns of the board with their first cards
+ * @param {object} workflow - Task workflow
+ * @param {object} filters - See boardFilters
+ * @param {number} limit - Cards per column
+ * @returns {Promise<object[]>}
+ */
+export async function buildBoard(workflow, filters, limit) {
+  const keys = workflow.states.map(state => state.key);
+  const [grouped, counts] = await Promise.all([
+    Task.aggregate([
+      { $match: { ...filters, status: { $in: keys } } },
+      { $addFields: { sort_position: effectivePosition } },
+      { $sort: { sort_position: 1, task_id: 1 } },
+      { $project: { ...cardProjection, sort_position: 1 } },
+      { $group: { _id: '$status', total: { $sum: 1 }, tasks: { $push: '$$ROOT' } } },
+      { $project: { total: 1, tasks: { $slice: ['$tasks', limit] } } }
+    ]),
+    columnCounts(workflow)
+  ]);
+  const columns = new Map(grouped.map(column => [column._id, column]));
+
+  const assignees = await findAssignees(
+    [...new Set(grouped.flatMap(column => column.tasks.map(task => task.assigned_to)).filter(Boolean))]
+  );
+
+  const blockerIds = [...new Set(grouped.flatMap(column => column.tasks.flatMap(task => task.blocked_by || [])))];
+  const doneKeys = workflow.states.filter(state => state.category === 'done').map(state => state.key);
+  const openBlockers = new Set((await Task.find({ task_id: { $in: blockerIds }, status: { $nin: doneKeys } })
+    .select('task_id')
+    .lean()).map(task => task.task_id));
+
+  return workflow.states.map(state => {
+    const column = columns.get(state.key) || { total: 0, tasks: [] };
+    const count = counts.get(state.key) || 0;
+    return {
+      key: state.key,
+      label: state.label || state.key,
+      category: state.category,
+      total: column.total,
+      wip: {
+        limit: state.wip_limit,
+        policy: state.wip_policy,
+        count,
+        exceeded: state.wip_limit !== null && count > state.wip_limit
+      },
+      tasks: column.tasks.map(({ sort_position: position, checklist = [], ...task }) => ({
+        ...task,
+        position,
+        checklist_done: checklist.filter(item => item.done).length,
+        checklist_total: checklist.length,
+        is_blocked: (task.blocked_by || []).some(id => openBlockers.has(id)),
+        assigned_to_user: assignees.get(task.assigned_to) || null
+      }))
+    };
+  });
+}
+
+/**
+ * Whether a column can take one more card
+ * @param {object} state - Workflow state of the column
+ * @param {number} count - Cards in it now, without the moving one
+ * @returns {{blocked: boolean, warning: object|null}}
+ */
+export function checkWipLimit(state, count) {
+  if (state.wip_limit === null || count < state.wip_limit) return { blocked: false, warning: null };
+
+  const detail = {
+    code: 'WIP_LIMIT_REACHED',
+    status: state.key,
+    limit: state.wip_limit,
+    count: count + 1,
+    message: `"${state.label || state.key}" allows ${state.wip_limit} tasks`
+  };
+  return { blocked: state.wip_policy === 'block', warning: detail };
+}
+
+// How long a move may hold a column, and how long another move waits for it
+const COLUMN_LOCK_MS = 10 * 1000;
+const COLUMN_WAIT_MS = 3 * 1000;
+const COLUMN_RETRY_MS = 50;
+
+// Take the column's lock if it is free or expired; false while another move holds it
+async function acquireColumn(status, holder) {
+  const now = new Date();
+  try {
+    await BoardColumnLock.findOneAndUpdate(
+      { _id: status, expires_at: { $lte: now } },
+      { holder, expires_at: new Date(now.getTime() + COLUMN_LOCK_MS) },
+      { upsert: true }
+    ).lean();
+    return true;
+  } catch (err) {
+    // The upsert hit the lock another move holds
+    if (err.code === 11000) return false;
+    throw err;
+  }
+}
+
+/**
+ * Run a move into a column while no other move into it runs, so the WIP
+ * check and the write after it see the same count and the first mover wins
+ * @param {string} status - Column
+ * @param {Function} fn - The move
+ * @returns {Promise<object>} What fn returned, or { busy: true } when the column stayed locked
+ */
+export async function withColumnLock(status, fn) {
+  const holder = randomUUID();
+  const deadline = Date.now() + COLUMN_WAIT_MS;
+  while (!(await acquireColumn(status, holder))) {
+    if (Date.now() >= deadline) return { busy: true };
+    await new Promise(resolve => setTimeout(resolve, COLUMN_RETRY_MS));
+  }
+  try {
+    return await fn();
+  } finally {
+    await BoardColumnLock.deleteOne({ _id: status, holder });
+  }
+}
+
+// Give positionless tasks of a column their creation time, so neighbours can be compared
+async function fillPositions(status) {
+  await Task.updateMany(
+    { status, position: null },
+    [{ $set: { position: { $toLong: '$createdAt' } } }]
+  );
+}
+
+// Number a column POSITION_GAP apart, keeping its order
+async function renumberColumn(status) {
+  const tasks = await Task.find({ status }).sort({ position: 1, task_id: 1 }).select('task_id').lean();
+  if (tasks.length === 0) return;
+  await Task.bulkWrite(tasks.map((task, index) => ({
+    updateOne: { filter: { task_id: task.task_id }, update: { position: (index + 1) * POSITION_GAP } }
+  })));
+}
+
+/**
+ * Position for a card dropped into a column below another card
+ * @param {string} status - Target column
+ * @param {number|null} afterTaskId - Card it is dropped below; null for the top
+ * @param {number} taskId - The moving card, left out of its own neighbours
+ * @returns {Promise<{position?: number, error?: string}>}
+ */
+export async function positionAfter(status, afterTaskId, taskId) {
+  await fillPositions(status);
+
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    const others = { status, task_id: { $ne: taskId } };
+    let previous = null;
+    if (afterTaskId !== null) {
+      previous = await Task.findOne({ ...others, task_id: afterTaskId }).select('position').lean();
+      if (!previous) return { error: 'The card to drop below is not in that column.' };
+    }
+
+    const next = await Task.findOne(previous ? { ...others, position: { $gt: previous.position } } : others)
+      .sort({ position: 1, task_id: 1 })
+      .select('position')
+      .lean();
+
+    if (!previous) return { position: next ? next.position - POSITION_GAP : Date.now() };
+    if (!next) return { position: previous.position + POSITION_GAP };
+    if (next.position - previous.position > MIN_GAP) return { position: (previous.position + next.position) / 2 };
+
+    await renumberColumn(status);
+  }
+  return { error: 'Could not place the card; reload the board and try again.' };
+}
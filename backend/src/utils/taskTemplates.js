@@ -0,0 +1,242 @@
+import { Task } from '../models/tasks.js';
+import { TaskTemplate } from '../models/task_templates.js';
+import { Notification } from '../models/notifications.js';
+import { Employee } from '../models/employees.js';
+import { taskDoneStates } from './tasks.js';
+import { getWorkflow } from './workflows.js';
+import { parseRRule, formatRRule, nextOccurrence, upcomingOccurrences, startOfDay, dayAfter } from './recurrence.js';
+
+const ruleOf = (template) => parseRRule(template.rrule).rule;
+
+/**
+ * Ids from a list that are not employees; tasks are assigned by employee_id
+ * @param {number[]} ids
+ * @returns {Promise<number[]>}
+ */
+export async function unknownEmployees(ids) {
+  const known = new Set(await Employee.distinct('employee_id', { employee_id: { $in: ids } }));
+  return ids.filter(id => !known.has(id));
+}
+
+/**
+ * Normalize the schedule of template input in place and check its assignees
+ * @param {object} data - Parsed create or update body
+ * @returns {Promise<{field: string, detail: string}|null>} The first problem, or null
+ */
+export async function prepareTemplateData(data) {
+  if (data.rrule !== undefined) {
+    const { rule, error } = parseRRule(data.rrule);
+    if (error) return { field: 'rrule', detail: error };
+    data.rrule = formatRRule(rule);
+  }
+  if (data.starts_on) data.starts_on = startOfDay(data.starts_on);
+  if (data.ends_on) data.ends_on = startOfDay(data.ends_on);
+
+  if (data.assignment?.user_ids) {
+    data.assignment.user_ids = [...new Set(data.assignment.user_ids)];
+    if ((await unknownEmployees(data.assignment.user_ids)).length > 0) {
+      return { field: 'assignment.user_ids', detail: 'One or more employees do not exist.' };
+    }
+  }
+  return null;
+}
+
+/**
+ * When an occurrence is due: its day at the template's due time
+ * @param {object} template
+ * @param {Date} occurrence - Local midnight
+ * @returns {Date}
+ */
+export function occurrenceDueDate(template, occurrence) {
+  const [hours, minutes] = template.due_time.split(':').map(Number);
+  const due = new Date(occurrence);
+  due.setHours(hours, minutes, 0, 0);
+  return due;
+}
+
+/**
+ * First occurrence without a task: the next one after the latest generated
+ * occurrence, and not before today
+ * @param {object} template
+ * @param {Date} [now]
+ * @returns {Promise<Date|null>}
+ */
+export async function findNextOccurrence(template, now = new Date()) {
+  const latest = await Task.findOne({ template_id: template.template_id, occurrence_date: { $ne: null } })
+    .sort({ occurrence_date: -1 })
+    .select('occurrence_date')
+    .lean();
+
+  let from = startOfDay(now);
+  if (latest && dayAfter(latest.occurrence_date) > from) from = dayAfter(latest.occurrence_date);
+  return nextOccurrence(ruleOf(template), template.starts_on, from, template.ends_on);
+}
+
+/**
+ * Next few occurrences without a task, for previews
+ * @param {object} template
+ * @param {number} [count]
+ * @returns {Date[]}
+ */
+export function previewOccurrences(template, count = 5) {
+  if (!template.active || !template.next_occurrence_at) return [];
+  return upcomingOccurrences(ruleOf(template), template.starts_on, template.next_occurrence_at, count, template.ends_on);
+}
+
+/**
+ * Create the task for the template's pending occurrence. The template's
+ * next_occurrence_at is claimed atomically first, so the scheduler and a
+ * completion never create the same occurrence twice.
+ * @param {object} template - Lean template as read by the caller
+ * @param {Date} occurrence - Occurrence to create (may be later than next_occurrence_at when days were missed)
+ * @returns {Promise<object|null>} The task, or null when someone else claimed it
+ */
+async function createOccurrence(template, occurrence) {
+  const following = nextOccurrence(ruleOf(template), template.starts_on, dayAfter(occurrence), template.ends_on);
+  const claimed = await TaskTemplate.findOneAndUpdate(
+    { template_id: template.template_id, active: true, next_occurrence_at: template.next_occurrence_at },
+    {
+      $set: { next_occurrence_at: following, last_generated_at: new Date() },
+      $inc: { 'assignment.next_index': template.assignment.mode === 'rotation' ? 1 : 0 }
+    }
+  ).lean();
+  if (!claimed) return null;
+
+  // The state before the claim holds this occurrence's rotation turn
+  const { mode, user_ids: userIds, next_index: turn } = claimed.assignment;
+  let assignee = null;
+  if (userIds.length > 0) assignee = mode === 'rotation' ? userIds[turn % userIds.length] : userIds[0];
+
+  const workflow = await getWorkflow('task');
+  let task;
+  try {
+    task = await Task.create({
+      title: claimed.title,
+      description: claimed.description,
+      priority: claimed.priority,
+      status: workflow.initial_state,
+      assigned_to: assignee,
+      created_by: claimed.created_by,
+      due_date: occurrenceDueDate(claimed, occurrence),
+      checklist: claimed.checklist.map((text, index) => ({ item_id: index + 1, text })),
+      template_id: claimed.template_id,
+      occurrence_date: occurrence
+    });
+  } catch (err) {
+    // Already created, e.g. before the schedule was edited
+    if (err.code === 11000) return null;
+    throw err;
+  }
+
+  if (assignee && assignee !== claimed.created_by) {
+    await Notification.create({
+      user_id: assignee,
+      title: 'New Task Assigned',
+      message: `You have been assigned a new task: ${claimed.title}`,
+      type: 'task_assignment'
+    });
+  }
+  return task;
+}
+
+/**
+ * Create the task for the template's next occurrence now, before its day
+ * @param {object} template - Lean template
+ * @returns {Promise<object|null>}
+ */
+export async function createNextOccurrence(template) {
+  if (!template.active || !template.next_occurrence_at) return null;
+  return createOccurrence(template, template.next_occurrence_at);
+}
+
+/**
+ * Create the task for a template's occurrence once its day has arrived. When
+ * several occurrences were missed only the latest is created.
+ * @param {object} template - Lean template
+ * @param {Date} [now]
+ * @returns {Promise<{task: object|null, skipped: number}>}
+ */
+export async function generateDueOccurrence(template, now = new Date()) {
+  if (!template.active || !template.next_occurrence_at || template.next_occurrence_at > now) {
+    return { task: null, skipped: 0 };
+  }
+
+  const rule = ruleOf(template);
+  let occurrence = template.next_occurrence_at;
+  let skipped = 0;
+  for (;;) {
+    const following = nextOccurrence(rule, template.starts_on, dayAfter(occurrence), template.ends_on);
+    if (!following || following > now) break;
+    occurrence = following;
+    skipped += 1;
+  }
+
+  return { task: await createOccurrence(template, occurrence), skipped };
+}
+
+/**
+ * Create the next occurrence early when the last open one was completed
+ * @param {object} task - The completed task
+ * @returns {Promise<object|null>} The new task, if one was created
+ */
+export async function generateAfterCompletion(task) {
+  if (!task.template_id) return null;
+
+  const template = await TaskTemplate.findOne({
+    template_id: task.template_id,
+    active: true,
+    next_occurrence_at: { $ne: null }
+  }).lean();
+  if (!template) return null;
+  if (await Task.exists({ template_id: template.template_id, status: { $nin: await taskDoneStates() } })) return null;
+
+  return createNextOccurrence(template);
+}
+
+/**
+ * Create the task of every template whose occurrence day has arrived; run
+ * by the server scheduler and by npm run tasks:recur
+ * @param {Date} [now]
+ * @returns {Promise<{templates: number, created: number, skipped: number}>}
+ */
+export async function runTaskRecurrence(now = new Date()) {
+  const templates = await TaskTemplate.find({ active: true, next_occurrence_at: { $ne: null, $lte: now } }).lean();
+
+  let created = 0;
+  let skipped = 0;
+  for (const template of templates) {
+    const result = await generateDueOccurrence(template, now);
+    if (result.task) created += 1;
+    skipped += result.skipped;
+  }
+  return { templates: templates.length, created, skipped };
+}
+
+/**
+ * Copy template changes to its open occurrences from a day on; occurrences
+ * edited on their own are left alone
+ * @param {object} template - Updated lean template
+ * @param {Date} from - First occurrence day to update
+ * @returns {Promise<number>} Number of tasks updated
+ */
+export async function applyToOpenOccurrences(template, from) {
+  const tasks = await Task.find({
+    template_id: template.template_id,
+    occurrence_date: { $gte: startOfDay(from) },
+    status: { $nin: await taskDoneStates() },
+    is_exception: false
+  });
+
+  for (const task of tasks) {
+    task.set({
+      title: template.title,
+      description: template.description,
+      priority: template.priority,
+      due_date: occurrenceDueDate(template, task.occurrence_date)
+    });
+    // A rotation keeps whoever had the turn
+    if (template.assignment.mode === 'fixed') task.assigned_to = template.assignment.user_ids[0] ?? null;
+    await task.save();
+  }
+  return tasks.length;
+}
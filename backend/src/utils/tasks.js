@@ -0,0 +1,219 @@
+import { Task } from '../models/tasks.js';
+import { workflowStates } from './workflows.js';
+
+/**
+ * Task statuses that count as finished: the "done" states of the task workflow
+ * @returns {Promise<string[]>}
+ */
+export const taskDoneStates = () => workflowStates('task', 'done');
+
+/**
+ * Creator and assignee may change a task; tasks refer to people by employee_id
+ * @param {object} task
+ * @param {object} actor - From getActor
+ * @returns {boolean}
+ */
+export const canEditTask = (task, actor) => actor.employee_id !== null &&
+  (task.created_by === actor.employee_id || task.assigned_to === actor.employee_id);
+
+// Fields of a task shown as a node in the dependency graph
+const graphNode = (task) => ({
+  task_id: task.task_id,
+  title: task.title,
+  status: task.status,
+  assigned_to: task.assigned_to ?? null,
+  progress: task.progress ?? 0
+});
+
+/**
+ * Progress of a task (0-100): 100 when done, else the average of its
+ * subtasks, else the share of checklist items done, else 0
+ * @param {object} task
+ * @param {object[]} subtasks - Direct subtasks with their progress
+ * @param {string[]} doneStates - See taskDoneStates
+ * @returns {number}
+ */
+export function computeProgress(task, subtasks, doneStates) {
+  if (doneStates.includes(task.status)) return 100;
+  if (subtasks.length > 0) {
+    return Math.round(subtasks.reduce((sum, subtask) => sum + (subtask.progress ?? 0), 0) / subtasks.length);
+  }
+  const checklist = task.checklist || [];
+  if (checklist.length > 0) {
+    return Math.round((checklist.filter(item => item.done).length / checklist.length) * 100);
+  }
+  return 0;
+}
+
+/**
+ * Recompute a task's progress and roll it up through its parents. Stops at
+ * the first task whose progress did not change.
+ * @param {number} taskId
+ */
+export async function refreshProgress(taskId) {
+  const doneStates = await taskDoneStates();
+  const visited = new Set();
+  let id = taskId;
+  while (id !== null && id !== undefined && !visited.has(id)) {
+    visited.add(id);
+    const [task, subtasks] = await Promise.all([
+      Task.findOne({ task_id: id }).select('task_id status checklist progress parent_task_id').lean(),
+      Task.find({ parent_task_id: id }).select('progress').lean()
+    ]);
+    if (!task) return;
+
+    const progress = computeProgress(task, subtasks, doneStates);
+    if (progress === task.progress) return;
+    await Task.updateOne({ task_id: id }, { progress });
+    id = task.parent_task_id;
+  }
+}
+
+/**
+ * Whether making parentId the parent of taskId would put the task under itself
+ * @param {number} taskId
+ * @param {number} parentId
+ * @returns {Promise<boolean>}
+ */
+export async function wouldNestUnderItself(taskId, parentId) {
+  if (taskId === parentId) return true;
+  const [parent] = await Task.aggregate([
+    { $match: { task_id: parentId } },
+    {
+      $graphLookup: {
+        from: Task.collection.name,
+        startWith: '$parent_task_id',
+        connectFromField: 'parent_task_id',
+        connectToField: 'task_id',
+        as: 'ancestors'
+      }
+    },
+    { $project: { ancestor_ids: '$ancestors.task_id' } }
+  ]);
+  return Boolean(parent?.ancestor_ids.includes(taskId));
+}
+
+/**
+ * Check whether "taskId is blocked by blockerId" would close a loop
+ * @param {number} taskId
+ * @param {number} blockerId
+ * @returns {Promise<number[]|null>} The loop as task ids, starting and ending
+ * with taskId (each blocked by the next), or null when there is none
+ */
+export async function findDependencyCycle(taskId, blockerId) {
+  if (taskId === blockerId) return [taskId, taskId];
+
+  const [blocker] = await Task.aggregate([
+    { $match: { task_id: blockerId } },
+    {
+      $graphLookup: {
+        from: Task.collection.name,
+        startWith: '$blocked_by',
+        connectFromField: 'blocked_by',
+        connectToField: 'task_id',
+        as: 'upstream'
+      }
+    },
+    { $project: { task_id: 1, blocked_by: 1, 'upstream.task_id': 1, 'upstream.blocked_by': 1 } }
+  ]);
+  if (!blocker || !blocker.upstream.some(task => task.task_id === taskId)) return null;
+
+  const blockedBy = new Map([blocker, ...blocker.upstream].map(task => [task.task_id, task.blocked_by || []]));
+
+  // Shortest path from the blocker back to the task
+  const previous = new Map([[blockerId, null]]);
+  const queue = [blockerId];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (id === taskId) break;
+    for (const next of blockedBy.get(id) || []) {
+      if (previous.has(next)) continue;
+      previous.set(next, id);
+      queue.push(next);
+    }
+  }
+
+  const path = [];
+  for (let id = taskId; id !== null; id = previous.get(id)) path.unshift(id);
+  return [taskId, ...path];
+}
+
+/**
+ * Blockers of a task that are not done yet
+ * @param {object} task
+ * @returns {Promise<object[]>}
+ */
+export async function findOpenBlockers(task) {
+  if (!task.blocked_by?.length) return [];
+  return Task.find({ task_id: { $in: task.blocked_by }, status: { $nin: await taskDoneStates() } })
+    .select('task_id title status')
+    .lean();
+}
+
+/**
+ * Parent, subtasks and the full dependency graph around a task: everything
+ * it waits on (upstream) and everything waiting on it (downstream)
+ * @param {object} task - Lean task
+ * @returns {Promise<object>}
+ */
+export async function getTaskGraph(task) {
+  const [[graph], subtasks, parent, doneStates] = await Promise.all([
+    Task.aggregate([
+      { $match: { task_id: task.task_id } },
+      {
+        $graphLookup: {
+          from: Task.collection.name,
+          startWith: '$blocked_by',
+          connectFromField: 'blocked_by',
+          connectToField: 'task_id',
+          as: 'upstream'
+        }
+      },
+      {
+        $graphLookup: {
+          from: Task.collection.name,
+          startWith: '$task_id',
+          connectFromField: 'task_id',
+          connectToField: 'blocked_by',
+          as: 'downstream'
+        }
+      },
+      { $project: { upstream: 1, downstream: 1 } }
+    ]),
+    Task.find({ parent_task_id: task.task_id }).sort({ createdAt: 1 }).lean(),
+    task.parent_task_id ? Task.findOne({ task_id: task.parent_task_id }).lean() : null,
+    taskDoneStates()
+  ]);
+
+  const nodes = new Map([task, ...graph.upstream, ...graph.downstream].map(node => [node.task_id, node]));
+  const edges = [...nodes.values()].flatMap(node => (node.blocked_by || [])
+    .filter(blockerId => nodes.has(blockerId))
+    .map(blockerId => ({ from: blockerId, to: node.task_id })));
+  const openBlockers = (task.blocked_by || []).filter(id => nodes.get(id) && !doneStates.includes(nodes.get(id).status));
+
+  return {
+    parent: parent ? graphNode(parent) : null,
+    subtasks: subtasks.map(graphNode),
+    dependencies: {
+      upstream: graph.upstream.map(graphNode),
+      downstream: graph.downstream.map(graphNode),
+      // "from" must be done before "to"
+      edges,
+      open_blockers: openBlockers,
+      is_blocked: openBlockers.length > 0
+    }
+  };
+}
+
+/**
+ * Unlink a deleted task: its subtasks move up to its parent and it no
+ * longer blocks anything
+ * @param {object} task
+ */
+export async function detachTask(task) {
+  await Promise.all([
+    Task.updateMany({ blocked_by: task.task_id }, { $pull: { blocked_by: task.task_id } }),
+    Task.updateMany({ parent_task_id: task.task_id }, { parent_task_id: task.parent_task_id ?? null })
+  ]);
+  if (task.parent_task_id) await refreshProgress(task.parent_task_id);
+}
@@ -0,0 +1,177 @@
+import { TaxonomyTerm } from '../models/taxonomy_terms.js';
+import { TICKET_CHANNELS, TICKET_PRIORITIES } from '../models/tickets.js';
+
+/**
+ * Built-in values, used for any kind that has no stored terms yet
+ * (and by the seed script to create them).
+ */
+export const DEFAULT_TAXONOMY = {
+  category: ['App', 'IPTV', 'Streaming', 'VOD', 'Subscription', 'OTP', 'Programming', 'Other'],
+  issue_type: [
+    'Login Issue', 'Channel Missing', 'Streaming Problem', 'Payment Issue',
+    'Account Problem', 'Technical Issue', 'Billing Question', 'Other'
+  ],
+  device_type: ['Huawei', 'Samsung', 'iPhone', 'Android', 'iPad', 'Windows', 'Mac', 'Linux', 'Other'],
+  tag: []
+};
+
+const toTerm = (term) => ({
+  value: term.value,
+  label: term.label || term.value,
+  category: term.category ?? null,
+  custom_fields: term.custom_fields || []
+});
+
+/**
+ * Active taxonomy used by the ticket form, filters and validation
+ * @returns {Promise<object>} { categories, issue_types, device_types, tags, channels, priorities }
+ */
+export async function getTicketTaxonomy() {
+  const [terms, storedKinds] = await Promise.all([
+    TaxonomyTerm.find({ is_active: true }).sort({ sort_order: 1, value: 1 }).lean(),
+    TaxonomyTerm.distinct('kind')
+  ]);
+
+  const byKind = (kind) => (storedKinds.includes(kind)
+    ? terms.filter(term => term.kind === kind)
+    : DEFAULT_TAXONOMY[kind].map(value => ({ value }))
+  ).map(toTerm);
+
+  return {
+    categories: byKind('category'),
+    issue_types: byKind('issue_type'),
+    device_types: byKind('device_type'),
+    tags: byKind('tag'),
+    channels: TICKET_CHANNELS,
+    priorities: TICKET_PRIORITIES
+  };
+}
+
+/**
+ * Check and coerce custom field values against a category's definitions
+ * @param {object} values - Submitted custom_fields
+ * @param {Array} definitions - Category custom_fields
+ * @returns {{ errors: Array, values: object }}
+ */
+function validateCustomFields(values, definitions) {
+  const errors = [];
+  const clean = {};
+  const input = values && typeof values === 'object' && !Array.isArray(values) ? values : {};
+  const known = new Map(definitions.map(def => [def.key, def]));
+
+  for (const key of Object.keys(input)) {
+    if (!known.has(key)) {
+      errors.push({ field: `custom_fields.${key}`, code: 'unknown_field', detail: 'Not a field of this category.' });
+    }
+  }
+
+  for (const def of definitions) {
+    const field = `custom_fields.${def.key}`;
+    const raw = input[def.key];
+
+    if (raw === undefined || raw === null || raw === '') {
+      if (def.required) errors.push({ field, code: 'required', detail: `${def.label} is required.` });
+      continue;
+    }
+
+    if (def.type === 'number') {
+      const num = Number(raw);
+      if (!Number.isFinite(num)) {
+        errors.push({ field, code: 'invalid_type', detail: `${def.label} must be a number.` });
+      } else {
+        clean[def.key] = num;
+      }
+    } else if (def.type === 'date') {
+      const date = new Date(raw);
+      if (Number.isNaN(date.getTime())) {
+        errors.push({ field, code: 'invalid_type', detail: `${def.label} must be a valid date.` });
+      } else {
+        clean[def.key] = date;
+      }
+    } else if (def.type === 'select') {
+      if (!def.options.includes(raw)) {
+        errors.push({ field, code: 'invalid_value', detail: `Must be one of: ${def.options.join(', ')}.` });
+      } else {
+        clean[def.key] = raw;
+      }
+    } else {
+      clean[def.key] = String(raw).trim();
+    }
+  }
+
+  return { errors, values: clean };
+}
+
+/**
+ * Validate taxonomy-backed ticket fields.
+ * Only fields present in `fields` are checked, so it works for partial updates;
+ * custom fields are checked whenever they or the category are present.
+ * @param {object} fields - Submitted ticket fields
+ * @param {object} [current] - Existing ticket when updating
+ * @returns {Promise<{ errors: Array, custom_fields?: object }>} Field errors and coerced custom_fields
+ */
+export async function validateTicketTaxonomy(fields, current = {}) {
+  const taxonomy = await getTicketTaxonomy();
+  const errors = [];
+  const values = (terms) => terms.map(term => term.value);
+
+  const category = fields.issue_category ?? current.issue_category;
+
+  if (fields.issue_category !== undefined && !values(taxonomy.categories).includes(fields.issue_category)) {
+    errors.push({ field: 'issue_category', code: 'invalid_value', detail: `Must be one of: ${values(taxonomy.categories).join(', ')}.` });
+  }
+
+  if (fields.issue_type) {
+    const allowed = values(taxonomy.issue_types.filter(term => !term.category || term.category === category));
+    if (!allowed.includes(fields.issue_type)) {
+      errors.push({ field: 'issue_type', code: 'invalid_value', detail: `Must be one of: ${allowed.join(', ')}.` });
+    }
+  }
+
+  if (fields.device_type && !values(taxonomy.device_types).includes(fields.device_type)) {
+    errors.push({ field: 'device_type', code: 'invalid_value', detail: `Must be one of: ${values(taxonomy.device_types).join(', ')}.` });
+  }
+
+  if (fields.tags !== undefined) {
+    const allowed = values(taxonomy.tags);
+    if (!Array.isArray(fields.tags)) {
+      errors.push({ field: 'tags', code: 'invalid_type', detail: 'Must be a list of tags.' });
+    } else {
+      const unknown = fields.tags.filter(tag => !allowed.includes(tag));
+      if (unknown.length > 0) {
+        errors.push({ field: 'tags', code: 'invalid_value', detail: `Unknown tags: ${unknown.join(', ')}.` });
+      }
+    }
+  }
+
+  const result = { errors };
+  if (fields.custom_fields !== undefined || fields.issue_category !== undefined) {
+    const definition = taxonomy.categories.find(term => term.value === category);
+    // Values of the previous category are dropped when the category changes
+    const categoryChanged = current.issue_category !== undefined && category !== current.issue_category;
+    const custom = validateCustomFields(
+      fields.custom_fields ?? (categoryChanged ? {} : current.custom_fields),
+      definition ? definition.custom_fields : []
+    );
+    errors.push(...custom.errors);
+    result.custom_fields = custom.values;
+  }
+
+  return result;
+}
+
+/**
+ * Store the built-in values of a kind that has no terms yet, so adding the
+ * first custom term doesn't hide the defaults
+ * @param {string} kind - category | issue_type | device_type | tag
+ * @returns {Promise<number>} Number of terms created
+ */
+export async function ensureDefaultTerms(kind) {
+  if (await TaxonomyTerm.exists({ kind })) return 0;
+
+  const values = DEFAULT_TAXONOMY[kind] || [];
+  for (const [index, value] of values.entries()) {
+    await TaxonomyTerm.create({ kind, value, sort_order: index });
+  }
+  return values.length;
+}
@@ -0,0 +1,98 @@
+import { Ticket } from '../models/tickets.js';
+import { TicketEvent } from '../models/ticket_events.js';
+import { publishTicketChange } from './liveEvents.js';
+
+// Bookkeeping and derived fields that never appear in the activity log
+const IGNORED_FIELDS = new Set(['_id', '__v', 'id', 'ticket_id', 'createdAt', 'updatedAt', 'sla', 'routing', 'ticket_state']);
+
+function normalize(value) {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+}
+
+/**
+ * Field-level diff between two versions of a ticket
+ * @param {object} before - Previous ticket (plain object)
+ * @param {object} after - Updated ticket (plain object)
+ * @returns {Array<{field: string, before: any, after: any}>}
+ */
+export function diffTicket(before = {}, after = {}) {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field)) continue;
+    const prev = normalize(before[field]);
+    const next = normalize(after[field]);
+    if (JSON.stringify(prev) !== JSON.stringify(next)) {
+      changes.push({ field, before: prev, after: next });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Store one activity entry if anything changed and push it to the affected
+ * agents' live queues
+ * @param {object} params
+ * @param {number} params.ticketId - Ticket ID
+ * @param {object|null} params.before - Ticket before the change (null on create)
+ * @param {object|null} params.after - Ticket after the change (null on delete)
+ * @param {string} params.source - create | agent_edit | follow_up | qa_review | reopen | merge | bulk_edit | escalation | incident | delete | bulk_delete
+ * @param {object} params.actor - Result of getActor(req)
+ * @param {object} [params.ref] - Causing record, e.g. { follow_up_id }
+ * @returns {Promise<object|null>} Created event or null when nothing changed
+ */
+export async function recordTicketEvent({ ticketId, before, after, source, actor, ref = {} }) {
+  const changes = diffTicket(before || {}, after || {});
+  if (changes.length === 0) return null;
+
+  const event = await TicketEvent.create({ ticket_id: ticketId, source, actor, changes, ref });
+  publishTicketChange(before, after, source);
+  return event;
+}
+
+/**
+ * findOneAndUpdate a ticket and log the resulting diff. The "before" side is
+ * the pre-image returned by the update itself, so an edit running at the same
+ * time can't make it stale.
+ * @param {number} ticketId - Ticket ID
+ * @param {object} updates - Update document
+ * @param {object} audit - { source, actor, ref }
+ * @param {object} [options] - Extra findOneAndUpdate options
+ * @returns {Promise<object|null>} Updated ticket document, or null if not found
+ */
+export async function updateTicketWithHistory(ticketId, updates, audit, options = {}) {
+  const before = await Ticket.findOneAndUpdate(
+    { ticket_id: ticketId },
+    updates,
+    { ...options, new: false }
+  ).lean();
+  if (!before) return null;
+
+  const updated = await Ticket.findOne({ ticket_id: ticketId });
+  // Deleted right after the update
+  if (!updated) return null;
+
+  await recordTicketEvent({
+    ticketId,
+    before,
+    after: updated.toObject({ virtuals: false }),
+    ...audit
+  });
+
+  return updated;
+}
+
+/**
+ * Activity log for a ticket, newest first
+ * @param {number} ticketId - Ticket ID
+ * @returns {Promise<object[]>}
+ */
+export async function getTicketHistory(ticketId) {
+  return TicketEvent.find({ ticket_id: ticketId })
+    .sort({ createdAt: -1, event_id: -1 })
+    .lean();
+}
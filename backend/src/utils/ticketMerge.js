@@ -0,0 +1,108 @@
+import { Ticket } from '../models/tickets.js';
+import { FollowUp } from '../models/follow_ups.js';
+import { Review } from '../models/reviews.js';
+import { TicketComment } from '../models/ticket_comments.js';
+import { Attachment } from '../models/attachments.js';
+import { recordTicketEvent } from './ticketHistory.js';
+
+/**
+ * Hours before a new ticket in which an earlier ticket from the same phone
+ * and category is reported as a possible duplicate
+ */
+export const DUPLICATE_WINDOW_HOURS = Number(process.env.DUPLICATE_WINDOW_HOURS) || 24;
+
+/**
+ * Filter for tickets that count in lists and analytics; merged tickets
+ * live on only as a redirect to the surviving ticket
+ */
+export const NOT_MERGED = { merged_into: null };
+
+const MAX_REDIRECTS = 10;
+
+/**
+ * Earlier unmerged tickets from the same phone (or, for email-only contacts,
+ * the same customer) and category within the window
+ * @param {object} ticket - New ticket (customer_phone, customer_id, issue_category, ticket_id, createdAt)
+ * @returns {Promise<Array>} Candidate tickets, newest first
+ */
+export async function findDuplicateCandidates(ticket) {
+  if (!ticket.customer_phone && !ticket.customer_id) return [];
+
+  const createdAt = ticket.createdAt ? new Date(ticket.createdAt) : new Date();
+  const since = new Date(createdAt.getTime() - DUPLICATE_WINDOW_HOURS * 60 * 60 * 1000);
+
+  return Ticket.find({
+    ...NOT_MERGED,
+    ticket_id: { $ne: ticket.ticket_id },
+    ...(ticket.customer_phone ? { customer_phone: ticket.customer_phone } : { customer_id: ticket.customer_id }),
+    issue_category: ticket.issue_category,
+    createdAt: { $gte: since, $lte: createdAt }
+  })
+    .select('ticket_id issue_category issue_type issue_description resolution_status agent_id createdAt')
+    .sort({ createdAt: -1 })
+    .lean();
+}
+
+/**
+ * Follow merge redirects to the surviving ticket
+ * @param {number} ticketId - Ticket ID, possibly of a merged ticket
+ * @returns {Promise<number|null>} Surviving ticket ID, or null if missing
+ */
+export async function resolveTicketId(ticketId) {
+  let currentId = ticketId;
+  for (let hop = 0; hop < MAX_REDIRECTS; hop++) {
+    const ticket = await Ticket.findOne({ ticket_id: currentId }).select('ticket_id merged_into').lean();
+    if (!ticket) return null;
+    if (ticket.merged_into === null || ticket.merged_into === undefined) return ticket.ticket_id;
+    currentId = ticket.merged_into;
+  }
+  return currentId;
+}
+
+/**
+ * Merge one ticket into another: follow-ups, reviews, comments and attachments
+ * move to the target, and the source keeps only a pointer to it
+ * @param {object} params
+ * @param {number} params.sourceId - Ticket being merged away
+ * @param {number} params.targetId - Surviving ticket
+ * @param {object} params.actor - Result of getActor(req)
+ * @returns {Promise<{ source: object, target: object, moved: object }>}
+ */
+export async function mergeTickets({ sourceId, targetId, actor }) {
+  const [followUps, reviews, comments, attachments] = await Promise.all([
+    FollowUp.updateMany({ ticket_id: sourceId }, { ticket_id: targetId }),
+    Review.updateMany({ ticket_id: sourceId }, { ticket_id: targetId }),
+    TicketComment.updateMany({ ticket_id: sourceId }, { ticket_id: targetId }),
+    Attachment.updateMany({ ticket_id: sourceId }, { ticket_id: targetId })
+  ]);
+
+  const before = await Ticket.findOne({ ticket_id: sourceId }).lean();
+  // Clearing sla takes the merged ticket out of SLA refresh and stuck lists
+  const source = await Ticket.findOneAndUpdate(
+    { ticket_id: sourceId },
+    { merged_into: targetId, merged_at: new Date(), sla: null },
+    { new: true }
+  ).lean();
+
+  await recordTicketEvent({ ticketId: sourceId, before, after: source, source: 'merge', actor });
+
+  const targetBefore = await Ticket.findOne({ ticket_id: targetId }).lean();
+  const target = await Ticket.findOneAndUpdate(
+    { ticket_id: targetId },
+    { $addToSet: { merged_ticket_ids: sourceId } },
+    { new: true }
+  ).lean();
+
+  await recordTicketEvent({ ticketId: targetId, before: targetBefore, after: target, source: 'merge', actor });
+
+  return {
+    source,
+    target,
+    moved: {
+      follow_ups: followUps.modifiedCount,
+      reviews: reviews.modifiedCount,
+      comments: comments.modifiedCount,
+      attachments: attachments.modifiedCount
+    }
+  };
+}
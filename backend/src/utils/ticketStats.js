@@ -0,0 +1,54 @@
+import { NOT_MERGED } from './ticketMerge.js';
+
+/**
+ * Ticket aggregations shared by the analytics reports and the wallboard, so
+ * both count statuses, first-contact resolution and SLA breaches the same way
+ */
+
+export const countIf = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+const isStatus = (status) => ({ $eq: ['$resolution_status', status] });
+
+/**
+ * $group accumulators by name
+ */
+export const TICKET_COUNTERS = {
+  total: { $sum: 1 },
+  open: countIf({ $ne: ['$resolution_status', 'Completed'] }),
+  pending: countIf(isStatus('Pending')),
+  in_progress: countIf(isStatus('In-Progress')),
+  completed: countIf(isStatus('Completed')),
+  unassigned: countIf({ $eq: [{ $ifNull: ['$agent_id', null] }, null] }),
+  first_contact_resolved: countIf({ $eq: ['$first_call_resolution', 'Yes'] }),
+  sla_breached: countIf({ $eq: ['$sla.state', 'breached'] }),
+  sla_at_risk: countIf({ $eq: ['$sla.state', 'at_risk'] })
+};
+
+/**
+ * $group stage counting tickets per key
+ * @param {*} by - Group key expression, null for a single row
+ * @param {object} fields - Output field -> TICKET_COUNTERS name, e.g. { resolved: 'completed' }
+ * @returns {object}
+ */
+export function groupTicketCounts(by, fields) {
+  return {
+    $group: {
+      _id: by,
+      ...Object.fromEntries(Object.entries(fields).map(([field, counter]) => [field, TICKET_COUNTERS[counter]]))
+    }
+  };
+}
+
+/**
+ * Pipeline counting the tickets that match a filter, merged tickets left out
+ * @param {object} match - Ticket filter
+ * @param {*} by - See groupTicketCounts
+ * @param {object} fields - See groupTicketCounts
+ * @returns {object[]}
+ */
+export function ticketCountsPipeline(match, by, fields) {
+  return [
+    { $match: { ...match, ...NOT_MERGED } },
+    groupTicketCounts(by, fields)
+  ];
+}
@@ -0,0 +1,313 @@
+import { TimeEntry } from '../models/time_entries.js';
+import { Timesheet } from '../models/timesheets.js';
+import { Task } from '../models/tasks.js';
+import { Ticket } from '../models/tickets.js';
+import { Production } from '../models/production.js';
+import { Employee } from '../models/employees.js';
+import { hasPerm } from './access.js';
+import { startOfDay } from './recurrence.js';
+
+/**
+ * Records time can be logged against: how to find one, the permission
+ * needed to log on it and how to name it in a timesheet
+ */
+export const TIME_SUBJECTS = {
+  task: {
+    model: Task,
+    idField: 'task_id',
+    permission: 'operations.view',
+    title: task => task.title
+  },
+  ticket: {
+    model: Ticket,
+    idField: 'ticket_id',
+    permission: 'support.tickets',
+    title: ticket => `Ticket #${String(ticket.ticket_id).padStart(4, '0')} - ${ticket.issue_category}`
+  },
+  production: {
+    model: Production,
+    idField: 'production_id',
+    permission: 'content.production',
+    title: production => `Production #${production.production_id}`
+  }
+};
+
+// Reviewing other employees' timesheets and time
+export const TIMESHEET_APPROVER_PERM = 'operations.timesheets';
+
+// Weeks whose entries can no longer change
+export const LOCKED_STATUSES = ['submitted', 'approved'];
+
+// Longest entry; a timer left running is stopped this long after it started
+export const MAX_ENTRY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Local midnight of a YYYY-MM-DD day; new Date() would read it as UTC
+ * @param {string} value
+ * @returns {Date|null} Null when the value is not a valid day
+ */
+export function parseDay(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return null;
+  const day = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return day.getDate() === Number(match[3]) ? day : null;
+}
+
+/**
+ * Monday (local midnight) of a date's week
+ * @param {Date|string} date
+ * @returns {Date}
+ */
+export function startOfWeek(date) {
+  const day = startOfDay(date);
+  day.setDate(day.getDate() - ((day.getDay() + 6) % 7));
+  return day;
+}
+
+const addDays = (date, days) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+/**
+ * Whole minutes between two dates
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {number}
+ */
+export const minutesBetween = (start, end) => Math.max(0, Math.round((end - start) / 60000));
+
+/**
+ * Check that the user may log time on a record and that it exists
+ * @param {object} req
+ * @param {string} type - One of TIME_SUBJECT_TYPES
+ * @param {number} id
+ * @returns {Promise<{status: number, error: object}|null>} The error response, or null
+ */
+export async function checkSubject(req, type, id) {
+  const subject = TIME_SUBJECTS[type];
+  if (!(await hasPerm(req.user.id, subject.permission))) {
+    return {
+      status: 403,
+      error: { message: `You cannot log time on a ${type}`, code: 'FORBIDDEN' }
+    };
+  }
+  if (!(await subject.model.exists({ [subject.idField]: id }))) {
+    return {
+      status: 404,
+      error: { message: `The ${type} to log time on was not found` }
+    };
+  }
+  return null;
+}
+
+/**
+ * Submitted or approved timesheet covering any of these dates
+ * @param {number} employeeId
+ * @param {Date[]} dates
+ * @returns {Promise<object|null>}
+ */
+export function findLockedTimesheet(employeeId, dates) {
+  return Timesheet.findOne({
+    employee_id: employeeId,
+    week_start: { $in: dates.map(startOfWeek) },
+    status: { $in: LOCKED_STATUSES }
+  }).lean();
+}
+
+/**
+ * Another entry of the employee sharing time with an interval; a running
+ * timer counts as going on until now
+ * @param {number} employeeId
+ * @param {Date} start
+ * @param {Date} end
+ * @param {number} [excludeId] - The entry being changed
+ * @returns {Promise<object|null>}
+ */
+export function findOverlappingEntry(employeeId, start, end, excludeId = null) {
+  return TimeEntry.findOne({
+    employee_id: employeeId,
+    ...(excludeId !== null && { time_entry_id: { $ne: excludeId } }),
+    started_at: { $lt: end },
+    $or: [{ ended_at: { $gt: start } }, { ended_at: null }]
+  }).lean();
+}
+
+// End the running entry at `end`, unless another request stopped it first
+const finishEntry = (running, end, actor) => TimeEntry.findOneAndUpdate(
+  { time_entry_id: running.time_entry_id, ended_at: null },
+  { ended_at: end, minutes: minutesBetween(running.started_at, end), updated_by: actor },
+  { new: true }
+).lean();
+
+/**
+ * Stop an employee's running timer; one running past MAX_ENTRY_MS ends there
+ * @param {number} employeeId
+ * @param {object} actor - See getActor
+ * @param {Date} [now]
+ * @returns {Promise<object|null>} The stopped entry, or null when no timer ran
+ */
+export async function stopTimer(employeeId, actor, now = new Date()) {
+  const running = await TimeEntry.findOne({ employee_id: employeeId, ended_at: null }).lean();
+  if (!running) return null;
+
+  const cap = new Date(running.started_at.getTime() + MAX_ENTRY_MS);
+  return finishEntry(running, now < cap ? now : cap, actor);
+}
+
+/**
+ * Stop every timer that has run for MAX_ENTRY_MS, ending it at that point;
+ * run by the server scheduler
+ * @param {Date} [now]
+ * @returns {Promise<number>} Timers stopped
+ */
+export async function stopLongTimers(now = new Date()) {
+  const stale = await TimeEntry.find({
+    ended_at: null,
+    started_at: { $lte: new Date(now.getTime() - MAX_ENTRY_MS) }
+  }).lean();
+
+  let stopped = 0;
+  for (const running of stale) {
+    if (await finishEntry(running, new Date(running.started_at.getTime() + MAX_ENTRY_MS), null)) stopped += 1;
+  }
+  return stopped;
+}
+
+/**
+ * Names of the records behind some entries
+ * @param {object[]} entries
+ * @returns {Promise<Map<string, string>>} Keyed by "type:id"
+ */
+export async function subjectTitles(entries) {
+  const titles = new Map();
+  await Promise.all(Object.entries(TIME_SUBJECTS).map(async ([type, subject]) => {
+    const ids = [...new Set(entries.filter(entry => entry.subject_type === type).map(entry => entry.subject_id))];
+    if (ids.length === 0) return;
+    const records = await subject.model.find({ [subject.idField]: { $in: ids } }).lean();
+    records.forEach(record => titles.set(`${type}:${record[subject.idField]}`, subject.title(record)));
+  }));
+  return titles;
+}
+
+/**
+ * Entries with the name of their record
+ * @param {object[]} entries
+ * @returns {Promise<object[]>}
+ */
+export async function withSubjectTitles(entries) {
+  const titles = await subjectTitles(entries);
+  return entries.map(entry => ({
+    ...entry,
+    subject_title: titles.get(`${entry.subject_type}:${entry.subject_id}`) || null
+  }));
+}
+
+/**
+ * An employee's week: entries, totals per day and per record, and the
+ * timesheet's review state. Entries belong to the week they started in.
+ * @param {number} employeeId
+ * @param {Date} weekStart - See startOfWeek
+ * @returns {Promise<object>}
+ */
+export async function buildTimesheet(employeeId, weekStart) {
+  const weekEnd = addDays(weekStart, 7);
+  const [employee, timesheet, entries] = await Promise.all([
+    Employee.findOne({ employee_id: employeeId }).select('employee_id name').lean(),
+    Timesheet.findOne({ employee_id: employeeId, week_start: weekStart }).lean(),
+    TimeEntry.find({ employee_id: employeeId, started_at: { $gte: weekStart, $lt: weekEnd } })
+      .sort({ started_at: 1 })
+      .lean()
+  ]);
+
+  const titled = await withSubjectTitles(entries);
+  const finished = titled.filter(entry => entry.ended_at);
+
+  const days = Array.from({ length: 7 }, (_, index) => {
+    const date = addDays(weekStart, index);
+    const next = addDays(date, 1);
+    return {
+      date,
+      minutes: finished
+        .filter(entry => entry.started_at >= date && entry.started_at < next)
+        .reduce((sum, entry) => sum + entry.minutes, 0)
+    };
+  });
+
+  const subjects = new Map();
+  for (const entry of finished) {
+    const key = `${entry.subject_type}:${entry.subject_id}`;
+    const total = subjects.get(key) || {
+      subject_type: entry.subject_type,
+      subject_id: entry.subject_id,
+      subject_title: entry.subject_title,
+      minutes: 0
+    };
+    total.minutes += entry.minutes;
+    subjects.set(key, total);
+  }
+
+  return {
+    employee,
+    week_start: weekStart,
+    week_end: addDays(weekStart, 6),
+    timesheet: timesheet || null,
+    status: timesheet?.status || 'open',
+    total_minutes: days.reduce((sum, day) => sum + day.minutes, 0),
+    days,
+    subjects: [...subjects.values()].sort((a, b) => b.minutes - a.minutes),
+    entries: titled,
+    running: titled.find(entry => !entry.ended_at) || null
+  };
+}
+
+/**
+ * YYYY-MM-DD of a local date
+ * @param {Date} date
+ * @returns {string}
+ */
+export const formatDay = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+// Quoted when needed; text that a spreadsheet would run as a formula is prefixed with '
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV of finished time entries, one row each
+ * @param {object[]} entries - With subject_title
+ * @param {Map<number, object>} employees - By employee_id
+ * @param {Map<string, string>} statuses - Timesheet status by "employee_id:week_start ISO"
+ * @returns {string}
+ */
+export function timeEntriesCsv(entries, employees, statuses) {
+  const header = ['employee_id', 'employee_name', 'week_start', 'timesheet_status', 'started_at', 'ended_at',
+    'minutes', 'hours', 'subject_type', 'subject_id', 'subject_title', 'source', 'note'];
+  const rows = entries.filter(entry => entry.ended_at).map(entry => {
+    const weekStart = startOfWeek(entry.started_at);
+    return [
+      entry.employee_id,
+      employees.get(entry.employee_id)?.name,
+      formatDay(weekStart),
+      statuses.get(`${entry.employee_id}:${weekStart.toISOString()}`) || 'open',
+      entry.started_at,
+      entry.ended_at,
+      entry.minutes,
+      (entry.minutes / 60).toFixed(2),
+      entry.subject_type,
+      entry.subject_id,
+      entry.subject_title,
+      entry.source,
+      entry.note
+    ];
+  });
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+}
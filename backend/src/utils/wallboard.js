@@ -0,0 +1,264 @@
+import { Ticket } from '../models/tickets.js';
+import { FollowUp } from '../models/follow_ups.js';
+import { Employee } from '../models/employees.js';
+import { AgentPresence } from '../models/agent_presence.js';
+import { NOT_MERGED } from './ticketMerge.js';
+import { countIf, groupTicketCounts, ticketCountsPipeline } from './ticketStats.js';
+import { OPEN_FOLLOW_UP } from './followUpQueue.js';
+import { getPresenceMap } from './presence.js';
+import { isConnected, onLiveEvent, openStream, publish, sendEvent } from './liveEvents.js';
+
+/**
+ * Time-driven numbers (SLA breaches, waiting time, follow-ups falling due)
+ * are recomputed this often while a wallboard is connected
+ */
+export const WALLBOARD_REFRESH_MS = 30 * 1000;
+
+// Ticket and follow-up changes often come in bursts; recompute once per burst
+const CHANGE_DEBOUNCE_MS = 2000;
+
+const MINUTE = 60 * 1000;
+
+// Per-agent load, overall and per agent on the board
+const LOAD_COUNTS = { open: 'total', pending: 'pending', in_progress: 'in_progress', sla_breached: 'sla_breached' };
+
+/**
+ * Current support floor numbers: open tickets by status, SLA breaches,
+ * the oldest ticket nobody has started on, follow-up calls due, today's
+ * first-contact resolution and per-agent load
+ * @param {Date} [now]
+ * @returns {Promise<object>}
+ */
+export async function buildWallboard(now = new Date()) {
+  const startOfDay = new Date(now);
+  startOfDay.setHours(0, 0, 0, 0);
+
+  const [[open], [today], followUps, activePresence] = await Promise.all([
+    Ticket.aggregate([
+      { $match: { ...NOT_MERGED, resolution_status: { $ne: 'Completed' } } },
+      {
+        $facet: {
+          totals: [
+            groupTicketCounts(null, { ...LOAD_COUNTS, unassigned: 'unassigned', sla_at_risk: 'sla_at_risk' })
+          ],
+          by_agent: [
+            { $match: { agent_id: { $ne: null } } },
+            groupTicketCounts('$agent_id', LOAD_COUNTS)
+          ],
+          oldest_waiting: [
+            { $match: { resolution_status: 'Pending' } },
+            { $sort: { createdAt: 1 } },
+            { $limit: 1 },
+            { $project: { _id: 0, ticket_id: 1, agent_id: 1, issue_category: 1, priority: 1, createdAt: 1 } }
+          ]
+        }
+      }
+    ]),
+
+    Ticket.aggregate(ticketCountsPipeline(
+      { createdAt: { $gte: startOfDay, $lte: now } },
+      null,
+      { tickets: 'total', fcr: 'first_contact_resolved' }
+    )),
+
+    FollowUp.aggregate([
+      { $match: OPEN_FOLLOW_UP },
+      {
+        $group: {
+          _id: '$follow_up_agent_id',
+          scheduled: { $sum: 1 },
+          due: countIf({ $lte: ['$follow_up_date', now] })
+        }
+      }
+    ]),
+
+    AgentPresence.find({ status: { $ne: 'offline' } }).select('employee_id').lean()
+  ]);
+
+  const totals = open.totals[0] || { open: 0, pending: 0, in_progress: 0, unassigned: 0, sla_breached: 0, sla_at_risk: 0 };
+  const ticketLoad = new Map(open.by_agent.map(row => [row._id, row]));
+  const followUpLoad = new Map(followUps.filter(row => row._id !== null).map(row => [row._id, row]));
+
+  // Everyone with work or a workspace presence other than offline
+  const agentIds = [...new Set([
+    ...ticketLoad.keys(),
+    ...followUpLoad.keys(),
+    ...activePresence.map(record => record.employee_id)
+  ])];
+  const [employees, presence] = await Promise.all([
+    Employee.find({ employee_id: { $in: agentIds } }).select('employee_id name').lean(),
+    getPresenceMap(agentIds)
+  ]);
+  const names = new Map(employees.map(employee => [employee.employee_id, employee.name]));
+
+  const agents = agentIds
+    .map(id => ({
+      employee_id: id,
+      name: names.get(id) ?? `#${id}`,
+      presence: presence.get(id).status,
+      open: ticketLoad.get(id)?.open ?? 0,
+      pending: ticketLoad.get(id)?.pending ?? 0,
+      in_progress: ticketLoad.get(id)?.in_progress ?? 0,
+      sla_breached: ticketLoad.get(id)?.sla_breached ?? 0,
+      follow_ups_due: followUpLoad.get(id)?.due ?? 0
+    }))
+    .sort((a, b) => b.open - a.open || a.name.localeCompare(b.name));
+
+  const oldest = open.oldest_waiting[0];
+  const fcrTickets = today?.tickets ?? 0;
+  const fcr = today?.fcr ?? 0;
+
+  return {
+    tickets: {
+      open: totals.open,
+      pending: totals.pending,
+      in_progress: totals.in_progress,
+      unassigned: totals.unassigned
+    },
+    sla: { breached: totals.sla_breached, at_risk: totals.sla_at_risk },
+    oldest_waiting: oldest
+      ? {
+        ticket_id: oldest.ticket_id,
+        agent_id: oldest.agent_id ?? null,
+        agent_name: oldest.agent_id ? names.get(oldest.agent_id) ?? null : null,
+        issue_category: oldest.issue_category,
+        priority: oldest.priority,
+        created_at: oldest.createdAt,
+        waiting_minutes: Math.floor((now - new Date(oldest.createdAt)) / MINUTE)
+      }
+      : null,
+    follow_ups: {
+      due: followUps.reduce((sum, row) => sum + row.due, 0),
+      scheduled: followUps.reduce((sum, row) => sum + row.scheduled, 0),
+      unassigned_due: followUps.find(row => row._id === null)?.due ?? 0
+    },
+    fcr_today: {
+      tickets: fcrTickets,
+      first_contact_resolved: fcr,
+      rate: fcrTickets > 0 ? Math.round((fcr / fcrTickets) * 1000) / 10 : null
+    },
+    agents,
+    generated_at: now
+  };
+}
+
+// Top-level sections whose value changed
+function diffWallboard(previous, next) {
+  return Object.fromEntries(Object.keys(next)
+    .filter(key => key !== 'generated_at')
+    .filter(key => !previous || JSON.stringify(previous[key]) !== JSON.stringify(next[key]))
+    .map(key => [key, next[key]]));
+}
+
+// Feed state while at least one wallboard is connected
+let feed = null;
+
+// Open kiosk streams by display_token_id, closed when their token is revoked
+const kioskStreams = new Map();
+
+/**
+ * Recompute the wallboard and push the sections that changed to connected
+ * wallboards as a wallboard.patch event. Overlapping calls are folded into
+ * one follow-up run.
+ * @returns {Promise<object>} Latest snapshot
+ */
+export async function refreshWallboard() {
+  if (!feed) startFeed();
+  const state = feed;
+  if (state.running) {
+    state.again = true;
+    return state.running;
+  }
+
+  state.running = (async () => {
+    try {
+      const snapshot = await buildWallboard();
+      const changes = diffWallboard(state.last, snapshot);
+      if (state.last && Object.keys(changes).length > 0) {
+        publish('wallboard', undefined, 'wallboard.patch', { changes, generated_at: snapshot.generated_at });
+      }
+      state.last = snapshot;
+      return snapshot;
+    } finally {
+      state.running = null;
+      if (state.again && feed === state) {
+        state.again = false;
+        refreshWallboard().catch(err => console.error('Wallboard refresh failed:', err.message));
+      }
+    }
+  })();
+  return state.running;
+}
+
+function startFeed() {
+  const scheduleRefresh = () => {
+    clearTimeout(feed.debounce);
+    feed.debounce = setTimeout(() => {
+      refreshWallboard().catch(err => console.error('Wallboard refresh failed:', err.message));
+    }, CHANGE_DEBOUNCE_MS);
+    feed.debounce.unref();
+  };
+
+  feed = { last: null, running: null, again: false, debounce: null };
+  // Any ticket, follow-up or presence event may move a number on the board
+  feed.unsubscribe = onLiveEvent((channel) => {
+    if (channel !== 'wallboard') scheduleRefresh();
+  });
+  feed.interval = setInterval(() => {
+    if (!isConnected('wallboard')) return stopWallboardFeed();
+    refreshWallboard().catch(err => console.error('Wallboard refresh failed:', err.message));
+  }, WALLBOARD_REFRESH_MS);
+  feed.interval.unref();
+}
+
+/**
+ * Stop listening for changes; the next wallboard connection starts the feed again
+ */
+export function stopWallboardFeed() {
+  if (!feed) return;
+  feed.unsubscribe();
+  clearInterval(feed.interval);
+  clearTimeout(feed.debounce);
+  feed = null;
+}
+
+/**
+ * Serve a wallboard event stream: a wallboard.snapshot event on connect,
+ * then wallboard.patch events with the sections that changed
+ * @param {object} req
+ * @param {object} res
+ * @param {object} [options]
+ * @param {number} [options.displayTokenId] - Kiosk display token the stream was opened with
+ * @returns {Promise<void>} Resolves when the connection closes
+ */
+export async function streamWallboard(req, res, { displayTokenId } = {}) {
+  const snapshot = await refreshWallboard();
+  const closed = openStream(req, res, 'wallboard');
+  sendEvent(res, 'wallboard.snapshot', snapshot);
+
+  if (displayTokenId != null) {
+    if (!kioskStreams.has(displayTokenId)) kioskStreams.set(displayTokenId, new Set());
+    kioskStreams.get(displayTokenId).add(res);
+  }
+
+  await closed;
+
+  if (displayTokenId != null) {
+    const group = kioskStreams.get(displayTokenId);
+    group?.delete(res);
+    if (group?.size === 0) kioskStreams.delete(displayTokenId);
+  }
+  if (!isConnected('wallboard')) stopWallboardFeed();
+}
+
+/**
+ * End the kiosk streams opened with a display token, e.g. after it is revoked
+ * @param {number} displayTokenId
+ * @returns {number} Streams closed
+ */
+export function closeDisplayTokenStreams(displayTokenId) {
+  const group = kioskStreams.get(displayTokenId);
+  if (!group) return 0;
+  for (const res of group) res.end();
+  return group.size;
+}
@@ -0,0 +1,188 @@
+import crypto from 'crypto';
+import { Ticket } from '../models/tickets.js';
+import { WhatsAppMessage } from '../models/whatsapp_messages.js';
+import { normalizePhone } from './customers.js';
+import { NOT_MERGED } from './ticketMerge.js';
+import { createInboundTicket, appendInboundMessage, inboundCategory } from './inboundTickets.js';
+import { getWhatsAppTransport } from './whatsappTransport.js';
+
+/**
+ * Check the X-Hub-Signature-256 header: "sha256=" + HMAC-SHA256 of the raw body with the app secret
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @param {string} header - Signature header value
+ * @param {string} secret - WHATSAPP_APP_SECRET
+ * @returns {boolean}
+ */
+export function verifyWhatsAppSignature(rawBody, header, secret) {
+  if (!rawBody || !header || !secret || !header.startsWith('sha256=')) return false;
+
+  const expected = Buffer.from(crypto.createHmac('sha256', secret).update(rawBody).digest('hex'));
+  const provided = Buffer.from(header.slice('sha256='.length));
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+/**
+ * Text of an inbound message; media messages use their caption or a placeholder
+ * @param {object} message - Cloud API message object
+ * @returns {string}
+ */
+export function messageText(message) {
+  switch (message.type) {
+    case 'text':
+      return message.text?.body || '';
+    case 'button':
+      return message.button?.text || '';
+    case 'interactive':
+      return message.interactive?.button_reply?.title || message.interactive?.list_reply?.title || '';
+    case 'location':
+      return `[location] ${message.location?.name || ''} ${message.location?.latitude},${message.location?.longitude}`.trim();
+    default: {
+      const media = message[message.type] || {};
+      return [`[${message.type}]`, media.caption || media.filename].filter(Boolean).join(' ');
+    }
+  }
+}
+
+/**
+ * Flatten a webhook payload into inbound messages (with the sender's profile
+ * name) and delivery status updates
+ * @param {object} payload - Webhook body ({ object: 'whatsapp_business_account', entry: [...] })
+ * @returns {{ messages: Array, statuses: Array }}
+ */
+export function extractWebhookEvents(payload) {
+  const messages = [];
+  const statuses = [];
+
+  for (const entry of payload?.entry || []) {
+    for (const change of entry.changes || []) {
+      if (change.field !== 'messages') continue;
+      const value = change.value || {};
+      const names = new Map((value.contacts || []).map(contact => [contact.wa_id, contact.profile?.name]));
+
+      for (const message of value.messages || []) {
+        messages.push({ message, profile_name: names.get(message.from) || null });
+      }
+      statuses.push(...(value.statuses || []));
+    }
+  }
+
+  return { messages, statuses };
+}
+
+/**
+ * Add an inbound message to the sender's open ticket, or open a new WhatsApp ticket.
+ * Webhook retries of the same message are ignored.
+ * @param {object} params
+ * @param {object} params.message - Cloud API message object
+ * @param {string|null} params.profile_name - Sender's WhatsApp profile name
+ * @returns {Promise<object>} Stored WhatsAppMessage
+ */
+export async function handleInboundWhatsApp({ message, profile_name }) {
+  const existing = await WhatsAppMessage.findOne({ wa_message_id: message.id });
+  if (existing) return existing;
+
+  const phone = normalizePhone(message.from);
+  const body = messageText(message);
+  const record = new WhatsAppMessage({
+    wa_message_id: message.id,
+    direction: 'inbound',
+    wa_id: phone,
+    profile_name,
+    type: message.type,
+    body,
+    status: 'ignored',
+    sent_at: message.timestamp ? new Date(Number(message.timestamp) * 1000) : new Date()
+  });
+
+  try {
+    if (!body) {
+      record.error = `Unsupported message type "${message.type}"`;
+    } else {
+      const openTicket = await Ticket.findOne({
+        ...NOT_MERGED,
+        customer_phone: phone,
+        resolution_status: { $in: ['Pending', 'In-Progress'] }
+      }).sort({ createdAt: -1 }).lean();
+
+      if (openTicket) {
+        const comment = await appendInboundMessage({
+          ticketId: openTicket.ticket_id,
+          channel: 'WhatsApp',
+          body,
+          from: profile_name ? `${profile_name} (+${phone})` : `+${phone}`
+        });
+        Object.assign(record, { status: 'appended', ticket_id: comment.ticket_id, comment_id: comment.comment_id });
+      } else {
+        const category = await inboundCategory(process.env.WHATSAPP_CATEGORY);
+        if (!category) throw new Error('No active ticket category to file the message under');
+
+        const ticket = await createInboundTicket({
+          channel: 'WhatsApp',
+          phone,
+          name: profile_name || undefined,
+          issue_category: category,
+          description: body
+        });
+        Object.assign(record, { status: 'created', ticket_id: ticket.ticket_id });
+      }
+    }
+  } catch (err) {
+    record.status = 'failed';
+    record.error = err.message;
+  }
+
+  await record.save();
+  return record;
+}
+
+/**
+ * Apply a delivery status callback (sent, delivered, read, failed) to an outbound message
+ * @param {object} status - Cloud API status object
+ * @returns {Promise<object|null>} Updated message, or null for unknown ids
+ */
+export async function applyWhatsAppStatus(status) {
+  if (!['sent', 'delivered', 'read', 'failed'].includes(status.status)) return null;
+
+  return WhatsAppMessage.findOneAndUpdate(
+    { wa_message_id: status.id, direction: 'outbound' },
+    {
+      status: status.status,
+      ...(status.status === 'failed' && { error: status.errors?.[0]?.title || 'Delivery failed' })
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Send a customer-visible comment on a WhatsApp ticket to the customer through
+ * the configured transport. Failures are recorded, not thrown, so the comment
+ * itself is never lost.
+ * @param {object} params
+ * @param {object} params.ticket - Ticket (communication_channel WhatsApp)
+ * @param {object} params.comment - Saved comment
+ * @returns {Promise<object>} Stored outbound WhatsAppMessage
+ */
+export async function sendWhatsAppReply({ ticket, comment }) {
+  const record = new WhatsAppMessage({
+    direction: 'outbound',
+    wa_id: ticket.customer_phone,
+    type: 'text',
+    body: comment.body,
+    status: 'sent',
+    ticket_id: ticket.ticket_id,
+    comment_id: comment.comment_id
+  });
+
+  try {
+    const transport = getWhatsAppTransport();
+    record.transport = transport.name;
+    const { message_id } = await transport.sendText({ to: ticket.customer_phone, body: comment.body });
+    record.wa_message_id = message_id;
+  } catch (err) {
+    record.status = 'failed';
+    record.error = err.message;
+  }
+
+  await record.save();
+  return record;
+}
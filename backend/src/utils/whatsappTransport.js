@@ -0,0 +1,84 @@
+/**
+ * Outbound WhatsApp transports. A transport is an object with a `name` and
+ * `sendText({ to, body })` that resolves to `{ message_id }`; WHATSAPP_TRANSPORT
+ * picks one by name. Other providers can be added with registerWhatsAppTransport.
+ */
+
+const GRAPH_API_VERSION = process.env.WHATSAPP_GRAPH_VERSION || 'v20.0';
+
+// Messages "sent" by the log transport, newest last; lets local runs and the fake inspect replies
+export const loggedMessages = [];
+
+const transports = {
+  // Development default: nothing leaves the machine
+  log: () => ({
+    name: 'log',
+    async sendText({ to, body }) {
+      const message_id = `wamid.LOCAL.${Date.now()}.${loggedMessages.length + 1}`;
+      loggedMessages.push({ message_id, to, body, sent_at: new Date() });
+      console.log(`[whatsapp:log] to ${to}: ${body}`);
+      return { message_id };
+    }
+  }),
+
+  // WhatsApp Business Cloud API
+  cloud: () => {
+    const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
+    const accessToken = process.env.WHATSAPP_ACCESS_TOKEN;
+    if (!phoneNumberId || !accessToken) {
+      throw new Error('WHATSAPP_PHONE_NUMBER_ID and WHATSAPP_ACCESS_TOKEN are required for the cloud transport');
+    }
+
+    return {
+      name: 'cloud',
+      async sendText({ to, body }) {
+        const response = await fetch(`https://graph.facebook.com/${GRAPH_API_VERSION}/${phoneNumberId}/messages`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${accessToken}`
+          },
+          body: JSON.stringify({
+            messaging_product: 'whatsapp',
+            recipient_type: 'individual',
+            to,
+            type: 'text',
+            text: { preview_url: false, body }
+          })
+        });
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(result.error?.message || `WhatsApp API responded ${response.status}`);
+        }
+        return { message_id: result.messages?.[0]?.id ?? null };
+      }
+    };
+  }
+};
+
+let active = null;
+
+/**
+ * Add or replace a transport factory
+ * @param {string} name - Value of WHATSAPP_TRANSPORT that selects it
+ * @param {Function} factory - Returns a transport ({ name, sendText })
+ */
+export function registerWhatsAppTransport(name, factory) {
+  transports[name] = factory;
+  if (active && active.name === name) active = null;
+}
+
+/**
+ * The configured transport, created on first use
+ * @returns {object} Transport
+ */
+export function getWhatsAppTransport() {
+  const name = process.env.WHATSAPP_TRANSPORT || 'log';
+  if (!active || active.name !== name) {
+    const factory = transports[name];
+    if (!factory) throw new Error(`Unknown WhatsApp transport "${name}"`);
+    active = factory();
+  }
+  return active;
+}
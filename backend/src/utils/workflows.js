@@ -0,0 +1,248 @@
+import { Workflow } from '../models/workflows.js';
+import { Task } from '../models/tasks.js';
+import { Production } from '../models/production.js';
+import { SocialMedia } from '../models/social_media.js';
+import { getEffectivePermissions } from './access.js';
+
+/**
+ * Built-in workflows, used until one is customized in
+ * /api/settings/workflows. They only allow the moves the old free-text
+ * statuses were used for.
+ */
+export const DEFAULT_WORKFLOWS = {
+  task: {
+    name: 'Tasks',
+    states: [
+      { key: 'Not Started', label: 'Not started', category: 'todo' },
+      { key: 'In Progress', label: 'In progress', category: 'in_progress' },
+      { key: 'Completed', label: 'Completed', category: 'done' }
+    ],
+    initial_state: 'Not Started',
+    transitions: [
+      { from: ['Not Started'], to: 'In Progress', label: 'Start' },
+      { from: ['Not Started', 'In Progress'], to: 'Completed', label: 'Complete' },
+      { from: ['In Progress'], to: 'Not Started', label: 'Stop' },
+      { from: ['Completed'], to: 'In Progress', label: 'Reopen' }
+    ]
+  },
+  production: {
+    name: 'Production',
+    states: [
+      { key: 'Editing', label: 'Editing', category: 'in_progress' },
+      { key: 'Review', label: 'Review', category: 'in_progress' },
+      { key: 'Completed', label: 'Completed', category: 'done' }
+    ],
+    initial_state: 'Editing',
+    transitions: [
+      { from: ['Editing'], to: 'Review', label: 'Send to review' },
+      { from: ['Review'], to: 'Editing', label: 'Request changes' },
+      { from: ['Editing', 'Review'], to: 'Completed', label: 'Complete' },
+      { from: ['Completed'], to: 'Editing', label: 'Reopen' }
+    ]
+  },
+  social_media: {
+    name: 'Social media posts',
+    states: [
+      { key: 'Draft', label: 'Draft', category: 'todo' },
+      { key: 'Approved', label: 'Approved', category: 'in_progress' },
+      { key: 'Scheduled', label: 'Scheduled', category: 'in_progress' },
+      { key: 'Published', label: 'Published', category: 'done' }
+    ],
+    initial_state: 'Draft',
+    transitions: [
+      { from: ['Draft'], to: 'Approved', label: 'Approve' },
+      { from: ['Approved'], to: 'Scheduled', label: 'Schedule' },
+      { from: ['Approved', 'Scheduled'], to: 'Published', label: 'Publish' },
+      { from: ['Approved', 'Scheduled'], to: 'Draft', label: 'Back to draft' }
+    ]
+  }
+};
+
+/**
+ * The record type behind each workflow: its model, status field and the
+ * fields a transition may require
+ */
+export const WORKFLOW_SUBJECTS = {
+  task: {
+    model: Task,
+    field: 'status',
+    requirable_fields: ['resolution_note', 'description', 'assigned_to', 'due_date']
+  },
+  production: {
+    model: Production,
+    field: 'production_status',
+    requirable_fields: ['notes', 'editor_id', 'completion_date']
+  },
+  social_media: {
+    model: SocialMedia,
+    field: 'status',
+    requirable_fields: ['caption', 'platforms', 'post_type', 'post_date', 'notes']
+  }
+};
+
+const stateWithDefaults = (state) => ({
+  wip_limit: null,
+  wip_policy: 'warn',
+  ...state
+});
+
+const withDefaults = (transition) => ({
+  from: [],
+  label: null,
+  required_fields: [],
+  roles: [],
+  ...transition
+});
+
+/**
+ * Workflow for a record type: the customized one, else the default
+ * @param {string} key - One of WORKFLOW_KEYS
+ * @returns {Promise<object>}
+ */
+export async function getWorkflow(key) {
+  const workflow = await Workflow.findOne({ key }).lean();
+  if (workflow) return { ...workflow, is_default: false };
+
+  const defaults = DEFAULT_WORKFLOWS[key];
+  return {
+    key,
+    ...defaults,
+    states: defaults.states.map(stateWithDefaults),
+    transitions: defaults.transitions.map(withDefaults),
+    is_default: true
+  };
+}
+
+/**
+ * State keys of a category, e.g. every "done" state
+ * @param {object} workflow
+ * @param {string} category - One of STATE_CATEGORIES
+ * @returns {string[]}
+ */
+export function statesIn(workflow, category) {
+  return workflow.states.filter(state => state.category === category).map(state => state.key);
+}
+
+/**
+ * Shortcut for the state keys of a category of a record type
+ * @param {string} key - Workflow key
+ * @param {string} category
+ * @returns {Promise<string[]>}
+ */
+export async function workflowStates(key, category) {
+  return statesIn(await getWorkflow(key), category);
+}
+
+// Whether a transition starts from a state
+const leaves = (transition, from) => transition.from.length === 0 || transition.from.includes(from);
+
+const roleAllows = (transition, roles) => transition.roles.length === 0
+  || transition.roles.some(role => roles.includes(role));
+
+/**
+ * Moves available from a state for a user with these roles
+ * @param {object} workflow
+ * @param {string} from - Current state
+ * @param {string[]} roles - The user's role keys
+ * @returns {{to: string, label: string|null, required_fields: string[]}[]}
+ */
+export function allowedTransitions(workflow, from, roles) {
+  const moves = new Map();
+  for (const transition of workflow.transitions) {
+    if (transition.to === from || !leaves(transition, from) || !roleAllows(transition, roles)) continue;
+    if (!moves.has(transition.to)) {
+      moves.set(transition.to, { to: transition.to, label: transition.label, required_fields: transition.required_fields });
+    }
+  }
+  return [...moves.values()];
+}
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && !value.trim());
+
+/**
+ * Check a status change against a workflow
+ * @param {object} workflow
+ * @param {object} params
+ * @param {string} params.from - Current state
+ * @param {string} params.to - Requested state
+ * @param {string[]} params.roles - The user's role keys
+ * @param {object} params.values - The record's fields after the change, for required fields
+ * @returns {{status: number, error: object}|null} The error response, or null when the move is allowed
+ */
+export function checkTransition(workflow, { from, to, roles, values }) {
+  const allowed = allowedTransitions(workflow, from, roles);
+  const allowedStates = allowed.map(move => move.to);
+
+  if (!workflow.states.some(state => state.key === to)) {
+    return {
+      status: 400,
+      error: { message: `Unknown status "${to}"`, code: 'UNKNOWN_STATE', allowed_states: allowedStates }
+    };
+  }
+  if (from === to) return null;
+
+  const candidates = workflow.transitions.filter(transition => transition.to === to && leaves(transition, from));
+  if (candidates.length === 0) {
+    return {
+      status: 409,
+      error: {
+        message: `Cannot move from "${from}" to "${to}"`,
+        code: 'INVALID_TRANSITION',
+        allowed_states: allowedStates,
+        allowed_transitions: allowed
+      }
+    };
+  }
+
+  const permitted = candidates.filter(transition => roleAllows(transition, roles));
+  if (permitted.length === 0) {
+    return {
+      status: 403,
+      error: {
+        message: `Your role cannot move from "${from}" to "${to}"`,
+        code: 'TRANSITION_FORBIDDEN',
+        allowed_states: allowedStates,
+        allowed_transitions: allowed
+      }
+    };
+  }
+
+  // Any permitted transition whose fields are all filled in will do
+  const missing = permitted
+    .map(transition => transition.required_fields.filter(field => isBlank(values[field])))
+    .sort((a, b) => a.length - b.length)[0];
+  if (missing.length > 0) {
+    return {
+      status: 400,
+      error: {
+        message: `Moving to "${to}" needs: ${missing.join(', ')}`,
+        code: 'TRANSITION_FIELDS_REQUIRED',
+        errors: missing.map(field => ({ field, code: 'required', detail: `Required to move to "${to}".` }))
+      }
+    };
+  }
+  return null;
+}
+
+/**
+ * Role keys of the signed-in user, for role-restricted transitions
+ * @param {object} req
+ * @returns {Promise<string[]>}
+ */
+export async function getUserRoles(req) {
+  if (!req.user?.id) return [];
+  const { roles } = await getEffectivePermissions(req.user.id);
+  return roles;
+}
+
+/**
+ * Load the workflow and the user's roles and check a status change
+ * @param {string} key - Workflow key
+ * @param {object} req
+ * @param {object} params - from, to and values, see checkTransition
+ * @returns {Promise<{status: number, error: object}|null>}
+ */
+export async function checkStatusChange(key, req, { from, to, values }) {
+  const [workflow, roles] = await Promise.all([getWorkflow(key), getUserRoles(req)]);
+  return checkTransition(workflow, { from, to, roles, values });
+}
@@ -0,0 +1,82 @@
+import { Ticket } from '../models/tickets.js';
+import { Employee } from '../models/employees.js';
+import { AgentPresence } from '../models/agent_presence.js';
+import { FollowUp } from '../models/follow_ups.js';
+import { NOT_MERGED } from './ticketMerge.js';
+import { getCallQueue, OPEN_FOLLOW_UP } from './followUpQueue.js';
+import { countOpenTickets, currentShift } from './routing.js';
+import { getPresenceMap } from './presence.js';
+import { isConnected } from './liveEvents.js';
+
+const SLA_URGENCY = { breached: 0, at_risk: 1, on_track: 2, met: 3 };
+const PRIORITY_RANK = { Urgent: 0, High: 1, Medium: 2, Low: 3 };
+
+// Most pressing first: SLA state, next SLA deadline, priority, then oldest
+function compareQueueTickets(a, b) {
+  const byState = (SLA_URGENCY[a.sla?.state] ?? 2) - (SLA_URGENCY[b.sla?.state] ?? 2);
+  if (byState !== 0) return byState;
+  const aDue = a.sla?.next_due_at ? new Date(a.sla.next_due_at).getTime() : Infinity;
+  const bDue = b.sla?.next_due_at ? new Date(b.sla.next_due_at).getTime() : Infinity;
+  if (aDue !== bDue) return aDue - bDue;
+  const byPriority = (PRIORITY_RANK[a.priority] ?? 2) - (PRIORITY_RANK[b.priority] ?? 2);
+  if (byPriority !== 0) return byPriority;
+  return new Date(a.createdAt) - new Date(b.createdAt);
+}
+
+/**
+ * An agent's live queue: their open tickets, most pressing first, and their
+ * open follow-up calls in call order
+ * @param {number} employeeId
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<{tickets: Array, follow_ups: Array}>}
+ */
+export async function getAgentQueue(employeeId, { now = new Date() } = {}) {
+  const [tickets, followUps] = await Promise.all([
+    Ticket.find({ ...NOT_MERGED, agent_id: employeeId, resolution_status: { $ne: 'Completed' } })
+      .select('ticket_id customer_phone customer_location issue_category issue_type issue_description priority resolution_status communication_channel sla escalation incident_id createdAt')
+      .lean(),
+    getCallQueue({ follow_up_agent_id: employeeId }, { now })
+  ]);
+
+  return { tickets: tickets.sort(compareQueueTickets), follow_ups: followUps };
+}
+
+/**
+ * Presence and workload of a team for supervisors. Without a section, everyone
+ * who has ever set a workspace presence is listed.
+ * @param {object} [options]
+ * @param {string} [options.sectionId] - Section ObjectId
+ * @param {Date} [options.now]
+ * @returns {Promise<Array>} Agents by name
+ */
+export async function getTeamStatus({ sectionId, now = new Date() } = {}) {
+  const filter = sectionId
+    ? { sectionId }
+    : { employee_id: { $in: await AgentPresence.distinct('employee_id') } };
+  const employees = await Employee.find(filter).select('employee_id name shift sectionId').sort({ name: 1 }).lean();
+  const employeeIds = employees.map(employee => employee.employee_id);
+
+  const [presence, openTickets, dueFollowUps] = await Promise.all([
+    getPresenceMap(employeeIds),
+    countOpenTickets(employeeIds),
+    FollowUp.aggregate([
+      { $match: { ...OPEN_FOLLOW_UP, follow_up_agent_id: { $in: employeeIds }, follow_up_date: { $lte: now } } },
+      { $group: { _id: '$follow_up_agent_id', count: { $sum: 1 } } }
+    ])
+  ]);
+  const dueMap = new Map(dueFollowUps.map(row => [row._id, row.count]));
+  const shift = currentShift(now);
+
+  return employees.map(employee => ({
+    employee_id: employee.employee_id,
+    name: employee.name,
+    shift: employee.shift ?? null,
+    section_id: employee.sectionId,
+    on_shift: employee.shift === shift,
+    presence: presence.get(employee.employee_id),
+    connected: isConnected('agent', employee.employee_id),
+    open_tickets: openTickets.get(employee.employee_id) || 0,
+    due_follow_ups: dueMap.get(employee.employee_id) || 0
+  }));
+}
@@ -81,3 +81,365 @@ export const employeeQuery = paginationSchema.extend({
   departmentId: z.string().optional(),
   sectionId: z.string().optional()
 });
+
+// SLA policy validation
+export const slaPolicyCreate = z.object({
+  name: z.string().min(2, 'Name must be at least 2 characters'),
+  issue_category: z.string().nullable().optional(),
+  communication_channel: z.string().nullable().optional(),
+  priority: z.string().nullable().optional(),
+  first_response_minutes: z.number().int().min(1, 'First response target must be at least 1 minute'),
+  resolution_minutes: z.number().int().min(1, 'Resolution target must be at least 1 minute'),
+  at_risk_percent: z.number().int().min(1).max(99).optional(),
+  is_active: z.boolean().optional()
+});
+
+export const slaPolicyUpdate = slaPolicyCreate.partial();
+
+// Customer validation
+export const customerUpdate = z.object({
+  name: z.string().trim().nullable().optional()
+});
+
+// Routing rule validation
+export const routingRuleCreate = z.object({
+  name: z.string().min(2, 'Name must be at least 2 characters'),
+  order: z.number().int().optional(),
+  issue_category: z.string().nullable().optional(),
+  issue_type: z.string().nullable().optional(),
+  device_type: z.string().nullable().optional(),
+  communication_channel: z.string().nullable().optional(),
+  target_type: z.enum(['section', 'employees']),
+  section_id: z.string().nullable().optional(),
+  employee_ids: z.array(z.number().int()).optional(),
+  strategy: z.enum(['round_robin', 'least_open']).optional(),
+  require_available: z.boolean().optional(),
+  is_active: z.boolean().optional()
+});
+
+export const routingRuleUpdate = routingRuleCreate.partial();
+
+export const presenceUpdate = z.object({
+  status: z.enum(['available', 'on_call', 'break', 'offline'])
+});
+
+// Ticket taxonomy validation
+export const customFieldDefinition = z.object({
+  key: z.string().regex(/^[a-z][a-z0-9_]*$/, 'Key must be lowercase letters, digits and underscores'),
+  label: z.string().min(1, 'Label is required'),
+  type: z.enum(['text', 'number', 'select', 'date']),
+  options: z.array(z.string().min(1)).optional(),
+  required: z.boolean().optional()
+});
+
+export const taxonomyTermCreate = z.object({
+  kind: z.enum(['category', 'issue_type', 'device_type', 'tag']),
+  value: z.string().trim().min(1, 'Value is required'),
+  label: z.string().optional(),
+  category: z.string().nullable().optional(),
+  custom_fields: z.array(customFieldDefinition).optional(),
+  sort_order: z.number().int().optional(),
+  is_active: z.boolean().optional()
+});
+
+// kind and value identify the term on existing tickets and cannot change
+export const taxonomyTermUpdate = taxonomyTermCreate.omit({ kind: true, value: true }).partial();
+
+// Ticket comment validation
+export const ticketCommentCreate = z.object({
+  body: z.string().trim().min(1, 'Comment cannot be empty').max(5000),
+  visibility: z.enum(['internal', 'customer']).optional(),
+  parent_id: z.number().int().nullable().optional()
+});
+
+export const ticketCommentUpdate = ticketCommentCreate.omit({ parent_id: true }).partial();
+
+// Multipart fields sent with POST /api/tickets/:ticket_id/attachments; neither means the ticket itself
+export const attachmentUpload = z.object({
+  comment_id: z.coerce.number().int().positive().optional(),
+  follow_up_id: z.coerce.number().int().positive().optional()
+}).refine(
+  data => data.comment_id === undefined || data.follow_up_id === undefined,
+  { message: 'Attach to a comment or a follow-up, not both', path: ['follow_up_id'] }
+);
+
+// Bulk ticket actions: select by ticket_ids or by list filters (same keys as GET /api/tickets)
+export const ticketBulkAction = z.object({
+  action: z.enum(['reassign', 'status', 'add_tags', 'delete']),
+  ticket_ids: z.array(z.number().int()).min(1).optional(),
+  filter: z.record(z.string(), z.any()).optional(),
+  agent_id: z.number().int().nullable().optional(),
+  resolution_status: z.enum(['Pending', 'In-Progress', 'Completed']).optional(),
+  tags: z.array(z.string().min(1)).min(1).optional(),
+  dry_run: z.boolean().optional()
+});
+
+// Canned response validation
+export const cannedResponseCreate = z.object({
+  title: z.string().trim().min(2, 'Title must be at least 2 characters'),
+  kind: z.enum(['response', 'resolution']).optional(),
+  body: z.string().trim().min(1, 'Body is required').max(5000),
+  issue_category: z.string().nullable().optional(),
+  issue_type: z.string().nullable().optional(),
+  targets: z.array(z.enum(['description', 'comment', 'follow_up_note'])).min(1).optional(),
+  is_active: z.boolean().optional()
+});
+
+export const cannedResponseUpdate = cannedResponseCreate.partial();
+
+export const cannedResponseRender = z.object({
+  target: z.enum(['description', 'comment', 'follow_up_note']),
+  ticket_id: z.number().int().nullable().optional(),
+  // Ticket fields when inserting into a ticket that isn't saved yet
+  draft: z.object({
+    customer_phone: z.string().optional(),
+    customer_location: z.string().optional(),
+    issue_category: z.string().optional(),
+    issue_type: z.string().optional()
+  }).optional()
+});
+
+// Survey validation
+export const surveyQuestionCreate = z.object({
+  key: z.string().trim().toLowerCase().regex(/^[a-z][a-z0-9_]*$/, 'Use lowercase letters, digits and underscores').max(40),
+  label: z.string().trim().min(3, 'Label must be at least 3 characters').max(300),
+  type: z.enum(['rating', 'nps', 'text']),
+  required: z.boolean().optional(),
+  order: z.number().int().optional(),
+  is_active: z.boolean().optional()
+});
+
+// The key is what stored answers refer to, so it can't be renamed
+export const surveyQuestionUpdate = surveyQuestionCreate.omit({ key: true }).partial();
+
+export const surveyLinkCreate = z.object({
+  follow_up_id: z.number().int().nullable().optional()
+});
+
+// Answers by question key; checked against the survey's questions in utils/surveys.js
+export const surveyAnswers = z.object({
+  answers: z.record(z.string(), z.union([z.number(), z.string(), z.null()]))
+});
+
+// QA scorecard validation
+const qaCriterion = z.object({
+  key: z.string().trim().toLowerCase().regex(/^[a-z][a-z0-9_]*$/, 'Use lowercase letters, digits and underscores').max(40),
+  label: z.string().trim().min(2, 'Label must be at least 2 characters').max(200),
+  description: z.string().trim().max(1000).nullable().optional(),
+  type: z.enum(['scale', 'auto_fail']).optional(),
+  weight: z.number().min(0).max(100).optional(),
+  max_score: z.number().int().min(1).max(10).optional()
+});
+
+export const qaScorecardCreate = z.object({
+  name: z.string().trim().min(2, 'Name must be at least 2 characters').max(120),
+  description: z.string().trim().max(1000).nullable().optional(),
+  criteria: z.array(qaCriterion).min(1, 'Add at least one criterion').max(50),
+  pass_score: z.number().min(0).max(100).optional(),
+  is_active: z.boolean().optional()
+});
+
+export const qaScorecardUpdate = qaScorecardCreate.partial();
+
+export const qaReviewScores = z.object({
+  scorecard_id: z.number().int(),
+  scores: z.array(z.object({
+    key: z.string(),
+    score: z.number().int().nullable().optional(),
+    passed: z.boolean().nullable().optional(),
+    comment: z.string().trim().max(1000).nullable().optional()
+  }))
+});
+
+// QA sampling validation
+export const qaSamplingUpdate = z.object({
+  enabled: z.boolean().optional(),
+  percentage: z.number().min(0).max(100).optional(),
+  min_per_agent: z.number().int().min(0).optional(),
+  max_per_agent: z.number().int().min(1).nullable().optional(),
+  reviewer_ids: z.array(z.number().int()).optional()
+});
+
+export const qaSamplingRun = z.object({
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Use YYYY-MM-DD').optional(),
+  dry_run: z.boolean().optional()
+});
+
+// Escalation validation
+export const ticketEscalation = z.object({
+  // Defaults to one level up (escalate) or down (de-escalate)
+  level: z.number().int().min(1).max(3).optional(),
+  reason: z.string().trim().min(3, 'Reason must be at least 3 characters').max(1000),
+  agent_id: z.number().int().nullable().optional()
+});
+
+export const escalationTierUpdate = z.object({
+  name: z.string().trim().min(2, 'Name must be at least 2 characters').max(80).optional(),
+  section_id: z.string().nullable().optional(),
+  sla_minutes: z.number().int().min(1).max(60 * 24 * 30).optional(),
+  notify_employee_ids: z.array(z.number().int()).optional()
+});
+
+// Incident validation
+const incidentFields = z.object({
+  title: z.string().trim().min(3, 'Title must be at least 3 characters').max(200),
+  description: z.string().trim().max(5000).nullable().optional(),
+  affected_categories: z.array(z.string().trim().min(1)).optional(),
+  affected_regions: z.array(z.string().trim().min(1)).optional(),
+  status: z.enum(['investigating', 'identified', 'monitoring']).optional(),
+  started_at: z.coerce.date().optional()
+});
+
+export const incidentCreate = incidentFields.refine(
+  data => (data.affected_categories?.length || 0) + (data.affected_regions?.length || 0) > 0,
+  { message: 'Add at least one affected category or region', path: ['affected_categories'] }
+);
+
+// Resolving goes through POST /api/incidents/:id/resolve so linked tickets are closed too
+export const incidentUpdate = incidentFields.partial();
+
+export const incidentTickets = z.object({
+  ticket_ids: z.array(z.number().int()).min(1, 'Select at least one ticket').max(500)
+});
+
+export const incidentResolve = z.object({
+  resolution_notes: z.string().trim().max(5000).nullable().optional(),
+  ended_at: z.coerce.date().optional()
+});
+
+// Display token validation (kiosk screens)
+export const displayTokenCreate = z.object({
+  name: z.string().trim().min(2, 'Name must be at least 2 characters').max(80),
+  scopes: z.array(z.enum(['wallboard'])).min(1).optional(),
+  expires_at: z.coerce.date().refine(date => date > new Date(), 'Expiry must be in the future').nullable().optional()
+});
+
+// Recurring task template validation
+const taskTemplateFields = z.object({
+  title: z.string().trim().min(2, 'Title must be at least 2 characters').max(200),
+  description: z.string().trim().max(5000).nullable().optional(),
+  priority: z.string().trim().min(1).max(20).optional(),
+  checklist: z.array(z.string().trim().min(1).max(500)).max(50).optional(),
+  // Checked in detail by parseRRule (utils/recurrence.js)
+  rrule: z.string().trim().min(1, 'Schedule rule is required'),
+  starts_on: z.coerce.date(),
+  ends_on: z.coerce.date().nullable().optional(),
+  due_time: z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Use HH:mm, e.g. 09:30').optional(),
+  assignment: z.object({
+    mode: z.enum(['fixed', 'rotation']).optional(),
+    user_ids: z.array(z.number().int()).max(50).optional()
+  }).optional(),
+  active: z.boolean().optional()
+});
+
+export const taskTemplateCreate = taskTemplateFields.refine(
+  data => !data.ends_on || data.ends_on >= data.starts_on,
+  { message: 'End date must be on or after the start date', path: ['ends_on'] }
+);
+
+// scope "this_occurrence" edits one occurrence's task; "all_future" edits the template
+export const taskTemplateUpdate = taskTemplateFields.partial().extend({
+  scope: z.enum(['this_occurrence', 'all_future']).default('all_future'),
+  occurrence_date: z.coerce.date().optional(),
+  // Only for this_occurrence
+  assigned_to: z.number().int().nullable().optional(),
+  due_date: z.coerce.date().nullable().optional()
+}).refine(
+  data => data.scope !== 'this_occurrence' || data.occurrence_date,
+  { message: 'Choose the occurrence to edit', path: ['occurrence_date'] }
+);
+
+// Status workflow validation; roles and required fields are checked against the database and subject
+const workflowState = z.object({
+  key: z.string().trim().min(1, 'State key is required').max(40),
+  label: z.string().trim().max(80).nullable().optional(),
+  category: z.enum(['todo', 'in_progress', 'done']),
+  wip_limit: z.number().int().min(1).max(1000).nullable().optional(),
+  wip_policy: z.enum(['warn', 'block']).optional()
+});
+
+const workflowTransition = z.object({
+  from: z.array(z.string().trim().min(1)).optional(),
+  to: z.string().trim().min(1, 'Target state is required'),
+  label: z.string().trim().max(80).nullable().optional(),
+  required_fields: z.array(z.string().trim().min(1)).optional(),
+  roles: z.array(z.string().trim().min(1)).optional()
+});
+
+const stateKeys = (data) => data.states.map(state => state.key);
+
+export const workflowUpdate = z.object({
+  name: z.string().trim().min(2, 'Name must be at least 2 characters').max(80),
+  states: z.array(workflowState).min(2, 'Add at least two states').max(20),
+  initial_state: z.string().trim().min(1),
+  transitions: z.array(workflowTransition).max(100)
+}).refine(
+  data => new Set(stateKeys(data)).size === data.states.length,
+  { message: 'State keys must be unique', path: ['states'] }
+).refine(
+  data => data.states.some(state => state.category === 'done'),
+  { message: 'Add at least one done state', path: ['states'] }
+).refine(
+  data => stateKeys(data).includes(data.initial_state),
+  { message: 'Initial state must be one of the states', path: ['initial_state'] }
+).refine(
+  data => data.transitions.every(transition => [transition.to, ...(transition.from || [])]
+    .every(key => stateKeys(data).includes(key))),
+  { message: 'Transitions can only use the workflow\'s states', path: ['transitions'] }
+);
+
+// Kanban move; fields fill in what the transition requires (see WORKFLOW_SUBJECTS.task)
+export const taskBoardMove = z.object({
+  status: z.string().trim().min(1, 'Target column is required'),
+  from_status: z.string().trim().min(1).optional(),
+  after_task_id: z.number().int().nullable().optional(),
+  fields: z.object({
+    resolution_note: z.string().trim().max(5000).optional(),
+    description: z.string().trim().max(5000).optional(),
+    assigned_to: z.number().int().optional(),
+    due_date: z.coerce.date().optional()
+  }).default({})
+});
+
+// Time tracking validation
+const timeSubject = {
+  subject_type: z.enum(['task', 'ticket', 'production']),
+  subject_id: z.number().int()
+};
+
+export const timerStart = z.object({
+  ...timeSubject,
+  note: z.string().trim().max(1000).nullable().optional()
+});
+
+// A manual entry gives its end or its length
+export const timeEntryCreate = z.object({
+  ...timeSubject,
+  started_at: z.coerce.date(),
+  ended_at: z.coerce.date().optional(),
+  minutes: z.number().int().min(1).max(24 * 60).optional(),
+  note: z.string().trim().max(1000).nullable().optional()
+}).refine(
+  data => (data.ended_at === undefined) !== (data.minutes === undefined),
+  { message: 'Give either the end time or the minutes', path: ['minutes'] }
+).refine(
+  data => !data.ended_at || (data.ended_at > data.started_at && data.ended_at - data.started_at <= 24 * 60 * 60 * 1000),
+  { message: 'End time must be after the start and within 24 hours', path: ['ended_at'] }
+);
+
+export const timeEntryUpdate = z.object({
+  started_at: z.coerce.date().optional(),
+  ended_at: z.coerce.date().optional(),
+  note: z.string().trim().max(1000).nullable().optional()
+});
+
+// A calendar day; read as server local time by parseDay (utils/timeTracking.js)
+const calendarDay = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Use YYYY-MM-DD');
+
+export const timesheetSubmit = z.object({
+  week_start: calendarDay
+});
+
+export const timesheetReview = z.object({
+  note: z.string().trim().max(1000).nullable().optional()
+});
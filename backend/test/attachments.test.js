@@ -0,0 +1,102 @@
+import { test, mock, afterEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { Attachment } from '../src/models/attachments.js';
+import { getAttachmentStorage, registerAttachmentStorage } from '../src/utils/attachmentStorage.js';
+import { checkAttachment, deleteAttachments, storeAttachment } from '../src/utils/attachments.js';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+process.env.ATTACHMENT_DIR = root;
+
+const actor = { user_id: 'u1', username: 'amina', employee_id: 7, name: 'Amina Yusuf' };
+const file = (mimetype, buffer, originalname = 'file') => ({ originalname, mimetype, size: buffer.length, buffer });
+
+afterEach(() => mock.restoreAll());
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+test('local storage keeps files under its root', async () => {
+  const storage = getAttachmentStorage('local');
+  await storage.put('tickets/4/a', Buffer.from('hello'));
+
+  const stored = await storage.get('tickets/4/a');
+  assert.equal(stored.size, 5);
+  stored.stream.destroy();
+  assert.equal(await storage.get('tickets/4/missing'), null);
+});
+
+test('local storage refuses keys that leave its root', async () => {
+  const storage = getAttachmentStorage('local');
+
+  await assert.rejects(storage.put('../outside', Buffer.from('x')), /Invalid attachment key/);
+  await assert.rejects(storage.get('tickets/../../etc/passwd'), /Invalid attachment key/);
+  await assert.rejects(storage.remove(path.join(os.tmpdir(), 'other')), /Invalid attachment key/);
+  // A sibling directory sharing the root's name as a prefix is outside too
+  await assert.rejects(storage.put(`../${path.basename(root)}-evil/x`, Buffer.from('x')), /Invalid attachment key/);
+  assert.equal(fs.existsSync(path.join(root, '..', 'outside')), false);
+});
+
+test('content has to match the declared type', async () => {
+  const exe = Buffer.from('MZ\x90\x00 not a png', 'latin1');
+  assert.equal((await checkAttachment(file('image/png', exe, 'shot.png'))).code, 'invalid_type');
+  assert.equal((await checkAttachment(file('text/plain', Buffer.from([0x61, 0x00, 0x62])))).code, 'invalid_type');
+  assert.equal((await checkAttachment(file('application/pdf', Buffer.from('%PDF-1.7\n')))), null);
+  assert.equal((await checkAttachment(file('text/csv', Buffer.from('a,b\n1,2\n')))), null);
+});
+
+test('empty, oversized and unlisted files are refused', async () => {
+  assert.equal((await checkAttachment(file('text/plain', Buffer.alloc(0)))).code, 'empty_file');
+  assert.equal((await checkAttachment({ ...file('text/plain', Buffer.from('x')), size: 11 * 1024 * 1024 })).code, 'too_large');
+  assert.equal((await checkAttachment(file('application/x-msdownload', Buffer.from('MZ')))).code, 'invalid_type');
+});
+
+test('a PNG header that is not a readable image is refused', async () => {
+  const broken = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]);
+  assert.equal((await checkAttachment(file('image/png', broken, 'shot.png'))).code, 'invalid_image');
+});
+
+test('stored files get a generated key and a cleaned-up name', async () => {
+  const puts = [];
+  registerAttachmentStorage('memory', () => ({ name: 'memory', put: async (key) => { puts.push(key); } }));
+  process.env.ATTACHMENT_STORAGE = 'memory';
+  const create = mock.method(Attachment, 'create', async (fields) => ({ toObject: () => ({ ...fields, attachment_id: 1 }) }));
+
+  try {
+    const attachment = await storeAttachment({
+      file: file('text/plain', Buffer.from('log'), '..\\..\\C:\\boot\x07.ini'),
+      ticketId: 4,
+      ownerType: 'ticket',
+      ownerId: null,
+      actor
+    });
+
+    assert.match(puts[0], /^tickets\/4\/[0-9a-f-]{36}$/);
+    assert.equal(create.mock.calls[0].arguments[0].storage_key, puts[0]);
+    assert.equal(attachment.filename, 'boot.ini');
+    assert.equal(attachment.storage_key, undefined);
+    assert.equal(attachment.has_thumbnail, false);
+  } finally {
+    delete process.env.ATTACHMENT_STORAGE;
+  }
+});
+
+test('records are deleted even when their stored file is already gone', async () => {
+  const removed = [];
+  registerAttachmentStorage('flaky', () => ({
+    name: 'flaky',
+    remove: async (key) => {
+      removed.push(key);
+      if (key.endsWith('.thumb.webp')) throw new Error('gone');
+    }
+  }));
+  mock.method(console, 'error', () => {});
+  mock.method(Attachment, 'find', () => ({
+    lean: async () => [{ attachment_id: 3, storage: 'flaky', storage_key: 'tickets/4/b', thumbnail_key: 'tickets/4/b.thumb.webp' }]
+  }));
+  const deleteMany = mock.method(Attachment, 'deleteMany', async () => ({}));
+
+  assert.equal(await deleteAttachments({ ticket_id: 4 }), 1);
+  assert.deepEqual(removed, ['tickets/4/b', 'tickets/4/b.thumb.webp']);
+  assert.deepEqual(deleteMany.mock.calls[0].arguments[0], { attachment_id: { $in: [3] } });
+});
@@ -0,0 +1,50 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Ticket } from '../src/models/tickets.js';
+import { buildTemplateValues, extractVariables, renderTemplate } from '../src/utils/cannedResponses.js';
+
+const actor = { user_id: 'u1', username: 'amina', employee_id: 7, name: 'Amina Yusuf' };
+
+afterEach(() => mock.restoreAll());
+
+test('variables are listed once, in order, with spaces allowed inside the braces', () => {
+  assert.deepEqual(extractVariables('Hi, ticket {{ ticket_id }} for {{customer_phone}} ({{ticket_id}})'), ['ticket_id', 'customer_phone']);
+  assert.deepEqual(extractVariables('No placeholders'), []);
+});
+
+test('unknown and empty variables keep their placeholder', () => {
+  const body = '{{agent_name}} here about #{{ticket_id}} at {{customer_location}}, {{unknown}}';
+  assert.equal(
+    renderTemplate(body, { agent_name: 'Amina Yusuf', ticket_id: '0042', customer_location: '' }),
+    'Amina Yusuf here about #0042 at {{customer_location}}, {{unknown}}'
+  );
+});
+
+test('values come from the saved ticket with a padded number', async () => {
+  mock.method(Ticket, 'findOne', () => ({
+    lean: async () => ({ ticket_id: 42, customer_phone: '0612345678', issue_category: 'IPTV' })
+  }));
+
+  const values = await buildTemplateValues({ ticketId: 42, actor });
+
+  assert.equal(values.ticket_id, '0042');
+  assert.equal(values.customer_phone, '0612345678');
+  assert.equal(values.agent_name, 'Amina Yusuf');
+  assert.match(values.today, /^\d{4}-\d{2}-\d{2}$/);
+});
+
+test('a draft ticket fills the values without a lookup', async () => {
+  const findOne = mock.method(Ticket, 'findOne', () => ({ lean: async () => null }));
+
+  const values = await buildTemplateValues({ draft: { issue_type: 'Login Issue' }, actor: { username: 'omar' } });
+
+  assert.equal(findOne.mock.callCount(), 0);
+  assert.equal(values.ticket_id, null);
+  assert.equal(values.issue_type, 'Login Issue');
+  assert.equal(values.agent_name, 'omar');
+});
+
+test('a missing ticket gives no values', async () => {
+  mock.method(Ticket, 'findOne', () => ({ lean: async () => null }));
+  assert.equal(await buildTemplateValues({ ticketId: 99, actor }), null);
+});
@@ -0,0 +1,54 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { TicketComment } from '../src/models/ticket_comments.js';
+import { Notification } from '../src/models/notifications.js';
+import { extractMentions, notifyMentions, getTicketComments } from '../src/utils/comments.js';
+
+afterEach(() => mock.restoreAll());
+
+test('mentions are unique usernames in order of appearance', () => {
+  assert.deepEqual(extractMentions('@omar can you check? cc @amina.y and @omar.'), ['omar', 'amina.y']);
+});
+
+test('email addresses and doubled @ are not mentions', () => {
+  assert.deepEqual(extractMentions('Customer is bob@example.com, see @@nobody'), []);
+  assert.deepEqual(extractMentions(''), []);
+});
+
+test('mentioned employees are notified, the author and users without an employee are not', async () => {
+  const create = mock.method(Notification, 'create', async (notification) => notification);
+  const comment = { ticket_id: 42, body: 'Please call back', author: { user_id: 'u1', username: 'amina', name: 'Amina Yusuf' } };
+
+  const sent = await notifyMentions(comment, [
+    { user_id: 'u1', username: 'amina', employee_id: 7 },
+    { user_id: 'u2', username: 'omar', employee_id: 9 },
+    { user_id: 'u3', username: 'kiosk', employee_id: null }
+  ]);
+
+  assert.equal(sent, 1);
+  assert.deepEqual(create.mock.calls[0].arguments[0], {
+    user_id: 9,
+    title: 'Mentioned on ticket #42',
+    message: 'Amina Yusuf mentioned you: Please call back',
+    type: 'ticket_mention'
+  });
+});
+
+test('comments come back as threads and deleted comments lose their body', async () => {
+  mock.method(TicketComment, 'find', () => ({
+    sort: () => ({
+      lean: async () => [
+        { _id: 'a', comment_id: 1, parent_id: null, body: 'First' },
+        { _id: 'b', comment_id: 2, parent_id: 1, body: 'Reply', is_deleted: true },
+        { _id: 'c', comment_id: 3, parent_id: null, body: 'Second' },
+        { _id: 'd', comment_id: 4, parent_id: 99, body: 'Orphan' }
+      ]
+    })
+  }));
+
+  const threads = await getTicketComments(42);
+
+  assert.deepEqual(threads.map(thread => thread.comment_id), [1, 3, 4]);
+  assert.deepEqual(threads[0].replies, [{ comment_id: 2, parent_id: 1, body: null, is_deleted: true, replies: [] }]);
+  assert.equal(threads[0]._id, undefined);
+});
@@ -0,0 +1,118 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Ticket } from '../src/models/tickets.js';
+import { TicketEvent } from '../src/models/ticket_events.js';
+import { Employee } from '../src/models/employees.js';
+import { Notification } from '../src/models/notifications.js';
+import { EscalationTier } from '../src/models/escalation_tiers.js';
+import { changeEscalationLevel, currentLevel, getEscalationTiers } from '../src/utils/escalations.js';
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date('2024-06-03T09:00:00Z');
+const actor = { user_id: 'u1', username: 'amina', employee_id: 7, name: 'Amina Yusuf' };
+
+// L2 is handled by section s2 and also notifies employees 7 and 30; L1 and L3 use the defaults
+function stubTiers() {
+  mock.method(EscalationTier, 'find', () => ({
+    lean: async () => [{ level: 2, name: 'Network Team', section_id: 's2', sla_minutes: 120, notify_employee_ids: [7, 30] }]
+  }));
+}
+
+// Ticket updates apply to `ticket` and return it; events and notifications are collected
+function stubWrites(ticket) {
+  let current = { ...ticket };
+  mock.method(Ticket, 'findOneAndUpdate', (filter, update) => ({
+    lean: async () => {
+      const before = current;
+      current = { ...current, ...update };
+      return before;
+    }
+  }));
+  mock.method(Ticket, 'findOne', async () => ({ ...current, toObject: () => current }));
+  mock.method(TicketEvent, 'create', async (event) => event);
+  return mock.method(Notification, 'create', async (notification) => notification);
+}
+
+const stubEmployees = (employees) => mock.method(Employee, 'findOne', ({ employee_id }) => ({
+  lean: async () => employees.find(employee => employee.employee_id === employee_id) || null
+}));
+
+afterEach(() => mock.restoreAll());
+
+test('configured tiers replace the defaults level by level', async () => {
+  stubTiers();
+  const tiers = await getEscalationTiers();
+
+  assert.deepEqual(tiers.map(tier => [tier.name, tier.configured]), [
+    ['L1 Agent', false], ['Network Team', true], ['L3 Supervisor', false]
+  ]);
+});
+
+test('a ticket that was never escalated is at L1', () => {
+  assert.equal(currentLevel({}), 1);
+  assert.equal(currentLevel({ escalation: { level: 3 } }), 3);
+});
+
+test('escalating hands the ticket to a member of the tier section and starts its clock', async () => {
+  stubTiers();
+  stubEmployees([{ employee_id: 12, name: 'Omar Ali', sectionId: 's2' }]);
+  const notify = stubWrites({ ticket_id: 40, agent_id: 5, escalation: null });
+
+  const result = await changeEscalationLevel(
+    { ticket_id: 40, agent_id: 5, escalation: null },
+    { level: 2, reason: 'Fibre fault', agentId: 12, actor, now }
+  );
+
+  assert.equal(result.ticket.agent_id, 12);
+  assert.deepEqual(result.ticket.escalation, {
+    level: 2,
+    tier_name: 'Network Team',
+    section_id: 's2',
+    reason: 'Fibre fault',
+    escalated_at: now,
+    escalated_by: actor,
+    due_at: new Date(now.getTime() + 2 * HOUR),
+    breached: false,
+    original_agent_id: 5,
+    escalations: 1,
+    deescalations: 0
+  });
+  // The receiver and the tier's extra recipient; the actor is left out
+  assert.equal(result.notified, 2);
+  assert.deepEqual(notify.mock.calls.map(call => call.arguments[0].user_id).sort(), [12, 30]);
+  assert.equal(notify.mock.calls[0].arguments[0].title, 'Ticket #40 escalated to Network Team');
+});
+
+test('the receiver must belong to the tier section', async () => {
+  stubTiers();
+  stubEmployees([{ employee_id: 13, name: 'Sara Noor', sectionId: 's9' }]);
+  const notify = stubWrites({ ticket_id: 40 });
+
+  const result = await changeEscalationLevel({ ticket_id: 40, agent_id: 5 }, { level: 2, reason: 'x', agentId: 13, actor, now });
+
+  assert.equal(result.error.errors[0].field, 'agent_id');
+  assert.equal(Ticket.findOneAndUpdate.mock.callCount(), 0);
+  assert.equal(notify.mock.callCount(), 0);
+});
+
+test('de-escalating to L1 without a section returns the ticket to its original agent', async () => {
+  stubTiers();
+  const escalation = { level: 2, original_agent_id: 5, escalations: 1, deescalations: 0 };
+  stubWrites({ ticket_id: 40, agent_id: 12, escalation });
+
+  const result = await changeEscalationLevel({ ticket_id: 40, agent_id: 12, escalation }, { level: 1, reason: 'Fixed upstream', actor, now });
+
+  assert.equal(result.ticket.agent_id, 5);
+  assert.equal(result.ticket.routing.reason, 'De-escalated to L1 Agent: returned to the original agent');
+  assert.equal(result.ticket.escalation.escalations, 1);
+  assert.equal(result.ticket.escalation.deescalations, 1);
+});
+
+test('a tier without a section needs a named receiver', async () => {
+  stubTiers();
+  stubWrites({ ticket_id: 40 });
+
+  const result = await changeEscalationLevel({ ticket_id: 40, agent_id: 5 }, { level: 3, reason: 'Angry customer', actor, now });
+
+  assert.equal(result.error.code, 'ESCALATION_TIER_NOT_CONFIGURED');
+});
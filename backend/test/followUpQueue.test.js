@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_ATTEMPTS, RETRY_SCHEDULE, nextAttemptAt, parseDelay, recordNoAnswer, reachedUpdate } from '../src/utils/followUpQueue.js';
+
+// Tests run with the default schedule: 2h, 1d, 3d and four calls
+const HOUR = 60 * 60 * 1000;
+const now = new Date('2024-06-03T09:00:00Z');
+const later = (hours) => new Date(now.getTime() + hours * HOUR);
+
+// A FollowUp document whose save() returns itself
+const followUp = (fields = {}) => ({ attempts: [], attempt_count: 0, outcome: null, ...fields, save() { return this; } });
+
+test('delays are parsed in minutes, hours and days', () => {
+  assert.equal(parseDelay('30m'), 30 * 60 * 1000);
+  assert.equal(parseDelay(' 2H '), 2 * HOUR);
+  assert.equal(parseDelay('3d'), 72 * HOUR);
+  assert.equal(parseDelay('2w'), null);
+  assert.equal(parseDelay('soon'), null);
+});
+
+test('the default schedule retries after 2 hours, 1 day and 3 days', () => {
+  assert.deepEqual(RETRY_SCHEDULE, [2 * HOUR, 24 * HOUR, 72 * HOUR]);
+  assert.equal(MAX_ATTEMPTS, 4);
+});
+
+test('each unanswered call waits the next delay, and the last one repeats', () => {
+  assert.deepEqual(nextAttemptAt(1, now), later(2));
+  assert.deepEqual(nextAttemptAt(2, now), later(24));
+  assert.deepEqual(nextAttemptAt(3, now), later(72));
+  assert.deepEqual(nextAttemptAt(7, now), later(72));
+});
+
+test('an unanswered call is logged and rescheduled', async () => {
+  const saved = await recordNoAnswer(followUp(), { agentId: 7, notes: 'Voicemail', now });
+
+  assert.equal(saved.attempt_count, 1);
+  assert.deepEqual(saved.attempts, [{ attempted_at: now, agent_id: 7, result: 'no_answer', notes: 'Voicemail' }]);
+  assert.equal(saved.follow_up_notes, 'Voicemail');
+  assert.deepEqual(saved.follow_up_date, later(2));
+  assert.equal(saved.outcome, null);
+});
+
+test('a time picked by the agent wins over the schedule', async () => {
+  const saved = await recordNoAnswer(followUp(), { agentId: 7, retryAt: later(5), now });
+  assert.deepEqual(saved.follow_up_date, later(5));
+});
+
+test('the last allowed attempt closes the follow-up as unreachable', async () => {
+  const saved = await recordNoAnswer(followUp({ attempt_count: 3, follow_up_date: later(-1) }), { agentId: 7, now });
+
+  assert.equal(saved.attempt_count, 4);
+  assert.equal(saved.outcome, 'unreachable');
+  assert.deepEqual(saved.closed_at, now);
+  assert.deepEqual(saved.follow_up_date, later(-1));
+});
+
+test('reaching the customer closes the follow-up and counts the call', () => {
+  assert.deepEqual(reachedUpdate('solved', { agentId: 9, now }), {
+    outcome: 'solved',
+    closed_at: now,
+    $inc: { attempt_count: 1 },
+    $push: { attempts: { attempted_at: now, agent_id: 9, result: 'reached', notes: null } }
+  });
+});
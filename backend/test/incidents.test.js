@@ -0,0 +1,84 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Ticket } from '../src/models/tickets.js';
+import { TicketEvent } from '../src/models/ticket_events.js';
+import { Incident } from '../src/models/incidents.js';
+import { findIncidentsForTicket, setTicketsIncident, suggestIncidentTickets } from '../src/utils/incidents.js';
+
+const actor = { user_id: 'u1', username: 'amina', employee_id: 7, name: 'Amina Yusuf' };
+
+afterEach(() => mock.restoreAll());
+
+test('suggestions cover the incident scope from an hour before its start', async () => {
+  const find = mock.method(Ticket, 'find', () => ({
+    select: () => ({ sort: () => ({ limit: () => ({ lean: async () => [] }) }) })
+  }));
+  const endedAt = new Date('2024-06-03T12:00:00Z');
+
+  await suggestIncidentTickets({
+    affected_categories: ['IPTV'],
+    affected_regions: ['St. Paul'],
+    started_at: new Date('2024-06-03T09:00:00Z'),
+    ended_at: endedAt
+  });
+
+  const filter = find.mock.calls[0].arguments[0];
+  assert.deepEqual(filter.issue_category, { $in: ['IPTV'] });
+  assert.equal(filter.incident_id, null);
+  assert.deepEqual(filter.createdAt, { $gte: new Date('2024-06-03T08:00:00Z'), $lte: endedAt });
+  // Regions match anywhere in the location, with regex characters taken literally
+  const [region] = filter.customer_location.$in;
+  assert.ok(region.test('12 Main St, st. paul'));
+  assert.equal(region.test('St Xpaul'), false);
+});
+
+test('a new ticket is matched to active incidents covering its region', async () => {
+  mock.method(Incident, 'find', () => ({
+    select: () => ({
+      sort: () => ({
+        lean: async () => [
+          { incident_id: 1, title: 'North fibre cut', status: 'investigating', affected_regions: ['North'] },
+          { incident_id: 2, title: 'Headend down', status: 'identified', affected_regions: [] },
+          { incident_id: 3, title: 'South outage', status: 'investigating', affected_regions: ['South'] }
+        ]
+      })
+    })
+  }));
+
+  const incidents = await findIncidentsForTicket({ issue_category: 'IPTV', customer_location: 'north district' });
+
+  assert.deepEqual(incidents, [
+    { incident_id: 1, title: 'North fibre cut', status: 'investigating' },
+    { incident_id: 2, title: 'Headend down', status: 'identified' }
+  ]);
+});
+
+test('linking reports missing, merged and already linked tickets without moving them', async () => {
+  mock.method(Ticket, 'find', () => ({
+    select: () => ({
+      lean: async () => [
+        { ticket_id: 1, incident_id: null, merged_into: null },
+        { ticket_id: 2, incident_id: 5, merged_into: null },
+        { ticket_id: 3, incident_id: 9, merged_into: null },
+        { ticket_id: 4, incident_id: null, merged_into: 1 }
+      ]
+    })
+  }));
+  const update = mock.method(Ticket, 'findOneAndUpdate', (filter) => ({
+    lean: async () => ({ ...filter, incident_id: null })
+  }));
+  mock.method(Ticket, 'findOne', async (filter) => ({ toObject: () => ({ ...filter, incident_id: 5 }) }));
+  const create = mock.method(TicketEvent, 'create', async (event) => event);
+
+  const results = await setTicketsIncident([1, 2, 3, 4, 6, 1], { incident_id: 5 }, actor);
+
+  assert.deepEqual(results.map(result => [result.ticket_id, result.ok, result.changed ?? result.error.code ?? result.error.message]), [
+    [1, true, true],
+    [2, true, false],
+    [3, false, 'TICKET_ON_OTHER_INCIDENT'],
+    [4, false, 'TICKET_MERGED'],
+    [6, false, 'Ticket not found']
+  ]);
+  assert.equal(update.mock.callCount(), 1);
+  assert.deepEqual(create.mock.calls[0].arguments[0].ref, { incident_id: 5 });
+});
@@ -0,0 +1,75 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Ticket } from '../src/models/tickets.js';
+import { Review } from '../src/models/reviews.js';
+import { QaSamplingSettings } from '../src/models/qa_sampling_settings.js';
+import { QaSampleRun } from '../src/models/qa_sample_runs.js';
+import { allocateStrata, dayRange, runQaSampling } from '../src/utils/qaSampling.js';
+
+const query = (rows) => ({ select: () => ({ lean: async () => rows }) });
+
+// One day of completed tickets, sampled with the given settings
+function stubDay(tickets, settings, reviewedIds = []) {
+  mock.method(QaSamplingSettings, 'findOneAndUpdate', async () => ({
+    percentage: 100, min_per_agent: 0, max_per_agent: null, next_reviewer_index: 0, ...settings
+  }));
+  mock.method(QaSampleRun, 'findOne', () => ({ lean: async () => null }));
+  mock.method(Ticket, 'find', () => query(tickets));
+  mock.method(Review, 'find', () => query(reviewedIds.map(ticket_id => ({ ticket_id }))));
+}
+
+const ticket = (ticket_id, agent_id, issue_category = 'IPTV') => ({ ticket_id, agent_id, issue_category });
+
+afterEach(() => mock.restoreAll());
+
+test('strata get a share proportional to their size', () => {
+  const strata = new Map([['IPTV', [1, 2, 3, 4, 5, 6]], ['App', [7, 8, 9]], ['VOD', [10]]]);
+  assert.deepEqual([...allocateStrata(strata, 5)], [['IPTV', 3], ['App', 2], ['VOD', 0]]);
+  assert.deepEqual([...allocateStrata(new Map([['IPTV', [1, 2, 3]], ['App', [4, 5, 6]]]), 2)], [['IPTV', 1], ['App', 1]]);
+});
+
+test('a sampling day is a UTC day', () => {
+  assert.deepEqual(dayRange('2024-06-03'), {
+    start: new Date('2024-06-03T00:00:00Z'),
+    end: new Date('2024-06-04T00:00:00Z')
+  });
+});
+
+test('reviewers never get their own tickets', async () => {
+  stubDay([ticket(1, 7), ticket(2, 7), ticket(3, 9), ticket(4, 9)], { reviewer_ids: [7, 9] });
+
+  const { assignments } = await runQaSampling({ day: '2024-06-03', dryRun: true });
+
+  assert.equal(assignments.length, 4);
+  for (const assignment of assignments) {
+    assert.notEqual(assignment.reviewer_id, assignment.agent_id);
+  }
+});
+
+test('a ticket whose agent is the only reviewer is skipped', async () => {
+  stubDay([ticket(1, 7), ticket(2, 9)], { reviewer_ids: [7] });
+
+  const { run, assignments } = await runQaSampling({ day: '2024-06-03', dryRun: true });
+
+  assert.deepEqual(assignments, [{ ticket_id: 2, agent_id: 9, issue_category: 'IPTV', reviewer_id: 7 }]);
+  assert.equal(run.skipped, 1);
+});
+
+test('already reviewed tickets are not sampled again, and the per-agent cap holds', async () => {
+  stubDay(
+    [ticket(1, 7), ticket(2, 7), ticket(3, 7), ticket(4, 7, 'App')],
+    { reviewer_ids: [9], percentage: 50, max_per_agent: 1 },
+    [1, 2, 3]
+  );
+
+  const { run, assignments } = await runQaSampling({ day: '2024-06-03', dryRun: true });
+
+  assert.deepEqual(assignments.map(assignment => assignment.ticket_id), [4]);
+  assert.deepEqual(run.by_agent, [{ agent_id: 7, completed: 4, sampled: 1, categories: { App: 1 } }]);
+});
+
+test('without reviewers nothing is sampled', async () => {
+  stubDay([ticket(1, 7)], { reviewer_ids: [] });
+  const result = await runQaSampling({ day: '2024-06-03', dryRun: true });
+  assert.equal(result.error, 'No QA reviewers configured');
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreReview, validateCriteria } from '../src/utils/qaScorecards.js';
+
+const scorecard = {
+  pass_score: 70,
+  criteria: [
+    { key: 'greeting', label: 'Greeting', type: 'scale', weight: 1, max_score: 5 },
+    { key: 'resolution', label: 'Resolution', type: 'scale', weight: 3, max_score: 10 },
+    { key: 'verified', label: 'Verified identity', type: 'auto_fail' }
+  ]
+};
+
+test('the total is the weighted share of points', () => {
+  const result = scoreReview(scorecard, [
+    { key: 'greeting', score: 5 },
+    { key: 'resolution', score: 6, comment: 'Slow' },
+    { key: 'verified', passed: true }
+  ]);
+
+  // (1 * 5/5 + 3 * 6/10) / 4 = 70%
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.total_score, 70);
+  assert.equal(result.qa_passed, true);
+  assert.deepEqual(result.scores[1], {
+    key: 'resolution', label: 'Resolution', type: 'scale', weight: 3, max_score: 10, score: 6, passed: null, comment: 'Slow'
+  });
+});
+
+test('a failed auto-fail check scores 0 and fails the review', () => {
+  const result = scoreReview(scorecard, [
+    { key: 'greeting', score: 5 },
+    { key: 'resolution', score: 10 },
+    { key: 'verified', passed: false }
+  ]);
+
+  assert.equal(result.total_score, 0);
+  assert.equal(result.auto_failed, true);
+  assert.equal(result.qa_passed, false);
+});
+
+test('missing, out of range and unknown scores are reported per criterion', () => {
+  const result = scoreReview(scorecard, [
+    { key: 'greeting', score: 6 },
+    { key: 'tone', score: 3 }
+  ]);
+
+  assert.deepEqual(result.errors.map(error => [error.field, error.code]), [
+    ['scores.greeting', 'invalid_value'],
+    ['scores.resolution', 'invalid_value'],
+    ['scores.verified', 'required'],
+    ['scores', 'invalid_value']
+  ]);
+  assert.match(result.errors[3].detail, /tone/);
+});
+
+test('criteria need unique keys and one weighted scored criterion', () => {
+  assert.deepEqual(validateCriteria(scorecard.criteria), []);
+
+  const errors = validateCriteria([
+    { key: 'verified', type: 'auto_fail' },
+    { key: 'verified', type: 'auto_fail' },
+    { key: 'tone', type: 'scale', weight: 0 }
+  ]);
+  assert.deepEqual(errors.map(error => error.code), ['duplicate', 'invalid_value']);
+  assert.match(errors[0].detail, /verified/);
+});
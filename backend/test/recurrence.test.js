@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRRule, formatRRule, nextOccurrence, upcomingOccurrences } from '../src/utils/recurrence.js';
+
+// Occurrences are local days, so tests build and compare local dates
+const day = (year, month, date) => new Date(year, month - 1, date);
+const rule = (value) => {
+  const { rule: parsed, error } = parseRRule(value);
+  assert.equal(error, undefined);
+  return parsed;
+};
+const expand = (value, start, count, end = null) => upcomingOccurrences(rule(value), start, start, count, end);
+
+test('parses and normalizes a rule', () => {
+  assert.equal(formatRRule(rule('RRULE:freq=weekly;byday=mo,fr')), 'FREQ=WEEKLY;BYDAY=MO,FR');
+  assert.equal(formatRRule(rule('FREQ=MONTHLY;INTERVAL=1;BYDAY=2TU')), 'FREQ=MONTHLY;BYDAY=2TU');
+});
+
+test('rejects rules outside the supported subset', () => {
+  assert.match(parseRRule('FREQ=YEARLY').error, /FREQ must be/);
+  assert.match(parseRRule('FREQ=DAILY;COUNT=3').error, /COUNT is not supported/);
+  assert.match(parseRRule('FREQ=WEEKLY;BYDAY=2TU').error, /need FREQ=MONTHLY/);
+  assert.match(parseRRule('FREQ=MONTHLY;BYMONTHDAY=1;BYDAY=MO').error, /either BYMONTHDAY or BYDAY/);
+  assert.match(parseRRule('FREQ=DAILY;INTERVAL=13').error, /INTERVAL/);
+  assert.match(parseRRule('').error, /required/);
+});
+
+test('FREQ=DAILY with an interval', () => {
+  assert.deepEqual(expand('FREQ=DAILY;INTERVAL=3', day(2024, 6, 3), 3), [
+    day(2024, 6, 3), day(2024, 6, 6), day(2024, 6, 9)
+  ]);
+});
+
+test('weekdays skip the weekend', () => {
+  // 2024-06-06 is a Thursday
+  assert.deepEqual(expand('FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR', day(2024, 6, 6), 4), [
+    day(2024, 6, 6), day(2024, 6, 7), day(2024, 6, 10), day(2024, 6, 11)
+  ]);
+});
+
+test('every other Monday counts weeks from the start', () => {
+  assert.deepEqual(expand('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO', day(2024, 6, 3), 3), [
+    day(2024, 6, 3), day(2024, 6, 17), day(2024, 7, 1)
+  ]);
+});
+
+test('a weekly rule without BYDAY repeats the start weekday', () => {
+  assert.deepEqual(expand('FREQ=WEEKLY', day(2024, 6, 5), 2), [day(2024, 6, 5), day(2024, 6, 12)]);
+});
+
+test('second Tuesday of the month', () => {
+  assert.deepEqual(expand('FREQ=MONTHLY;BYDAY=2TU', day(2024, 6, 1), 3), [
+    day(2024, 6, 11), day(2024, 7, 9), day(2024, 8, 13)
+  ]);
+});
+
+test('last Friday of the month with BYSETPOS=-1', () => {
+  assert.deepEqual(expand('FREQ=MONTHLY;BYDAY=FR;BYSETPOS=-1', day(2024, 1, 1), 3), [
+    day(2024, 1, 26), day(2024, 2, 23), day(2024, 3, 29)
+  ]);
+});
+
+test('BYSETPOS picks from all the BYDAY days of the month', () => {
+  // Last weekday: Fri 28 Jun 2024, Wed 31 Jul 2024, Fri 30 Aug 2024
+  assert.deepEqual(expand('FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1', day(2024, 6, 1), 3), [
+    day(2024, 6, 28), day(2024, 7, 31), day(2024, 8, 30)
+  ]);
+  // First weekend day: Sat 1 Jun 2024, Sat 6 Jul 2024, Sat 3 Aug 2024, Sun 1 Sep 2024
+  assert.deepEqual(expand('FREQ=MONTHLY;BYDAY=SA,SU;BYSETPOS=1', day(2024, 6, 1), 4), [
+    day(2024, 6, 1), day(2024, 7, 6), day(2024, 8, 3), day(2024, 9, 1)
+  ]);
+  // Second weekday of the month
+  assert.deepEqual(expand('FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=2', day(2024, 6, 1), 2), [
+    day(2024, 6, 4), day(2024, 7, 2)
+  ]);
+});
+
+test('day 31 falls on the last day of shorter months', () => {
+  assert.deepEqual(expand('FREQ=MONTHLY;BYMONTHDAY=31', day(2024, 1, 1), 3), [
+    day(2024, 1, 31), day(2024, 2, 29), day(2024, 3, 31)
+  ]);
+  assert.deepEqual(expand('FREQ=MONTHLY;BYMONTHDAY=-1', day(2023, 2, 1), 2), [day(2023, 2, 28), day(2023, 3, 31)]);
+});
+
+test('a plain monthly rule repeats the start date', () => {
+  assert.deepEqual(expand('FREQ=MONTHLY;INTERVAL=2', day(2024, 1, 15), 3), [
+    day(2024, 1, 15), day(2024, 3, 15), day(2024, 5, 15)
+  ]);
+});
+
+test('the series stops at its end day', () => {
+  assert.deepEqual(expand('FREQ=DAILY', day(2024, 6, 3), 10, day(2024, 6, 5)), [
+    day(2024, 6, 3), day(2024, 6, 4), day(2024, 6, 5)
+  ]);
+  assert.equal(nextOccurrence(rule('FREQ=DAILY'), day(2024, 6, 3), day(2024, 6, 6), day(2024, 6, 5)), null);
+});
+
+test('the next occurrence is never before the start', () => {
+  assert.deepEqual(nextOccurrence(rule('FREQ=WEEKLY;BYDAY=MO'), day(2024, 6, 10), day(2024, 6, 1)), day(2024, 6, 10));
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeSla, DEFAULT_SLA_POLICY } from '../src/utils/sla.js';
+
+const MINUTE = 60 * 1000;
+const createdAt = new Date('2024-06-03T09:00:00Z');
+const at = (minutes) => new Date(createdAt.getTime() + minutes * MINUTE);
+
+const policy = {
+  sla_policy_id: 3,
+  first_response_minutes: 30,
+  resolution_minutes: 240,
+  at_risk_percent: 80
+};
+
+test('due dates are counted from ticket creation', () => {
+  const sla = computeSla({ createdAt, resolution_status: 'Pending' }, policy, at(5));
+
+  assert.deepEqual(sla.first_response_due_at, at(30));
+  assert.deepEqual(sla.resolution_due_at, at(240));
+  assert.equal(sla.policy_id, 3);
+});
+
+test('a pending ticket waits on its first response', () => {
+  const sla = computeSla({ createdAt, resolution_status: 'Pending' }, policy, at(10));
+
+  assert.deepEqual(sla.next_due_at, at(30));
+  assert.deepEqual(sla.at_risk_at, at(24));
+  assert.equal(sla.time_to_breach_minutes, 20);
+  assert.equal(sla.state, 'on_track');
+});
+
+test('a ticket is at risk once the at-risk share of its window has passed', () => {
+  const sla = computeSla({ createdAt, resolution_status: 'Pending' }, policy, at(25));
+
+  assert.equal(sla.state, 'at_risk');
+  assert.equal(sla.time_to_breach_minutes, 5);
+});
+
+test('a missed first response breaches the ticket', () => {
+  const sla = computeSla({ createdAt, resolution_status: 'Pending' }, policy, at(31));
+
+  assert.equal(sla.first_response_breached, true);
+  assert.equal(sla.resolution_breached, false);
+  assert.equal(sla.state, 'breached');
+  assert.equal(sla.time_to_breach_minutes, -1);
+});
+
+test('leaving Pending records the first response and moves on to resolution', () => {
+  const sla = computeSla({ createdAt, resolution_status: 'In-Progress' }, policy, at(20));
+
+  assert.deepEqual(sla.first_responded_at, at(20));
+  assert.deepEqual(sla.next_due_at, at(240));
+  assert.deepEqual(sla.at_risk_at, at(192));
+  assert.equal(sla.state, 'on_track');
+});
+
+test('an earlier first response is kept', () => {
+  const sla = computeSla(
+    { createdAt, resolution_status: 'In-Progress', sla: { first_responded_at: at(12) } },
+    policy,
+    at(100)
+  );
+
+  assert.deepEqual(sla.first_responded_at, at(12));
+});
+
+test('a completed ticket has nothing due and meets its SLA when on time', () => {
+  const sla = computeSla(
+    { createdAt, resolution_status: 'Completed', sla: { first_responded_at: at(10) } },
+    policy,
+    at(200)
+  );
+
+  assert.deepEqual(sla.resolved_at, at(200));
+  assert.equal(sla.next_due_at, null);
+  assert.equal(sla.at_risk_at, null);
+  assert.equal(sla.time_to_breach_minutes, null);
+  assert.equal(sla.state, 'met');
+});
+
+test('a late resolution stays breached', () => {
+  const sla = computeSla(
+    { createdAt, resolution_status: 'Completed', sla: { first_responded_at: at(10) } },
+    policy,
+    at(300)
+  );
+
+  assert.equal(sla.resolution_breached, true);
+  assert.equal(sla.state, 'breached');
+});
+
+test('reopening clears the resolution', () => {
+  const sla = computeSla(
+    { createdAt, resolution_status: 'In-Progress', sla: { first_responded_at: at(10), resolved_at: at(60) } },
+    policy,
+    at(90)
+  );
+
+  assert.equal(sla.resolved_at, null);
+  assert.deepEqual(sla.next_due_at, at(240));
+});
+
+test('the default policy allows an hour for the first response', () => {
+  const sla = computeSla({ createdAt, resolution_status: 'Pending' }, DEFAULT_SLA_POLICY, at(0));
+
+  assert.deepEqual(sla.first_response_due_at, at(60));
+  assert.deepEqual(sla.resolution_due_at, at(24 * 60));
+  assert.equal(sla.policy_id, null);
+});
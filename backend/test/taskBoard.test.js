@@ -0,0 +1,113 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Employee } from '../src/models/employees.js';
+import { User } from '../src/models/users.js';
+import { BoardColumnLock } from '../src/models/board_column_locks.js';
+import { checkWipLimit, findAssignees, withColumnLock } from '../src/utils/taskBoard.js';
+
+// Model.find(...).select(...).lean() resolving to rows
+const query = (rows) => ({ select: () => ({ lean: async () => rows }) });
+
+afterEach(() => mock.restoreAll());
+
+const column = (wip_limit, wip_policy) => ({ key: 'In Progress', label: 'Doing', wip_limit, wip_policy });
+
+test('a column without a limit takes any number of cards', () => {
+  assert.deepEqual(checkWipLimit(column(null, 'block'), 500), { blocked: false, warning: null });
+});
+
+test('a column below its limit takes one more card', () => {
+  assert.deepEqual(checkWipLimit(column(3, 'block'), 2), { blocked: false, warning: null });
+});
+
+test('a full blocking column refuses the card', () => {
+  const result = checkWipLimit(column(3, 'block'), 3);
+  assert.equal(result.blocked, true);
+  assert.deepEqual(result.warning, {
+    code: 'WIP_LIMIT_REACHED',
+    status: 'In Progress',
+    limit: 3,
+    count: 4,
+    message: '"Doing" allows 3 tasks'
+  });
+});
+
+test('a full warning column takes the card with a warning', () => {
+  const result = checkWipLimit(column(3, 'warn'), 5);
+  assert.equal(result.blocked, false);
+  assert.equal(result.warning.count, 6);
+});
+
+test('a zero limit blocks every card', () => {
+  assert.equal(checkWipLimit(column(0, 'block'), 0).blocked, true);
+});
+
+test('the warning names the state when it has no label', () => {
+  const result = checkWipLimit({ key: 'Review', wip_limit: 1, wip_policy: 'warn' }, 1);
+  assert.equal(result.warning.message, '"Review" allows 1 tasks');
+});
+
+test('card assignees are looked up by employee_id', async () => {
+  const find = mock.method(Employee, 'find', () => query([
+    { _id: 'e7', employee_id: 7, name: 'Amina Yusuf' },
+    { _id: 'e9', employee_id: 9, name: 'Omar Ali' }
+  ]));
+  mock.method(User, 'find', () => query([{ _id: 'u1', username: 'amina', employeeId: 'e7' }]));
+
+  const assignees = await findAssignees([7, 9, 12]);
+
+  assert.deepEqual(find.mock.calls[0].arguments[0], { employee_id: { $in: [7, 9, 12] } });
+  assert.deepEqual(assignees.get(7), { employee_id: 7, username: 'amina', employee: { employee_id: 7, name: 'Amina Yusuf' } });
+  assert.equal(assignees.get(9).employee.name, 'Omar Ali');
+  assert.equal(assignees.get(9).username, null);
+  assert.equal(assignees.has(12), false);
+});
+
+test('no assignees means no lookups', async () => {
+  const find = mock.method(Employee, 'find', () => query([]));
+  assert.equal((await findAssignees([])).size, 0);
+  assert.equal(find.mock.callCount(), 0);
+});
+
+// BoardColumnLock backed by a Map, failing the upsert like a duplicate _id would
+function stubColumnLocks() {
+  const locks = new Map();
+  mock.method(BoardColumnLock, 'findOneAndUpdate', (filter, update) => ({
+    lean: async () => {
+      const held = locks.get(filter._id);
+      if (held && held.expires_at > filter.expires_at.$lte) throw Object.assign(new Error('E11000'), { code: 11000 });
+      locks.set(filter._id, update);
+      return null;
+    }
+  }));
+  mock.method(BoardColumnLock, 'deleteOne', async ({ _id, holder }) => {
+    if (locks.get(_id)?.holder === holder) locks.delete(_id);
+  });
+  return locks;
+}
+
+test('two moves racing for the last slot of a blocking column: the first gets in', async () => {
+  const locks = stubColumnLocks();
+  const limited = column(1, 'block');
+  let inColumn = 0;
+
+  const move = () => withColumnLock('In Progress', async () => {
+    const wip = checkWipLimit(limited, inColumn);
+    if (wip.blocked) return { wip };
+    await new Promise(resolve => setTimeout(resolve, 20));
+    inColumn += 1;
+    return { moved: true };
+  });
+  const [first, second] = await Promise.all([move(), move()]);
+
+  assert.deepEqual(first, { moved: true });
+  assert.equal(second.wip.blocked, true);
+  assert.equal(inColumn, 1);
+  assert.equal(locks.size, 0);
+});
+
+test('the column lock is released when the move fails', async () => {
+  const locks = stubColumnLocks();
+  await assert.rejects(withColumnLock('Review', async () => { throw new Error('write failed'); }), /write failed/);
+  assert.equal(locks.size, 0);
+});
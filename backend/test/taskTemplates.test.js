@@ -0,0 +1,49 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Employee } from '../src/models/employees.js';
+import { prepareTemplateData, unknownEmployees } from '../src/utils/taskTemplates.js';
+
+// Employees 3 and 5 exist
+const stubEmployees = () => mock.method(Employee, 'distinct', async (field, filter) => {
+  assert.equal(field, 'employee_id');
+  return [3, 5].filter(id => filter.employee_id.$in.includes(id));
+});
+
+afterEach(() => mock.restoreAll());
+
+test('a template with a rotation of employees is accepted', async () => {
+  const distinct = stubEmployees();
+  const data = {
+    title: 'Check backup logs',
+    rrule: 'freq=weekly;byday=mo,fr',
+    starts_on: new Date(2024, 5, 3, 15, 30),
+    assignment: { mode: 'rotation', user_ids: [5, 3, 5] }
+  };
+
+  assert.equal(await prepareTemplateData(data), null);
+  assert.equal(data.rrule, 'FREQ=WEEKLY;BYDAY=MO,FR');
+  assert.deepEqual(data.starts_on, new Date(2024, 5, 3));
+  assert.deepEqual(data.assignment.user_ids, [5, 3]);
+  assert.deepEqual(distinct.mock.calls[0].arguments[1], { employee_id: { $in: [5, 3] } });
+});
+
+test('a template assigned to someone who is not an employee is rejected', async () => {
+  stubEmployees();
+  const problem = await prepareTemplateData({ assignment: { mode: 'fixed', user_ids: [3, 9] } });
+
+  assert.deepEqual(problem, { field: 'assignment.user_ids', detail: 'One or more employees do not exist.' });
+});
+
+test('a bad rule is reported before the assignees are looked up', async () => {
+  const distinct = stubEmployees();
+  const problem = await prepareTemplateData({ rrule: 'FREQ=HOURLY', assignment: { user_ids: [3] } });
+
+  assert.equal(problem.field, 'rrule');
+  assert.equal(distinct.mock.callCount(), 0);
+});
+
+test('unknownEmployees lists the ids without an employee', async () => {
+  stubEmployees();
+  assert.deepEqual(await unknownEmployees([3, 4, 5, 6]), [4, 6]);
+  assert.deepEqual(await unknownEmployees([5]), []);
+});
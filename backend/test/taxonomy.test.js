@@ -0,0 +1,82 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { TaxonomyTerm } from '../src/models/taxonomy_terms.js';
+import { getTicketTaxonomy, validateTicketTaxonomy } from '../src/utils/taxonomy.js';
+
+const outage = {
+  kind: 'category',
+  value: 'Outage',
+  custom_fields: [
+    { key: 'region', label: 'Region', type: 'select', options: ['North', 'South'], required: true },
+    { key: 'affected', label: 'Affected users', type: 'number', required: false }
+  ]
+};
+
+// Stored terms for categories and tags; issue and device types fall back to the defaults
+const stubTerms = (terms = [
+  outage,
+  { kind: 'category', value: 'Billing' },
+  { kind: 'issue_type', value: 'Fibre Cut', category: 'Outage' },
+  { kind: 'issue_type', value: 'Other' },
+  { kind: 'tag', value: 'vip' }
+]) => {
+  mock.method(TaxonomyTerm, 'find', () => ({ sort: () => ({ lean: async () => terms }) }));
+  mock.method(TaxonomyTerm, 'distinct', async () => [...new Set(terms.map(term => term.kind))]);
+};
+
+afterEach(() => mock.restoreAll());
+
+test('kinds without stored terms use the built-in values', async () => {
+  stubTerms([{ kind: 'tag', value: 'vip' }]);
+  const taxonomy = await getTicketTaxonomy();
+
+  assert.equal(taxonomy.categories[0].value, 'App');
+  assert.deepEqual(taxonomy.tags, [{ value: 'vip', label: 'vip', category: null, custom_fields: [] }]);
+});
+
+test('an issue type must belong to the ticket category', async () => {
+  stubTerms();
+
+  const { errors } = await validateTicketTaxonomy({ issue_type: 'Fibre Cut' }, { issue_category: 'Billing' });
+  assert.deepEqual(errors.map(error => error.field), ['issue_type']);
+
+  const ok = await validateTicketTaxonomy({ issue_type: 'Fibre Cut' }, { issue_category: 'Outage' });
+  assert.deepEqual(ok.errors, []);
+});
+
+test('unknown tags and categories are rejected', async () => {
+  stubTerms();
+  const { errors } = await validateTicketTaxonomy({ issue_category: 'Weather', tags: ['vip', 'urgent'] });
+
+  assert.deepEqual(errors.map(error => [error.field, error.code]), [
+    ['issue_category', 'invalid_value'],
+    ['tags', 'invalid_value']
+  ]);
+  assert.match(errors[1].detail, /urgent/);
+});
+
+test('custom fields are checked and coerced against the category', async () => {
+  stubTerms();
+
+  const ok = await validateTicketTaxonomy({ issue_category: 'Outage', custom_fields: { region: 'North', affected: '120' } });
+  assert.deepEqual(ok.errors, []);
+  assert.deepEqual(ok.custom_fields, { region: 'North', affected: 120 });
+
+  const bad = await validateTicketTaxonomy({ issue_category: 'Outage', custom_fields: { affected: 'many', colour: 'red' } });
+  assert.deepEqual(bad.errors.map(error => [error.field, error.code]), [
+    ['custom_fields.colour', 'unknown_field'],
+    ['custom_fields.region', 'required'],
+    ['custom_fields.affected', 'invalid_type']
+  ]);
+});
+
+test('changing the category drops the old custom field values', async () => {
+  stubTerms();
+  const result = await validateTicketTaxonomy(
+    { issue_category: 'Billing' },
+    { issue_category: 'Outage', custom_fields: { region: 'North' } }
+  );
+
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.custom_fields, {});
+});
@@ -0,0 +1,74 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Ticket } from '../src/models/tickets.js';
+import { TicketEvent } from '../src/models/ticket_events.js';
+import { diffTicket, recordTicketEvent, updateTicketWithHistory } from '../src/utils/ticketHistory.js';
+
+const actor = { user_id: 'u1', username: 'amina', employee_id: 7, name: 'Amina Yusuf' };
+
+afterEach(() => mock.restoreAll());
+
+test('diffTicket lists changed fields and skips bookkeeping', () => {
+  const changes = diffTicket(
+    { ticket_id: 1, priority: 'Low', agent_id: 3, updatedAt: new Date(1), follow_up_date: new Date(Date.UTC(2024, 5, 3)) },
+    { ticket_id: 1, priority: 'High', agent_id: 3, updatedAt: new Date(2), follow_up_date: new Date(Date.UTC(2024, 5, 3)), notes: 'Call back' }
+  );
+
+  assert.deepEqual(changes, [
+    { field: 'priority', before: 'Low', after: 'High' },
+    { field: 'notes', before: null, after: 'Call back' }
+  ]);
+});
+
+test('the history event diffs against the pre-image of the update itself', async () => {
+  const findOneAndUpdate = mock.method(Ticket, 'findOneAndUpdate', () => ({
+    lean: async () => ({ ticket_id: 12, priority: 'Low', resolution_status: 'Pending' })
+  }));
+  // A concurrent edit changed the status after ours; it is not in our pre-image
+  mock.method(Ticket, 'findOne', async () => ({
+    toObject: () => ({ ticket_id: 12, priority: 'High', resolution_status: 'Pending' })
+  }));
+  const create = mock.method(TicketEvent, 'create', async (event) => event);
+
+  const updated = await updateTicketWithHistory(12, { priority: 'High' }, { source: 'agent_edit', actor }, { runValidators: true });
+
+  assert.ok(updated);
+  assert.deepEqual(findOneAndUpdate.mock.calls[0].arguments, [
+    { ticket_id: 12 },
+    { priority: 'High' },
+    { runValidators: true, new: false }
+  ]);
+  const event = create.mock.calls[0].arguments[0];
+  assert.equal(event.source, 'agent_edit');
+  assert.deepEqual(event.changes, [{ field: 'priority', before: 'Low', after: 'High' }]);
+});
+
+test('a missing ticket is not updated or logged', async () => {
+  mock.method(Ticket, 'findOneAndUpdate', () => ({ lean: async () => null }));
+  const findOne = mock.method(Ticket, 'findOne', async () => null);
+  const create = mock.method(TicketEvent, 'create', async (event) => event);
+
+  assert.equal(await updateTicketWithHistory(99, { priority: 'High' }, { source: 'agent_edit', actor }), null);
+  assert.equal(findOne.mock.callCount(), 0);
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test('a deleted ticket gets a last event with its final values', async () => {
+  const create = mock.method(TicketEvent, 'create', async (event) => event);
+
+  const event = await recordTicketEvent({
+    ticketId: 31,
+    before: { ticket_id: 31, agent_id: 4, resolution_status: 'Pending', priority: 'High' },
+    after: null,
+    source: 'bulk_delete',
+    actor
+  });
+
+  assert.equal(create.mock.callCount(), 1);
+  assert.equal(event.source, 'bulk_delete');
+  assert.deepEqual(event.changes, [
+    { field: 'agent_id', before: 4, after: null },
+    { field: 'resolution_status', before: 'Pending', after: null },
+    { field: 'priority', before: 'High', after: null }
+  ]);
+});
@@ -0,0 +1,75 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Ticket } from '../src/models/tickets.js';
+import { findDuplicateCandidates, resolveTicketId } from '../src/utils/ticketMerge.js';
+
+// Ticket.findOne(...).select(...).lean() over a fixed set of tickets
+const stubTickets = (tickets) => mock.method(Ticket, 'findOne', ({ ticket_id }) => ({
+  select: () => ({ lean: async () => tickets.find(ticket => ticket.ticket_id === ticket_id) || null })
+}));
+
+afterEach(() => mock.restoreAll());
+
+test('an unmerged ticket resolves to itself', async () => {
+  stubTickets([{ ticket_id: 5, merged_into: null }]);
+  assert.equal(await resolveTicketId(5), 5);
+});
+
+test('merged tickets forward along the chain to the survivor', async () => {
+  const findOne = stubTickets([
+    { ticket_id: 3, merged_into: 8 },
+    { ticket_id: 8, merged_into: 12 },
+    { ticket_id: 12, merged_into: null }
+  ]);
+
+  assert.equal(await resolveTicketId(3), 12);
+  assert.equal(findOne.mock.callCount(), 3);
+});
+
+test('a missing ticket, or a chain into one, resolves to null', async () => {
+  stubTickets([{ ticket_id: 3, merged_into: 4 }]);
+  assert.equal(await resolveTicketId(1), null);
+  assert.equal(await resolveTicketId(3), null);
+});
+
+test('a redirect loop stops after a bounded number of hops', async () => {
+  const findOne = stubTickets([
+    { ticket_id: 1, merged_into: 2 },
+    { ticket_id: 2, merged_into: 1 }
+  ]);
+
+  assert.ok([1, 2].includes(await resolveTicketId(1)));
+  assert.equal(findOne.mock.callCount(), 10);
+});
+
+const stubCandidates = () => mock.method(Ticket, 'find', () => ({
+  select: () => ({ sort: () => ({ lean: async () => [] }) })
+}));
+
+test('duplicates are unmerged tickets from the same phone and category in the window', async () => {
+  const find = stubCandidates();
+  const createdAt = new Date('2024-06-03T12:00:00Z');
+
+  await findDuplicateCandidates({ ticket_id: 40, customer_phone: '0612345678', customer_id: 'c1', issue_category: 'IPTV', createdAt });
+
+  assert.deepEqual(find.mock.calls[0].arguments[0], {
+    merged_into: null,
+    ticket_id: { $ne: 40 },
+    customer_phone: '0612345678',
+    issue_category: 'IPTV',
+    createdAt: { $gte: new Date('2024-06-02T12:00:00Z'), $lte: createdAt }
+  });
+});
+
+test('email-only contacts are matched by customer', async () => {
+  const find = stubCandidates();
+  await findDuplicateCandidates({ ticket_id: 41, customer_id: 'c1', issue_category: 'IPTV' });
+  assert.equal(find.mock.calls[0].arguments[0].customer_id, 'c1');
+  assert.equal(find.mock.calls[0].arguments[0].customer_phone, undefined);
+});
+
+test('a ticket without a phone or customer has no duplicates', async () => {
+  const find = stubCandidates();
+  assert.deepEqual(await findDuplicateCandidates({ ticket_id: 42, issue_category: 'IPTV' }), []);
+  assert.equal(find.mock.callCount(), 0);
+});
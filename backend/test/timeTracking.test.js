@@ -0,0 +1,115 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { TimeEntry } from '../src/models/time_entries.js';
+import {
+  findOverlappingEntry, minutesBetween, parseDay, startOfWeek, stopLongTimers, stopTimer, timeEntriesCsv
+} from '../src/utils/timeTracking.js';
+
+const HOUR = 60 * 60 * 1000;
+const actor = { user_id: 'u1', username: 'amina', employee_id: 7, name: 'Amina Yusuf' };
+const started = new Date('2024-06-03T08:00:00Z');
+const later = (hours) => new Date(started.getTime() + hours * HOUR);
+
+// finishEntry's conditional update, returning the stopped entry
+const stubFinish = () => mock.method(TimeEntry, 'findOneAndUpdate', (filter, update) => ({
+  lean: async () => ({ time_entry_id: filter.time_entry_id, ...update })
+}));
+
+afterEach(() => mock.restoreAll());
+
+test('days are read as local dates and must exist', () => {
+  assert.deepEqual(parseDay('2024-06-03'), new Date(2024, 5, 3));
+  assert.equal(parseDay('2024-02-30'), null);
+  assert.equal(parseDay('3 June'), null);
+  assert.equal(parseDay(undefined), null);
+});
+
+test('weeks start on Monday', () => {
+  assert.deepEqual(startOfWeek(new Date(2024, 5, 9, 18)), new Date(2024, 5, 3));
+  assert.deepEqual(startOfWeek(new Date(2024, 5, 3)), new Date(2024, 5, 3));
+});
+
+test('minutes are rounded and never negative', () => {
+  assert.equal(minutesBetween(started, new Date(started.getTime() + 90 * 1000)), 2);
+  assert.equal(minutesBetween(later(1), started), 0);
+});
+
+test('stopping a timer ends it now', async () => {
+  mock.method(TimeEntry, 'findOne', () => ({ lean: async () => ({ time_entry_id: 3, started_at: started, ended_at: null }) }));
+  const finish = stubFinish();
+
+  const entry = await stopTimer(7, actor, later(2.5));
+
+  assert.deepEqual(finish.mock.calls[0].arguments[0], { time_entry_id: 3, ended_at: null });
+  assert.deepEqual(entry, { time_entry_id: 3, ended_at: later(2.5), minutes: 150, updated_by: actor });
+});
+
+test('a timer stopped after more than 24 hours ends at 24 hours', async () => {
+  mock.method(TimeEntry, 'findOne', () => ({ lean: async () => ({ time_entry_id: 3, started_at: started, ended_at: null }) }));
+  stubFinish();
+
+  const entry = await stopTimer(7, actor, later(60));
+
+  assert.deepEqual(entry.ended_at, later(24));
+  assert.equal(entry.minutes, 24 * 60);
+});
+
+test('stopping without a running timer does nothing', async () => {
+  mock.method(TimeEntry, 'findOne', () => ({ lean: async () => null }));
+  const finish = stubFinish();
+
+  assert.equal(await stopTimer(7, actor), null);
+  assert.equal(finish.mock.callCount(), 0);
+});
+
+test('the scheduler stops timers at 24 hours, skipping ones stopped meanwhile', async () => {
+  const find = mock.method(TimeEntry, 'find', () => ({
+    lean: async () => [
+      { time_entry_id: 1, started_at: started },
+      { time_entry_id: 2, started_at: later(-5) }
+    ]
+  }));
+  const finish = mock.method(TimeEntry, 'findOneAndUpdate', (filter, update) => ({
+    lean: async () => (filter.time_entry_id === 2 ? null : { ...filter, ...update })
+  }));
+
+  assert.equal(await stopLongTimers(later(30)), 1);
+  assert.deepEqual(find.mock.calls[0].arguments[0], { ended_at: null, started_at: { $lte: later(6) } });
+  assert.deepEqual(finish.mock.calls.map(call => call.arguments[1].ended_at), [later(24), later(19)]);
+  assert.equal(finish.mock.calls[0].arguments[1].updated_by, null);
+});
+
+test('an overlap is any other entry sharing time, a running timer included', async () => {
+  const findOne = mock.method(TimeEntry, 'findOne', () => ({ lean: async () => null }));
+
+  await findOverlappingEntry(7, started, later(1), 4);
+  await findOverlappingEntry(7, started, later(1));
+
+  assert.deepEqual(findOne.mock.calls[0].arguments[0], {
+    employee_id: 7,
+    time_entry_id: { $ne: 4 },
+    started_at: { $lt: later(1) },
+    $or: [{ ended_at: { $gt: started } }, { ended_at: null }]
+  });
+  assert.equal(findOne.mock.calls[1].arguments[0].time_entry_id, undefined);
+});
+
+test('the CSV export skips running timers and defuses formulas', () => {
+  const csv = timeEntriesCsv(
+    [
+      {
+        employee_id: 7, started_at: started, ended_at: later(1.5), minutes: 90, subject_type: 'ticket',
+        subject_id: 12, subject_title: 'Ticket #0012 - IPTV', source: 'timer', note: '=HYPERLINK("x"), then "call"'
+      },
+      { employee_id: 7, started_at: later(2), ended_at: null, minutes: 0, subject_type: 'task', subject_id: 1 }
+    ],
+    new Map([[7, { name: 'Amina Yusuf' }]]),
+    new Map()
+  );
+
+  const rows = csv.split('\r\n');
+  assert.equal(rows.length, 2);
+  assert.ok(rows[0].startsWith('employee_id,employee_name,week_start,timesheet_status'));
+  assert.ok(rows[1].includes(',90,1.50,ticket,12,Ticket #0012 - IPTV,timer,'));
+  assert.ok(rows[1].endsWith(`,"'=HYPERLINK(""x""), then ""call"""`));
+});
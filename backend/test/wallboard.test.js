@@ -0,0 +1,129 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Ticket } from '../src/models/tickets.js';
+import { FollowUp } from '../src/models/follow_ups.js';
+import { Employee } from '../src/models/employees.js';
+import { AgentPresence } from '../src/models/agent_presence.js';
+import { DisplayToken } from '../src/models/display_tokens.js';
+import { onLiveEvent } from '../src/utils/liveEvents.js';
+import { ticketCountsPipeline } from '../src/utils/ticketStats.js';
+import { buildWallboard, refreshWallboard, stopWallboardFeed } from '../src/utils/wallboard.js';
+import { createDisplayToken, findDisplayToken } from '../src/utils/displayTokens.js';
+
+const MINUTE = 60 * 1000;
+const now = new Date('2024-06-03T12:00:00Z');
+
+// Aggregation results for the open tickets ($facet) and today's tickets
+function stubFloor({ open, today = [], followUps = [] }) {
+  mock.method(Ticket, 'aggregate', async (pipeline) => (pipeline[1].$facet ? [open] : today));
+  mock.method(FollowUp, 'aggregate', async () => followUps);
+  // Workspace presence: employee 12 is on, and every agent looked up is available
+  mock.method(AgentPresence, 'find', (filter) => ({
+    select: () => ({ lean: async () => [{ employee_id: 12 }] }),
+    lean: async () => filter.employee_id.$in.map(employee_id => ({ employee_id, status: 'available' }))
+  }));
+  mock.method(Employee, 'find', () => ({
+    select: () => ({ lean: async () => [{ employee_id: 7, name: 'Amina Yusuf' }, { employee_id: 9, name: 'Omar Ali' }] })
+  }));
+}
+
+const floor = {
+  open: {
+    totals: [{ open: 5, pending: 3, in_progress: 2, unassigned: 1, sla_breached: 1, sla_at_risk: 2 }],
+    by_agent: [
+      { _id: 7, open: 2, pending: 1, in_progress: 1, sla_breached: 0 },
+      { _id: 9, open: 2, pending: 2, in_progress: 0, sla_breached: 1 }
+    ],
+    oldest_waiting: [{ ticket_id: 40, agent_id: 9, issue_category: 'IPTV', priority: 'High', createdAt: new Date(now - 95 * MINUTE) }]
+  },
+  today: [{ _id: null, tickets: 8, fcr: 3 }],
+  followUps: [{ _id: 7, scheduled: 3, due: 1 }, { _id: null, scheduled: 2, due: 2 }]
+};
+
+afterEach(() => {
+  stopWallboardFeed();
+  mock.restoreAll();
+});
+
+test('ticket counts leave merged tickets out', () => {
+  assert.deepEqual(ticketCountsPipeline({ agent_id: 7 }, '$agent_id', { resolved: 'completed' }), [
+    { $match: { agent_id: 7, merged_into: null } },
+    { $group: { _id: '$agent_id', resolved: { $sum: { $cond: [{ $eq: ['$resolution_status', 'Completed'] }, 1, 0] } } } }
+  ]);
+});
+
+test('the wallboard sums up the floor', async () => {
+  stubFloor(floor);
+  const board = await buildWallboard(now);
+
+  assert.deepEqual(board.tickets, { open: 5, pending: 3, in_progress: 2, unassigned: 1 });
+  assert.deepEqual(board.sla, { breached: 1, at_risk: 2 });
+  assert.equal(board.oldest_waiting.agent_name, 'Omar Ali');
+  assert.equal(board.oldest_waiting.waiting_minutes, 95);
+  assert.deepEqual(board.follow_ups, { due: 3, scheduled: 5, unassigned_due: 2 });
+  assert.deepEqual(board.fcr_today, { tickets: 8, first_contact_resolved: 3, rate: 37.5 });
+  // Busiest first, then by name; a present agent without work is listed too
+  assert.deepEqual(board.agents.map(agent => [agent.name, agent.open, agent.follow_ups_due]), [
+    ['Amina Yusuf', 2, 1],
+    ['Omar Ali', 2, 0],
+    ['#12', 0, 0]
+  ]);
+});
+
+test('an empty floor has no rate and no oldest ticket', async () => {
+  stubFloor({ open: { totals: [], by_agent: [], oldest_waiting: [] } });
+  const board = await buildWallboard(now);
+
+  assert.equal(board.tickets.open, 0);
+  assert.equal(board.oldest_waiting, null);
+  assert.equal(board.fcr_today.rate, null);
+});
+
+test('only the sections that changed are pushed to wallboards', async () => {
+  const patches = [];
+  const stop = onLiveEvent((channel, key, type, data) => {
+    if (type === 'wallboard.patch') patches.push(Object.keys(data.changes));
+  });
+
+  // No waiting ticket, whose waiting time would change with the clock
+  const open = { ...floor.open, oldest_waiting: [] };
+  stubFloor({ ...floor, open });
+  await refreshWallboard();
+  await refreshWallboard();
+  mock.method(Ticket, 'aggregate', async (pipeline) => (pipeline[1].$facet ? [open] : [{ _id: null, tickets: 9, fcr: 4 }]));
+  await refreshWallboard();
+  stop();
+
+  assert.deepEqual(patches, [['fcr_today']]);
+});
+
+test('a display token only works for its scopes until it expires or is revoked', async () => {
+  const records = [];
+  mock.method(DisplayToken, 'create', async (fields) => {
+    records.push({ _id: 'd1', ...fields, revoked_at: null, last_used_at: null });
+    return { toObject: () => records[0] };
+  });
+  mock.method(DisplayToken, 'findOne', (filter) => ({
+    lean: async () => records.find(record => record.token_hash === filter.token_hash && record.revoked_at === filter.revoked_at) || null
+  }));
+  const touch = mock.method(DisplayToken, 'updateOne', async () => ({}));
+
+  const { token, record } = await createDisplayToken({ name: 'Support floor TV', actor: { username: 'amina' } });
+
+  assert.match(token, /^dsp_/);
+  assert.equal(record.token_hash, undefined);
+  assert.equal(record.token_prefix, token.slice(0, 10));
+  assert.notEqual(records[0].token_hash, token);
+
+  assert.equal((await findDisplayToken(token, 'wallboard'))._id, 'd1');
+  assert.equal(touch.mock.callCount(), 1);
+  assert.equal(await findDisplayToken(token, 'reports'), null);
+  assert.equal(await findDisplayToken(token.replace('dsp_', 'api_'), 'wallboard'), null);
+  assert.equal(await findDisplayToken('dsp_guess', 'wallboard'), null);
+
+  records[0].expires_at = new Date(Date.now() - 1000);
+  assert.equal(await findDisplayToken(token, 'wallboard'), null);
+  records[0].expires_at = null;
+  records[0].revoked_at = new Date();
+  assert.equal(await findDisplayToken(token, 'wallboard'), null);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkTransition, allowedTransitions } from '../src/utils/workflows.js';
+
+const workflow = {
+  key: 'task',
+  initial_state: 'Pending',
+  states: [
+    { key: 'Pending', category: 'todo' },
+    { key: 'In Progress', category: 'in_progress' },
+    { key: 'Review', category: 'in_progress' },
+    { key: 'Completed', category: 'done' }
+  ],
+  transitions: [
+    { from: ['Pending'], to: 'In Progress', label: 'Start', required_fields: [], roles: [] },
+    { from: ['In Progress'], to: 'Review', label: null, required_fields: [], roles: [] },
+    { from: ['Review'], to: 'Completed', label: 'Approve', required_fields: ['resolution_note'], roles: ['manager'] },
+    // Admins may close anything without a note
+    { from: [], to: 'Completed', label: 'Close', required_fields: [], roles: ['admin'] },
+    { from: ['In Progress', 'Review'], to: 'Pending', label: null, required_fields: [], roles: [] }
+  ]
+};
+
+const check = (from, to, roles = [], values = {}) => checkTransition(workflow, { from, to, roles, values });
+
+test('allows a listed transition', () => {
+  assert.equal(check('Pending', 'In Progress'), null);
+});
+
+test('staying in the same state is not a transition', () => {
+  assert.equal(check('Review', 'Review'), null);
+});
+
+test('rejects an unknown state with 400', () => {
+  const result = check('Pending', 'Archived');
+  assert.equal(result.status, 400);
+  assert.equal(result.error.code, 'UNKNOWN_STATE');
+  assert.deepEqual(result.error.allowed_states, ['In Progress']);
+});
+
+test('rejects a move with no transition with 409', () => {
+  const result = check('Pending', 'Review');
+  assert.equal(result.status, 409);
+  assert.equal(result.error.code, 'INVALID_TRANSITION');
+  assert.deepEqual(result.error.allowed_transitions, [
+    { to: 'In Progress', label: 'Start', required_fields: [] }
+  ]);
+});
+
+test('rejects a transition limited to other roles with 403', () => {
+  const result = check('Review', 'Completed', ['agent'], { resolution_note: 'Done' });
+  assert.equal(result.status, 403);
+  assert.equal(result.error.code, 'TRANSITION_FORBIDDEN');
+});
+
+test('asks for the required fields with 400', () => {
+  const result = check('Review', 'Completed', ['manager'], { resolution_note: '  ' });
+  assert.equal(result.status, 400);
+  assert.equal(result.error.code, 'TRANSITION_FIELDS_REQUIRED');
+  assert.deepEqual(result.error.errors.map(error => error.field), ['resolution_note']);
+
+  assert.equal(check('Review', 'Completed', ['manager'], { resolution_note: 'Deployed' }), null);
+});
+
+test('any permitted transition with its fields filled in will do', () => {
+  // The admin transition needs no note
+  assert.equal(check('Review', 'Completed', ['manager', 'admin']), null);
+});
+
+test('an empty from list leaves every state', () => {
+  assert.equal(check('Pending', 'Completed', ['admin']), null);
+});
+
+test('lists the moves a role can make, without the current state', () => {
+  assert.deepEqual(allowedTransitions(workflow, 'Review', ['agent']).map(move => move.to), ['Pending']);
+  assert.deepEqual(allowedTransitions(workflow, 'Review', ['manager']).map(move => move.to), ['Completed', 'Pending']);
+  assert.deepEqual(allowedTransitions(workflow, 'Completed', ['admin']), []);
+});
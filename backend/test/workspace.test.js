@@ -0,0 +1,95 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Ticket } from '../src/models/tickets.js';
+import { FollowUp } from '../src/models/follow_ups.js';
+import { AgentPresence } from '../src/models/agent_presence.js';
+import { onLiveEvent, publishTicketChange } from '../src/utils/liveEvents.js';
+import { setPresence } from '../src/utils/presence.js';
+import { getAgentQueue } from '../src/utils/workspace.js';
+
+// Published events as [channel, key, type]
+function captureEvents() {
+  const events = [];
+  const stop = onLiveEvent((channel, key, type, data) => events.push([channel, key, type, data]));
+  return { events, stop, types: () => events.map(([channel, key, type]) => [channel, key, type]) };
+}
+
+afterEach(() => mock.restoreAll());
+
+test('a reassigned ticket reaches the new agent, the previous one and the supervisors', () => {
+  const { stop, types, events } = captureEvents();
+  publishTicketChange({ ticket_id: 4, agent_id: 7, resolution_status: 'Pending' }, { ticket_id: 4, agent_id: 9, resolution_status: 'Pending' }, 'agent_edit');
+  stop();
+
+  assert.deepEqual(types(), [
+    ['agent', 9, 'ticket.assigned'],
+    ['agent', 7, 'ticket.unassigned'],
+    ['team', undefined, 'queue.changed']
+  ]);
+  assert.deepEqual(events[2][3], { agent_ids: [7, 9] });
+  assert.equal(events[0][3].ticket.customer_phone, null);
+});
+
+test('created, reopened and deleted tickets get their own events', () => {
+  const { stop, types } = captureEvents();
+  publishTicketChange(null, { ticket_id: 5, agent_id: 7 }, 'create');
+  publishTicketChange({ ticket_id: 5, agent_id: 7, resolution_status: 'Completed' }, { ticket_id: 5, agent_id: 7, resolution_status: 'Pending' }, 'agent_edit');
+  publishTicketChange({ ticket_id: 5, agent_id: 7 }, null, 'delete');
+  publishTicketChange({ ticket_id: 6, agent_id: null }, null, 'bulk_delete');
+  stop();
+
+  assert.deepEqual(types().filter(([channel]) => channel === 'agent'), [
+    ['agent', 7, 'ticket.created'],
+    ['agent', 7, 'ticket.reopened'],
+    ['agent', 7, 'ticket.deleted']
+  ]);
+  assert.equal(types().filter(([channel]) => channel === 'team').length, 4);
+});
+
+test('setting the current presence again keeps its start and sends nothing', async () => {
+  const since = new Date('2024-06-03T09:00:00Z');
+  mock.method(AgentPresence, 'findOne', () => ({ lean: async () => ({ employee_id: 7, status: 'available', since, reason: 'manual' }) }));
+  const update = mock.method(AgentPresence, 'findOneAndUpdate', () => ({ lean: async () => null }));
+  const { stop, events } = captureEvents();
+
+  const presence = await setPresence(7, 'available');
+  stop();
+
+  assert.deepEqual(presence, { employee_id: 7, status: 'available', since, reason: 'manual' });
+  assert.equal(update.mock.callCount(), 0);
+  assert.equal(events.length, 0);
+});
+
+test('a presence change is saved and sent to the agent and the supervisors', async () => {
+  mock.method(AgentPresence, 'findOne', () => ({ lean: async () => null }));
+  mock.method(AgentPresence, 'findOneAndUpdate', (filter, update) => ({ lean: async () => ({ ...filter, ...update }) }));
+  const { stop, types } = captureEvents();
+
+  const presence = await setPresence(7, 'break', { reason: 'manual' });
+  stop();
+
+  assert.equal(presence.status, 'break');
+  assert.deepEqual(types(), [['agent', 7, 'presence.changed'], ['team', undefined, 'presence.changed']]);
+});
+
+test('the queue puts breached and soonest-due tickets first, then priority and age', async () => {
+  const ticket = (ticket_id, sla, priority, createdAt) => ({ ticket_id, sla, priority, createdAt: new Date(createdAt) });
+  mock.method(Ticket, 'find', () => ({
+    select: () => ({
+      lean: async () => [
+        ticket(1, { state: 'on_track', next_due_at: '2024-06-03T12:00:00Z' }, 'Low', '2024-06-03T08:00:00Z'),
+        ticket(2, null, 'Urgent', '2024-06-03T07:00:00Z'),
+        ticket(3, { state: 'breached', next_due_at: '2024-06-03T09:00:00Z' }, 'Low', '2024-06-03T08:30:00Z'),
+        ticket(4, { state: 'on_track', next_due_at: '2024-06-03T10:00:00Z' }, 'Low', '2024-06-03T08:00:00Z'),
+        ticket(5, null, 'Urgent', '2024-06-03T06:00:00Z'),
+        ticket(6, null, 'Low', '2024-06-03T05:00:00Z')
+      ]
+    })
+  }));
+  mock.method(FollowUp, 'find', () => ({ sort: () => ({ limit: () => ({ lean: async () => [] }) }) }));
+
+  const queue = await getAgentQueue(7);
+
+  assert.deepEqual(queue.tickets.map(item => item.ticket_id), [3, 4, 1, 5, 2, 6]);
+  assert.deepEqual(queue.follow_ups, []);
+});
@@ -1,11 +1,28 @@
-import { Col, Row } from 'react-bootstrap';
+import { useEffect, useState } from 'react';
+import { Badge, Card, Col, Row, Table } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
 import PageMetaData from '@/components/PageTitle';
+import { supportApi } from '@/lib/api';
+
+const statusVariants = {
+  investigating: 'danger',
+  identified: 'warning',
+  monitoring: 'info'
+};
 
 export default function SupportDashboard() {
+  const [incidents, setIncidents] = useState([]);
+
+  useEffect(() => {
+    supportApi.getIncidents({ status: 'active', limit: 10 })
+      .then(response => setIncidents(response.data || []))
+      .catch(err => console.error('Failed to load incidents:', err));
+  }, []);
+
   return (
     <>
       <PageMetaData title="Customer Support Dashboard" />
-      
+
       <Row>
         <Col>
           <div className="card">
@@ -21,6 +38,52 @@ export default function SupportDashboard() {
           </div>
         </Col>
       </Row>
+
+      <Row>
+        <Col>
+          <Card>
+            <Card.Header className="d-flex justify-content-between align-items-center">
+              <h5 className="mb-0">Active Incidents</h5>
+              <Link to="/support/incidents">All incidents</Link>
+            </Card.Header>
+            <Card.Body>
+              {incidents.length === 0 ? (
+                <p className="text-muted text-center mb-0">No active incidents</p>
+              ) : (
+                <Table responsive size="sm" className="mb-0">
+                  <thead>
+                    <tr>
+                      <th>Incident</th>
+                      <th>Status</th>
+                      <th>Since</th>
+                      <th className="text-end">Tickets</th>
+                      <th className="text-end">Open</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {incidents.map(incident => (
+                      <tr key={incident.incident_id}>
+                        <td>
+                          #{incident.incident_id} {incident.title}
+                          <div className="text-muted small">
+                            {[...incident.affected_categories, ...incident.affected_regions].join(', ')}
+                          </div>
+                        </td>
+                        <td>
+                          <Badge bg={statusVariants[incident.status] || 'secondary'} className="text-capitalize">{incident.status}</Badge>
+                        </td>
+                        <td>{new Date(incident.started_at).toLocaleString()}</td>
+                        <td className="text-end">{incident.tickets}</td>
+                        <td className="text-end">{incident.open_tickets}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
     </>
   );
 }
@@ -1,26 +1,19 @@
 import { Col, Row } from 'react-bootstrap';
 import PageMetaData from '@/components/PageTitle';
+import TaskBoard from '../components/TaskBoard';
 
 export default function AllOperations() {
   return (
     <>
       <PageMetaData title="All Operations" />
-      
-      <Row>
+
+      <Row className="mb-3">
         <Col>
-          <div className="card">
-            <div className="card-body text-center">
-              <h1 className="display-4 mb-4">All Operations</h1>
-              <p className="lead">
-                Comprehensive view of all operational activities and tasks.
-              </p>
-              <p className="text-muted">
-                This page will contain all operational tasks, cross-department activities, and system-wide operational metrics.
-              </p>
-            </div>
-          </div>
+          <h4 className="mb-0">All Operations</h4>
         </Col>
       </Row>
+
+      <TaskBoard scope="all" />
     </>
   );
 }
@@ -0,0 +1,320 @@
+import { useEffect, useState, useRef } from 'react';
+import { Card, Badge, Form, Row, Col, Button, Spinner, Alert, ProgressBar } from 'react-bootstrap';
+import Swal from 'sweetalert2';
+import IconifyIcon from '@/components/wrappers/IconifyIcon';
+import { operationsApi, managementApi } from '@/lib/api';
+
+const PRIORITIES = ['Low', 'Medium', 'High'];
+const priorityVariants = { High: 'danger', Medium: 'warning', Low: 'secondary' };
+
+// Fields the board can ask for when a transition requires them
+const promptableFields = {
+  resolution_note: 'Resolution note',
+  description: 'Description'
+};
+
+const formatDue = (date) => (date ? new Date(date).toLocaleDateString() : null);
+
+const wipVariant = (wip) => {
+  if (wip.limit === null) return 'light';
+  if (wip.exceeded) return 'danger';
+  return wip.count >= wip.limit ? 'warning' : 'light';
+};
+
+const assigneeName = (task) => task.assigned_to_user?.employee?.name || task.assigned_to_user?.username || null;
+
+// Ask for the fields a transition needs; null when the user cancels
+async function promptForFields(errors) {
+  const fields = {};
+  for (const { field } of errors) {
+    if (!promptableFields[field]) return null;
+    const result = await Swal.fire({
+      title: promptableFields[field],
+      input: 'textarea',
+      inputValidator: value => (!value.trim() ? 'Required for this move' : undefined),
+      showCancelButton: true,
+      confirmButtonText: 'Move'
+    });
+    if (!result.isConfirmed) return null;
+    fields[field] = result.value.trim();
+  }
+  return fields;
+}
+
+const moveErrorText = (err) => {
+  const error = err.response?.error;
+  if (error?.allowed_states?.length) return `${err.message}. Allowed next: ${error.allowed_states.join(', ')}.`;
+  if (error?.blockers?.length) return `${err.message}: ${error.blockers.map(task => `#${task.task_id} ${task.title}`).join(', ')}`;
+  return err.message;
+};
+
+/**
+ * Kanban board of tasks, one column per workflow state. Cards are dragged
+ * between and within columns; the server checks the transition and WIP limit.
+ * @param {{scope: 'all'|'mine'}} props
+ */
+const TaskBoard = ({ scope }) => {
+  const [columns, setColumns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [filters, setFilters] = useState({ assigned_to: '', department_id: '', priority: '' });
+  const [departments, setDepartments] = useState([]);
+  const [assignees, setAssignees] = useState(new Map());
+  const [dropTarget, setDropTarget] = useState(null);
+  const [timer, setTimer] = useState(null);
+  const dragged = useRef(null);
+
+  const loadBoard = async () => {
+    try {
+      const params = { scope };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+      const response = await operationsApi.getTaskBoard(params);
+      setColumns(response.data.columns);
+      setError(null);
+
+      // Assignees seen so far, for the filter
+      setAssignees(previous => {
+        const next = new Map(previous);
+        response.data.columns.forEach(column => column.tasks.forEach(task => {
+          if (task.assigned_to && assigneeName(task)) next.set(task.assigned_to, assigneeName(task));
+        }));
+        return next;
+      });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadBoard();
+  }, [scope, filters]);
+
+  useEffect(() => {
+    operationsApi.getTimer()
+      .then(response => setTimer(response.data))
+      .catch(() => setTimer(null));
+    managementApi.getDepartments()
+      .then(response => setDepartments(response.data || []))
+      .catch(() => setDepartments([]));
+  }, []);
+
+  const moveTask = async (task, status, afterTaskId, fields = {}) => {
+    try {
+      const response = await operationsApi.moveTask(task.task_id, {
+        from_status: task.status,
+        status,
+        after_task_id: afterTaskId,
+        fields
+      });
+      response.meta?.warnings?.forEach(warning => {
+        Swal.fire({ toast: true, position: 'top-end', icon: 'warning', title: warning.message, showConfirmButton: false, timer: 4000 });
+      });
+    } catch (err) {
+      const code = err.response?.error?.code;
+      if (code === 'TRANSITION_FIELDS_REQUIRED') {
+        const values = await promptForFields(err.errors || []);
+        if (values) return moveTask(task, status, afterTaskId, { ...fields, ...values });
+      } else {
+        Swal.fire({ title: code === 'WIP_LIMIT_REACHED' ? 'Column is full' : 'Cannot move task', text: moveErrorText(err), icon: 'error' });
+      }
+    }
+    loadBoard();
+  };
+
+  // One timer per person; starting one on another card stops the running one
+  const toggleTimer = async (task) => {
+    try {
+      if (timer?.subject_type === 'task' && timer.subject_id === task.task_id) {
+        await operationsApi.stopTimer();
+        setTimer(null);
+      } else {
+        const response = await operationsApi.startTimer('task', task.task_id);
+        setTimer(response.data);
+      }
+    } catch (err) {
+      Swal.fire({ title: 'Timer', text: err.message, icon: 'error' });
+    }
+  };
+
+  const handleDragOver = (e, status, afterTaskId) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (dropTarget?.status !== status || dropTarget?.afterTaskId !== afterTaskId) setDropTarget({ status, afterTaskId });
+  };
+
+  // Top half of a card drops above it, bottom half below it
+  const handleCardDragOver = (e, column, index) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const above = e.clientY < rect.top + rect.height / 2;
+    const afterTask = above ? column.tasks[index - 1] : column.tasks[index];
+    handleDragOver(e, column.key, afterTask ? afterTask.task_id : null);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    const task = dragged.current;
+    const target = dropTarget;
+    dragged.current = null;
+    setDropTarget(null);
+    if (!task || !target || target.afterTaskId === task.task_id) return;
+    moveTask(task, target.status, target.afterTaskId);
+  };
+
+  const timing = (task) => timer?.subject_type === 'task' && timer.subject_id === task.task_id;
+
+  const isDropTarget = (status, afterTaskId) => dropTarget?.status === status && dropTarget?.afterTaskId === afterTaskId;
+
+  const renderCard = (column, task, index) => (
+    <div
+      key={task.task_id}
+      draggable
+      onDragStart={() => { dragged.current = task; }}
+      onDragEnd={() => setDropTarget(null)}
+      onDragOver={(e) => handleCardDragOver(e, column, index)}
+      className="mb-2"
+      style={{ cursor: 'grab' }}
+    >
+      <Card className={`mb-0 shadow-sm ${task.is_blocked ? 'border border-danger' : ''}`}>
+        <Card.Body className="p-2">
+          <div className="d-flex justify-content-between align-items-start mb-1">
+            <span className="text-muted small">#{task.task_id}</span>
+            <span className="d-flex align-items-center gap-1">
+              <Button
+                variant="link"
+                size="sm"
+                className={`p-0 lh-1 ${timing(task) ? 'text-danger' : 'text-muted'}`}
+                title={timing(task) ? 'Stop timer' : 'Start timer'}
+                onClick={() => toggleTimer(task)}
+              >
+                <IconifyIcon icon={timing(task) ? 'bx:stop-circle' : 'bx:play-circle'} />
+              </Button>
+              <Badge bg={priorityVariants[task.priority] || 'secondary'}>{task.priority}</Badge>
+            </span>
+          </div>
+          <div className="fw-semibold mb-1">{task.title}</div>
+          {task.progress > 0 && <ProgressBar now={task.progress} style={{ height: 4 }} className="mb-1" />}
+          <div className="d-flex flex-wrap gap-2 small text-muted">
+            {assigneeName(task) && (
+              <span><IconifyIcon icon="bx:user" className="me-1" />{assigneeName(task)}</span>
+            )}
+            {formatDue(task.due_date) && (
+              <span><IconifyIcon icon="bx:calendar" className="me-1" />{formatDue(task.due_date)}</span>
+            )}
+            {task.checklist_total > 0 && (
+              <span><IconifyIcon icon="bx:check-square" className="me-1" />{task.checklist_done}/{task.checklist_total}</span>
+            )}
+            {task.is_blocked && <span className="text-danger"><IconifyIcon icon="bx:block" className="me-1" />Blocked</span>}
+            {task.template_id && <span><IconifyIcon icon="bx:revision" className="me-1" />Recurring</span>}
+          </div>
+        </Card.Body>
+      </Card>
+      {isDropTarget(column.key, task.task_id) && <div className="border-top border-2 border-primary mt-2" />}
+    </div>
+  );
+
+  return (
+    <>
+      <Card className="mb-3">
+        <Card.Body>
+          <Row className="g-2 align-items-end">
+            {scope === 'all' && (
+              <Col md={3}>
+                <Form.Label className="small mb-1">Assignee</Form.Label>
+                <Form.Select
+                  size="sm"
+                  value={filters.assigned_to}
+                  onChange={(e) => setFilters({ ...filters, assigned_to: e.target.value })}
+                >
+                  <option value="">Anyone</option>
+                  {[...assignees.entries()].map(([id, name]) => (
+                    <option key={id} value={id}>{name}</option>
+                  ))}
+                </Form.Select>
+              </Col>
+            )}
+            <Col md={3}>
+              <Form.Label className="small mb-1">Department</Form.Label>
+              <Form.Select
+                size="sm"
+                value={filters.department_id}
+                onChange={(e) => setFilters({ ...filters, department_id: e.target.value })}
+              >
+                <option value="">All departments</option>
+                {departments.map(department => (
+                  <option key={department._id} value={department._id}>{department.name}</option>
+                ))}
+              </Form.Select>
+            </Col>
+            <Col md={3}>
+              <Form.Label className="small mb-1">Priority</Form.Label>
+              <Form.Select
+                size="sm"
+                value={filters.priority}
+                onChange={(e) => setFilters({ ...filters, priority: e.target.value })}
+              >
+                <option value="">Any priority</option>
+                {PRIORITIES.map(priority => <option key={priority} value={priority}>{priority}</option>)}
+              </Form.Select>
+            </Col>
+            <Col md={3} className="text-md-end">
+              <Button variant="outline-secondary" size="sm" onClick={loadBoard}>
+                <IconifyIcon icon="bx:refresh" className="me-1" />
+                Refresh
+              </Button>
+            </Col>
+          </Row>
+        </Card.Body>
+      </Card>
+
+      {error && <Alert variant="danger">{error}</Alert>}
+
+      {loading ? (
+        <div className="text-center py-5"><Spinner animation="border" /></div>
+      ) : (
+        <div className="d-flex gap-3 overflow-auto pb-2">
+          {columns.map(column => (
+            <div
+              key={column.key}
+              className="flex-shrink-0"
+              style={{ width: 300 }}
+              onDragOver={(e) => handleDragOver(e, column.key, column.tasks.at(-1)?.task_id ?? null)}
+              onDrop={handleDrop}
+            >
+              <Card className={`h-100 bg-light-subtle ${column.wip.exceeded ? 'border border-danger' : ''}`}>
+                <Card.Header className="d-flex justify-content-between align-items-center">
+                  <span className="fw-semibold">{column.label}</span>
+                  <span>
+                    <Badge bg="secondary" className="me-1">{column.total}</Badge>
+                    {column.wip.limit !== null && (
+                      <Badge
+                        bg={wipVariant(column.wip)}
+                        text={wipVariant(column.wip) === 'light' ? 'dark' : undefined}
+                        title={`WIP limit (${column.wip.policy === 'block' ? 'enforced' : 'warning only'})`}
+                      >
+                        {column.wip.count}/{column.wip.limit}
+                      </Badge>
+                    )}
+                  </span>
+                </Card.Header>
+                <Card.Body className="p-2" style={{ minHeight: 200 }}>
+                  {isDropTarget(column.key, null) && <div className="border-top border-2 border-primary mb-2" />}
+                  {column.tasks.map((task, index) => renderCard(column, task, index))}
+                  {column.tasks.length === 0 && <p className="text-muted small text-center my-4">No tasks</p>}
+                  {column.total > column.tasks.length && (
+                    <p className="text-muted small text-center mb-0">+{column.total - column.tasks.length} more</p>
+                  )}
+                </Card.Body>
+              </Card>
+            </div>
+          ))}
+        </div>
+      )}
+    </>
+  );
+};
+
+export default TaskBoard;
@@ -1,26 +1,19 @@
 import { Col, Row } from 'react-bootstrap';
 import PageMetaData from '@/components/PageTitle';
+import TaskBoard from '../components/TaskBoard';
 
 export default function MyOperations() {
   return (
     <>
       <PageMetaData title="My Operations" />
-      
-      <Row>
+
+      <Row className="mb-3">
         <Col>
-          <div className="card">
-            <div className="card-body text-center">
-              <h1 className="display-4 mb-4">My Operations</h1>
-              <p className="lead">
-                Personal operational tasks and assigned responsibilities.
-              </p>
-              <p className="text-muted">
-                This page will contain user-specific tasks, personal workflow management, and individual performance tracking.
-              </p>
-            </div>
-          </div>
+          <h4 className="mb-0">My Operations</h4>
         </Col>
       </Row>
+
+      <TaskBoard scope="mine" />
     </>
   );
 }
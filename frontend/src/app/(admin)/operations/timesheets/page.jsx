@@ -0,0 +1,521 @@
+import { useEffect, useState } from 'react';
+import { Card, Badge, Form, Row, Col, Button, Spinner, Alert, Table } from 'react-bootstrap';
+import Swal from 'sweetalert2';
+import PageMetaData from '@/components/PageTitle';
+import IconifyIcon from '@/components/wrappers/IconifyIcon';
+import { operationsApi } from '@/lib/api';
+
+const SUBJECT_TYPES = [
+  { value: 'task', label: 'Task' },
+  { value: 'ticket', label: 'Ticket' },
+  { value: 'production', label: 'Production' }
+];
+
+const statusVariants = { open: 'secondary', submitted: 'info', approved: 'success', rejected: 'danger' };
+
+// YYYY-MM-DD of a local date, as the API expects for weeks
+const toDay = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+const mondayOf = (date) => {
+  const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  day.setDate(day.getDate() - ((day.getDay() + 6) % 7));
+  return day;
+};
+
+const shiftWeek = (weekStart, weeks) => {
+  const [year, month, day] = weekStart.split('-').map(Number);
+  return toDay(new Date(year, month - 1, day + weeks * 7));
+};
+
+const formatMinutes = (minutes) => `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+
+const formatTime = (date) => new Date(date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Value for a datetime-local input, in local time
+const toInputTime = (date) => `${toDay(date)}T${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+const emptyEntry = () => ({
+  subject_type: 'task',
+  subject_id: '',
+  started_at: toInputTime(new Date(Date.now() - 60 * 60000)),
+  minutes: 60,
+  note: ''
+});
+
+const Elapsed = ({ since }) => {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const seconds = Math.max(0, Math.floor((now - new Date(since)) / 1000));
+  return (
+    <span className="font-monospace">
+      {Math.floor(seconds / 3600)}:{String(Math.floor(seconds / 60) % 60).padStart(2, '0')}:{String(seconds % 60).padStart(2, '0')}
+    </span>
+  );
+};
+
+export default function OperationsTimesheets() {
+  const [weekStart, setWeekStart] = useState(toDay(mondayOf(new Date())));
+  const [employeeId, setEmployeeId] = useState(null);
+  const [week, setWeek] = useState(null);
+  const [timer, setTimer] = useState(null);
+  const [reviewQueue, setReviewQueue] = useState([]);
+  const [canReview, setCanReview] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [entry, setEntry] = useState(emptyEntry());
+  const [saving, setSaving] = useState(false);
+
+  const viewingOther = employeeId !== null;
+  const editable = !viewingOther && week && !['submitted', 'approved'].includes(week.status);
+
+  const loadWeek = async () => {
+    try {
+      const params = { week_start: weekStart };
+      if (employeeId) params.employee_id = employeeId;
+      const response = await operationsApi.getTimesheetWeek(params);
+      setWeek(response.data);
+      setError(null);
+    } catch (err) {
+      setWeek(null);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadTimer = async () => {
+    try {
+      const response = await operationsApi.getTimer();
+      setTimer(response.data);
+    } catch {
+      setTimer(null);
+    }
+  };
+
+  const loadReviewQueue = async () => {
+    try {
+      const response = await operationsApi.getTimesheets({ status: 'submitted' });
+      setCanReview(response.meta?.can_review || false);
+      setReviewQueue(response.meta?.can_review ? response.data : []);
+    } catch {
+      setReviewQueue([]);
+    }
+  };
+
+  useEffect(() => {
+    loadWeek();
+  }, [weekStart, employeeId]);
+
+  useEffect(() => {
+    loadTimer();
+    loadReviewQueue();
+  }, []);
+
+  const showError = (title, err) => {
+    const details = err.errors?.map(item => item.detail || item.message).filter(Boolean).join(' ');
+    Swal.fire({ title, text: details || err.message, icon: 'error' });
+  };
+
+  const handleStopTimer = async () => {
+    try {
+      await operationsApi.stopTimer();
+      await Promise.all([loadTimer(), loadWeek()]);
+    } catch (err) {
+      showError('Cannot stop timer', err);
+      loadTimer();
+    }
+  };
+
+  const handleAddEntry = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await operationsApi.createTimeEntry({
+        subject_type: entry.subject_type,
+        subject_id: Number(entry.subject_id),
+        started_at: new Date(entry.started_at).toISOString(),
+        minutes: Number(entry.minutes),
+        note: entry.note.trim() || null
+      });
+      setEntry(emptyEntry());
+      loadWeek();
+    } catch (err) {
+      showError('Cannot log time', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEditNote = async (timeEntry) => {
+    const result = await Swal.fire({
+      title: 'Note',
+      input: 'textarea',
+      inputValue: timeEntry.note || '',
+      showCancelButton: true,
+      confirmButtonText: 'Save'
+    });
+    if (!result.isConfirmed) return;
+    try {
+      await operationsApi.updateTimeEntry(timeEntry.time_entry_id, { note: result.value.trim() || null });
+      loadWeek();
+    } catch (err) {
+      showError('Cannot update entry', err);
+    }
+  };
+
+  const handleDeleteEntry = async (timeEntry) => {
+    const result = await Swal.fire({
+      title: 'Delete this entry?',
+      text: `${formatMinutes(timeEntry.minutes || 0)} on ${timeEntry.subject_title || timeEntry.subject_type}`,
+      icon: 'warning',
+      showCancelButton: true,
+      confirmButtonText: 'Delete'
+    });
+    if (!result.isConfirmed) return;
+    try {
+      await operationsApi.deleteTimeEntry(timeEntry.time_entry_id);
+      loadWeek();
+    } catch (err) {
+      showError('Cannot delete entry', err);
+    }
+  };
+
+  const handleSubmit = async () => {
+    const result = await Swal.fire({
+      title: 'Submit this week?',
+      text: `${formatMinutes(week.total_minutes)} logged. Entries are locked until the week is reviewed.`,
+      icon: 'question',
+      showCancelButton: true,
+      confirmButtonText: 'Submit'
+    });
+    if (!result.isConfirmed) return;
+    try {
+      await operationsApi.submitTimesheet(weekStart);
+      loadWeek();
+    } catch (err) {
+      showError('Cannot submit week', err);
+    }
+  };
+
+  const handleReview = async (timesheet, approve) => {
+    const result = await Swal.fire({
+      title: approve ? 'Approve timesheet' : 'Reject timesheet',
+      text: `${timesheet.employee?.name || `Employee #${timesheet.employee_id}`}, week of ${new Date(timesheet.week_start).toLocaleDateString()}`,
+      input: 'textarea',
+      inputPlaceholder: approve ? 'Note (optional)' : 'What needs to change?',
+      inputValidator: value => (!approve && !value.trim() ? 'Say what needs to change' : undefined),
+      showCancelButton: true,
+      confirmButtonText: approve ? 'Approve' : 'Reject'
+    });
+    if (!result.isConfirmed) return;
+    try {
+      const note = result.value.trim() || null;
+      if (approve) await operationsApi.approveTimesheet(timesheet.timesheet_id, note);
+      else await operationsApi.rejectTimesheet(timesheet.timesheet_id, note);
+      loadReviewQueue();
+      if (viewingOther) loadWeek();
+    } catch (err) {
+      showError('Cannot review timesheet', err);
+      loadReviewQueue();
+    }
+  };
+
+  const openReview = (timesheet) => {
+    setEmployeeId(timesheet.employee_id);
+    setWeekStart(toDay(new Date(timesheet.week_start)));
+  };
+
+  return (
+    <>
+      <PageMetaData title="Timesheets" />
+
+      <Row className="mb-3 align-items-center">
+        <Col>
+          <h4 className="mb-0">
+            Timesheets
+            {viewingOther && week?.employee && <span className="text-muted fs-5 ms-2">{week.employee.name}</span>}
+          </h4>
+        </Col>
+        <Col xs="auto" className="d-flex gap-2">
+          {viewingOther && (
+            <Button variant="outline-secondary" size="sm" onClick={() => setEmployeeId(null)}>
+              My timesheet
+            </Button>
+          )}
+          <Button
+            variant="outline-primary"
+            size="sm"
+            href={operationsApi.getTimesheetExportUrl(weekStart) + (employeeId ? `&employee_id=${employeeId}` : '')}
+          >
+            <IconifyIcon icon="bx:download" className="me-1" />
+            Export CSV
+          </Button>
+        </Col>
+      </Row>
+
+      {timer && !viewingOther && (
+        <Alert variant="info" className="d-flex justify-content-between align-items-center">
+          <span>
+            <IconifyIcon icon="bx:time-five" className="me-2" />
+            Timer running on <strong>{timer.subject_title || `${timer.subject_type} #${timer.subject_id}`}</strong>
+            {' '}since {formatTime(timer.started_at)} &middot; <Elapsed since={timer.started_at} />
+          </span>
+          <Button variant="danger" size="sm" onClick={handleStopTimer}>
+            <IconifyIcon icon="bx:stop" className="me-1" />
+            Stop
+          </Button>
+        </Alert>
+      )}
+
+      {canReview && reviewQueue.length > 0 && (
+        <Card className="mb-3">
+          <Card.Header className="fw-semibold">Waiting for review ({reviewQueue.length})</Card.Header>
+          <Table responsive hover className="mb-0 align-middle">
+            <thead>
+              <tr>
+                <th>Employee</th>
+                <th>Week</th>
+                <th>Logged</th>
+                <th>Submitted</th>
+                <th className="text-end">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {reviewQueue.map(timesheet => (
+                <tr key={timesheet.timesheet_id}>
+                  <td>{timesheet.employee?.name || `#${timesheet.employee_id}`}</td>
+                  <td>{new Date(timesheet.week_start).toLocaleDateString()}</td>
+                  <td>{formatMinutes(timesheet.total_minutes)}</td>
+                  <td>{timesheet.submitted_at ? new Date(timesheet.submitted_at).toLocaleString() : '-'}</td>
+                  <td className="text-end">
+                    <Button variant="link" size="sm" onClick={() => openReview(timesheet)}>View</Button>
+                    <Button variant="outline-success" size="sm" className="me-1" onClick={() => handleReview(timesheet, true)}>
+                      Approve
+                    </Button>
+                    <Button variant="outline-danger" size="sm" onClick={() => handleReview(timesheet, false)}>
+                      Reject
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        </Card>
+      )}
+
+      <Card className="mb-3">
+        <Card.Body className="d-flex flex-wrap justify-content-between align-items-center gap-2">
+          <div className="d-flex align-items-center gap-2">
+            <Button variant="outline-secondary" size="sm" onClick={() => setWeekStart(shiftWeek(weekStart, -1))}>
+              <IconifyIcon icon="bx:chevron-left" />
+            </Button>
+            <span className="fw-semibold">
+              {week ? `${new Date(week.week_start).toLocaleDateString()} - ${new Date(week.week_end).toLocaleDateString()}` : weekStart}
+            </span>
+            <Button variant="outline-secondary" size="sm" onClick={() => setWeekStart(shiftWeek(weekStart, 1))}>
+              <IconifyIcon icon="bx:chevron-right" />
+            </Button>
+            <Button variant="link" size="sm" onClick={() => setWeekStart(toDay(mondayOf(new Date())))}>This week</Button>
+          </div>
+          {week && (
+            <div className="d-flex align-items-center gap-2">
+              <Badge bg={statusVariants[week.status] || 'secondary'} className="text-capitalize">{week.status}</Badge>
+              <span className="fw-semibold">{formatMinutes(week.total_minutes)}</span>
+              {!viewingOther && ['open', 'rejected'].includes(week.status) && (
+                <Button size="sm" onClick={handleSubmit} disabled={week.total_minutes === 0}>
+                  {week.status === 'rejected' ? 'Resubmit' : 'Submit week'}
+                </Button>
+              )}
+              {viewingOther && week.status === 'submitted' && week.timesheet && (
+                <>
+                  <Button variant="outline-success" size="sm" onClick={() => handleReview(week.timesheet, true)}>Approve</Button>
+                  <Button variant="outline-danger" size="sm" onClick={() => handleReview(week.timesheet, false)}>Reject</Button>
+                </>
+              )}
+            </div>
+          )}
+        </Card.Body>
+        {week?.timesheet?.review_note && (
+          <Card.Footer className={week.status === 'rejected' ? 'text-danger' : 'text-muted'}>
+            <IconifyIcon icon="bx:message-detail" className="me-1" />
+            {week.timesheet.reviewed_by?.name || week.timesheet.reviewed_by?.username}: {week.timesheet.review_note}
+          </Card.Footer>
+        )}
+      </Card>
+
+      {error && <Alert variant="danger">{error}</Alert>}
+
+      {loading ? (
+        <div className="text-center py-5"><Spinner animation="border" /></div>
+      ) : week && (
+        <>
+          <Row className="g-2 mb-3">
+            {week.days.map(day => (
+              <Col key={day.date}>
+                <Card className="mb-0 text-center">
+                  <Card.Body className="p-2">
+                    <div className="small text-muted">
+                      {new Date(day.date).toLocaleDateString([], { weekday: 'short', day: 'numeric' })}
+                    </div>
+                    <div className={`fw-semibold ${day.minutes === 0 ? 'text-muted' : ''}`}>{formatMinutes(day.minutes)}</div>
+                  </Card.Body>
+                </Card>
+              </Col>
+            ))}
+          </Row>
+
+          <Row>
+            <Col lg={8}>
+              <Card>
+                <Card.Header className="fw-semibold">Entries</Card.Header>
+                <Table responsive hover className="mb-0 align-middle">
+                  <thead>
+                    <tr>
+                      <th>Day</th>
+                      <th>Time</th>
+                      <th>Record</th>
+                      <th>Length</th>
+                      <th>Note</th>
+                      {editable && <th />}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {week.entries.map(timeEntry => (
+                      <tr key={timeEntry.time_entry_id}>
+                        <td>{new Date(timeEntry.started_at).toLocaleDateString([], { weekday: 'short', day: 'numeric' })}</td>
+                        <td className="text-nowrap">
+                          {formatTime(timeEntry.started_at)} - {timeEntry.ended_at ? formatTime(timeEntry.ended_at) : 'running'}
+                        </td>
+                        <td>
+                          {timeEntry.subject_title || `${timeEntry.subject_type} #${timeEntry.subject_id}`}
+                          {timeEntry.source === 'manual' && <Badge bg="light" text="dark" className="ms-1">manual</Badge>}
+                        </td>
+                        <td>{timeEntry.ended_at ? formatMinutes(timeEntry.minutes) : '-'}</td>
+                        <td className="small text-muted">{timeEntry.note}</td>
+                        {editable && (
+                          <td className="text-end text-nowrap">
+                            <Button variant="link" size="sm" className="p-1" title="Edit note" onClick={() => handleEditNote(timeEntry)}>
+                              <IconifyIcon icon="bx:edit" />
+                            </Button>
+                            {timeEntry.ended_at && (
+                              <Button variant="link" size="sm" className="p-1 text-danger" title="Delete" onClick={() => handleDeleteEntry(timeEntry)}>
+                                <IconifyIcon icon="bx:trash" />
+                              </Button>
+                            )}
+                          </td>
+                        )}
+                      </tr>
+                    ))}
+                    {week.entries.length === 0 && (
+                      <tr>
+                        <td colSpan={editable ? 6 : 5} className="text-center text-muted py-4">No time logged this week</td>
+                      </tr>
+                    )}
+                  </tbody>
+                </Table>
+              </Card>
+            </Col>
+
+            <Col lg={4}>
+              {editable && (
+                <Card>
+                  <Card.Header className="fw-semibold">Log time</Card.Header>
+                  <Card.Body>
+                    <Form onSubmit={handleAddEntry}>
+                      <Row className="g-2 mb-2">
+                        <Col xs={6}>
+                          <Form.Label className="small mb-1">Type</Form.Label>
+                          <Form.Select
+                            size="sm"
+                            value={entry.subject_type}
+                            onChange={(e) => setEntry({ ...entry, subject_type: e.target.value })}
+                          >
+                            {SUBJECT_TYPES.map(type => <option key={type.value} value={type.value}>{type.label}</option>)}
+                          </Form.Select>
+                        </Col>
+                        <Col xs={6}>
+                          <Form.Label className="small mb-1">Number</Form.Label>
+                          <Form.Control
+                            size="sm"
+                            type="number"
+                            min={1}
+                            required
+                            value={entry.subject_id}
+                            onChange={(e) => setEntry({ ...entry, subject_id: e.target.value })}
+                          />
+                        </Col>
+                      </Row>
+                      <Row className="g-2 mb-2">
+                        <Col xs={7}>
+                          <Form.Label className="small mb-1">Started</Form.Label>
+                          <Form.Control
+                            size="sm"
+                            type="datetime-local"
+                            required
+                            value={entry.started_at}
+                            onChange={(e) => setEntry({ ...entry, started_at: e.target.value })}
+                          />
+                        </Col>
+                        <Col xs={5}>
+                          <Form.Label className="small mb-1">Minutes</Form.Label>
+                          <Form.Control
+                            size="sm"
+                            type="number"
+                            min={1}
+                            max={24 * 60}
+                            required
+                            value={entry.minutes}
+                            onChange={(e) => setEntry({ ...entry, minutes: e.target.value })}
+                          />
+                        </Col>
+                      </Row>
+                      <Form.Group className="mb-2">
+                        <Form.Label className="small mb-1">Note</Form.Label>
+                        <Form.Control
+                          size="sm"
+                          as="textarea"
+                          rows={2}
+                          value={entry.note}
+                          onChange={(e) => setEntry({ ...entry, note: e.target.value })}
+                        />
+                      </Form.Group>
+                      <Button type="submit" size="sm" disabled={saving}>
+                        {saving ? 'Saving...' : 'Add entry'}
+                      </Button>
+                    </Form>
+                  </Card.Body>
+                </Card>
+              )}
+
+              <Card className="mt-3">
+                <Card.Header className="fw-semibold">By record</Card.Header>
+                <Table className="mb-0" size="sm">
+                  <tbody>
+                    {week.subjects.map(subject => (
+                      <tr key={`${subject.subject_type}:${subject.subject_id}`}>
+                        <td>{subject.subject_title || `${subject.subject_type} #${subject.subject_id}`}</td>
+                        <td className="text-end text-nowrap">{formatMinutes(subject.minutes)}</td>
+                      </tr>
+                    ))}
+                    {week.subjects.length === 0 && (
+                      <tr><td className="text-muted text-center">Nothing yet</td></tr>
+                    )}
+                  </tbody>
+                </Table>
+              </Card>
+            </Col>
+          </Row>
+        </>
+      )}
+    </>
+  );
+}
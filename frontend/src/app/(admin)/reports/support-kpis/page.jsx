@@ -1,26 +1,147 @@
-import { Col, Row } from 'react-bootstrap';
+import { useEffect, useState } from 'react';
+import { Badge, Card, Col, Form, Row, Table } from 'react-bootstrap';
+import Swal from 'sweetalert2';
 import PageMetaData from '@/components/PageTitle';
+import { supportApi } from '@/lib/api';
+
+const emptyData = { overall: {}, by_agent: [], by_category: [], by_period: [] };
+
+const formatScore = (value, suffix = '') => (value === null || value === undefined ? '-' : `${value}${suffix}`);
+
+const npsVariant = (nps) => (nps === null || nps === undefined ? 'secondary' : nps >= 30 ? 'success' : nps >= 0 ? 'warning' : 'danger');
+
+const ScoreTable = ({ title, label, rows, rowLabel }) => (
+  <Card className="h-100">
+    <Card.Header>
+      <h5 className="mb-0">{title}</h5>
+    </Card.Header>
+    <Card.Body>
+      <Table responsive size="sm" className="mb-0">
+        <thead>
+          <tr>
+            <th>{label}</th>
+            <th className="text-end">Responses</th>
+            <th className="text-end">Avg rating</th>
+            <th className="text-end">CSAT</th>
+            <th className="text-end">NPS</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.length === 0 ? (
+            <tr>
+              <td colSpan="5" className="text-center text-muted">No survey responses yet</td>
+            </tr>
+          ) : rows.map((row, index) => (
+            <tr key={index}>
+              <td>{rowLabel(row)}</td>
+              <td className="text-end">{row.responses}</td>
+              <td className="text-end">{formatScore(row.avg_rating)}</td>
+              <td className="text-end">{formatScore(row.csat, '%')}</td>
+              <td className="text-end">
+                <Badge bg={npsVariant(row.nps)}>{formatScore(row.nps)}</Badge>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+    </Card.Body>
+  </Card>
+);
 
 export default function SupportKPIs() {
+  const [filters, setFilters] = useState({ date_from: '', date_to: '', interval: 'week' });
+  const [data, setData] = useState(emptyData);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const loadCsat = async () => {
+      try {
+        setLoading(true);
+        const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+        const response = await supportApi.getCsatAnalytics(params);
+        setData(response.data);
+      } catch (err) {
+        Swal.fire({ title: 'Error!', text: err.message, icon: 'error' });
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadCsat();
+  }, [filters]);
+
+  const handleFilterChange = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+
+  const { overall } = data;
+  const summary = [
+    { label: 'Survey responses', value: overall.responses ?? 0 },
+    { label: 'CSAT (rated 4-5)', value: formatScore(overall.csat, '%') },
+    { label: 'Average rating', value: formatScore(overall.avg_rating, ' / 5') },
+    { label: 'NPS', value: formatScore(overall.nps) }
+  ];
+
   return (
     <>
       <PageMetaData title="Support KPIs" />
-      
-      <Row>
-        <Col>
-          <div className="card">
-            <div className="card-body text-center">
-              <h1 className="display-4 mb-4">Support KPIs</h1>
-              <p className="lead">
-                Customer support key performance indicators and metrics dashboard.
-              </p>
-              <p className="text-muted">
-                This page will contain support performance metrics, response times, resolution rates, customer satisfaction scores, and team productivity analytics.
-              </p>
-            </div>
+
+      <Card className="mb-3">
+        <Card.Body className="d-flex flex-wrap align-items-end gap-3">
+          <div>
+            <h4 className="mb-0">Customer Satisfaction</h4>
+            <p className="text-muted mb-0">From follow-up calls and survey links answered by customers.</p>
           </div>
-        </Col>
-      </Row>
+          <Form.Group className="ms-auto">
+            <Form.Label className="small mb-1">From</Form.Label>
+            <Form.Control type="date" size="sm" value={filters.date_from} onChange={(e) => handleFilterChange('date_from', e.target.value)} />
+          </Form.Group>
+          <Form.Group>
+            <Form.Label className="small mb-1">To</Form.Label>
+            <Form.Control type="date" size="sm" value={filters.date_to} onChange={(e) => handleFilterChange('date_to', e.target.value)} />
+          </Form.Group>
+          <Form.Group>
+            <Form.Label className="small mb-1">Trend by</Form.Label>
+            <Form.Select size="sm" value={filters.interval} onChange={(e) => handleFilterChange('interval', e.target.value)}>
+              <option value="day">Day</option>
+              <option value="week">Week</option>
+              <option value="month">Month</option>
+            </Form.Select>
+          </Form.Group>
+        </Card.Body>
+      </Card>
+
+      {loading ? (
+        <div className="text-center py-5">
+          <div className="spinner-border" role="status">
+            <span className="visually-hidden">Loading...</span>
+          </div>
+        </div>
+      ) : (
+        <>
+          <Row className="mb-3">
+            {summary.map(item => (
+              <Col md={3} key={item.label}>
+                <Card className="h-100">
+                  <Card.Body>
+                    <p className="text-muted mb-1">{item.label}</p>
+                    <h3 className="mb-0">{item.value}</h3>
+                  </Card.Body>
+                </Card>
+              </Col>
+            ))}
+          </Row>
+
+          <Row className="g-3">
+            <Col lg={6}>
+              <ScoreTable title="By Agent" label="Agent" rows={data.by_agent} rowLabel={(row) => row.agent_name || (row.agent_id ? `#${row.agent_id}` : 'Unassigned')} />
+            </Col>
+            <Col lg={6}>
+              <ScoreTable title="By Category" label="Category" rows={data.by_category} rowLabel={(row) => row.issue_category || 'Uncategorized'} />
+            </Col>
+            <Col lg={12}>
+              <ScoreTable title="Trend" label="Period" rows={data.by_period} rowLabel={(row) => row.period} />
+            </Col>
+          </Row>
+        </>
+      )}
     </>
   );
 }
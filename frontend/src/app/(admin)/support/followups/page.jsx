@@ -2,6 +2,9 @@ import React, { useState, useEffect } from 'react';
 import { Card, Table, Button, Form, Row, Col, Badge, Alert, Modal } from 'react-bootstrap';
 import { supportApi } from '@/lib/api';
 import Swal from 'sweetalert2';
+import useFileUploader from '@/hooks/useFileUploader';
+import CannedResponsePicker from '../tickets/components/CannedResponsePicker';
+import AttachmentDropzone from '../tickets/components/AttachmentDropzone';
 
 const FollowUpsPage = () => {
   const [followUps, setFollowUps] = useState([]);
@@ -11,13 +14,14 @@ const FollowUpsPage = () => {
     q: '',
     range: '7d'
   });
+  const [myQueue, setMyQueue] = useState({ next: null, queue: [], maxAttempts: null });
   const [showModal, setShowModal] = useState(false);
   const [selectedTicket, setSelectedTicket] = useState(null);
+  const uploader = useFileUploader();
   const [formData, setFormData] = useState({
     issue_solved: null,
     customer_location: '',
     satisfied: null,
-    repeated_issue: null,
     follow_up_notes: ''
   });
 
@@ -52,6 +56,82 @@ const FollowUpsPage = () => {
     }
   };
 
+  const loadMyQueue = async () => {
+    try {
+      const response = await supportApi.getMyFollowUpQueue();
+      setMyQueue({ ...response.data, maxAttempts: response.meta.max_attempts });
+    } catch (err) {
+      // Users without an employee record have no personal queue
+      setMyQueue({ next: null, queue: [], maxAttempts: null });
+    }
+  };
+
+  useEffect(() => {
+    loadMyQueue();
+  }, []);
+
+  const refreshAll = () => {
+    loadFollowUps();
+    loadMyQueue();
+  };
+
+  const handleNoAnswer = async (followUpId) => {
+    const result = await Swal.fire({
+      title: 'No answer',
+      input: 'text',
+      inputPlaceholder: 'Optional note (e.g. switched off, busy tone)',
+      showCancelButton: true,
+      confirmButtonText: 'Record attempt',
+      reverseButtons: true
+    });
+    if (!result.isConfirmed) return;
+
+    try {
+      const response = await supportApi.noAnswer(followUpId, { follow_up_notes: result.value || undefined });
+      if (response.meta.unreachable) {
+        Swal.fire({
+          title: 'Closed as unreachable',
+          text: 'The retry limit was reached, so this follow-up has left the queue.',
+          icon: 'info'
+        });
+      } else {
+        Swal.fire({
+          title: 'Call rescheduled',
+          text: `Next attempt ${formatDateTime(response.data.follow_up_date)} (${response.meta.attempts_left} left).`,
+          icon: 'success',
+          timer: 3000
+        });
+      }
+      refreshAll();
+    } catch (err) {
+      Swal.fire({ title: 'Error!', text: err.message, icon: 'error' });
+    }
+  };
+
+  // Signed link the customer can use to answer the CSAT survey themselves
+  const handleSurveyLink = async () => {
+    try {
+      const response = await supportApi.createSurveyLink(selectedTicket.ticket_id, {
+        follow_up_id: selectedTicket.follow_up_id || null
+      });
+      const result = await Swal.fire({
+        title: 'Survey link',
+        input: 'text',
+        inputValue: response.data.url,
+        inputAttributes: { readonly: true },
+        text: `Valid until ${formatDate(response.data.expires_at)}. Send it to the customer by SMS or email.`,
+        showCancelButton: true,
+        confirmButtonText: 'Copy link',
+        cancelButtonText: 'Close'
+      });
+      if (result.isConfirmed) {
+        await navigator.clipboard.writeText(response.data.url);
+      }
+    } catch (err) {
+      Swal.fire({ title: 'Error!', text: err.message, icon: 'error' });
+    }
+  };
+
   const handleFilterChange = (key, value) => {
     setFilters(prev => ({
       ...prev,
@@ -66,9 +146,9 @@ const FollowUpsPage = () => {
       issue_solved: null,
       customer_location: '',
       satisfied: null,
-      repeated_issue: null,
       follow_up_notes: ''
     });
+    uploader.clearFiles();
     setShowModal(true);
   };
 
@@ -99,15 +179,29 @@ const FollowUpsPage = () => {
 
       const submitData = {
         ticket_id: selectedTicket.ticket_id,
-        follow_up_agent_id: 1, // Current user's employee_id
         issue_solved: formData.issue_solved,
         satisfied: formData.satisfied,
-        repeated_issue: formData.repeated_issue,
         follow_up_notes: formData.follow_up_notes,
         customer_location: formData.customer_location
       };
 
-      await supportApi.createFollowUp(submitData);
+      const response = await supportApi.createFollowUp(submitData);
+
+      // Screenshots and files go on the new follow-up; the follow-up itself is already saved
+      if (uploader.selectedFiles.length > 0) {
+        try {
+          await supportApi.uploadTicketAttachments(selectedTicket.ticket_id, uploader.selectedFiles, {
+            follow_up_id: response.data.follow_up_id
+          });
+          uploader.clearFiles();
+        } catch (err) {
+          await Swal.fire({
+            title: 'Follow-up saved, files not uploaded',
+            text: err.errors?.length ? err.errors.map(error => error.detail).join('\n') : err.message,
+            icon: 'warning'
+          });
+        }
+      }
       
       setShowModal(false);
       
@@ -127,7 +221,7 @@ const FollowUpsPage = () => {
         });
       }
       
-      loadFollowUps();
+      refreshAll();
     } catch (err) {
       console.error('Error submitting follow-up:', err);
       
@@ -157,12 +251,80 @@ const FollowUpsPage = () => {
     });
   };
 
+  const formatDateTime = (dateString) => {
+    return new Date(dateString).toLocaleString('en-GB', {
+      day: '2-digit',
+      month: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  // Queue entries carry ticket details under ticket_info; the modal expects a pending row
+  const queueEntryTicket = (entry) => ({
+    ticket_id: entry.ticket_id,
+    follow_up_id: entry.follow_up_id,
+    issue_category: entry.ticket_info?.issue_category,
+    issue_type: entry.ticket_info?.issue_type
+  });
+
   const formatTicketId = (ticketId) => {
     return `#${ticketId.toString().padStart(4, '0')}`;
   };
 
   return (
     <div className="container-fluid">
+      {myQueue.queue.length > 0 && (
+        <div className="row">
+          <div className="col-12">
+            <Card className="mb-3">
+              <Card.Header>
+                <h5 className="mb-0">My Call-Back Queue</h5>
+                <p className="text-muted mb-0">
+                  {myQueue.next
+                    ? `Next call: ticket ${formatTicketId(myQueue.next.ticket_id)} (${myQueue.next.ticket_info?.customer_phone || myQueue.next.ticket_info?.customer_email || 'no contact'})`
+                    : 'Nothing due right now.'}
+                </p>
+              </Card.Header>
+              <Card.Body>
+                <Table responsive size="sm" className="mb-0">
+                  <thead>
+                    <tr>
+                      <th>Ticket ID</th>
+                      <th>Customer</th>
+                      <th>Due</th>
+                      <th>Attempts</th>
+                      <th>Action</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {myQueue.queue.map((entry) => (
+                      <tr key={entry.follow_up_id} className={myQueue.next?.follow_up_id === entry.follow_up_id ? 'table-warning' : ''}>
+                        <td>{formatTicketId(entry.ticket_id)}</td>
+                        <td>{entry.ticket_info?.customer_phone || entry.ticket_info?.customer_email || 'N/A'}</td>
+                        <td>
+                          {formatDateTime(entry.follow_up_date)}{' '}
+                          {entry.is_due && <Badge bg="danger">Due</Badge>}
+                        </td>
+                        <td>{entry.attempt_count}/{myQueue.maxAttempts}</td>
+                        <td className="d-flex gap-2">
+                          <Button size="sm" variant="danger" onClick={() => handleFollowUp(queueEntryTicket(entry))}>
+                            Follow Up
+                          </Button>
+                          <Button size="sm" variant="outline-secondary" onClick={() => handleNoAnswer(entry.follow_up_id)}>
+                            No Answer
+                          </Button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </Card.Body>
+            </Card>
+          </div>
+        </div>
+      )}
+
       <div className="row">
         <div className="col-12">
           <Card>
@@ -182,7 +344,7 @@ const FollowUpsPage = () => {
                     <option value="30d">Show: Last 30 days</option>
                     <option value="all">Show: All time</option>
                   </Form.Select>
-                  <Button variant="outline-primary" onClick={loadFollowUps}>
+                  <Button variant="outline-primary" onClick={refreshAll}>
                     Refresh
                   </Button>
                 </div>
@@ -241,8 +403,15 @@ const FollowUpsPage = () => {
                           </Badge>
                         </td>
                         <td>{ticket.supervisor_status}</td>
-                        <td>{formatDate(ticket.date)}</td>
                         <td>
+                          {formatDate(ticket.date)}
+                          {ticket.attempt_count > 0 && ticket.next_attempt_at && (
+                            <div className="small text-muted">
+                              {ticket.attempt_count} unanswered, retry {formatDateTime(ticket.next_attempt_at)}
+                            </div>
+                          )}
+                        </td>
+                        <td className="d-flex gap-2">
                           <Button
                             size="sm"
                             variant="danger"
@@ -250,6 +419,15 @@ const FollowUpsPage = () => {
                           >
                             Follow Up
                           </Button>
+                          {ticket.follow_up_id && ticket.next_attempt_at && (
+                            <Button
+                              size="sm"
+                              variant="outline-secondary"
+                              onClick={() => handleNoAnswer(ticket.follow_up_id)}
+                            >
+                              No Answer
+                            </Button>
+                          )}
                         </td>
                       </tr>
                     ))
@@ -317,7 +495,7 @@ const FollowUpsPage = () => {
                       id="issue_solved_no"
                       label="No"
                       checked={formData.issue_solved === 0}
-                      onChange={() => setFormData(prev => ({ ...prev, issue_solved: 0, repeated_issue: 1 }))}
+                      onChange={() => setFormData(prev => ({ ...prev, issue_solved: 0 }))}
                     />
                   </div>
                 </Form.Group>
@@ -371,35 +549,21 @@ const FollowUpsPage = () => {
             <Row>
               <Col md={12}>
                 <Form.Group className="mb-3">
-                  <Form.Label>Is this a repeated issue?</Form.Label>
-                  <div>
-                    <Form.Check
-                      inline
-                      type="radio"
-                      name="repeated_issue"
-                      id="repeated_yes"
-                      label="Yes"
-                      checked={formData.repeated_issue === 1}
-                      onChange={() => setFormData(prev => ({ ...prev, repeated_issue: 1 }))}
-                    />
-                    <Form.Check
-                      inline
-                      type="radio"
-                      name="repeated_issue"
-                      id="repeated_no"
-                      label="No"
-                      checked={formData.repeated_issue === 0}
-                      onChange={() => setFormData(prev => ({ ...prev, repeated_issue: 0 }))}
-                    />
+                  <div className="d-flex justify-content-between align-items-center mb-1">
+                    <Form.Label className="mb-0">Follow-up Notes</Form.Label>
+                    {selectedTicket && (
+                      <CannedResponsePicker
+                        target="follow_up_note"
+                        ticketId={selectedTicket.ticket_id}
+                        issueCategory={selectedTicket.issue_category}
+                        issueType={selectedTicket.issue_type}
+                        onInsert={(text) => setFormData(prev => ({
+                          ...prev,
+                          follow_up_notes: prev.follow_up_notes ? `${prev.follow_up_notes}\n${text}` : text
+                        }))}
+                      />
+                    )}
                   </div>
-                </Form.Group>
-              </Col>
-            </Row>
-
-            <Row>
-              <Col md={12}>
-                <Form.Group className="mb-3">
-                  <Form.Label>Follow-up Notes</Form.Label>
                   <Form.Control
                     as="textarea"
                     rows={3}
@@ -408,10 +572,17 @@ const FollowUpsPage = () => {
                     onChange={(e) => setFormData(prev => ({ ...prev, follow_up_notes: e.target.value }))}
                   />
                 </Form.Group>
+                <Form.Group className="mb-3">
+                  <Form.Label>Attachments</Form.Label>
+                  <AttachmentDropzone uploader={uploader} />
+                </Form.Group>
               </Col>
             </Row>
           </Modal.Body>
           <Modal.Footer>
+            <Button variant="outline-primary" className="me-auto" onClick={handleSurveyLink}>
+              Survey Link
+            </Button>
             <Button variant="secondary" onClick={() => setShowModal(false)}>
               Cancel
             </Button>
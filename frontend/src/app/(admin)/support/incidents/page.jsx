@@ -0,0 +1,475 @@
+import { useState, useEffect } from 'react';
+import { Col, Row, Card, Button, Badge, Form, Table, Spinner, Alert, Modal } from 'react-bootstrap';
+import Swal from 'sweetalert2';
+import PageMetaData from '@/components/PageTitle';
+import { supportApi } from '@/lib/api';
+
+const statusVariants = {
+  investigating: 'danger',
+  identified: 'warning',
+  monitoring: 'info',
+  resolved: 'success'
+};
+
+const emptyIncidentForm = {
+  title: '',
+  description: '',
+  affected_categories: [],
+  affected_regions: '',
+  started_at: ''
+};
+
+const getStatusBadge = (status) => (
+  <Badge bg={statusVariants[status] || 'secondary'} className="text-capitalize">{status}</Badge>
+);
+
+const Incidents = () => {
+  const [incidents, setIncidents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('active');
+  const [categories, setCategories] = useState([]);
+  const [showModal, setShowModal] = useState(false);
+  const [incidentForm, setIncidentForm] = useState(emptyIncidentForm);
+  const [saving, setSaving] = useState(false);
+
+  // Selected incident with its linked tickets and suggestions
+  const [selected, setSelected] = useState(null);
+  const [linkedTickets, setLinkedTickets] = useState([]);
+  const [suggestions, setSuggestions] = useState([]);
+  const [selectedSuggestions, setSelectedSuggestions] = useState([]);
+  const [windowMinutes, setWindowMinutes] = useState(60);
+
+  const loadIncidents = async () => {
+    try {
+      setError(null);
+      const response = await supportApi.getIncidents(statusFilter ? { status: statusFilter, limit: 100 } : { limit: 100 });
+      setIncidents(response.data || []);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadIncidentDetail = async (incidentId) => {
+    try {
+      const [incident, tickets, suggested] = await Promise.all([
+        supportApi.getIncident(incidentId),
+        supportApi.getIncidentTickets(incidentId, { limit: 100 }),
+        supportApi.getIncidentSuggestions(incidentId, { window_minutes: windowMinutes })
+      ]);
+      setSelected(incident.data);
+      setLinkedTickets(tickets.data || []);
+      setSuggestions(incident.data.status === 'resolved' ? [] : suggested.data || []);
+      setSelectedSuggestions([]);
+    } catch (err) {
+      Swal.fire({ title: 'Error!', text: err.message, icon: 'error' });
+    }
+  };
+
+  useEffect(() => {
+    supportApi.getTicketTaxonomy()
+      .then(response => setCategories(response.data?.categories || []))
+      .catch(err => console.error('Failed to load ticket taxonomy:', err));
+  }, []);
+
+  useEffect(() => {
+    loadIncidents();
+  }, [statusFilter]);
+
+  useEffect(() => {
+    if (selected) loadIncidentDetail(selected.incident_id);
+  }, [windowMinutes]);
+
+  const refresh = () => {
+    loadIncidents();
+    if (selected) loadIncidentDetail(selected.incident_id);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const payload = {
+        title: incidentForm.title,
+        description: incidentForm.description || null,
+        affected_categories: incidentForm.affected_categories,
+        affected_regions: incidentForm.affected_regions.split(',').map(region => region.trim()).filter(Boolean)
+      };
+      if (incidentForm.started_at) payload.started_at = new Date(incidentForm.started_at).toISOString();
+
+      const response = await supportApi.createIncident(payload);
+      setShowModal(false);
+      setIncidentForm(emptyIncidentForm);
+      Swal.fire({ title: 'Incident declared', icon: 'success', timer: 2000 });
+      loadIncidents();
+      loadIncidentDetail(response.data.incident_id);
+    } catch (err) {
+      Swal.fire({
+        title: 'Error!',
+        html: err.errors?.length ? err.errors.map(item => item.detail).join('<br>') : err.message,
+        icon: 'error'
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleStatusChange = async (status) => {
+    try {
+      await supportApi.updateIncident(selected.incident_id, { status });
+      refresh();
+    } catch (err) {
+      Swal.fire({ title: 'Error!', text: err.message, icon: 'error' });
+    }
+  };
+
+  const handleLink = async () => {
+    try {
+      const response = await supportApi.linkIncidentTickets(selected.incident_id, selectedSuggestions);
+      const failed = response.data.filter(result => !result.ok);
+      Swal.fire({
+        title: `${response.meta.linked} tickets linked`,
+        html: failed.length > 0 ? failed.map(result => `#${result.ticket_id}: ${result.error.message}`).join('<br>') : undefined,
+        icon: failed.length > 0 ? 'warning' : 'success',
+        timer: failed.length > 0 ? undefined : 2000
+      });
+      refresh();
+    } catch (err) {
+      Swal.fire({ title: 'Error!', text: err.message, icon: 'error' });
+    }
+  };
+
+  const handleUnlink = async (ticketId) => {
+    try {
+      await supportApi.unlinkIncidentTicket(selected.incident_id, ticketId);
+      refresh();
+    } catch (err) {
+      Swal.fire({ title: 'Error!', text: err.message, icon: 'error' });
+    }
+  };
+
+  const handleResolve = async () => {
+    const { value: notes, isConfirmed } = await Swal.fire({
+      title: `Resolve incident #${selected.incident_id}?`,
+      html: `${selected.open_tickets} open linked tickets will be completed and get a follow-up call.`,
+      input: 'textarea',
+      inputPlaceholder: 'Resolution notes',
+      icon: 'warning',
+      showCancelButton: true,
+      confirmButtonText: 'Resolve'
+    });
+    if (!isConfirmed) return;
+
+    try {
+      const response = await supportApi.resolveIncident(selected.incident_id, { resolution_notes: notes || null });
+      const { resolved_tickets: resolvedTickets, failed } = response.meta;
+      Swal.fire({
+        title: failed.length > 0 ? 'Partly resolved' : 'Incident resolved',
+        html: `${resolvedTickets} tickets completed.` +
+          (failed.length > 0 ? `<br>${failed.length} failed; the incident stays open so you can try again.` : ''),
+        icon: failed.length > 0 ? 'warning' : 'success'
+      });
+      refresh();
+    } catch (err) {
+      Swal.fire({ title: 'Error!', text: err.message, icon: 'error' });
+    }
+  };
+
+  const toggleSuggestion = (ticketId) => {
+    setSelectedSuggestions(prev => (
+      prev.includes(ticketId) ? prev.filter(id => id !== ticketId) : [...prev, ticketId]
+    ));
+  };
+
+  if (loading) {
+    return (
+      <div className="d-flex justify-content-center align-items-center" style={{ height: '400px' }}>
+        <Spinner animation="border" />
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <PageMetaData title="Incidents" />
+
+      <Row>
+        <Col lg={selected ? 5 : 12}>
+          <Card>
+            <Card.Header className="d-flex justify-content-between align-items-center">
+              <h4 className="mb-0">Incidents</h4>
+              <div className="d-flex gap-2">
+                <Form.Select size="sm" value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+                  <option value="active">Active</option>
+                  <option value="resolved">Resolved</option>
+                  <option value="">All</option>
+                </Form.Select>
+                <Button variant="danger" size="sm" className="text-nowrap" onClick={() => setShowModal(true)}>
+                  Declare Incident
+                </Button>
+              </div>
+            </Card.Header>
+            <Card.Body>
+              {error && <Alert variant="danger">{error}</Alert>}
+              {incidents.length === 0 ? (
+                <Alert variant="info" className="text-center mb-0">No incidents.</Alert>
+              ) : (
+                <Table responsive hover size="sm" className="mb-0">
+                  <thead>
+                    <tr>
+                      <th>ID</th>
+                      <th>Title</th>
+                      <th>Status</th>
+                      <th>Started</th>
+                      <th className="text-end">Tickets</th>
+                      <th className="text-end">Open</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {incidents.map(incident => (
+                      <tr
+                        key={incident.incident_id}
+                        role="button"
+                        className={selected?.incident_id === incident.incident_id ? 'table-active' : ''}
+                        onClick={() => loadIncidentDetail(incident.incident_id)}
+                      >
+                        <td>#{incident.incident_id}</td>
+                        <td>
+                          {incident.title}
+                          <div className="text-muted small">
+                            {[...incident.affected_categories, ...incident.affected_regions].join(', ')}
+                          </div>
+                        </td>
+                        <td>{getStatusBadge(incident.status)}</td>
+                        <td>{new Date(incident.started_at).toLocaleString()}</td>
+                        <td className="text-end">{incident.tickets}</td>
+                        <td className="text-end">{incident.open_tickets}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+
+        {selected && (
+          <Col lg={7}>
+            <Card>
+              <Card.Header className="d-flex justify-content-between align-items-center">
+                <div>
+                  <h5 className="mb-0">#{selected.incident_id} {selected.title} {getStatusBadge(selected.status)}</h5>
+                  <div className="text-muted small">
+                    {new Date(selected.started_at).toLocaleString()}
+                    {selected.ended_at && ` - ${new Date(selected.ended_at).toLocaleString()}`}
+                  </div>
+                </div>
+                <div className="d-flex gap-2">
+                  {selected.status !== 'resolved' && (
+                    <>
+                      <Form.Select size="sm" value={selected.status} onChange={(e) => handleStatusChange(e.target.value)}>
+                        <option value="investigating">Investigating</option>
+                        <option value="identified">Identified</option>
+                        <option value="monitoring">Monitoring</option>
+                      </Form.Select>
+                      <Button size="sm" variant="success" onClick={handleResolve}>Resolve</Button>
+                    </>
+                  )}
+                  <Button size="sm" variant="outline-secondary" onClick={() => setSelected(null)}>Close</Button>
+                </div>
+              </Card.Header>
+              <Card.Body>
+                {selected.description && <p>{selected.description}</p>}
+                {selected.resolution_notes && <Alert variant="success">{selected.resolution_notes}</Alert>}
+
+                <h6>Linked tickets ({selected.tickets}, {selected.open_tickets} open)</h6>
+                <Table responsive size="sm" className="mb-4">
+                  <thead>
+                    <tr>
+                      <th>Ticket</th>
+                      <th>Customer</th>
+                      <th>Category</th>
+                      <th>Agent</th>
+                      <th>Status</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {linkedTickets.length === 0 ? (
+                      <tr><td colSpan="6" className="text-center text-muted">No linked tickets yet</td></tr>
+                    ) : linkedTickets.map(ticket => (
+                      <tr key={ticket.ticket_id}>
+                        <td>#{ticket.ticket_id}</td>
+                        <td>
+                          {ticket.customer_phone || ticket.customer_email}
+                          {ticket.customer_location && <div className="text-muted small">{ticket.customer_location}</div>}
+                        </td>
+                        <td>{ticket.issue_category}</td>
+                        <td>{ticket.agent_info?.name || '-'}</td>
+                        <td>{ticket.resolution_status}</td>
+                        <td className="text-end">
+                          {selected.status !== 'resolved' && (
+                            <Button size="sm" variant="link" className="p-0 text-danger" onClick={() => handleUnlink(ticket.ticket_id)}>
+                              Unlink
+                            </Button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+
+                {selected.status !== 'resolved' && (
+                  <>
+                    <div className="d-flex justify-content-between align-items-center mb-2">
+                      <h6 className="mb-0">Suggested tickets ({suggestions.length})</h6>
+                      <div className="d-flex align-items-center gap-2">
+                        <Form.Label className="small mb-0 text-nowrap">Opened up to</Form.Label>
+                        <Form.Select size="sm" value={windowMinutes} onChange={(e) => setWindowMinutes(Number(e.target.value))}>
+                          <option value={0}>0 min</option>
+                          <option value={60}>1 hour</option>
+                          <option value={240}>4 hours</option>
+                          <option value={1440}>1 day</option>
+                        </Form.Select>
+                        <span className="small text-muted text-nowrap">before start</span>
+                        <Button size="sm" disabled={selectedSuggestions.length === 0} onClick={handleLink}>
+                          Link {selectedSuggestions.length || ''}
+                        </Button>
+                      </div>
+                    </div>
+                    <Table responsive size="sm" className="mb-0">
+                      <thead>
+                        <tr>
+                          <th>
+                            <Form.Check
+                              type="checkbox"
+                              aria-label="Select all suggestions"
+                              checked={suggestions.length > 0 && selectedSuggestions.length === suggestions.length}
+                              onChange={(e) => setSelectedSuggestions(e.target.checked ? suggestions.map(t => t.ticket_id) : [])}
+                            />
+                          </th>
+                          <th>Ticket</th>
+                          <th>Opened</th>
+                          <th>Location</th>
+                          <th>Category</th>
+                          <th>Description</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {suggestions.length === 0 ? (
+                          <tr><td colSpan="6" className="text-center text-muted">No matching unlinked tickets</td></tr>
+                        ) : suggestions.map(ticket => (
+                          <tr key={ticket.ticket_id}>
+                            <td>
+                              <Form.Check
+                                type="checkbox"
+                                aria-label={`Select ticket ${ticket.ticket_id}`}
+                                checked={selectedSuggestions.includes(ticket.ticket_id)}
+                                onChange={() => toggleSuggestion(ticket.ticket_id)}
+                              />
+                            </td>
+                            <td>#{ticket.ticket_id}</td>
+                            <td>{new Date(ticket.createdAt).toLocaleString()}</td>
+                            <td>{ticket.customer_location || '-'}</td>
+                            <td>{ticket.issue_type || ticket.issue_category}</td>
+                            <td>
+                              <div style={{ maxWidth: '220px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                                {ticket.issue_description}
+                              </div>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </Table>
+                  </>
+                )}
+              </Card.Body>
+            </Card>
+          </Col>
+        )}
+      </Row>
+
+      {/* Declare Incident Modal */}
+      <Modal show={showModal} onHide={() => setShowModal(false)} size="lg" centered>
+        <Modal.Header closeButton>
+          <Modal.Title>Declare Incident</Modal.Title>
+        </Modal.Header>
+        <Form onSubmit={handleCreate}>
+          <Modal.Body>
+            <Form.Group className="mb-3">
+              <Form.Label>Title</Form.Label>
+              <Form.Control
+                required
+                placeholder="e.g. IPTV outage in Hodan"
+                value={incidentForm.title}
+                onChange={(e) => setIncidentForm(prev => ({ ...prev, title: e.target.value }))}
+              />
+            </Form.Group>
+            <Form.Group className="mb-3">
+              <Form.Label>Description</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={2}
+                value={incidentForm.description}
+                onChange={(e) => setIncidentForm(prev => ({ ...prev, description: e.target.value }))}
+              />
+            </Form.Group>
+            <Form.Group className="mb-3">
+              <Form.Label>Affected categories</Form.Label>
+              <div className="d-flex flex-wrap gap-3">
+                {categories.map(category => (
+                  <Form.Check
+                    key={category.value}
+                    type="checkbox"
+                    id={`incident-category-${category.value}`}
+                    label={category.label}
+                    checked={incidentForm.affected_categories.includes(category.value)}
+                    onChange={(e) => setIncidentForm(prev => ({
+                      ...prev,
+                      affected_categories: e.target.checked
+                        ? [...prev.affected_categories, category.value]
+                        : prev.affected_categories.filter(value => value !== category.value)
+                    }))}
+                  />
+                ))}
+              </div>
+            </Form.Group>
+            <Row>
+              <Col md={7}>
+                <Form.Group>
+                  <Form.Label>Affected regions</Form.Label>
+                  <Form.Control
+                    placeholder="Comma separated, matched against customer location"
+                    value={incidentForm.affected_regions}
+                    onChange={(e) => setIncidentForm(prev => ({ ...prev, affected_regions: e.target.value }))}
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={5}>
+                <Form.Group>
+                  <Form.Label>Started at</Form.Label>
+                  <Form.Control
+                    type="datetime-local"
+                    value={incidentForm.started_at}
+                    onChange={(e) => setIncidentForm(prev => ({ ...prev, started_at: e.target.value }))}
+                  />
+                  <Form.Text>Defaults to now</Form.Text>
+                </Form.Group>
+              </Col>
+            </Row>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowModal(false)}>Cancel</Button>
+            <Button variant="danger" type="submit" disabled={saving}>
+              {saving ? 'Saving...' : 'Declare'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </>
+  );
+};
+
+export default Incidents;
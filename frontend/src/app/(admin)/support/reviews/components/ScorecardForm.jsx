@@ -0,0 +1,108 @@
+import { Badge, Button, Form, Table } from 'react-bootstrap';
+
+// Same formula as scoreReview in the backend, for the live preview
+export const previewScore = (criteria, values, passScore) => {
+  let earned = 0;
+  let possible = 0;
+  let autoFailed = false;
+  let complete = true;
+
+  criteria.forEach(criterion => {
+    const value = values[criterion.key] || {};
+    if (criterion.type === 'auto_fail') {
+      if (typeof value.passed !== 'boolean') complete = false;
+      else if (!value.passed) autoFailed = true;
+    } else if (typeof value.score !== 'number') {
+      complete = false;
+    } else {
+      earned += criterion.weight * (value.score / criterion.max_score);
+      possible += criterion.weight;
+    }
+  });
+
+  const total = autoFailed || possible === 0 ? 0 : Math.round((earned / possible) * 1000) / 10;
+  return { total, autoFailed, complete, passed: !autoFailed && total >= passScore };
+};
+
+export const ScoreBadge = ({ total, autoFailed, passed }) => {
+  if (total === null || total === undefined) return <span className="text-muted">-</span>;
+  return (
+    <Badge bg={autoFailed ? 'danger' : passed ? 'success' : 'warning'}>
+      {autoFailed ? 'Auto-fail' : `${total}%`}
+    </Badge>
+  );
+};
+
+/**
+ * Renders any scorecard version's criteria. In readOnly mode `criteria` can be a
+ * review's stored scores, which carry their own score/passed values.
+ */
+const ScorecardForm = ({ criteria, values = {}, onChange, readOnly = false }) => {
+  const setValue = (key, patch) => onChange({ ...values, [key]: { ...values[key], ...patch } });
+
+  return (
+    <Table size="sm" className="align-middle mb-0">
+      <thead>
+        <tr>
+          <th>Criterion</th>
+          <th className="text-end">Weight</th>
+          <th>Score</th>
+          <th>Comment</th>
+        </tr>
+      </thead>
+      <tbody>
+        {criteria.map(criterion => {
+          const value = readOnly ? criterion : (values[criterion.key] || {});
+          return (
+            <tr key={criterion.key}>
+              <td>
+                <div className="fw-semibold">
+                  {criterion.label}
+                  {criterion.type === 'auto_fail' && <Badge bg="danger" className="ms-1">Auto-fail</Badge>}
+                </div>
+                {criterion.description && <div className="small text-muted">{criterion.description}</div>}
+              </td>
+              <td className="text-end">{criterion.type === 'auto_fail' ? '-' : criterion.weight}</td>
+              <td>
+                {criterion.type === 'auto_fail' ? (
+                  <div className="d-flex gap-1">
+                    <Button size="sm" disabled={readOnly} variant={value.passed === true ? 'success' : 'outline-success'} onClick={() => setValue(criterion.key, { passed: true })}>
+                      Pass
+                    </Button>
+                    <Button size="sm" disabled={readOnly} variant={value.passed === false ? 'danger' : 'outline-danger'} onClick={() => setValue(criterion.key, { passed: false })}>
+                      Fail
+                    </Button>
+                  </div>
+                ) : (
+                  <div className="d-flex flex-wrap gap-1">
+                    {Array.from({ length: criterion.max_score + 1 }, (_, score) => (
+                      <Button
+                        key={score}
+                        size="sm"
+                        disabled={readOnly}
+                        variant={value.score === score ? 'primary' : 'outline-primary'}
+                        style={{ minWidth: 32 }}
+                        onClick={() => setValue(criterion.key, { score })}
+                      >
+                        {score}
+                      </Button>
+                    ))}
+                  </div>
+                )}
+              </td>
+              <td>
+                {readOnly ? (
+                  <span className="small">{value.comment || '-'}</span>
+                ) : (
+                  <Form.Control size="sm" value={value.comment || ''} onChange={(e) => setValue(criterion.key, { comment: e.target.value })} />
+                )}
+              </td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </Table>
+  );
+};
+
+export default ScorecardForm;
@@ -1,10 +1,19 @@
 import { useState, useEffect } from 'react';
-import { Col, Row, Card, Button, Badge, Form, Table, Spinner, Alert } from 'react-bootstrap';
+import { Col, Row, Card, Button, Badge, Form, Table, Spinner, Alert, Modal } from 'react-bootstrap';
 import { useSearchParams } from 'react-router-dom';
 import Swal from 'sweetalert2';
 import PageMetaData from '@/components/PageTitle';
 import { supportApi, managementApi } from '@/lib/api';
 import { useAuth } from '@/lib/simpleAuth';
+import ScorecardForm, { ScoreBadge, previewScore } from './components/ScorecardForm';
+
+const emptyReviewForm = {
+  ticket_id: '',
+  scorecard_id: '',
+  issue_status: '',
+  resolved: false,
+  notes: ''
+};
 
 const Reviews = () => {
   const [searchParams, setSearchParams] = useSearchParams();
@@ -14,11 +23,23 @@ const Reviews = () => {
   const [error, setError] = useState(null);
   const [employees, setEmployees] = useState([]);
   const [pagination, setPagination] = useState({ page: 1, limit: 20, total: 0 });
+  const [scorecards, setScorecards] = useState([]);
+  const [showReviewModal, setShowReviewModal] = useState(false);
+  const [reviewForm, setReviewForm] = useState(emptyReviewForm);
+  const [scoreValues, setScoreValues] = useState({});
+  const [savingReview, setSavingReview] = useState(false);
+  const [viewedReview, setViewedReview] = useState(null);
+  const [trends, setTrends] = useState([]);
+  const [coverage, setCoverage] = useState({ rows: [], totals: null });
+  const [editingReviewId, setEditingReviewId] = useState(null);
 
   // Filters
   const [filters, setFilters] = useState({
     reviewer_id: searchParams.get('reviewer') || '',
+    agent_id: searchParams.get('agent') || '',
     resolved: searchParams.get('resolved') || '',
+    status: searchParams.get('status') || '',
+    mine: searchParams.get('mine') || '',
     date: searchParams.get('date') || ''
   });
 
@@ -64,6 +85,44 @@ const Reviews = () => {
     }
   };
 
+  const loadScorecards = async () => {
+    try {
+      const response = await supportApi.getQaScorecards();
+      setScorecards(response.data || []);
+    } catch (err) {
+      console.error('Failed to load scorecards:', err);
+    }
+  };
+
+  // Per-agent QA score trend, following the agent filter
+  const loadTrends = async () => {
+    try {
+      const response = await supportApi.getQaTrends(filters.agent_id ? { agent_id: filters.agent_id } : {});
+      setTrends(response.data || []);
+    } catch (err) {
+      console.error('Failed to load QA trends:', err);
+    }
+  };
+
+  // Share of each agent's completed tickets that got a QA review (last 30 days)
+  const loadCoverage = async () => {
+    try {
+      const response = await supportApi.getQaCoverage();
+      setCoverage({ rows: response.data || [], totals: response.meta || null });
+    } catch (err) {
+      console.error('Failed to load QA coverage:', err);
+    }
+  };
+
+  useEffect(() => {
+    loadScorecards();
+    loadCoverage();
+  }, []);
+
+  useEffect(() => {
+    loadTrends();
+  }, [filters.agent_id]);
+
   useEffect(() => {
     const loadData = async () => {
       setLoading(true);
@@ -149,6 +208,97 @@ const Reviews = () => {
     }
   };
 
+  const selectedScorecard = scorecards.find(card => String(card.scorecard_id) === String(reviewForm.scorecard_id));
+  const preview = selectedScorecard ? previewScore(selectedScorecard.criteria, scoreValues, selectedScorecard.pass_score) : null;
+
+  // Without a review it starts a new one; with a sampled (pending) review it completes that assignment
+  const openReviewModal = (pendingReview = null) => {
+    setEditingReviewId(pendingReview?.review_id ?? null);
+    setReviewForm({
+      ...emptyReviewForm,
+      ticket_id: pendingReview ? String(pendingReview.ticket_id) : '',
+      scorecard_id: scorecards.length === 1 ? String(scorecards[0].scorecard_id) : ''
+    });
+    setScoreValues({});
+    setShowReviewModal(true);
+  };
+
+  const handleRunSampling = async () => {
+    try {
+      const { value: date } = await Swal.fire({
+        title: 'Run QA Sampling',
+        text: 'Sample completed tickets from this day:',
+        input: 'date',
+        inputValue: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+        showCancelButton: true,
+        confirmButtonText: 'Preview'
+      });
+      if (!date) return;
+
+      const preview = await supportApi.runQaSampling({ date, dry_run: true });
+      if (preview.meta?.already_run) {
+        Swal.fire({ title: 'Already sampled', text: `${date} was sampled before (${preview.data.run.assigned} reviews assigned).`, icon: 'info' });
+        return;
+      }
+
+      const { run } = preview.data;
+      const confirm = await Swal.fire({
+        title: `Assign ${run.assigned} reviews?`,
+        html: `${run.tickets_considered} tickets completed on ${date} by ${run.by_agent.length} agents.` +
+          (run.skipped > 0 ? `<br>${run.skipped} skipped (no reviewer other than the agent).` : ''),
+        icon: 'question',
+        showCancelButton: true,
+        confirmButtonText: 'Assign'
+      });
+      if (!confirm.isConfirmed) return;
+
+      const result = await supportApi.runQaSampling({ date });
+      Swal.fire({ title: 'Sampling done', text: `${result.data.run.assigned} reviews assigned.`, icon: 'success', timer: 2000 });
+      loadReviews();
+      loadCoverage();
+    } catch (err) {
+      Swal.fire({ title: 'Error!', text: err.message, icon: 'error' });
+    }
+  };
+
+  const handleCreateReview = async (e) => {
+    e.preventDefault();
+    try {
+      setSavingReview(true);
+      const payload = {
+        issue_status: reviewForm.issue_status,
+        resolved: reviewForm.resolved,
+        notes: reviewForm.notes
+      };
+      if (selectedScorecard) {
+        payload.scorecard_id = selectedScorecard.scorecard_id;
+        payload.scores = selectedScorecard.criteria.map(criterion => ({
+          key: criterion.key,
+          ...scoreValues[criterion.key]
+        }));
+      }
+
+      if (editingReviewId) {
+        await supportApi.updateReview(editingReviewId, payload);
+      } else {
+        await supportApi.createReview({ ...payload, ticket_id: Number(reviewForm.ticket_id) });
+      }
+      setShowReviewModal(false);
+      Swal.fire({ title: 'Review saved', icon: 'success', timer: 2000 });
+      loadReviews();
+      loadTrends();
+      loadCoverage();
+    } catch (err) {
+      Swal.fire({
+        title: err.errors?.length ? 'Complete the scorecard' : 'Error!',
+        html: err.errors?.length ? err.errors.map(item => `• ${item.detail}`).join('<br>') : err.message,
+        icon: err.errors?.length ? 'warning' : 'error'
+      });
+    } finally {
+      setSavingReview(false);
+    }
+  };
+
   const getResolvedBadge = (resolved) => {
     return (
       <Badge bg={resolved ? 'success' : 'warning'}>
@@ -173,8 +323,16 @@ const Reviews = () => {
       <Row>
         <Col>
           <Card>
-            <Card.Header>
+            <Card.Header className="d-flex justify-content-between align-items-center">
               <h4 className="mb-0">QA Reviews</h4>
+              <div className="d-flex gap-2">
+                <Button variant="outline-primary" onClick={handleRunSampling}>
+                  Run Sampling
+                </Button>
+                <Button variant="primary" onClick={() => openReviewModal()}>
+                  New Review
+                </Button>
+              </div>
             </Card.Header>
             
             <Card.Body>
@@ -200,6 +358,20 @@ const Reviews = () => {
                     </Form.Select>
                   </Form.Group>
                 </Col>
+                <Col md={3}>
+                  <Form.Group>
+                    <Form.Label>Reviewed Agent</Form.Label>
+                    <Form.Select
+                      value={filters.agent_id}
+                      onChange={(e) => handleFilterChange('agent_id', e.target.value)}
+                    >
+                      <option value="">All Agents</option>
+                      {employees.map(emp => (
+                        <option key={emp.employee_id} value={emp.employee_id}>{emp.name}</option>
+                      ))}
+                    </Form.Select>
+                  </Form.Group>
+                </Col>
                 <Col md={2}>
                   <Form.Group>
                     <Form.Label>Resolved</Form.Label>
@@ -213,6 +385,19 @@ const Reviews = () => {
                     </Form.Select>
                   </Form.Group>
                 </Col>
+                <Col md={2}>
+                  <Form.Group>
+                    <Form.Label>Review Status</Form.Label>
+                    <Form.Select
+                      value={filters.status}
+                      onChange={(e) => handleFilterChange('status', e.target.value)}
+                    >
+                      <option value="">All</option>
+                      <option value="pending">Pending (sampled)</option>
+                      <option value="completed">Completed</option>
+                    </Form.Select>
+                  </Form.Group>
+                </Col>
                 <Col md={2}>
                   <Form.Group>
                     <Form.Label>Date</Form.Label>
@@ -223,6 +408,15 @@ const Reviews = () => {
                     />
                   </Form.Group>
                 </Col>
+                <Col md={12} className="mt-2">
+                  <Form.Check
+                    type="switch"
+                    id="reviews-mine"
+                    label="Only my assignments"
+                    checked={filters.mine === 'true'}
+                    onChange={(e) => handleFilterChange('mine', e.target.checked ? 'true' : '')}
+                  />
+                </Col>
               </Row>
 
               {/* Reviews Table */}
@@ -237,7 +431,9 @@ const Reviews = () => {
                       <th>Review ID</th>
                       <th>Ticket ID</th>
                       <th>Reviewer</th>
+                      <th>Agent</th>
                       <th>Date</th>
+                      <th>QA Score</th>
                       <th>Issue Status</th>
                       <th>Resolved</th>
                       <th>Notes</th>
@@ -258,16 +454,30 @@ const Reviews = () => {
                           </Button>
                         </td>
                         <td>{review.reviewer_info?.name || '-'}</td>
+                        <td>{review.agent_info?.name || '-'}</td>
                         <td>{new Date(review.review_date).toLocaleDateString()}</td>
-                        <td>{review.issue_status}</td>
-                        <td>{getResolvedBadge(review.resolved)}</td>
+                        <td>
+                          {review.scores?.length > 0 ? (
+                            <Button variant="link" size="sm" className="p-0" onClick={() => setViewedReview(review)}>
+                              <ScoreBadge total={review.total_score} autoFailed={review.auto_failed} passed={review.qa_passed} />
+                            </Button>
+                          ) : '-'}
+                        </td>
+                        <td>
+                          {review.status === 'pending' ? <Badge bg="info">Awaiting review</Badge> : review.issue_status}
+                        </td>
+                        <td>{review.status === 'pending' ? '-' : getResolvedBadge(review.resolved)}</td>
                         <td>
                           <div style={{ maxWidth: '200px', overflow: 'hidden', textOverflow: 'ellipsis' }}>
                             {review.notes || '-'}
                           </div>
                         </td>
                         <td>
-                          {!review.resolved && (
+                          {review.status === 'pending' ? (
+                            <Button size="sm" variant="primary" onClick={() => openReviewModal(review)}>
+                              Start Review
+                            </Button>
+                          ) : !review.resolved && (
                             <Button
                               size="sm"
                               variant="success"
@@ -315,6 +525,199 @@ const Reviews = () => {
         </Col>
       </Row>
 
+      {coverage.rows.length > 0 && (
+        <Row>
+          <Col>
+            <Card>
+              <Card.Header className="d-flex justify-content-between align-items-center">
+                <h5 className="mb-0">QA Coverage (last 30 days)</h5>
+                {coverage.totals && (
+                  <span className="text-muted small">
+                    {coverage.totals.reviewed} of {coverage.totals.completed_tickets} completed tickets reviewed ({coverage.totals.coverage}%)
+                  </span>
+                )}
+              </Card.Header>
+              <Card.Body>
+                <Table responsive size="sm" className="mb-0">
+                  <thead>
+                    <tr>
+                      <th>Agent</th>
+                      <th className="text-end">Completed</th>
+                      <th className="text-end">Reviewed</th>
+                      <th className="text-end">Pending</th>
+                      <th className="text-end">Coverage</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {coverage.rows.map(row => (
+                      <tr key={row.agent_id}>
+                        <td>{row.agent_info?.name || `#${row.agent_id}`}</td>
+                        <td className="text-end">{row.completed_tickets}</td>
+                        <td className="text-end">{row.reviewed}</td>
+                        <td className="text-end">{row.pending}</td>
+                        <td className="text-end" title={`${row.coverage_with_pending}% once pending reviews are done`}>
+                          {row.coverage}%
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </Card.Body>
+            </Card>
+          </Col>
+        </Row>
+      )}
+
+      {trends.length > 0 && (
+        <Row>
+          <Col>
+            <Card>
+              <Card.Header>
+                <h5 className="mb-0">QA Score Trend by Agent</h5>
+              </Card.Header>
+              <Card.Body>
+                <Table responsive size="sm" className="mb-0">
+                  <thead>
+                    <tr>
+                      <th>Agent</th>
+                      <th className="text-end">Reviews</th>
+                      <th>Weekly average (oldest to newest)</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {trends.map(series => (
+                      <tr key={series.agent_id}>
+                        <td>{series.agent_info?.name || `#${series.agent_id}`}</td>
+                        <td className="text-end">{series.reviews}</td>
+                        <td className="d-flex flex-wrap gap-1">
+                          {series.points.slice(-8).map(point => (
+                            <Badge
+                              key={point.period}
+                              bg={point.auto_failed > 0 ? 'danger' : point.avg_score >= 80 ? 'success' : 'warning'}
+                              title={`${point.reviews} reviews, ${point.pass_rate}% passed`}
+                            >
+                              {point.period}: {point.avg_score}%
+                            </Badge>
+                          ))}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </Card.Body>
+            </Card>
+          </Col>
+        </Row>
+      )}
+
+      {/* New Review Modal */}
+      <Modal show={showReviewModal} onHide={() => setShowReviewModal(false)} size="xl" centered>
+        <Modal.Header closeButton>
+          <Modal.Title>{editingReviewId ? `Complete Review #${editingReviewId}` : 'New QA Review'}</Modal.Title>
+        </Modal.Header>
+        <Form onSubmit={handleCreateReview}>
+          <Modal.Body>
+            <Row className="mb-3">
+              <Col md={3}>
+                <Form.Group>
+                  <Form.Label>Ticket ID</Form.Label>
+                  <Form.Control
+                    type="number"
+                    required
+                    readOnly={Boolean(editingReviewId)}
+                    value={reviewForm.ticket_id}
+                    onChange={(e) => setReviewForm(prev => ({ ...prev, ticket_id: e.target.value }))}
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={4}>
+                <Form.Group>
+                  <Form.Label>Scorecard</Form.Label>
+                  <Form.Select
+                    value={reviewForm.scorecard_id}
+                    onChange={(e) => {
+                      setReviewForm(prev => ({ ...prev, scorecard_id: e.target.value }));
+                      setScoreValues({});
+                    }}
+                  >
+                    <option value="">No scorecard</option>
+                    {scorecards.map(card => (
+                      <option key={card.scorecard_id} value={card.scorecard_id}>{card.name} (v{card.version})</option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+              </Col>
+              <Col md={5}>
+                <Form.Group>
+                  <Form.Label>Issue Status</Form.Label>
+                  <Form.Control
+                    required
+                    placeholder="e.g. Escalated to network team"
+                    value={reviewForm.issue_status}
+                    onChange={(e) => setReviewForm(prev => ({ ...prev, issue_status: e.target.value }))}
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+
+            {selectedScorecard && (
+              <div className="mb-3">
+                <ScorecardForm criteria={selectedScorecard.criteria} values={scoreValues} onChange={setScoreValues} />
+                <div className="d-flex justify-content-end align-items-center gap-2 mt-2">
+                  <span className="text-muted small">Pass mark {selectedScorecard.pass_score}%</span>
+                  <ScoreBadge total={preview.total} autoFailed={preview.autoFailed} passed={preview.passed} />
+                  {!preview.complete && <span className="text-muted small">(incomplete)</span>}
+                </div>
+              </div>
+            )}
+
+            <Form.Group className="mb-3">
+              <Form.Label>Notes</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={2}
+                value={reviewForm.notes}
+                onChange={(e) => setReviewForm(prev => ({ ...prev, notes: e.target.value }))}
+              />
+            </Form.Group>
+            <Form.Check
+              type="checkbox"
+              id="review-resolved"
+              label="Issue resolved"
+              checked={reviewForm.resolved}
+              onChange={(e) => setReviewForm(prev => ({ ...prev, resolved: e.target.checked }))}
+            />
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowReviewModal(false)}>
+              Cancel
+            </Button>
+            <Button variant="primary" type="submit" disabled={savingReview}>
+              {savingReview ? 'Saving...' : 'Save Review'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+
+      {/* Scorecard of a saved review, as scored (original criteria version) */}
+      <Modal show={Boolean(viewedReview)} onHide={() => setViewedReview(null)} size="lg" centered>
+        <Modal.Header closeButton>
+          <Modal.Title>
+            Review #{viewedReview?.review_id} - {viewedReview?.scorecard?.name} v{viewedReview?.scorecard?.version}
+          </Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {viewedReview && (
+            <>
+              <ScorecardForm criteria={viewedReview.scores} readOnly />
+              <div className="d-flex justify-content-end align-items-center gap-2 mt-2">
+                <span className="text-muted small">Pass mark {viewedReview.scorecard?.pass_score}%</span>
+                <ScoreBadge total={viewedReview.total_score} autoFailed={viewedReview.auto_failed} passed={viewedReview.qa_passed} />
+              </div>
+            </>
+          )}
+        </Modal.Body>
+      </Modal>
     </>
   );
 };
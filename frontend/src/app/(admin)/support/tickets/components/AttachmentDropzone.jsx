@@ -0,0 +1,57 @@
+import Dropzone from 'react-dropzone';
+import { Button } from 'react-bootstrap';
+import IconifyIcon from '@/components/wrappers/IconifyIcon';
+
+// Same types and limits as the backend (utils/attachments.js)
+const ACCEPT = {
+  'image/png': [],
+  'image/jpeg': [],
+  'image/gif': [],
+  'image/webp': [],
+  'application/pdf': [],
+  'text/plain': [],
+  'text/csv': []
+};
+export const MAX_FILES = 5;
+
+/**
+ * Compact drop area for attachments. The parent owns the useFileUploader state
+ * so it can upload and clear the files after saving.
+ */
+const AttachmentDropzone = ({ uploader, disabled }) => {
+  const { selectedFiles, handleAcceptedFiles, removeFile } = uploader;
+
+  return (
+    <div className="mb-2">
+      <Dropzone
+        onDrop={acceptedFiles => handleAcceptedFiles(acceptedFiles.slice(0, MAX_FILES - selectedFiles.length))}
+        accept={ACCEPT}
+        disabled={disabled || selectedFiles.length >= MAX_FILES}
+      >
+        {({ getRootProps, getInputProps }) => (
+          <div {...getRootProps()} className="border rounded p-2 text-center text-muted small" style={{ '--bs-border-style': 'dashed', cursor: 'pointer' }}>
+            <input {...getInputProps()} />
+            <IconifyIcon icon="bx:paperclip" className="me-1" />
+            Drop screenshots or files here, or click to attach (up to {MAX_FILES})
+          </div>
+        )}
+      </Dropzone>
+      {selectedFiles.length > 0 && (
+        <div className="d-flex flex-wrap gap-2 mt-2">
+          {selectedFiles.map(file => (
+            <div key={file.path ?? file.name} className="d-flex align-items-center gap-1 border rounded px-2 py-1 small">
+              {file.preview && <img src={file.preview} alt="" width={24} height={24} className="rounded" style={{ objectFit: 'cover' }} />}
+              <span className="text-truncate" style={{ maxWidth: 140 }}>{file.name}</span>
+              <span className="text-muted">{file.formattedSize}</span>
+              <Button variant="link" size="sm" className="p-0 text-danger" onClick={() => removeFile(file)} disabled={disabled}>
+                ×
+              </Button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AttachmentDropzone;
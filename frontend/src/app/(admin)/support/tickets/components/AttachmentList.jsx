@@ -0,0 +1,44 @@
+import { Button } from 'react-bootstrap';
+import { supportApi } from '@/lib/api';
+import { formatFileSize } from '@/utils/other';
+
+/**
+ * Thumbnails and download links for attachments; onDelete is offered on the
+ * current user's own uploads
+ */
+const AttachmentList = ({ ticketId, attachments = [], userId, onDelete }) => {
+  if (attachments.length === 0) return null;
+
+  return (
+    <div className="d-flex flex-wrap gap-2 mt-1">
+      {attachments.map(attachment => {
+        const downloadUrl = supportApi.getAttachmentUrl(ticketId, attachment.attachment_id);
+        return (
+          <div key={attachment.attachment_id} className="border rounded p-1 small" style={{ maxWidth: 160 }}>
+            {attachment.has_thumbnail && (
+              <a href={supportApi.getAttachmentUrl(ticketId, attachment.attachment_id, { inline: true })} target="_blank" rel="noreferrer">
+                <img
+                  src={supportApi.getAttachmentUrl(ticketId, attachment.attachment_id, { thumbnail: true })}
+                  alt={attachment.filename}
+                  className="img-fluid rounded d-block mb-1"
+                  style={{ maxHeight: 100 }}
+                />
+              </a>
+            )}
+            <div className="d-flex align-items-center gap-1">
+              <a href={downloadUrl} className="text-truncate" title={attachment.filename}>{attachment.filename}</a>
+              {onDelete && attachment.uploaded_by?.user_id === String(userId) && (
+                <Button variant="link" size="sm" className="p-0 text-danger" title="Delete attachment" onClick={() => onDelete(attachment)}>
+                  ×
+                </Button>
+              )}
+            </div>
+            <div className="text-muted">{formatFileSize(attachment.size)}</div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default AttachmentList;
@@ -0,0 +1,132 @@
+import { useState } from 'react';
+import { Button, Form, Alert } from 'react-bootstrap';
+import Swal from 'sweetalert2';
+import { supportApi } from '@/lib/api';
+
+const actionLabels = {
+  reassign: 'Reassign agent',
+  status: 'Change status',
+  add_tags: 'Add tags',
+  delete: 'Delete'
+};
+
+const BulkActionBar = ({ selectedIds, filters, matchingTotal, employees, tags, statusOptions, onDone, onClear }) => {
+  const [scope, setScope] = useState('selected');
+  const [action, setAction] = useState('reassign');
+  const [agentId, setAgentId] = useState('');
+  const [status, setStatus] = useState('Completed');
+  const [selectedTags, setSelectedTags] = useState([]);
+  const [running, setRunning] = useState(false);
+
+  const buildPayload = (dryRun) => {
+    const payload = { action, dry_run: dryRun };
+    if (scope === 'selected') {
+      payload.ticket_ids = selectedIds;
+    } else {
+      payload.filter = filters;
+    }
+    if (action === 'reassign') payload.agent_id = agentId ? Number(agentId) : null;
+    if (action === 'status') payload.resolution_status = status;
+    if (action === 'add_tags') payload.tags = selectedTags;
+    return payload;
+  };
+
+  // Preview with a dry run, then apply after confirmation
+  const handleApply = async () => {
+    if (action === 'add_tags' && selectedTags.length === 0) return;
+
+    try {
+      setRunning(true);
+      const preview = await supportApi.bulkTicketAction(buildPayload(true));
+      const { affected, failed, follow_ups_created: followUps } = preview.meta;
+
+      const failures = preview.data.filter(result => !result.ok);
+      const result = await Swal.fire({
+        title: `${actionLabels[action]}?`,
+        html: `
+          <p>${affected} of ${preview.meta.matched} tickets will change.</p>
+          ${followUps > 0 ? `<p>${followUps} follow-up calls will be queued.</p>` : ''}
+          ${failed > 0 ? `<p class="text-danger">${failed} tickets will be skipped: ${failures.slice(0, 5).map(item => `#${item.ticket_id} (${item.error.message})`).join(', ')}${failed > 5 ? '…' : ''}</p>` : ''}
+        `,
+        icon: action === 'delete' ? 'warning' : 'question',
+        showCancelButton: true,
+        confirmButtonText: 'Apply',
+        confirmButtonColor: action === 'delete' ? '#d33' : undefined,
+        reverseButtons: true
+      });
+      if (!result.isConfirmed) return;
+
+      const response = await supportApi.bulkTicketAction(buildPayload(false));
+      Swal.fire({
+        title: 'Done',
+        text: `${response.meta.affected} tickets updated${response.meta.failed > 0 ? `, ${response.meta.failed} skipped` : ''}.`,
+        icon: response.meta.failed > 0 ? 'warning' : 'success'
+      });
+      onDone();
+    } catch (err) {
+      Swal.fire({ title: 'Error!', text: err.message, icon: 'error' });
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const count = scope === 'selected' ? selectedIds.length : matchingTotal;
+
+  return (
+    <Alert variant="light" className="d-flex flex-wrap align-items-center gap-2 border mb-3">
+      <Form.Select size="sm" value={scope} onChange={(e) => setScope(e.target.value)} style={{ maxWidth: 230 }}>
+        <option value="selected">{selectedIds.length} selected tickets</option>
+        <option value="filter">All {matchingTotal} matching filters</option>
+      </Form.Select>
+
+      <Form.Select size="sm" value={action} onChange={(e) => setAction(e.target.value)} style={{ maxWidth: 170 }}>
+        {Object.entries(actionLabels).map(([value, label]) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </Form.Select>
+
+      {action === 'reassign' && (
+        <Form.Select size="sm" value={agentId} onChange={(e) => setAgentId(e.target.value)} style={{ maxWidth: 200 }}>
+          <option value="">Unassigned</option>
+          {employees.map(employee => (
+            <option key={employee.employee_id} value={employee.employee_id}>{employee.name}</option>
+          ))}
+        </Form.Select>
+      )}
+
+      {action === 'status' && (
+        <Form.Select size="sm" value={status} onChange={(e) => setStatus(e.target.value)} style={{ maxWidth: 170 }}>
+          {statusOptions.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </Form.Select>
+      )}
+
+      {action === 'add_tags' && tags.map(tag => (
+        <Form.Check
+          key={tag.value}
+          inline
+          type="checkbox"
+          id={`bulk-tag-${tag.value}`}
+          label={tag.label}
+          checked={selectedTags.includes(tag.value)}
+          onChange={(e) => setSelectedTags(prev => (
+            e.target.checked ? [...prev, tag.value] : prev.filter(value => value !== tag.value)
+          ))}
+        />
+      ))}
+
+      <Button
+        size="sm"
+        variant={action === 'delete' ? 'danger' : 'primary'}
+        disabled={running || count === 0 || (action === 'add_tags' && selectedTags.length === 0)}
+        onClick={handleApply}
+      >
+        {running ? 'Working...' : `Apply to ${count}`}
+      </Button>
+      <Button size="sm" variant="link" onClick={onClear}>Clear selection</Button>
+    </Alert>
+  );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,64 @@
+import { useState } from 'react';
+import { Dropdown, Spinner } from 'react-bootstrap';
+import Swal from 'sweetalert2';
+import { supportApi } from '@/lib/api';
+
+// Dropdown of canned responses for a ticket scope; the chosen one is rendered
+// server-side (variables filled in, use recorded) and handed to onInsert
+const CannedResponsePicker = ({ target, ticketId, draft, issueCategory, issueType, onInsert, size = 'sm' }) => {
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const loadTemplates = async (isOpen) => {
+    if (!isOpen) return;
+    try {
+      setLoading(true);
+      const params = { target };
+      if (issueCategory) params.issue_category = issueCategory;
+      if (issueType) params.issue_type = issueType;
+      const response = await supportApi.getCannedResponses(params);
+      setTemplates(response.data || []);
+    } catch (err) {
+      console.error('Failed to load canned responses:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSelect = async (template) => {
+    try {
+      const response = await supportApi.renderCannedResponse(template.canned_response_id, {
+        target,
+        ticket_id: ticketId || null,
+        draft: ticketId ? undefined : draft
+      });
+      onInsert(response.data.text);
+    } catch (err) {
+      Swal.fire({ title: 'Error!', text: err.message, icon: 'error' });
+    }
+  };
+
+  return (
+    <Dropdown onToggle={loadTemplates}>
+      <Dropdown.Toggle variant="outline-secondary" size={size}>
+        Insert template
+      </Dropdown.Toggle>
+      <Dropdown.Menu style={{ maxHeight: 300, overflowY: 'auto' }}>
+        {loading ? (
+          <Dropdown.ItemText><Spinner animation="border" size="sm" /></Dropdown.ItemText>
+        ) : templates.length === 0 ? (
+          <Dropdown.ItemText className="text-muted">No templates for this ticket</Dropdown.ItemText>
+        ) : (
+          templates.map(template => (
+            <Dropdown.Item key={template.canned_response_id} onClick={() => handleSelect(template)}>
+              {template.title}
+              {template.kind === 'resolution' && <small className="text-muted"> (resolution)</small>}
+            </Dropdown.Item>
+          ))
+        )}
+      </Dropdown.Menu>
+    </Dropdown>
+  );
+};
+
+export default CannedResponsePicker;
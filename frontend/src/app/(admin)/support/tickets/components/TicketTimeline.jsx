@@ -0,0 +1,280 @@
+import { useState, useEffect } from 'react';
+import { Offcanvas, Button, Badge, Form, Spinner } from 'react-bootstrap';
+import Swal from 'sweetalert2';
+import { supportApi } from '@/lib/api';
+import { useAuth } from '@/lib/simpleAuth';
+import useFileUploader from '@/hooks/useFileUploader';
+import CannedResponsePicker from './CannedResponsePicker';
+import AttachmentDropzone from './AttachmentDropzone';
+import AttachmentList from './AttachmentList';
+
+const sourceLabels = {
+  create: 'Created',
+  agent_edit: 'Agent edit',
+  follow_up: 'Follow-up outcome',
+  qa_review: 'QA review',
+  reopen: 'Reopened',
+  merge: 'Merged',
+  bulk_edit: 'Bulk edit',
+  escalation: 'Escalation',
+  incident: 'Incident'
+};
+
+const formatValue = (value) => (value === null || value === '' ? '-' : String(value));
+
+// Upload errors list each rejected file
+const uploadErrorText = (err) => (err.errors?.length ? err.errors.map(error => error.detail).join('\n') : err.message);
+
+// Highlight @username mentions in a comment body
+const renderBody = (body) => body.split(/(@[A-Za-z0-9_.-]+)/g).map((part, index) => (
+  part.startsWith('@') ? <strong key={index} className="text-primary">{part}</strong> : part
+));
+
+const TicketTimeline = ({ ticketId, show, onHide }) => {
+  const { user } = useAuth();
+  const [loading, setLoading] = useState(false);
+  const [ticket, setTicket] = useState(null);
+  const [items, setItems] = useState([]);
+  const [body, setBody] = useState('');
+  const [visibility, setVisibility] = useState('internal');
+  const [replyTo, setReplyTo] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const uploader = useFileUploader();
+
+  // History events and comment threads merged into one list, oldest first
+  const loadTimeline = async () => {
+    try {
+      setLoading(true);
+      const response = await supportApi.getTicket(ticketId);
+      const ticket = response.data;
+      setTicket(ticket);
+      const events = (ticket.history || []).map(event => ({ kind: 'event', at: event.createdAt, event }));
+      const comments = (ticket.comments || []).map(comment => ({ kind: 'comment', at: comment.createdAt, comment }));
+      setItems([...events, ...comments].sort((a, b) => new Date(a.at) - new Date(b.at)));
+    } catch (err) {
+      Swal.fire({ title: 'Error!', text: err.message, icon: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (show && ticketId) {
+      setBody('');
+      setReplyTo(null);
+      setEditing(null);
+      uploader.clearFiles();
+      loadTimeline();
+    }
+  }, [show, ticketId]);
+
+  // Attachments grouped by what they belong to
+  const attachments = ticket?.attachments || [];
+  const commentAttachments = (commentId) => attachments.filter(a => a.owner_type === 'comment' && a.owner_id === commentId);
+  const ticketAttachments = attachments.filter(a => a.owner_type !== 'comment');
+
+  const uploadFiles = async (owner) => {
+    try {
+      await supportApi.uploadTicketAttachments(ticketId, uploader.selectedFiles, owner);
+      uploader.clearFiles();
+    } catch (err) {
+      Swal.fire({ title: 'Files not uploaded', text: uploadErrorText(err), icon: 'error' });
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const hasFiles = !editing && uploader.selectedFiles.length > 0;
+    if (!body.trim() && !hasFiles) return;
+
+    try {
+      setSaving(true);
+      if (editing) {
+        await supportApi.updateTicketComment(ticketId, editing.comment_id, { body, visibility });
+      } else if (!body.trim()) {
+        // Files without a note go on the ticket itself
+        await uploadFiles({});
+      } else {
+        const response = await supportApi.addTicketComment(ticketId, {
+          body,
+          visibility,
+          parent_id: replyTo ? replyTo.comment_id : null
+        });
+        // Customer-visible comments on WhatsApp tickets are also sent to the customer
+        const delivery = response.meta?.delivery;
+        if (delivery && delivery.status === 'failed') {
+          Swal.fire({ title: 'Not delivered', text: `Comment saved, but the ${delivery.channel} message failed: ${delivery.error}`, icon: 'warning' });
+        }
+        if (hasFiles) await uploadFiles({ comment_id: response.data.comment_id });
+      }
+      setBody('');
+      setReplyTo(null);
+      setEditing(null);
+      loadTimeline();
+    } catch (err) {
+      Swal.fire({ title: 'Error!', text: err.message, icon: 'error' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (comment) => {
+    const result = await Swal.fire({
+      title: 'Delete comment?',
+      text: 'The comment is removed from the timeline; its history is kept.',
+      icon: 'warning',
+      showCancelButton: true,
+      confirmButtonText: 'Delete'
+    });
+    if (!result.isConfirmed) return;
+
+    try {
+      await supportApi.deleteTicketComment(ticketId, comment.comment_id);
+      loadTimeline();
+    } catch (err) {
+      Swal.fire({ title: 'Error!', text: err.message, icon: 'error' });
+    }
+  };
+
+  const handleDeleteAttachment = async (attachment) => {
+    const result = await Swal.fire({
+      title: 'Delete attachment?',
+      text: attachment.filename,
+      icon: 'warning',
+      showCancelButton: true,
+      confirmButtonText: 'Delete'
+    });
+    if (!result.isConfirmed) return;
+
+    try {
+      await supportApi.deleteTicketAttachment(ticketId, attachment.attachment_id);
+      loadTimeline();
+    } catch (err) {
+      Swal.fire({ title: 'Error!', text: err.message, icon: 'error' });
+    }
+  };
+
+  const startEdit = (comment) => {
+    setEditing(comment);
+    setReplyTo(null);
+    setBody(comment.body);
+    setVisibility(comment.visibility);
+  };
+
+  const renderComment = (comment, depth = 0) => (
+    <div key={comment.comment_id} className={depth > 0 ? 'ms-4 mt-2 ps-2 border-start' : ''}>
+      <div className="d-flex align-items-center gap-2">
+        <strong>{comment.author?.name || comment.author?.username || 'Unknown'}</strong>
+        <Badge bg={comment.visibility === 'customer' ? 'info' : 'secondary'}>
+          {comment.visibility === 'customer' ? 'Customer-visible' : 'Internal'}
+        </Badge>
+        {comment.channel && <Badge bg="light" text="dark">via {comment.channel}</Badge>}
+        <small className="text-muted">
+          {new Date(comment.createdAt).toLocaleString()}
+          {comment.edits?.length > 0 && !comment.is_deleted ? ' (edited)' : ''}
+        </small>
+      </div>
+      {comment.is_deleted ? (
+        <div className="fst-italic text-muted">Comment deleted</div>
+      ) : (
+        <>
+          <div style={{ whiteSpace: 'pre-wrap' }}>{renderBody(comment.body)}</div>
+          <AttachmentList ticketId={ticketId} attachments={commentAttachments(comment.comment_id)} userId={user?.id} onDelete={handleDeleteAttachment} />
+          <div className="d-flex gap-2">
+            <Button variant="link" size="sm" className="p-0" onClick={() => { setReplyTo(comment); setEditing(null); }}>
+              Reply
+            </Button>
+            {comment.author?.user_id === String(user?.id) && (
+              <>
+                <Button variant="link" size="sm" className="p-0" onClick={() => startEdit(comment)}>Edit</Button>
+                <Button variant="link" size="sm" className="p-0 text-danger" onClick={() => handleDelete(comment)}>Delete</Button>
+              </>
+            )}
+          </div>
+        </>
+      )}
+      {(comment.replies || []).map(reply => renderComment(reply, depth + 1))}
+    </div>
+  );
+
+  return (
+    <Offcanvas show={show} onHide={onHide} placement="end" style={{ width: 520 }}>
+      <Offcanvas.Header closeButton>
+        <Offcanvas.Title>Ticket #{String(ticketId || '').padStart(4, '0')} Timeline</Offcanvas.Title>
+      </Offcanvas.Header>
+      <Offcanvas.Body className="d-flex flex-column">
+        <div className="flex-grow-1 overflow-auto mb-3">
+          {ticketAttachments.length > 0 && (
+            <div className="mb-3 pb-2 border-bottom">
+              <div className="small fw-semibold">Attachments</div>
+              <AttachmentList ticketId={ticketId} attachments={ticketAttachments} userId={user?.id} onDelete={handleDeleteAttachment} />
+            </div>
+          )}
+          {loading ? (
+            <div className="text-center py-4"><Spinner animation="border" /></div>
+          ) : items.length === 0 ? (
+            <p className="text-muted">No activity yet.</p>
+          ) : (
+            items.map(item => (
+              <div key={item.kind === 'event' ? `e-${item.event.event_id}` : `c-${item.comment.comment_id}`} className="mb-3">
+                {item.kind === 'event' ? (
+                  <div className="small text-muted">
+                    <strong>{sourceLabels[item.event.source] || item.event.source}</strong>
+                    {' '}by {item.event.actor?.name || item.event.actor?.username || 'System'}
+                    {' '}({new Date(item.event.createdAt).toLocaleString()})
+                    {item.event.source !== 'create' && item.event.changes.map(change => (
+                      <div key={change.field}>
+                        {change.field}: {formatValue(change.before)} → {formatValue(change.after)}
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  renderComment(item.comment)
+                )}
+              </div>
+            ))
+          )}
+        </div>
+
+        <Form onSubmit={handleSubmit}>
+          {(replyTo || editing) && (
+            <div className="small mb-1">
+              {editing ? 'Editing comment' : `Replying to ${replyTo.author?.name || replyTo.author?.username}`}
+              <Button variant="link" size="sm" className="p-0 ms-2" onClick={() => { setReplyTo(null); setEditing(null); setBody(''); }}>
+                Cancel
+              </Button>
+            </div>
+          )}
+          <Form.Control
+            as="textarea"
+            rows={3}
+            placeholder="Add a note… use @username to mention a colleague"
+            value={body}
+            onChange={(e) => setBody(e.target.value)}
+            className="mb-2"
+          />
+          {!editing && <AttachmentDropzone uploader={uploader} disabled={saving} />}
+          <div className="d-flex gap-2">
+            <Form.Select size="sm" value={visibility} onChange={(e) => setVisibility(e.target.value)} style={{ maxWidth: 200 }}>
+              <option value="internal">Internal note</option>
+              <option value="customer">Customer-visible</option>
+            </Form.Select>
+            <CannedResponsePicker
+              target="comment"
+              ticketId={ticketId}
+              issueCategory={ticket?.issue_category}
+              issueType={ticket?.issue_type}
+              onInsert={(text) => setBody(prev => (prev ? `${prev}\n${text}` : text))}
+            />
+            <Button type="submit" size="sm" disabled={saving || (!body.trim() && (editing || uploader.selectedFiles.length === 0))}>
+              {saving ? 'Saving...' : editing ? 'Save' : 'Post'}
+            </Button>
+          </div>
+        </Form>
+      </Offcanvas.Body>
+    </Offcanvas>
+  );
+};
+
+export default TicketTimeline;
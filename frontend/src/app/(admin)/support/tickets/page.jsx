@@ -5,6 +5,9 @@ import Swal from 'sweetalert2';
 import PageMetaData from '@/components/PageTitle';
 import { supportApi } from '@/lib/api';
 import { useAuth } from '@/lib/simpleAuth';
+import TicketTimeline from './components/TicketTimeline';
+import BulkActionBar from './components/BulkActionBar';
+import CannedResponsePicker from './components/CannedResponsePicker';
 
 const Tickets = () => {
   const [searchParams, setSearchParams] = useSearchParams();
@@ -16,13 +19,24 @@ const Tickets = () => {
   const [employees, setEmployees] = useState([]);
   const [pagination, setPagination] = useState({ page: 1, limit: 20, total: 0 });
   const [editingTicketId, setEditingTicketId] = useState(null);
+  const [customerLookup, setCustomerLookup] = useState(null);
+  const [timelineTicketId, setTimelineTicketId] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
 
   // Filters
   const [filters, setFilters] = useState({
     search: searchParams.get('search') || '',
     resolution_status: searchParams.get('status') ? [searchParams.get('status')] : [],
     issue_category: searchParams.get('category') ? [searchParams.get('category')] : [],
+    issue_type: searchParams.get('issue_type') || '',
+    device_type: searchParams.get('device_type') || '',
+    tags: searchParams.get('tags') || '',
     agent_id: searchParams.get('agent') || '',
+    priority: searchParams.get('priority') || '',
+    sla_state: searchParams.get('sla_state') || '',
+    escalation_level: searchParams.get('escalation_level') || '',
+    sort_by: searchParams.get('sort_by') || '',
+    sort_order: searchParams.get('sort_order') || '',
     from: searchParams.get('from') || '',
     to: searchParams.get('to') || ''
   });
@@ -38,24 +52,35 @@ const Tickets = () => {
     issue_description: '',
     agent_id: '',
     resolution_status: 'Pending',
-    first_call_resolution: 'No'
+    first_call_resolution: 'No',
+    priority: 'Medium',
+    tags: [],
+    custom_fields: {}
   });
 
-  const issueCategories = [
-    'App', 'IPTV', 'Streaming', 'VOD', 'Subscription', 'OTP', 'Programming', 'Other'
-  ];
+  // Categories, issue types, device types, tags and custom fields are managed by admins
+  const [taxonomy, setTaxonomy] = useState({
+    categories: [],
+    issue_types: [],
+    device_types: [],
+    tags: [],
+    channels: ['WhatsApp', 'Phone', 'Email', 'In-App'],
+    priorities: ['Low', 'Medium', 'High', 'Urgent']
+  });
+  const { categories: issueCategories, device_types: deviceTypes, tags: ticketTags, channels: communicationChannels, priorities } = taxonomy;
 
-  const communicationChannels = [
-    'WhatsApp', 'Phone', 'Email', 'In-App'
-  ];
+  // Issue types available for the selected category
+  const issueTypes = taxonomy.issue_types.filter(type => !type.category || type.category === formData.issue_category);
+  const categoryFields = issueCategories.find(cat => cat.value === formData.issue_category)?.custom_fields || [];
 
-  const deviceTypes = [
-    'Huawei', 'Samsung', 'iPhone', 'Android', 'iPad', 'Windows', 'Mac', 'Linux', 'Other'
-  ];
+  // L1-L3 names and tier SLAs (settings/escalation-tiers)
+  const [escalationTiers, setEscalationTiers] = useState([]);
 
-  const issueTypes = [
-    'Login Issue', 'Channel Missing', 'Streaming Problem', 'Payment Issue', 
-    'Account Problem', 'Technical Issue', 'Billing Question', 'Other'
+  const slaStateOptions = [
+    { value: 'on_track', label: 'On Track', variant: 'success' },
+    { value: 'at_risk', label: 'At Risk', variant: 'warning' },
+    { value: 'breached', label: 'Breached', variant: 'danger' },
+    { value: 'met', label: 'Met', variant: 'secondary' }
   ];
 
   const statusOptions = [
@@ -64,6 +89,11 @@ const Tickets = () => {
     { value: 'Completed', label: 'Completed', variant: 'success' }
   ];
 
+  // Filters without empty values, as sent to the API
+  const getActiveFilters = () => Object.fromEntries(
+    Object.entries(filters).filter(([, value]) => value !== '' && !(Array.isArray(value) && value.length === 0))
+  );
+
   // Load tickets
   const loadTickets = async () => {
     try {
@@ -73,16 +103,9 @@ const Tickets = () => {
       const params = {
         page: pagination.page,
         pageSize: pagination.limit,
-        ...filters
+        ...getActiveFilters()
       };
       
-      // Clean up empty filters
-      Object.keys(params).forEach(key => {
-        if (params[key] === '' || (Array.isArray(params[key]) && params[key].length === 0)) {
-          delete params[key];
-        }
-      });
-      
       const response = await supportApi.getTickets(params);
       setTickets(response.data || []);
       setPagination(prev => ({
@@ -96,6 +119,16 @@ const Tickets = () => {
     }
   };
 
+  // Load ticket taxonomy for form and filters
+  const loadTaxonomy = async () => {
+    try {
+      const response = await supportApi.getTicketTaxonomy();
+      if (response.data) setTaxonomy(response.data);
+    } catch (err) {
+      console.error('Failed to load ticket taxonomy:', err);
+    }
+  };
+
   // Load employees for dropdown
   const loadEmployees = async () => {
     try {
@@ -111,6 +144,42 @@ const Tickets = () => {
     loadEmployees();
   }, [filters, pagination.page]);
 
+  // A new filter means a new result set; start the selection over
+  useEffect(() => {
+    setSelectedIds([]);
+  }, [filters]);
+
+  const toggleSelected = (ticketId) => {
+    setSelectedIds(prev => (
+      prev.includes(ticketId) ? prev.filter(id => id !== ticketId) : [...prev, ticketId]
+    ));
+  };
+
+  const pageIds = tickets.map(ticket => ticket.ticket_id);
+  const allPageSelected = pageIds.length > 0 && pageIds.every(id => selectedIds.includes(id));
+
+  const toggleSelectPage = () => {
+    setSelectedIds(prev => (
+      allPageSelected
+        ? prev.filter(id => !pageIds.includes(id))
+        : [...new Set([...prev, ...pageIds])]
+    ));
+  };
+
+  const loadEscalationTiers = async () => {
+    try {
+      const response = await supportApi.getEscalationTiers();
+      setEscalationTiers(response.data || []);
+    } catch (err) {
+      console.error('Failed to load escalation tiers:', err);
+    }
+  };
+
+  useEffect(() => {
+    loadTaxonomy();
+    loadEscalationTiers();
+  }, []);
+
   // Debug: Log user data to see available fields
   useEffect(() => {
     if (user) {
@@ -120,6 +189,26 @@ const Tickets = () => {
     }
   }, [user]);
 
+  // Look up previous tickets from this number while the phone is being typed
+  useEffect(() => {
+    const phone = formData.customer_phone.replace(/\D/g, '');
+    if (!showAddModal || editingTicketId || phone.length < 7) {
+      setCustomerLookup(null);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await supportApi.lookupCustomer(phone);
+        setCustomerLookup(response.data || null);
+      } catch (err) {
+        setCustomerLookup(null);
+      }
+    }, 400);
+
+    return () => clearTimeout(timer);
+  }, [formData.customer_phone, showAddModal, editingTicketId]);
+
   // Update URL when filters change
   useEffect(() => {
     const newParams = new URLSearchParams();
@@ -196,6 +285,29 @@ const Tickets = () => {
       // Debug: Log the ticket data to console
       console.log('Ticket data received:', ticket);
       
+      const sourceLabels = {
+        create: 'Created',
+        agent_edit: 'Agent edit',
+        follow_up: 'Follow-up outcome',
+        qa_review: 'QA review',
+        reopen: 'Reopened',
+        merge: 'Merged',
+        bulk_edit: 'Bulk edit',
+        escalation: 'Escalation',
+        incident: 'Incident'
+      };
+      const formatValue = (value) => (value === null || value === '' ? '-' : value);
+      const historyItems = (ticket.history || []).map(event => `
+        <li style="margin-bottom: 6px;">
+          <strong>${sourceLabels[event.source] || event.source}</strong>
+          by ${event.actor?.name || event.actor?.username || 'System'}
+          <span style="color: #6c757d;">(${new Date(event.createdAt).toLocaleString()})</span>
+          ${event.source === 'create' ? '' : `<div style="font-size: 12px;">${event.changes.map(change =>
+            `${change.field}: ${formatValue(change.before)} → ${formatValue(change.after)}`
+          ).join('<br/>')}</div>`}
+        </li>
+      `).join('');
+
       // Format the ticket details in a two-column layout to fit without scrolling
       const ticketDetails = `
         <div style="text-align: left; font-family: Arial, sans-serif; display: grid; grid-template-columns: 1fr 1fr; gap: 20px; max-width: 900px;">
@@ -233,6 +345,25 @@ const Tickets = () => {
             <div style="margin-bottom: 8px;">
               <strong>Issue Type:</strong> ${ticket.issue_type || '-'}
             </div>
+            ${(ticket.merged_ticket_ids || []).length > 0 ? `
+              <div style="margin-bottom: 8px;">
+                <strong>Merged Tickets:</strong> ${ticket.merged_ticket_ids.map(id => `#${id}`).join(', ')}
+              </div>
+            ` : ''}
+            ${ticket.incident ? `
+              <div style="margin-bottom: 8px;">
+                <strong>Incident:</strong> #${ticket.incident.incident_id} ${ticket.incident.title} (${ticket.incident.status})
+              </div>
+            ` : ''}
+            <div style="margin-bottom: 8px;">
+              <strong>Tags:</strong> ${(ticket.tags || []).join(', ') || '-'}
+            </div>
+            ${Object.entries(ticket.custom_fields || {}).map(([key, value]) => `
+              <div style="margin-bottom: 8px;">
+                <strong>${issueCategories.find(cat => cat.value === ticket.issue_category)?.custom_fields
+                  .find(field => field.key === key)?.label || key}:</strong> ${value}
+              </div>
+            `).join('')}
           </div>
           <div>
             <div style="margin-bottom: 8px;">
@@ -261,6 +392,32 @@ const Tickets = () => {
             </div>
           </div>
         </div>
+        ${ticket.routing ? `
+          <div style="text-align: left; margin-top: 16px;">
+            <strong>Routing</strong>
+            <div style="font-size: 13px; margin-top: 6px;">
+              ${ticket.routing.reason || '-'}
+              ${ticket.routing.method === 'rule' ? `
+                <div style="color: #6c757d;">
+                  Strategy: ${ticket.routing.strategy === 'least_open' ? 'Least open tickets' : 'Round-robin'}
+                  · Shift: ${ticket.routing.shift || '-'}
+                </div>
+                ${(ticket.routing.candidates || []).length > 0 ? `<div>Candidates: ${ticket.routing.candidates.map(c =>
+                  `${c.name} (#${c.employee_id}, ${c.open_tickets} open)`
+                ).join(', ')}</div>` : ''}
+                ${(ticket.routing.skipped || []).length > 0 ? `<div style="color: #6c757d;">Skipped: ${ticket.routing.skipped.map(s =>
+                  `${s.name} – ${s.reason}`
+                ).join(', ')}</div>` : ''}
+              ` : ''}
+            </div>
+          </div>
+        ` : ''}
+        ${historyItems ? `
+          <div style="text-align: left; margin-top: 16px; max-height: 200px; overflow-y: auto;">
+            <strong>History</strong>
+            <ul style="padding-left: 18px; margin-top: 6px;">${historyItems}</ul>
+          </div>
+        ` : ''}
       `;
       
       Swal.fire({
@@ -305,12 +462,15 @@ const Tickets = () => {
         issue_description: ticket.issue_description,
         agent_id: ticket.agent_id || '',
         resolution_status: ticket.resolution_status,
-        first_call_resolution: ticket.first_call_resolution
+        first_call_resolution: ticket.first_call_resolution,
+        priority: ticket.priority || 'Medium',
+        tags: ticket.tags || [],
+        custom_fields: ticket.custom_fields || {}
       });
       
       // Set editing mode
       setEditingTicketId(ticketId);
-      setShowModal(true);
+      setShowAddModal(true);
       
       Swal.fire({
         title: 'Edit Mode',
@@ -430,9 +590,13 @@ const Tickets = () => {
         issue_category: formData.issue_category,
         issue_type: formData.issue_type || '',
         issue_description: formData.issue_description?.trim() || '',
-        agent_id: user?.employeeId?.employee_id || user?.employee?.employee_id || null,
+        // New tickets are assigned by the server's routing rules
+        agent_id: editingTicketId ? (user?.employeeId?.employee_id || user?.employee?.employee_id || null) : null,
         resolution_status: formData.resolution_status || 'Pending',
-        first_call_resolution: formData.first_call_resolution || 'No'
+        first_call_resolution: formData.first_call_resolution || 'No',
+        priority: formData.priority || 'Medium',
+        tags: formData.tags,
+        custom_fields: formData.custom_fields
       };
 
       // FCR remains as set by user - no auto-update
@@ -452,12 +616,67 @@ const Tickets = () => {
       } else {
         // Create new ticket
         response = await supportApi.createTicket(cleanFormData);
-        Swal.fire({
-          title: 'Success!',
-          text: 'Ticket created successfully.',
-          icon: 'success',
-          timer: 2000
-        });
+        const candidates = response.meta?.duplicate_candidates || [];
+        const incidents = response.meta?.incident_suggestions || [];
+
+        if (candidates.length > 0) {
+          // Same phone and category reported recently: offer to merge into the earlier ticket
+          const { value: targetId } = await Swal.fire({
+            title: 'Possible duplicate',
+            html: `Ticket #${response.data.ticket_id} was created, but this number recently reported the same category.<br/>Merge it into an earlier ticket?`,
+            icon: 'question',
+            input: 'select',
+            inputOptions: Object.fromEntries(candidates.map(t => [
+              t.ticket_id,
+              `#${t.ticket_id} · ${t.issue_type || t.issue_category} · ${t.resolution_status} · ${new Date(t.createdAt).toLocaleString()}`
+            ])),
+            showCancelButton: true,
+            confirmButtonText: 'Merge',
+            cancelButtonText: 'Keep separate'
+          });
+
+          if (targetId) {
+            await supportApi.mergeTicket(response.data.ticket_id, Number(targetId));
+            Swal.fire({
+              title: 'Merged',
+              text: `Ticket #${response.data.ticket_id} was merged into #${targetId}.`,
+              icon: 'success',
+              timer: 2000
+            });
+          }
+        } else if (incidents.length > 0) {
+          // An active outage matches the category and location: offer to link the ticket to it
+          const { value: incidentId } = await Swal.fire({
+            title: 'Active incident',
+            html: `Ticket #${response.data.ticket_id} was created. It looks like part of an ongoing incident.<br/>Link it?`,
+            icon: 'question',
+            input: 'select',
+            inputOptions: Object.fromEntries(incidents.map(incident => [
+              incident.incident_id,
+              `#${incident.incident_id} · ${incident.title} · ${incident.status}`
+            ])),
+            showCancelButton: true,
+            confirmButtonText: 'Link',
+            cancelButtonText: 'Not related'
+          });
+
+          if (incidentId) {
+            await supportApi.linkIncidentTickets(Number(incidentId), [response.data.ticket_id]);
+            Swal.fire({
+              title: 'Linked',
+              text: `Ticket #${response.data.ticket_id} was linked to incident #${incidentId}.`,
+              icon: 'success',
+              timer: 2000
+            });
+          }
+        } else {
+          Swal.fire({
+            title: 'Success!',
+            text: 'Ticket created successfully.',
+            icon: 'success',
+            timer: 2000
+          });
+        }
       }
       
       setShowAddModal(false);
@@ -472,7 +691,10 @@ const Tickets = () => {
         issue_description: '',
         agent_id: '',
         resolution_status: 'Pending',
-        first_call_resolution: 'No'
+        first_call_resolution: 'No',
+        priority: 'Medium',
+        tags: [],
+        custom_fields: {}
       });
       
       loadTickets();
@@ -519,6 +741,76 @@ const Tickets = () => {
     }
   };
 
+  const getSlaBadge = (sla) => {
+    if (!sla) return '-';
+    const option = slaStateOptions.find(opt => opt.value === sla.state);
+    const showTimer = sla.time_to_breach_minutes !== null && sla.state !== 'met';
+    return (
+      <div>
+        <Badge bg={option?.variant || 'secondary'}>
+          {option?.label || sla.state}
+        </Badge>
+        {showTimer && (
+          <div className="text-muted small">
+            {sla.time_to_breach_minutes >= 0
+              ? `${sla.time_to_breach_minutes} min left`
+              : `${Math.abs(sla.time_to_breach_minutes)} min over`}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const tierName = (level) => escalationTiers.find(tier => tier.level === level)?.name || `L${level}`;
+
+  const getEscalationBadge = (escalation) => {
+    if (!escalation || escalation.level <= 1) return null;
+    return (
+      <div>
+        <Badge bg={escalation.breached ? 'danger' : 'dark'} title={escalation.reason || ''}>
+          {tierName(escalation.level)}
+        </Badge>
+      </div>
+    );
+  };
+
+  // Move a ticket one tier up or down; the reason goes to the receivers' notification
+  const handleEscalation = async (ticket, direction) => {
+    const level = (ticket.escalation?.level || 1) + (direction === 'up' ? 1 : -1);
+    try {
+      const { value: reason } = await Swal.fire({
+        title: `${direction === 'up' ? 'Escalate' : 'De-escalate'} #${ticket.ticket_id} to ${tierName(level)}`,
+        input: 'textarea',
+        inputLabel: 'Reason',
+        inputPlaceholder: direction === 'up' ? 'Why does this need the next tier?' : 'Why is it going back?',
+        showCancelButton: true,
+        confirmButtonText: direction === 'up' ? 'Escalate' : 'De-escalate',
+        inputValidator: (value) => (!value || value.trim().length < 3 ? 'Please give a reason' : undefined)
+      });
+      if (!reason) return;
+
+      const response = direction === 'up'
+        ? await supportApi.escalateTicket(ticket.ticket_id, { level, reason })
+        : await supportApi.deEscalateTicket(ticket.ticket_id, { level, reason });
+
+      Swal.fire({
+        title: direction === 'up' ? 'Escalated' : 'De-escalated',
+        text: response.data.agent_id
+          ? `Assigned to #${response.data.agent_id}; ${response.meta.notified} notified.`
+          : `Waiting in the ${tierName(level)} queue; ${response.meta.notified} notified.`,
+        icon: 'success',
+        timer: 2500
+      });
+      loadTickets();
+    } catch (err) {
+      Swal.fire({
+        title: 'Error!',
+        html: err.errors?.length ? err.errors.map(item => item.detail).join('<br>') : err.message,
+        icon: 'error'
+      });
+    }
+  };
+
   const getFCRBadge = (fcr) => {
     return (
       <Badge bg={fcr === 'Yes' ? 'success' : 'secondary'}>
@@ -595,7 +887,7 @@ const Tickets = () => {
                     >
                       <option value="">All Categories</option>
                       {issueCategories.map(cat => (
-                        <option key={cat} value={cat}>{cat}</option>
+                        <option key={cat.value} value={cat.value}>{cat.label}</option>
                       ))}
                     </Form.Select>
                   </Form.Group>
@@ -615,6 +907,116 @@ const Tickets = () => {
                   </Form.Group>
                 </Col>
                 <Col md={3}>
+                  <Row>
+                    <Col>
+                      <Form.Group>
+                        <Form.Label>Priority</Form.Label>
+                        <Form.Select
+                          value={filters.priority}
+                          onChange={(e) => handleFilterChange('priority', e.target.value)}
+                        >
+                          <option value="">All</option>
+                          {priorities.map(p => (
+                            <option key={p} value={p}>{p}</option>
+                          ))}
+                        </Form.Select>
+                      </Form.Group>
+                    </Col>
+                    <Col>
+                      <Form.Group>
+                        <Form.Label>SLA</Form.Label>
+                        <Form.Select
+                          value={filters.sla_state}
+                          onChange={(e) => handleFilterChange('sla_state', e.target.value)}
+                        >
+                          <option value="">All</option>
+                          {slaStateOptions.map(opt => (
+                            <option key={opt.value} value={opt.value}>{opt.label}</option>
+                          ))}
+                        </Form.Select>
+                      </Form.Group>
+                    </Col>
+                    <Col>
+                      <Form.Group>
+                        <Form.Label>Tier</Form.Label>
+                        <Form.Select
+                          value={filters.escalation_level}
+                          onChange={(e) => handleFilterChange('escalation_level', e.target.value)}
+                        >
+                          <option value="">All</option>
+                          {escalationTiers.map(tier => (
+                            <option key={tier.level} value={tier.level}>{tier.name}</option>
+                          ))}
+                        </Form.Select>
+                      </Form.Group>
+                    </Col>
+                  </Row>
+                </Col>
+              </Row>
+
+              <Row className="mb-3">
+                <Col md={2}>
+                  <Form.Group>
+                    <Form.Label>Sort By</Form.Label>
+                    <Form.Select
+                      value={filters.sort_by ? `${filters.sort_by}:${filters.sort_order || 'desc'}` : ''}
+                      onChange={(e) => {
+                        const [sortBy, sortOrder] = e.target.value ? e.target.value.split(':') : ['', ''];
+                        setFilters(prev => ({ ...prev, sort_by: sortBy, sort_order: sortOrder }));
+                        setPagination(prev => ({ ...prev, page: 1 }));
+                      }}
+                    >
+                      <option value="">Newest first</option>
+                      <option value="time_to_breach:asc">Closest to SLA breach</option>
+                      <option value="sla_due:asc">SLA due date</option>
+                    </Form.Select>
+                  </Form.Group>
+                </Col>
+                <Col md={2}>
+                  <Form.Group>
+                    <Form.Label>Issue Type</Form.Label>
+                    <Form.Select
+                      value={filters.issue_type}
+                      onChange={(e) => handleFilterChange('issue_type', e.target.value)}
+                    >
+                      <option value="">All Issue Types</option>
+                      {taxonomy.issue_types.map(type => (
+                        <option key={type.value} value={type.value}>{type.label}</option>
+                      ))}
+                    </Form.Select>
+                  </Form.Group>
+                </Col>
+                <Col md={2}>
+                  <Form.Group>
+                    <Form.Label>Device</Form.Label>
+                    <Form.Select
+                      value={filters.device_type}
+                      onChange={(e) => handleFilterChange('device_type', e.target.value)}
+                    >
+                      <option value="">All Devices</option>
+                      {deviceTypes.map(device => (
+                        <option key={device.value} value={device.value}>{device.label}</option>
+                      ))}
+                    </Form.Select>
+                  </Form.Group>
+                </Col>
+                {ticketTags.length > 0 && (
+                  <Col md={2}>
+                    <Form.Group>
+                      <Form.Label>Tag</Form.Label>
+                      <Form.Select
+                        value={filters.tags}
+                        onChange={(e) => handleFilterChange('tags', e.target.value)}
+                      >
+                        <option value="">All Tags</option>
+                        {ticketTags.map(tag => (
+                          <option key={tag.value} value={tag.value}>{tag.label}</option>
+                        ))}
+                      </Form.Select>
+                    </Form.Group>
+                  </Col>
+                )}
+                <Col md={4}>
                   <Row>
                     <Col>
                       <Form.Group>
@@ -640,10 +1042,35 @@ const Tickets = () => {
                 </Col>
               </Row>
 
+              {/* Bulk actions on the selection or on everything matching the filters */}
+              {selectedIds.length > 0 && (
+                <BulkActionBar
+                  selectedIds={selectedIds}
+                  filters={getActiveFilters()}
+                  matchingTotal={pagination.total}
+                  employees={employees}
+                  tags={ticketTags}
+                  statusOptions={statusOptions}
+                  onDone={() => {
+                    setSelectedIds([]);
+                    loadTickets();
+                  }}
+                  onClear={() => setSelectedIds([])}
+                />
+              )}
+
               {/* Tickets Table */}
               <Table responsive striped hover>
                 <thead>
                   <tr>
+                    <th>
+                      <Form.Check
+                        type="checkbox"
+                        aria-label="Select all tickets on this page"
+                        checked={allPageSelected}
+                        onChange={toggleSelectPage}
+                      />
+                    </th>
                     <th>ID</th>
                     <th>Date</th>
                     <th>Customer</th>
@@ -653,7 +1080,9 @@ const Tickets = () => {
                     <th>Issue Type</th>
                     <th>Description</th>
                     <th>Agent</th>
+                    <th>Priority</th>
                     <th>Status</th>
+                    <th>SLA</th>
                     <th>FCR</th>
                     <th>State</th>
                     <th>Actions</th>
@@ -662,11 +1091,19 @@ const Tickets = () => {
                 <tbody>
                   {tickets.map(ticket => (
                     <tr key={ticket.ticket_id}>
+                      <td>
+                        <Form.Check
+                          type="checkbox"
+                          aria-label={`Select ticket ${ticket.ticket_id}`}
+                          checked={selectedIds.includes(ticket.ticket_id)}
+                          onChange={() => toggleSelected(ticket.ticket_id)}
+                        />
+                      </td>
                       <td>{ticket.ticket_id}</td>
                       <td>{new Date(ticket.createdAt).toLocaleDateString()}</td>
                       <td>
                         <div>
-                          <strong>{ticket.customer_phone}</strong>
+                          <strong>{ticket.customer_phone || ticket.customer_email}</strong>
                           {ticket.customer_location && (
                             <div className="text-muted small">{ticket.customer_location}</div>
                           )}
@@ -682,7 +1119,12 @@ const Tickets = () => {
                         </div>
                       </td>
                       <td>{ticket.agent_info?.name || '-'}</td>
+                      <td>
+                        {ticket.priority || '-'}
+                        {getEscalationBadge(ticket.escalation)}
+                      </td>
                       <td>{getStatusBadge(ticket.resolution_status)}</td>
+                      <td>{getSlaBadge(ticket.sla)}</td>
                       <td>{getFCRBadge(ticket.first_call_resolution)}</td>
                       <td>{getStateBadge(ticket)}</td>
                       <td>
@@ -696,6 +1138,16 @@ const Tickets = () => {
                           >
                             <i className="fas fa-eye"></i>
                           </Button>
+
+                          {/* Timeline: history and comments */}
+                          <Button
+                            size="sm"
+                            variant="outline-info"
+                            onClick={() => setTimelineTicketId(ticket.ticket_id)}
+                            title="Timeline & Comments"
+                          >
+                            <i className="fas fa-comments"></i>
+                          </Button>
                           
                           {/* Edit Button - Always available */}
                           <Button
@@ -717,6 +1169,28 @@ const Tickets = () => {
                             <i className="fas fa-trash"></i>
                           </Button>
                           
+                          {/* Escalation - open tickets only */}
+                          {ticket.resolution_status !== 'Completed' && (ticket.escalation?.level || 1) < 3 && (
+                            <Button
+                              size="sm"
+                              variant="outline-dark"
+                              onClick={() => handleEscalation(ticket, 'up')}
+                              title="Escalate"
+                            >
+                              <i className="fas fa-level-up-alt"></i>
+                            </Button>
+                          )}
+                          {ticket.resolution_status !== 'Completed' && ticket.escalation?.level > 1 && (
+                            <Button
+                              size="sm"
+                              variant="outline-dark"
+                              onClick={() => handleEscalation(ticket, 'down')}
+                              title="De-escalate"
+                            >
+                              <i className="fas fa-level-down-alt"></i>
+                            </Button>
+                          )}
+
                           {/* Unified Status Change Button - Hidden for Completed tickets */}
                           {ticket.resolution_status !== 'Completed' && (
                             <Button
@@ -798,6 +1272,20 @@ const Tickets = () => {
                           onChange={(e) => setFormData(prev => ({ ...prev, customer_phone: e.target.value }))}
                           required
                         />
+                        {customerLookup?.tickets?.length > 0 && (
+                          <div className="small mt-2">
+                            <div className="text-muted mb-1">
+                              Previous tickets from this number
+                              {customerLookup.customer?.name ? ` (${customerLookup.customer.name})` : ''}:
+                            </div>
+                            {customerLookup.tickets.map(t => (
+                              <div key={t.ticket_id}>
+                                #{t.ticket_id} · {t.issue_category}{t.issue_type ? ` / ${t.issue_type}` : ''} · {getStatusBadge(t.resolution_status)}
+                                <span className="text-muted ms-1">{new Date(t.createdAt).toLocaleDateString()}</span>
+                              </div>
+                            ))}
+                          </div>
+                        )}
                       </Form.Group>
                     </Col>
                     <Col md={6}>
@@ -831,12 +1319,12 @@ const Tickets = () => {
                         <Form.Label>Issue Category *</Form.Label>
                         <Form.Select
                           value={formData.issue_category}
-                          onChange={(e) => setFormData(prev => ({ ...prev, issue_category: e.target.value }))}
+                          onChange={(e) => setFormData(prev => ({ ...prev, issue_category: e.target.value, issue_type: '', custom_fields: {} }))}
                           required
                         >
                           <option value="">Select Category</option>
                           {issueCategories.map(cat => (
-                            <option key={cat} value={cat}>{cat}</option>
+                            <option key={cat.value} value={cat.value}>{cat.label}</option>
                           ))}
                         </Form.Select>
                       </Form.Group>
@@ -853,7 +1341,7 @@ const Tickets = () => {
                         >
                           <option value="">Select Device Type</option>
                           {deviceTypes.map(device => (
-                            <option key={device} value={device}>{device}</option>
+                            <option key={device.value} value={device.value}>{device.label}</option>
                           ))}
                         </Form.Select>
                       </Form.Group>
@@ -867,13 +1355,93 @@ const Tickets = () => {
                         >
                           <option value="">Select Issue Type</option>
                           {issueTypes.map(type => (
-                            <option key={type} value={type}>{type}</option>
+                            <option key={type.value} value={type.value}>{type.label}</option>
                           ))}
                         </Form.Select>
                       </Form.Group>
                     </Col>
                   </Row>
                   
+                  <Row>
+                    <Col md={6}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Priority</Form.Label>
+                        <Form.Select
+                          value={formData.priority || 'Medium'}
+                          onChange={(e) => setFormData(prev => ({ ...prev, priority: e.target.value }))}
+                        >
+                          {priorities.map(p => (
+                            <option key={p} value={p}>{p}</option>
+                          ))}
+                        </Form.Select>
+                      </Form.Group>
+                    </Col>
+                    {ticketTags.length > 0 && (
+                      <Col md={6}>
+                        <Form.Group className="mb-3">
+                          <Form.Label>Tags</Form.Label>
+                          <div>
+                            {ticketTags.map(tag => (
+                              <Form.Check
+                                key={tag.value}
+                                inline
+                                type="checkbox"
+                                id={`tag-${tag.value}`}
+                                label={tag.label}
+                                checked={formData.tags.includes(tag.value)}
+                                onChange={(e) => setFormData(prev => ({
+                                  ...prev,
+                                  tags: e.target.checked
+                                    ? [...prev.tags, tag.value]
+                                    : prev.tags.filter(t => t !== tag.value)
+                                }))}
+                              />
+                            ))}
+                          </div>
+                        </Form.Group>
+                      </Col>
+                    )}
+                  </Row>
+
+                  {categoryFields.length > 0 && (
+                    <Row>
+                      {categoryFields.map(field => (
+                        <Col md={6} key={field.key}>
+                          <Form.Group className="mb-3">
+                            <Form.Label>{field.label}{field.required ? ' *' : ''}</Form.Label>
+                            {field.type === 'select' ? (
+                              <Form.Select
+                                value={formData.custom_fields[field.key] ?? ''}
+                                onChange={(e) => setFormData(prev => ({
+                                  ...prev,
+                                  custom_fields: { ...prev.custom_fields, [field.key]: e.target.value }
+                                }))}
+                                required={field.required}
+                              >
+                                <option value="">Select {field.label}</option>
+                                {field.options.map(option => (
+                                  <option key={option} value={option}>{option}</option>
+                                ))}
+                              </Form.Select>
+                            ) : (
+                              <Form.Control
+                                type={field.type === 'number' ? 'number' : field.type === 'date' ? 'date' : 'text'}
+                                value={field.type === 'date' && formData.custom_fields[field.key]
+                                  ? String(formData.custom_fields[field.key]).slice(0, 10)
+                                  : formData.custom_fields[field.key] ?? ''}
+                                onChange={(e) => setFormData(prev => ({
+                                  ...prev,
+                                  custom_fields: { ...prev.custom_fields, [field.key]: e.target.value }
+                                }))}
+                                required={field.required}
+                              />
+                            )}
+                          </Form.Group>
+                        </Col>
+                      ))}
+                    </Row>
+                  )}
+
                   <Row>
                     <Col md={6}>
                       <Form.Group className="mb-3">
@@ -912,7 +1480,25 @@ const Tickets = () => {
                   <Row>
                     <Col>
                       <Form.Group className="mb-3">
-                        <Form.Label>Issue Description *</Form.Label>
+                        <div className="d-flex justify-content-between align-items-center mb-1">
+                          <Form.Label className="mb-0">Issue Description *</Form.Label>
+                          <CannedResponsePicker
+                            target="description"
+                            ticketId={editingTicketId}
+                            draft={{
+                              customer_phone: formData.customer_phone,
+                              customer_location: formData.customer_location,
+                              issue_category: formData.issue_category,
+                              issue_type: formData.issue_type
+                            }}
+                            issueCategory={formData.issue_category}
+                            issueType={formData.issue_type}
+                            onInsert={(text) => setFormData(prev => ({
+                              ...prev,
+                              issue_description: prev.issue_description ? `${prev.issue_description}\n${text}` : text
+                            }))}
+                          />
+                        </div>
                         <Form.Control
                           as="textarea"
                           rows={4}
@@ -955,6 +1541,12 @@ const Tickets = () => {
           </div>
         </div>
       )}
+
+      <TicketTimeline
+        ticketId={timelineTicketId}
+        show={timelineTicketId !== null}
+        onHide={() => setTimelineTicketId(null)}
+      />
     </>
   );
 };
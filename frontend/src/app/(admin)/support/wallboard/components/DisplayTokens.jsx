@@ -0,0 +1,158 @@
+import { useEffect, useState } from 'react';
+import { Card, Button, Form, Table, Badge, Row, Col } from 'react-bootstrap';
+import Swal from 'sweetalert2';
+import { supportApi } from '@/lib/api';
+
+const kioskUrl = (token) => `${window.location.origin}/wallboard/${token}`;
+
+const tokenStatus = (token) => {
+  if (token.revoked_at) return { label: 'Revoked', variant: 'secondary' };
+  if (token.expires_at && new Date(token.expires_at) <= new Date()) return { label: 'Expired', variant: 'secondary' };
+  return { label: 'Active', variant: 'success' };
+};
+
+/**
+ * Kiosk display tokens: a token opens the wallboard on a TV without a login.
+ * The link is shown once, right after creating the token.
+ */
+const DisplayTokens = () => {
+  const [tokens, setTokens] = useState([]);
+  const [form, setForm] = useState({ name: '', expires_at: '' });
+  const [saving, setSaving] = useState(false);
+
+  const loadTokens = async () => {
+    try {
+      const response = await supportApi.getDisplayTokens();
+      setTokens(response.data);
+    } catch (err) {
+      Swal.fire({ title: 'Error!', text: err.message, icon: 'error' });
+    }
+  };
+
+  useEffect(() => {
+    loadTokens();
+  }, []);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const response = await supportApi.createDisplayToken({
+        name: form.name,
+        scopes: ['wallboard'],
+        expires_at: form.expires_at ? new Date(`${form.expires_at}T23:59:59`).toISOString() : null
+      });
+      setForm({ name: '', expires_at: '' });
+      loadTokens();
+      Swal.fire({
+        title: 'Kiosk link created',
+        html: 'Open this link on the screen. It is only shown now.',
+        input: 'text',
+        inputValue: kioskUrl(response.data.token),
+        inputAttributes: { readonly: true },
+        icon: 'success'
+      });
+    } catch (err) {
+      Swal.fire({
+        title: 'Error!',
+        html: err.errors?.length ? err.errors.map(item => item.detail).join('<br>') : err.message,
+        icon: 'error'
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    const result = await Swal.fire({
+      title: `Revoke "${token.name}"?`,
+      text: 'The screen using this link stops getting updates when it reconnects.',
+      icon: 'warning',
+      showCancelButton: true,
+      confirmButtonText: 'Revoke'
+    });
+    if (!result.isConfirmed) return;
+
+    try {
+      await supportApi.revokeDisplayToken(token.display_token_id);
+      loadTokens();
+    } catch (err) {
+      Swal.fire({ title: 'Error!', text: err.message, icon: 'error' });
+    }
+  };
+
+  return (
+    <Card className="mt-3">
+      <Card.Header>
+        <Card.Title as="h5" className="mb-0">Kiosk screens</Card.Title>
+      </Card.Header>
+      <Card.Body>
+        <Form onSubmit={handleCreate}>
+          <Row className="g-2 align-items-end">
+            <Col md={5}>
+              <Form.Label>Screen name</Form.Label>
+              <Form.Control
+                value={form.name}
+                onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="Support floor TV"
+                required
+              />
+            </Col>
+            <Col md={4}>
+              <Form.Label>Expires (optional)</Form.Label>
+              <Form.Control
+                type="date"
+                value={form.expires_at}
+                onChange={(e) => setForm(prev => ({ ...prev, expires_at: e.target.value }))}
+              />
+            </Col>
+            <Col md={3}>
+              <Button type="submit" className="w-100" disabled={saving || form.name.trim().length < 2}>
+                Create kiosk link
+              </Button>
+            </Col>
+          </Row>
+        </Form>
+      </Card.Body>
+      {tokens.length > 0 && (
+        <Table responsive className="table-centered mb-0">
+          <thead className="bg-light bg-opacity-50">
+            <tr>
+              <th>Name</th>
+              <th>Token</th>
+              <th>Status</th>
+              <th>Expires</th>
+              <th>Last used</th>
+              <th>Created by</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {tokens.map(token => {
+              const status = tokenStatus(token);
+              return (
+                <tr key={token.display_token_id}>
+                  <td>{token.name}</td>
+                  <td><code>{token.token_prefix}…</code></td>
+                  <td><Badge bg={status.variant}>{status.label}</Badge></td>
+                  <td>{token.expires_at ? new Date(token.expires_at).toLocaleDateString() : 'Never'}</td>
+                  <td>{token.last_used_at ? new Date(token.last_used_at).toLocaleString() : '-'}</td>
+                  <td>{token.created_by?.name ?? token.created_by?.username ?? '-'}</td>
+                  <td className="text-end">
+                    {!token.revoked_at && (
+                      <Button variant="outline-danger" size="sm" onClick={() => handleRevoke(token)}>
+                        Revoke
+                      </Button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </Table>
+      )}
+    </Card>
+  );
+};
+
+export default DisplayTokens;
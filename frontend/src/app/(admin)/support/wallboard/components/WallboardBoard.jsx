@@ -0,0 +1,167 @@
+import { useEffect, useState } from 'react';
+import { Col, Row, Card, Badge, Table } from 'react-bootstrap';
+import useEventStream from '@/hooks/useEventStream';
+
+const presenceVariants = { available: 'success', on_call: 'primary', break: 'warning', offline: 'secondary' };
+const presenceLabels = { available: 'Available', on_call: 'On call', break: 'Break', offline: 'Offline' };
+
+// Waiting time keeps counting between server updates
+const CLOCK_MS = 30000;
+
+const formatWaiting = (minutes) => {
+  if (minutes < 60) return `${minutes}m`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  return `${Math.floor(minutes / (24 * 60))}d ${Math.floor((minutes % (24 * 60)) / 60)}h`;
+};
+
+/**
+ * Wallboard state from a server-sent event stream: the snapshot sent on
+ * connect, then the changed sections from each patch
+ */
+export const useWallboard = (streamUrl, enabled = true) => {
+  const [board, setBoard] = useState(null);
+
+  const connected = useEventStream(streamUrl, {
+    'wallboard.snapshot': snapshot => setBoard(snapshot),
+    'wallboard.patch': ({ changes, generated_at }) => setBoard(prev => (prev ? { ...prev, ...changes, generated_at } : prev))
+  }, enabled);
+
+  return { board, connected };
+};
+
+const Tile = ({ label, value, variant = 'primary', hint }) => (
+  <Card className={`h-100 border-${variant} border-2 mb-0`}>
+    <Card.Body className="text-center py-3">
+      <div className="text-muted text-uppercase small fw-semibold">{label}</div>
+      <div className={`display-5 fw-bold text-${variant}`}>{value}</div>
+      {hint && <div className="text-muted small">{hint}</div>}
+    </Card.Body>
+  </Card>
+);
+
+/**
+ * Supervisor wallboard: ticket counts, SLA, oldest waiting ticket, follow-ups,
+ * first-contact resolution and per-agent load
+ */
+const WallboardBoard = ({ board, connected }) => {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), CLOCK_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const { tickets, sla, oldest_waiting: oldest, follow_ups: followUps, fcr_today: fcr, agents } = board;
+  const waitingMinutes = oldest ? Math.max(0, Math.floor((now - new Date(oldest.created_at)) / 60000)) : 0;
+
+  return (
+    <>
+      <div className="d-flex justify-content-end align-items-center gap-2 mb-2 small text-muted">
+        <Badge bg={connected ? 'success' : 'danger'}>{connected ? 'Live' : 'Reconnecting…'}</Badge>
+        Updated {new Date(board.generated_at).toLocaleTimeString()}
+      </div>
+
+      <Row className="g-3 mb-3">
+        <Col xs={6} md={4} xl>
+          <Tile label="Open" value={tickets.open} hint={`${tickets.unassigned} unassigned`} />
+        </Col>
+        <Col xs={6} md={4} xl>
+          <Tile label="Pending" value={tickets.pending} variant="warning" />
+        </Col>
+        <Col xs={6} md={4} xl>
+          <Tile label="In progress" value={tickets.in_progress} variant="info" />
+        </Col>
+        <Col xs={6} md={4} xl>
+          <Tile
+            label="SLA breached"
+            value={sla.breached}
+            variant={sla.breached > 0 ? 'danger' : 'success'}
+            hint={`${sla.at_risk} at risk`}
+          />
+        </Col>
+        <Col xs={6} md={4} xl>
+          <Tile
+            label="Follow-ups due"
+            value={followUps.due}
+            variant={followUps.due > 0 ? 'warning' : 'success'}
+            hint={`${followUps.scheduled} scheduled`}
+          />
+        </Col>
+        <Col xs={6} md={4} xl>
+          <Tile
+            label="FCR today"
+            value={fcr.rate === null ? '-' : `${fcr.rate}%`}
+            variant="success"
+            hint={`${fcr.first_contact_resolved} of ${fcr.tickets} tickets`}
+          />
+        </Col>
+      </Row>
+
+      <Row className="g-3">
+        <Col lg={4}>
+          <Card className="h-100">
+            <Card.Header>
+              <Card.Title as="h5" className="mb-0">Oldest waiting ticket</Card.Title>
+            </Card.Header>
+            <Card.Body>
+              {oldest ? (
+                <>
+                  <div className="display-6 fw-bold text-danger">{formatWaiting(waitingMinutes)}</div>
+                  <div className="fs-5">#{String(oldest.ticket_id).padStart(4, '0')} · {oldest.issue_category}</div>
+                  <div className="text-muted">
+                    {oldest.priority} priority · {oldest.agent_name ?? 'Unassigned'}
+                  </div>
+                </>
+              ) : (
+                <div className="text-muted fs-5">No tickets waiting</div>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+        <Col lg={8}>
+          <Card className="h-100">
+            <Card.Header>
+              <Card.Title as="h5" className="mb-0">Agent load</Card.Title>
+            </Card.Header>
+            <Card.Body className="p-0">
+              <Table responsive className="table-centered mb-0 fs-5">
+                <thead className="bg-light bg-opacity-50">
+                  <tr>
+                    <th>Agent</th>
+                    <th>Status</th>
+                    <th className="text-end">Open</th>
+                    <th className="text-end">Pending</th>
+                    <th className="text-end">In progress</th>
+                    <th className="text-end">Breached</th>
+                    <th className="text-end">Follow-ups due</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {agents.length === 0 ? (
+                    <tr>
+                      <td colSpan={7} className="text-center text-muted py-3">No agents online or with open work</td>
+                    </tr>
+                  ) : agents.map(agent => (
+                    <tr key={agent.employee_id}>
+                      <td>{agent.name}</td>
+                      <td>
+                        <Badge bg={presenceVariants[agent.presence]}>{presenceLabels[agent.presence]}</Badge>
+                      </td>
+                      <td className="text-end fw-semibold">{agent.open}</td>
+                      <td className="text-end">{agent.pending}</td>
+                      <td className="text-end">{agent.in_progress}</td>
+                      <td className={`text-end ${agent.sla_breached > 0 ? 'text-danger fw-semibold' : ''}`}>{agent.sla_breached}</td>
+                      <td className="text-end">{agent.follow_ups_due}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+    </>
+  );
+};
+
+export default WallboardBoard;
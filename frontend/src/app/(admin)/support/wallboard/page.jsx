@@ -0,0 +1,42 @@
+import { useRef } from 'react';
+import { Col, Row, Button, Spinner } from 'react-bootstrap';
+import PageMetaData from '@/components/PageTitle';
+import IconifyIcon from '@/components/wrappers/IconifyIcon';
+import { supportApi } from '@/lib/api';
+import { useAuth } from '@/lib/simpleAuth';
+import WallboardBoard, { useWallboard } from './components/WallboardBoard';
+import DisplayTokens from './components/DisplayTokens';
+
+const SupportWallboard = () => {
+  const { hasPermission } = useAuth();
+  const boardRef = useRef(null);
+  const { board, connected } = useWallboard(supportApi.getWallboardStreamUrl());
+
+  return (
+    <>
+      <PageMetaData title="Support Wallboard" />
+
+      <Row className="mb-3">
+        <Col className="d-flex justify-content-between align-items-center">
+          <h4 className="mb-0">Support Wallboard</h4>
+          <Button variant="outline-secondary" size="sm" onClick={() => boardRef.current?.requestFullscreen()}>
+            <IconifyIcon icon="bx:fullscreen" className="me-1" />
+            Full screen
+          </Button>
+        </Col>
+      </Row>
+
+      <div ref={boardRef} className="bg-body p-1">
+        {board ? (
+          <WallboardBoard board={board} connected={connected} />
+        ) : (
+          <div className="text-center py-5"><Spinner animation="border" /></div>
+        )}
+      </div>
+
+      {hasPermission('settings.system') && <DisplayTokens />}
+    </>
+  );
+};
+
+export default SupportWallboard;
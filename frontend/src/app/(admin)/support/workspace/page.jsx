@@ -0,0 +1,338 @@
+import { useState, useEffect, useRef } from 'react';
+import { Col, Row, Card, Button, ButtonGroup, Badge, Table, Spinner, Alert } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import Swal from 'sweetalert2';
+import PageMetaData from '@/components/PageTitle';
+import { supportApi } from '@/lib/api';
+import { useAuth } from '@/lib/simpleAuth';
+import useEventStream from '@/hooks/useEventStream';
+import TicketTimeline from '../tickets/components/TicketTimeline';
+
+const presenceOptions = [
+  { value: 'available', label: 'Available', variant: 'success' },
+  { value: 'on_call', label: 'On call', variant: 'primary' },
+  { value: 'break', label: 'Break', variant: 'warning' },
+  { value: 'offline', label: 'Offline', variant: 'secondary' }
+];
+const presenceVariant = Object.fromEntries(presenceOptions.map(option => [option.value, option.variant]));
+const presenceLabel = Object.fromEntries(presenceOptions.map(option => [option.value, option.label]));
+
+const slaVariants = { breached: 'danger', at_risk: 'warning', on_track: 'success', met: 'secondary' };
+const priorityVariants = { Urgent: 'danger', High: 'warning', Medium: 'info', Low: 'secondary' };
+
+// Queue events that are worth a toast; the rest only refresh the list
+const eventToasts = {
+  'ticket.created': ticket => `New ticket #${String(ticket.ticket_id).padStart(4, '0')} assigned to you`,
+  'ticket.assigned': ticket => `Ticket #${String(ticket.ticket_id).padStart(4, '0')} assigned to you`,
+  'ticket.reopened': ticket => `Ticket #${String(ticket.ticket_id).padStart(4, '0')} was reopened`
+};
+const QUEUE_EVENTS = ['ticket.created', 'ticket.assigned', 'ticket.reopened', 'ticket.updated', 'ticket.unassigned', 'ticket.deleted', 'follow_up.assigned'];
+const HIGHLIGHT_MS = 15000;
+
+const formatDue = (date) => (date ? new Date(date).toLocaleString() : '-');
+
+const AgentWorkspace = () => {
+  const { hasPermission } = useAuth();
+  const canSeeTeam = hasPermission('reports.support');
+
+  const [queue, setQueue] = useState({ tickets: [], follow_ups: [] });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [presence, setPresence] = useState(null);
+  const [savingPresence, setSavingPresence] = useState(false);
+  const [highlighted, setHighlighted] = useState({});
+  const [timelineTicketId, setTimelineTicketId] = useState(null);
+  const [team, setTeam] = useState([]);
+  const reloadTimer = useRef(null);
+  const teamReloadTimer = useRef(null);
+
+  const loadQueue = async () => {
+    try {
+      setError(null);
+      const response = await supportApi.getWorkspaceQueue();
+      setQueue(response.data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadTeam = async () => {
+    try {
+      const response = await supportApi.getTeamStatus();
+      setTeam(response.data || []);
+    } catch (err) {
+      console.error('Failed to load team status:', err);
+    }
+  };
+
+  // Events often arrive in bursts (bulk edits, incident resolution); reload once per burst
+  const scheduleReload = () => {
+    clearTimeout(reloadTimer.current);
+    reloadTimer.current = setTimeout(loadQueue, 300);
+  };
+
+  const scheduleTeamReload = () => {
+    clearTimeout(teamReloadTimer.current);
+    teamReloadTimer.current = setTimeout(loadTeam, 500);
+  };
+
+  useEffect(() => {
+    loadQueue();
+    supportApi.getMyPresence()
+      .then(response => setPresence(response.data))
+      .catch(err => setError(err.message));
+    if (canSeeTeam) loadTeam();
+    return () => {
+      clearTimeout(reloadTimer.current);
+      clearTimeout(teamReloadTimer.current);
+    };
+  }, [canSeeTeam]);
+
+  const handleQueueEvent = (data, type) => {
+    const ticket = data.ticket;
+    if (ticket && type !== 'ticket.unassigned') {
+      setHighlighted(prev => ({ ...prev, [ticket.ticket_id]: Date.now() }));
+      setTimeout(() => setHighlighted(prev => {
+        const { [ticket.ticket_id]: _, ...rest } = prev;
+        return rest;
+      }), HIGHLIGHT_MS);
+    }
+    if (ticket && eventToasts[type]) {
+      Swal.fire({ toast: true, position: 'top-end', icon: 'info', title: eventToasts[type](ticket), showConfirmButton: false, timer: 4000 });
+    }
+    scheduleReload();
+  };
+
+  const connected = useEventStream(supportApi.getWorkspaceEventsUrl(), {
+    // Catch up on anything missed while disconnected
+    open: scheduleReload,
+    'presence.changed': data => setPresence(data),
+    ...Object.fromEntries(QUEUE_EVENTS.map(type => [type, handleQueueEvent]))
+  });
+
+  useEventStream(supportApi.getTeamEventsUrl(), {
+    'presence.changed': data => {
+      if (!team.some(agent => agent.employee_id === data.employee_id)) return scheduleTeamReload();
+      setTeam(prev => prev.map(agent => (
+        agent.employee_id === data.employee_id ? { ...agent, presence: data } : agent
+      )));
+    },
+    'queue.changed': scheduleTeamReload
+  }, canSeeTeam);
+
+  const handlePresence = async (status) => {
+    try {
+      setSavingPresence(true);
+      const response = await supportApi.setMyPresence(status);
+      setPresence(response.data);
+    } catch (err) {
+      Swal.fire({ title: 'Error!', text: err.message, icon: 'error' });
+    } finally {
+      setSavingPresence(false);
+    }
+  };
+
+  const dueFollowUps = queue.follow_ups.filter(followUp => followUp.is_due);
+
+  return (
+    <>
+      <PageMetaData title="Agent Workspace" />
+
+      <Row className="mb-3">
+        <Col className="d-flex flex-wrap justify-content-between align-items-center gap-2">
+          <div className="d-flex align-items-center gap-2">
+            <h4 className="mb-0">My Workspace</h4>
+            <Badge bg={connected ? 'success' : 'secondary'}>{connected ? 'Live' : 'Reconnecting…'}</Badge>
+          </div>
+          <div className="d-flex align-items-center gap-2">
+            {presence?.since && (
+              <small className="text-muted">
+                {presenceLabel[presence.status]} since {new Date(presence.since).toLocaleTimeString()}
+              </small>
+            )}
+            <ButtonGroup size="sm">
+              {presenceOptions.map(option => (
+                <Button
+                  key={option.value}
+                  variant={presence?.status === option.value ? option.variant : `outline-${option.variant}`}
+                  disabled={savingPresence}
+                  onClick={() => handlePresence(option.value)}
+                >
+                  {option.label}
+                </Button>
+              ))}
+            </ButtonGroup>
+          </div>
+        </Col>
+      </Row>
+
+      {error && <Alert variant="danger">{error}</Alert>}
+
+      <Row>
+        <Col lg={8}>
+          <Card>
+            <Card.Header className="d-flex justify-content-between align-items-center">
+              <h5 className="mb-0">My Queue <Badge bg="primary">{queue.tickets.length}</Badge></h5>
+              <Button size="sm" variant="outline-secondary" onClick={loadQueue}>Refresh</Button>
+            </Card.Header>
+            <Card.Body>
+              {loading ? (
+                <div className="text-center py-4"><Spinner animation="border" /></div>
+              ) : queue.tickets.length === 0 ? (
+                <p className="text-muted text-center mb-0">No open tickets assigned to you</p>
+              ) : (
+                <Table responsive hover size="sm" className="mb-0">
+                  <thead>
+                    <tr>
+                      <th>Ticket</th>
+                      <th>Customer</th>
+                      <th>Issue</th>
+                      <th>Priority</th>
+                      <th>Status</th>
+                      <th>SLA</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {queue.tickets.map(ticket => (
+                      <tr key={ticket.ticket_id} className={highlighted[ticket.ticket_id] ? 'table-info' : ''}>
+                        <td>
+                          #{String(ticket.ticket_id).padStart(4, '0')}
+                          {ticket.escalation && <Badge bg="dark" className="ms-1">L{ticket.escalation.level}</Badge>}
+                        </td>
+                        <td>
+                          {ticket.customer_phone}
+                          <div className="text-muted small">{ticket.customer_location}</div>
+                        </td>
+                        <td>
+                          {ticket.issue_category}
+                          <div className="text-muted small">{ticket.issue_type}</div>
+                        </td>
+                        <td><Badge bg={priorityVariants[ticket.priority] || 'secondary'}>{ticket.priority}</Badge></td>
+                        <td>{ticket.resolution_status}</td>
+                        <td>
+                          {ticket.sla ? (
+                            <>
+                              <Badge bg={slaVariants[ticket.sla.state] || 'secondary'}>{ticket.sla.state?.replace('_', ' ')}</Badge>
+                              <div className="text-muted small">{formatDue(ticket.sla.next_due_at)}</div>
+                            </>
+                          ) : '-'}
+                        </td>
+                        <td>
+                          <Button size="sm" variant="outline-info" title="Timeline & Comments" onClick={() => setTimelineTicketId(ticket.ticket_id)}>
+                            <i className="fas fa-comments"></i>
+                          </Button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+
+        <Col lg={4}>
+          <Card>
+            <Card.Header className="d-flex justify-content-between align-items-center">
+              <h5 className="mb-0">Follow-up Calls <Badge bg={dueFollowUps.length > 0 ? 'danger' : 'secondary'}>{dueFollowUps.length} due</Badge></h5>
+              <Link to="/support/followups">Call queue</Link>
+            </Card.Header>
+            <Card.Body>
+              {queue.follow_ups.length === 0 ? (
+                <p className="text-muted text-center mb-0">No follow-up calls assigned to you</p>
+              ) : (
+                <Table size="sm" className="mb-0">
+                  <tbody>
+                    {queue.follow_ups.map(followUp => (
+                      <tr key={followUp.follow_up_id}>
+                        <td>
+                          #{String(followUp.ticket_id).padStart(4, '0')}
+                          <div className="text-muted small">{followUp.ticket_info?.customer_phone}</div>
+                        </td>
+                        <td className="text-end">
+                          {followUp.is_due ? <Badge bg="danger">Due</Badge> : <small className="text-muted">{formatDue(followUp.follow_up_date)}</small>}
+                          <div className="text-muted small">{followUp.attempts_left} attempts left</div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+
+      {canSeeTeam && (
+        <Row>
+          <Col>
+            <Card>
+              <Card.Header className="d-flex justify-content-between align-items-center">
+                <h5 className="mb-0">Team Status</h5>
+                <div className="d-flex gap-1">
+                  {presenceOptions.map(option => (
+                    <Badge key={option.value} bg={option.variant}>
+                      {option.label}: {team.filter(agent => agent.presence.status === option.value).length}
+                    </Badge>
+                  ))}
+                </div>
+              </Card.Header>
+              <Card.Body>
+                {team.length === 0 ? (
+                  <p className="text-muted text-center mb-0">No agents have used the workspace yet</p>
+                ) : (
+                  <Table responsive size="sm" className="mb-0">
+                    <thead>
+                      <tr>
+                        <th>Agent</th>
+                        <th>Presence</th>
+                        <th>Shift</th>
+                        <th className="text-end">Open tickets</th>
+                        <th className="text-end">Due follow-ups</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {team.map(agent => (
+                        <tr key={agent.employee_id}>
+                          <td>
+                            {agent.name}
+                            {!agent.connected && agent.presence.status !== 'offline' && (
+                              <Badge bg="light" text="dark" className="ms-1" title="No workspace tab open">not connected</Badge>
+                            )}
+                          </td>
+                          <td>
+                            <Badge bg={presenceVariant[agent.presence.status]}>{presenceLabel[agent.presence.status]}</Badge>
+                            {agent.presence.since && (
+                              <small className="text-muted ms-1">since {new Date(agent.presence.since).toLocaleTimeString()}</small>
+                            )}
+                          </td>
+                          <td>
+                            {agent.shift || '-'}
+                            {agent.on_shift && <Badge bg="info" className="ms-1">on shift</Badge>}
+                          </td>
+                          <td className="text-end">{agent.open_tickets}</td>
+                          <td className="text-end">{agent.due_follow_ups}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+                )}
+              </Card.Body>
+            </Card>
+          </Col>
+        </Row>
+      )}
+
+      <TicketTimeline
+        ticketId={timelineTicketId}
+        show={timelineTicketId !== null}
+        onHide={() => setTimelineTicketId(null)}
+      />
+    </>
+  );
+};
+
+export default AgentWorkspace;
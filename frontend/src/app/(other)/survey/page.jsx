@@ -0,0 +1,112 @@
+import { useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { Alert, Button, Card, CardBody, Form, Spinner } from 'react-bootstrap';
+import LogoBox from '@/components/LogoBox';
+import PageMetaData from '@/components/PageTitle';
+import { publicSurveyApi } from '@/lib/api';
+
+const scales = {
+  rating: [1, 2, 3, 4, 5],
+  nps: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10]
+};
+
+const scaleHints = {
+  rating: ['Very dissatisfied', 'Very satisfied'],
+  nps: ['Not at all likely', 'Extremely likely']
+};
+
+// Public page behind the signed link from a follow-up; no login needed
+const CustomerSurvey = () => {
+  const { token } = useParams();
+  const [survey, setSurvey] = useState(null);
+  const [answers, setAnswers] = useState({});
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [done, setDone] = useState(false);
+
+  useEffect(() => {
+    publicSurveyApi.getSurvey(token)
+      .then(response => {
+        setSurvey(response.data);
+        setDone(response.data.completed);
+      })
+      .catch(err => setError(err.message))
+      .finally(() => setLoading(false));
+  }, [token]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      setFieldErrors({});
+      await publicSurveyApi.submitSurvey(token, { answers });
+      setDone(true);
+    } catch (err) {
+      if (err.errors && err.errors.length > 0) {
+        setFieldErrors(Object.fromEntries(err.errors.map(item => [item.field, item.detail])));
+      } else {
+        setError(err.message);
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const setAnswer = (key, value) => setAnswers(prev => ({ ...prev, [key]: value }));
+
+  return <>
+      <PageMetaData title="Customer Survey" />
+
+      <Card className="auth-card mx-auto" style={{ maxWidth: 640 }}>
+        <CardBody className="p-4">
+          <div className="mx-auto mb-4 text-center auth-logo">
+            <LogoBox textLogo={{
+            height: 24,
+            width: 110
+          }} squareLogo={{
+            className: 'me-1',
+            width: 33,
+            height: 28
+          }} />
+          </div>
+
+          {loading ? <div className="text-center"><Spinner animation="border" /></div> : error ? <Alert variant="danger" className="mb-0">{error}</Alert> : done ? <div className="text-center">
+              <h3 className="fw-bold">Thank you!</h3>
+              <p className="text-muted mb-0">Your feedback has been recorded.</p>
+            </div> : <Form onSubmit={handleSubmit}>
+              <h4 className="fw-bold">How did we do?</h4>
+              <p className="text-muted">About your request #{String(survey.ticket_id).padStart(4, '0')}</p>
+
+              {survey.questions.map(question => <Form.Group key={question.key} className="mb-4">
+                  <Form.Label className="fw-semibold">
+                    {question.label}{question.required && <span className="text-danger"> *</span>}
+                  </Form.Label>
+
+                  {question.type === 'text' ? <Form.Control as="textarea" rows={3} maxLength={2000} value={answers[question.key] || ''} onChange={(e) => setAnswer(question.key, e.target.value)} /> : <>
+                      <div className="d-flex flex-wrap gap-1">
+                        {scales[question.type].map(value => <Button key={value} type="button" size="sm" variant={answers[question.key] === value ? 'primary' : 'outline-primary'} style={{ minWidth: 38 }} onClick={() => setAnswer(question.key, value)}>
+                            {value}
+                          </Button>)}
+                      </div>
+                      <div className="d-flex justify-content-between small text-muted mt-1">
+                        <span>{scaleHints[question.type][0]}</span>
+                        <span>{scaleHints[question.type][1]}</span>
+                      </div>
+                    </>}
+
+                  {fieldErrors[question.key] && <div className="text-danger small mt-1">{fieldErrors[question.key]}</div>}
+                </Form.Group>)}
+
+              <div className="text-center">
+                <Button type="submit" variant="success" disabled={submitting}>
+                  {submitting ? 'Sending...' : 'Send feedback'}
+                </Button>
+              </div>
+            </Form>}
+        </CardBody>
+      </Card>
+    </>;
+};
+export default CustomerSurvey;
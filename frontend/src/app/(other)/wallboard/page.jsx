@@ -0,0 +1,35 @@
+import { useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { Alert, Spinner } from 'react-bootstrap';
+import PageMetaData from '@/components/PageTitle';
+import { publicWallboardApi } from '@/lib/api';
+import WallboardBoard, { useWallboard } from '@/app/(admin)/support/wallboard/components/WallboardBoard';
+
+// Kiosk page for a TV on the support floor; the display token in the link replaces a login
+const KioskWallboard = () => {
+  const { token } = useParams();
+  const [error, setError] = useState('');
+  const [checked, setChecked] = useState(false);
+
+  // Check the token once so a bad link shows a message instead of reconnecting forever
+  useEffect(() => {
+    publicWallboardApi.getWallboard(token)
+      .then(() => setChecked(true))
+      .catch(err => setError(err.message));
+  }, [token]);
+
+  const { board, connected } = useWallboard(publicWallboardApi.getStreamUrl(token), checked);
+
+  return <>
+      <PageMetaData title="Support Wallboard" />
+      {error ? (
+        <Alert variant="danger" className="text-center">{error}</Alert>
+      ) : board ? (
+        <WallboardBoard board={board} connected={connected} />
+      ) : (
+        <div className="text-center py-5"><Spinner animation="border" /></div>
+      )}
+    </>;
+};
+
+export default KioskWallboard;
@@ -53,11 +53,16 @@ export const MENU_ITEMS = [{
   label: 'CUSTOMER SUPPORT',
   isTitle: true
 }, {
-  // Customer Support group - tickets, follow-ups, reviews
+  // Customer Support group - workspace, tickets, follow-ups, reviews, incidents, wallboard
   key: 'support',
   icon: 'solar:headphones-round-sound-broken',
   label: 'Customer Support',
   children: [{
+    key: 'support-workspace',
+    label: 'My Workspace',
+    url: '/support/workspace',
+    parentKey: 'support'
+  }, {
     key: 'support-tickets',
     label: 'Tickets',
     url: '/support/tickets',
@@ -72,6 +77,16 @@ export const MENU_ITEMS = [{
     label: 'Reviews (QA)',
     url: '/support/reviews',
     parentKey: 'support'
+  }, {
+    key: 'support-incidents',
+    label: 'Incidents',
+    url: '/support/incidents',
+    parentKey: 'support'
+  }, {
+    key: 'support-wallboard',
+    label: 'Wallboard',
+    url: '/support/wallboard',
+    parentKey: 'support'
   }]
 }, {
   key: 'operations-section',
@@ -102,6 +117,11 @@ export const MENU_ITEMS = [{
     label: 'Notifications',
     url: '/operations/notifications',
     parentKey: 'operations'
+  }, {
+    key: 'operations-timesheets',
+    label: 'Timesheets',
+    url: '/operations/timesheets',
+    parentKey: 'operations'
   }]
 }, {
   key: 'content-section',
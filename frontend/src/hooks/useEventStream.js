@@ -0,0 +1,28 @@
+import { useEffect, useRef, useState } from 'react';
+
+/**
+ * Open an EventSource and reconnect-aware status; handlers are read through a
+ * ref so they always see the latest state
+ */
+const useEventStream = (url, handlers, enabled = true) => {
+  const [connected, setConnected] = useState(false);
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const source = new EventSource(url, { withCredentials: true });
+    source.onopen = () => {
+      setConnected(true);
+      handlersRef.current.open?.();
+    };
+    source.onerror = () => setConnected(false);
+    Object.keys(handlersRef.current).filter(type => type !== 'open').forEach(type => {
+      source.addEventListener(type, (e) => handlersRef.current[type](JSON.parse(e.data), type));
+    });
+    return () => source.close();
+  }, [url, enabled]);
+
+  return connected;
+};
+export default useEventStream;
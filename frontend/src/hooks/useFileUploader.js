@@ -5,12 +5,12 @@ export default function useFileUploader(showPreview = true) {
   const handleAcceptedFiles = (files, callback) => {
     let allFiles = [];
     if (showPreview) {
+      // Keep the File itself (spreading it drops name, type and contents) so it can still be uploaded
       files = files.map(file => {
-        return {
-          ...file,
+        return Object.assign(file, {
           preview: file['type']?.split('/')[0] === 'image' ? URL.createObjectURL(file) : undefined,
           formattedSize: formatFileSize(file.size)
-        };
+        });
       });
       allFiles = [...selectedFiles, ...files];
       setSelectedFiles(allFiles);
@@ -22,9 +22,14 @@ export default function useFileUploader(showPreview = true) {
     newFiles?.splice(newFiles.indexOf(file), 1);
     setSelectedFiles(newFiles);
   };
+  const clearFiles = () => {
+    selectedFiles.forEach(file => file.preview && URL.revokeObjectURL(file.preview));
+    setSelectedFiles([]);
+  };
   return {
     selectedFiles,
     handleAcceptedFiles,
-    removeFile
+    removeFile,
+    clearFiles
   };
 }
\ No newline at end of file
@@ -89,6 +89,15 @@ export const apiPut = (path, data) => {
   });
 };
 
+// The browser sets the multipart Content-Type (with its boundary) for FormData bodies
+export const apiUpload = (path, formData) => {
+  return api(path, {
+    method: 'POST',
+    body: formData,
+    headers: {}
+  });
+};
+
 export const apiDelete = (path) => {
   return api(path, { method: 'DELETE' });
 };
@@ -221,14 +230,141 @@ export const supportApi = {
   createTicket: (data) => 
     apiPost('/tickets', data),
   
-    updateTicket: (id, data) => 
-      apiPatch(`/tickets/${id}`, data),
-    
-    deleteTicket: (id) => 
-      api(`/tickets/${id}`, { method: 'DELETE' }),
-    
-    reopenTicket: (id) => 
-      apiPatch(`/tickets/${id}/reopen`, {}),
+  updateTicket: (id, data) => 
+    apiPatch(`/tickets/${id}`, data),
+  
+  deleteTicket: (id) => 
+    api(`/tickets/${id}`, { method: 'DELETE' }),
+  
+  reopenTicket: (id) => 
+    apiPatch(`/tickets/${id}/reopen`, {}),
+  
+  getTicketHistory: (id) =>
+    apiGet(`/tickets/${id}/history`),
+
+  getTicketTaxonomy: () =>
+    apiGet('/ticket-taxonomy'),
+
+  mergeTicket: (id, targetTicketId) =>
+    apiPost(`/tickets/${id}/merge`, { target_ticket_id: targetTicketId }),
+
+  bulkTicketAction: (payload) =>
+    apiPost('/tickets/bulk', payload),
+
+  escalateTicket: (id, data) =>
+    apiPost(`/tickets/${id}/escalate`, data),
+
+  deEscalateTicket: (id, data) =>
+    apiPost(`/tickets/${id}/de-escalate`, data),
+
+  getEscalationTiers: () =>
+    apiGet('/settings/escalation-tiers'),
+
+  // Incidents
+  getIncidents: (params = {}) =>
+    apiGet('/incidents', params),
+
+  getIncident: (id) =>
+    apiGet(`/incidents/${id}`),
+
+  createIncident: (data) =>
+    apiPost('/incidents', data),
+
+  updateIncident: (id, data) =>
+    apiPatch(`/incidents/${id}`, data),
+
+  getIncidentTickets: (id, params = {}) =>
+    apiGet(`/incidents/${id}/tickets`, params),
+
+  getIncidentSuggestions: (id, params = {}) =>
+    apiGet(`/incidents/${id}/suggestions`, params),
+
+  linkIncidentTickets: (id, ticketIds) =>
+    apiPost(`/incidents/${id}/tickets`, { ticket_ids: ticketIds }),
+
+  unlinkIncidentTicket: (id, ticketId) =>
+    api(`/incidents/${id}/tickets/${ticketId}`, { method: 'DELETE' }),
+
+  resolveIncident: (id, data = {}) =>
+    apiPost(`/incidents/${id}/resolve`, data),
+
+  // Agent workspace
+  getWorkspaceQueue: () =>
+    apiGet('/workspace/queue'),
+
+  getMyPresence: () =>
+    apiGet('/workspace/presence'),
+
+  setMyPresence: (status) =>
+    apiPut('/workspace/presence', { status }),
+
+  getTeamStatus: (params = {}) =>
+    apiGet('/workspace/team', params),
+
+  // Server-sent event streams, for EventSource with withCredentials
+  getWorkspaceEventsUrl: () => `${API_BASE_URL}/workspace/events`,
+
+  getTeamEventsUrl: () => `${API_BASE_URL}/workspace/team/events`,
+
+  // Supervisor wallboard
+  getWallboard: () =>
+    apiGet('/analytics/wallboard'),
+
+  getWallboardStreamUrl: () => `${API_BASE_URL}/analytics/wallboard/stream`,
+
+  // Display tokens for kiosk screens
+  getDisplayTokens: () =>
+    apiGet('/settings/display-tokens'),
+
+  createDisplayToken: (data) =>
+    apiPost('/settings/display-tokens', data),
+
+  revokeDisplayToken: (id) =>
+    apiPost(`/settings/display-tokens/${id}/revoke`),
+
+  getCannedResponses: (params = {}) =>
+    apiGet('/settings/canned-responses', params),
+
+  renderCannedResponse: (id, data) =>
+    apiPost(`/settings/canned-responses/${id}/render`, data),
+
+  // Ticket comments
+  getTicketComments: (ticketId, params = {}) =>
+    apiGet(`/tickets/${ticketId}/comments`, params),
+
+  addTicketComment: (ticketId, data) =>
+    apiPost(`/tickets/${ticketId}/comments`, data),
+
+  updateTicketComment: (ticketId, commentId, data) =>
+    apiPatch(`/tickets/${ticketId}/comments/${commentId}`, data),
+
+  deleteTicketComment: (ticketId, commentId) =>
+    apiDelete(`/tickets/${ticketId}/comments/${commentId}`),
+
+  // Attachments; owner is { comment_id } or { follow_up_id }, empty for the ticket itself
+  getTicketAttachments: (ticketId, params = {}) =>
+    apiGet(`/tickets/${ticketId}/attachments`, params),
+
+  uploadTicketAttachments: (ticketId, files, owner = {}) => {
+    const formData = new FormData();
+    Object.entries(owner).forEach(([key, value]) => formData.append(key, value));
+    files.forEach(file => formData.append('files', file, file.name));
+    return apiUpload(`/tickets/${ticketId}/attachments`, formData);
+  },
+
+  deleteTicketAttachment: (ticketId, attachmentId) =>
+    apiDelete(`/tickets/${ticketId}/attachments/${attachmentId}`),
+
+  // URLs for <img> and download links; the auth cookie goes along
+  getAttachmentUrl: (ticketId, attachmentId, { thumbnail = false, inline = false } = {}) =>
+    `${API_BASE_URL}/tickets/${ticketId}/attachments/${attachmentId}/${thumbnail ? 'thumbnail' : 'download'}${inline ? '?inline=1' : ''}`,
+
+  // Customers
+  lookupCustomer: (phone) =>
+    apiGet('/customers/lookup', { phone }),
+
+  getCustomer: (id) =>
+    apiGet(`/customers/${id}`),
   
   getStuckTickets: () => 
     apiGet('/tickets/stuck/tickets'),
@@ -261,6 +397,28 @@ export const supportApi = {
   assignToMe: (id) => 
     apiPatch(`/follow-ups/${id}/assign-to-me`, {}),
 
+  getFollowUpQueue: (params = {}) =>
+    apiGet('/follow-ups/queue', params),
+
+  getMyFollowUpQueue: () =>
+    apiGet('/follow-ups/queue/mine'),
+
+  // Surveys
+  getSurveyQuestions: (params = {}) =>
+    apiGet('/surveys/questions', params),
+
+  createSurveyLink: (ticketId, data = {}) =>
+    apiPost(`/surveys/tickets/${ticketId}/link`, data),
+
+  recordSurveyAnswers: (followUpId, answers) =>
+    apiPost(`/surveys/follow-ups/${followUpId}/responses`, { answers }),
+
+  getTicketSurveys: (ticketId) =>
+    apiGet(`/surveys/tickets/${ticketId}`),
+
+  getCsatAnalytics: (params = {}) =>
+    apiGet('/analytics/csat', params),
+
   // Reviews
   getReviews: (params = {}) => 
     apiGet('/reviews', params),
@@ -278,5 +436,96 @@ export const supportApi = {
     apiGet('/reviews/stuck/tickets'),
   
   resolveReview: (id, data) => 
-    apiPatch(`/reviews/${id}/resolve`, data)
+    apiPatch(`/reviews/${id}/resolve`, data),
+
+  getQaTrends: (params = {}) =>
+    apiGet('/reviews/qa/trends', params),
+
+  getQaCoverage: (params = {}) =>
+    apiGet('/reviews/qa/coverage', params),
+
+  // QA sampling
+  getQaSamplingSettings: () =>
+    apiGet('/settings/qa-sampling'),
+
+  updateQaSamplingSettings: (data) =>
+    apiPut('/settings/qa-sampling', data),
+
+  runQaSampling: (data = {}) =>
+    apiPost('/settings/qa-sampling/run', data),
+
+  // QA scorecards
+  getQaScorecards: (params = {}) =>
+    apiGet('/settings/qa-scorecards', params),
+
+  getQaScorecard: (id, params = {}) =>
+    apiGet(`/settings/qa-scorecards/${id}`, params)
+};
+
+// Operations API calls
+export const operationsApi = {
+  // Kanban board of tasks
+  getTaskBoard: (params = {}) =>
+    apiGet('/task-board', params),
+
+  moveTask: (taskId, data) =>
+    apiPost(`/task-board/tasks/${taskId}/move`, data),
+
+  // Timers and logged time
+  getTimer: () =>
+    apiGet('/time-entries/timer'),
+
+  startTimer: (subjectType, subjectId) =>
+    apiPost('/time-entries/timer/start', { subject_type: subjectType, subject_id: subjectId }),
+
+  stopTimer: () =>
+    apiPost('/time-entries/timer/stop'),
+
+  getTimeEntries: (params = {}) =>
+    apiGet('/time-entries', params),
+
+  createTimeEntry: (data) =>
+    apiPost('/time-entries', data),
+
+  updateTimeEntry: (entryId, data) =>
+    apiPut(`/time-entries/${entryId}`, data),
+
+  deleteTimeEntry: (entryId) =>
+    apiDelete(`/time-entries/${entryId}`),
+
+  // Weekly timesheets
+  getTimesheetWeek: (params = {}) =>
+    apiGet('/timesheets/week', params),
+
+  getTimesheets: (params = {}) =>
+    apiGet('/timesheets', params),
+
+  submitTimesheet: (weekStart) =>
+    apiPost('/timesheets/submit', { week_start: weekStart }),
+
+  approveTimesheet: (timesheetId, note) =>
+    apiPost(`/timesheets/${timesheetId}/approve`, { note }),
+
+  rejectTimesheet: (timesheetId, note) =>
+    apiPost(`/timesheets/${timesheetId}/reject`, { note }),
+
+  getTimesheetExportUrl: (weekStart, weeks = 1) =>
+    `${API_BASE_URL}/timesheets/export?week_start=${weekStart}&weeks=${weeks}`
+};
+
+// Customer survey links (no login)
+export const publicSurveyApi = {
+  getSurvey: (token) =>
+    apiGet(`/public/surveys/${token}`),
+
+  submitSurvey: (token, data) =>
+    apiPost(`/public/surveys/${token}`, data)
+};
+
+// Wallboard on a kiosk screen (display token, no login)
+export const publicWallboardApi = {
+  getWallboard: (token) =>
+    apiGet(`/public/wallboard/${token}`),
+
+  getStreamUrl: (token) => `${API_BASE_URL}/public/wallboard/${token}/stream`
 };
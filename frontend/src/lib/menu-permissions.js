@@ -14,9 +14,12 @@ export const MENU_PERMISSIONS = {
 
   // Customer Support
   'support': 'support.tickets', // Show if has any support permission
+  'support-workspace': 'support.tickets',
   'support-tickets': 'support.tickets',
   'support-followups': 'support.followups',
   'support-reviews': 'support.reviews',
+  'support-incidents': 'support.tickets',
+  'support-wallboard': 'reports.support',
 
   // Operations/Tasks
   'operations': 'tasks.view', // Show operations menu if user can view tasks
@@ -24,6 +27,7 @@ export const MENU_PERMISSIONS = {
   'operations-mine': 'tasks.mine',
   'operations-calendar': 'operations.calendar',
   'operations-notifications': 'operations.notifications',
+  'operations-timesheets': 'tasks.mine',
 
   // Content Production
   'content': 'content.ideas', // Show if has any content permission
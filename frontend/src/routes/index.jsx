@@ -20,12 +20,16 @@ const Permissions = lazy(() => import('@/app/(admin)/management/permissions/page
 const Tickets = lazy(() => import('@/app/(admin)/support/tickets/page'));
 const FollowUps = lazy(() => import('@/app/(admin)/support/followups/page'));
 const Reviews = lazy(() => import('@/app/(admin)/support/reviews/page'));
+const Incidents = lazy(() => import('@/app/(admin)/support/incidents/page'));
+const AgentWorkspace = lazy(() => import('@/app/(admin)/support/workspace/page'));
+const SupportWallboard = lazy(() => import('@/app/(admin)/support/wallboard/page'));
 
 // Operations Routes
 const AllOperations = lazy(() => import('@/app/(admin)/operations/all/page'));
 const MyOperations = lazy(() => import('@/app/(admin)/operations/mine/page'));
 const OperationsCalendar = lazy(() => import('@/app/(admin)/operations/calendar/page'));
 const OperationsNotifications = lazy(() => import('@/app/(admin)/operations/notifications/page'));
+const OperationsTimesheets = lazy(() => import('@/app/(admin)/operations/timesheets/page'));
 
 // Content Production Routes
 const Ideas = lazy(() => import('@/app/(admin)/content/ideas/page'));
@@ -71,6 +75,8 @@ const ComingSoon = lazy(() => import('@/app/(other)/coming-soon/page'));
 const TimelinePage = lazy(() => import('@/app/(admin)/pages/timeline/page'));
 const Pricing = lazy(() => import('@/app/(admin)/pages/pricing/page'));
 const Maintenance = lazy(() => import('@/app/(other)/maintenance/page'));
+const CustomerSurvey = lazy(() => import('@/app/(other)/survey/page'));
+const KioskWallboard = lazy(() => import('@/app/(other)/wallboard/page'));
 const Widgets = lazy(() => import('@/app/(admin)/widgets/page'));
 
 // Base UI Routes
@@ -560,6 +566,10 @@ const managementRoutes = [{
 
 // Support Routes
 const supportRoutes = [{
+  name: 'My Workspace',
+  path: '/support/workspace',
+  element: <AgentWorkspace />
+}, {
   name: 'Tickets',
   path: '/support/tickets',
   element: <Tickets />
@@ -571,6 +581,14 @@ const supportRoutes = [{
   name: 'Reviews (QA)',
   path: '/support/reviews',
   element: <Reviews />
+}, {
+  name: 'Incidents',
+  path: '/support/incidents',
+  element: <Incidents />
+}, {
+  name: 'Wallboard',
+  path: '/support/wallboard',
+  element: <SupportWallboard />
 }];
 
 // Operations Routes
@@ -590,6 +608,10 @@ const operationsRoutes = [{
   name: 'Operations Notifications',
   path: '/operations/notifications',
   element: <OperationsNotifications />
+}, {
+  name: 'Timesheets',
+  path: '/operations/timesheets',
+  element: <OperationsTimesheets />
 }];
 
 // Content Production Routes
@@ -681,5 +703,13 @@ export const authRoutes = [{
   name: 'Coming Soon',
   path: '/coming-soon',
   element: <ComingSoon />
+}, {
+  name: 'Customer Survey',
+  path: '/survey/:token',
+  element: <CustomerSurvey />
+}, {
+  name: 'Kiosk Wallboard',
+  path: '/wallboard/:token',
+  element: <KioskWallboard />
 }];
 export const appRoutes = [...initialRoutes, ...generalRoutes, ...appsRoutes, ...customRoutes, ...managementRoutes, ...supportRoutes, ...operationsRoutes, ...contentRoutes, ...reportsRoutes, ...settingsRoutes, ...baseUIRoutes, ...advancedUIRoutes, ...chartsNMapsRoutes, ...formsRoutes, ...tableRoutes, ...iconRoutes, ...authRoutes];
\ No newline at end of file